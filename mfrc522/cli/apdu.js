@@ -0,0 +1,84 @@
+// @ts-check
+"use strict";
+
+/**
+ * Send APDUs to an ISO 14443-4 tag
+ * With --bit-rate the bit rate is raised with PPS. When an APDU
+ * fails at a higher bit rate, the tag is activated again one
+ * step lower and the APDUs are sent again from the first one.
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+import { IsoDep, isIso14443_4, getBitRates } from '../lib/iso14443_4.js';
+import { toHex, parseHex, waitForTag } from './util.js';
+
+/**
+ * @param {MFRC522} mfrc522
+ * @returns {void}
+ */
+const printBitRate = (mfrc522) => {
+  const { tx, rx } = mfrc522.bitRate;
+  console.log(`Bit rate: \x1b[1;33m${tx}\x1b[0m kbit/s to the tag, \x1b[1;33m${rx}\x1b[0m kbit/s from the tag`);
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const apduCmd = async (mfrc522, opts) => {
+  if (!opts.args.length){
+    throw new Error('No APDU given, e.g. node run.js apdu 00a4040007d276000085010100');
+  }
+  const apdus = opts.args.map((arg) => parseHex(arg));
+
+  const { uid, sak } = await waitForTag(mfrc522);
+  console.log(`Tag UID: \x1b[1;32m${toHex(uid)}\x1b[0m`);
+  if (!isIso14443_4(sak)){
+    throw new Error(`The tag does not support ISO 14443-4, SAK: 0x${sak.toString(16).padStart(2, '0')}`);
+  }
+
+  const isoDep = new IsoDep(mfrc522, { uid, maxBitRate: opts.bitRate });
+
+  try {
+    const ats = await isoDep.rats();
+    console.log(`ATS: \x1b[1;33m${toHex(ats.raw, ' ')}\x1b[0m`);
+    console.log(`FSC: \x1b[1;33m${ats.fsc}\x1b[0m bytes, FWI: \x1b[1;33m${ats.fwi}\x1b[0m (${(ats.fwt / 1000).toFixed(1)} ms), SFGI: \x1b[1;33m${ats.sfgi}\x1b[0m`);
+    if (ats.historical.length){
+      console.log(`Historical bytes: \x1b[1;33m${toHex(ats.historical, ' ')}\x1b[0m`);
+    }
+    const supported = getBitRates(ats.ta);
+    console.log(`Supported bit rates: to the tag ${supported.tx.join(', ')}, from the tag ${supported.rx.join(', ')} kbit/s${supported.sameRate ? ', same in both directions' : ''}`);
+    printBitRate(mfrc522);
+
+    for (let i = 0; i < apdus.length; i++){
+      const apdu = apdus[i];
+      console.log(`>> \x1b[1;33m${toHex(apdu, ' ')}\x1b[0m`);
+      /** @type {number[]} */
+      let resp;
+      const { maxBitRate } = isoDep;
+      try {
+        resp = await isoDep.transmitApdu(apdu);
+      } catch (err) {
+        if (isoDep.maxBitRate === maxBitRate){
+          throw err;
+        }
+        // the tag lost its state, start again
+        console.log(`\x1b[1;35mWarning: ${err.message}, the APDUs are sent again\x1b[0m`);
+        printBitRate(mfrc522);
+        i = -1;
+        continue;
+      }
+      const data = resp.slice(0, -2);
+      const sw = resp.slice(-2);
+      const color = sw[0] === 0x90 && sw[1] === 0x00 ? '32' : '31';
+      console.log(`<< \x1b[1;32m${toHex(data, ' ')}\x1b[0m`);
+      console.log(`SW: \x1b[1;${color}m${toHex(sw)}\x1b[0m`);
+    }
+  } finally {
+    await isoDep.deselect();
+    await mfrc522.antennaOff();
+  }
+};
+
+export { apduCmd };
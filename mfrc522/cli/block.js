@@ -0,0 +1,86 @@
+// @ts-check
+"use strict";
+
+/**
+ * Commands to read and write a 16 byte
+ * block of a MIFARE Classic tag
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+import { isTrailerBlock } from '../lib/mifare_classic.js';
+import { toHex, waitForTag, failure } from './util.js';
+
+/**
+ * Select a tag and authenticate the block
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<number[]>} uid
+ */
+const selectAndAuth = async (mfrc522, opts) => {
+  const { uid } = await waitForTag(mfrc522);
+  console.log(`Tag UID: \x1b[1;32m${toHex(uid)}\x1b[0m`);
+  if (!await mfrc522.authenticate(opts.block, opts.keyType, opts.key, uid)){
+    throw new Error(`Authentication with key ${opts.keyType} failed for block ${opts.block}${failure(mfrc522)}`);
+  }
+  return uid;
+};
+
+/**
+ * Halt the tag and stop the encryption
+ * @param {MFRC522} mfrc522
+ * @returns {Promise<void>}
+ */
+const release = async (mfrc522) => {
+  await mfrc522.haltA();
+  await mfrc522.stopCrypto1();
+  await mfrc522.antennaOff();
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const readCmd = async (mfrc522, opts) => {
+  try {
+    await selectAndAuth(mfrc522, opts);
+    const data = await mfrc522.readBlock(opts.block);
+    if (!Array.isArray(data)){
+      throw new Error(`Failed to read block ${opts.block}${failure(mfrc522)}`);
+    }
+    console.log(`Block ${opts.block}: \x1b[1;33m${toHex(data, ' ')}\x1b[0m`);
+  } finally {
+    await release(mfrc522);
+  }
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const writeCmd = async (mfrc522, opts) => {
+  if (!Array.isArray(opts.data)){
+    throw new Error('Missing --data for write');
+  }
+  if (opts.data.length != 16){
+    throw new Error(`--data must be 16 bytes for write, got ${opts.data.length}`);
+  }
+  if (opts.block === 0){
+    throw new Error('Block 0 is the manufacturer block');
+  }
+  if (isTrailerBlock(opts.block)){
+    throw new Error(`Block ${opts.block} is a sector trailer, writing it can lock the sector, use trailer write`);
+  }
+  try {
+    await selectAndAuth(mfrc522, opts);
+    if (!await mfrc522.writeBlock(opts.block, opts.data)){
+      throw new Error(`Failed to write block ${opts.block}${failure(mfrc522)}`);
+    }
+    console.log(`Written block ${opts.block}: \x1b[1;33m${toHex(opts.data, ' ')}\x1b[0m`);
+  } finally {
+    await release(mfrc522);
+  }
+};
+
+export { selectAndAuth, release, readCmd, writeCmd };
@@ -0,0 +1,154 @@
+// @ts-check
+"use strict";
+
+/**
+ * Dump a MIFARE Classic or Ultralight / NTAG tag to a file
+ * and restore a dump onto a tag.
+ * The format follows the extension of --file: .json or
+ * .mfd (raw memory), without extension both are written.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { extname } from 'path';
+import { MFRC522 } from '../lib/mfrc522.js';
+import { isUltralight } from '../lib/ultralight.js';
+import {
+  readClassic,
+  readUltralight,
+  restoreClassic,
+  restoreUltralight,
+  dumpToJson,
+  dumpFromJson,
+  dumpToMfd,
+  dumpFromMfd,
+} from '../lib/dump.js';
+import { describeTag } from '../lib/card_type.js';
+import { release } from './block.js';
+import { toHex, waitForTag } from './util.js';
+
+/**
+ * @param {import('../lib/card_type.js').TagInfo} tag
+ * @returns {boolean}
+ */
+const isClassic = (tag) => {
+  return ['classicMini', 'classic1k', 'classic4k'].includes(tag.type);
+};
+
+/**
+ * @param {import('../lib/dump.js').CardDump} dump
+ * @returns {void}
+ */
+const printDump = (dump) => {
+  /** @param {number[]|null} bytes */
+  const hex = (bytes) => bytes ? `\x1b[1;33m${toHex(bytes, ' ')}\x1b[0m` : '\x1b[31mnot read\x1b[0m';
+  if (dump.sectors){
+    for (const { sector, status, keyA, keyB, blocks } of dump.sectors){
+      const color = status === 'ok' ? '32' : status === 'partial' ? '35' : '31';
+      console.log(`Sector ${sector}: \x1b[1;${color}m${status}\x1b[0m, key A: ${keyA ? toHex(keyA) : '-'}, key B: ${keyB ? toHex(keyB) : '-'}`);
+      blocks.forEach((block, i) => {
+        console.log(`  ${String(i).padStart(2)} ${hex(block)}`);
+      });
+    }
+    return;
+  }
+  (dump.pages ?? []).forEach((page, i) => {
+    console.log(`Page ${String(i).padStart(3)}: ${hex(page)}`);
+  });
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const dumpCmd = async (mfrc522, opts) => {
+  const ext = opts.file ? extname(opts.file).toLowerCase() : '';
+  if (opts.file && !['', '.json', '.mfd'].includes(ext)){
+    throw new Error(`Unknown dump file extension ${ext}, use .json or .mfd`);
+  }
+  /** @type {import('../lib/dump.js').CardDump} */
+  let dump;
+  try {
+    const tag = await waitForTag(mfrc522);
+    console.log(`Tag UID: \x1b[1;32m${toHex(tag.uid)}\x1b[0m, \x1b[1;36m${describeTag(tag)}\x1b[0m`);
+    if (isUltralight(tag.sak)){
+      dump = await readUltralight(mfrc522, tag);
+    } else if (isClassic(tag)){
+      dump = await readClassic(mfrc522, tag, [opts.key]);
+    } else {
+      throw new Error(`Dump is not supported for ${tag.typeName}`);
+    }
+  } finally {
+    await release(mfrc522);
+  }
+
+  printDump(dump);
+
+  if (!opts.file){
+    return;
+  }
+  /** @type {string[]} */
+  const written = [];
+  if (ext !== '.mfd'){
+    const path = ext ? opts.file : `${opts.file}.json`;
+    writeFileSync(path, dumpToJson(dump));
+    written.push(path);
+  }
+  if (ext !== '.json'){
+    const path = ext ? opts.file : `${opts.file}.mfd`;
+    writeFileSync(path, dumpToMfd(dump));
+    written.push(path);
+  }
+  console.log(`Written \x1b[1;33m${written.join('\x1b[0m and \x1b[1;33m')}\x1b[0m`);
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const restoreCmd = async (mfrc522, opts) => {
+  if (!opts.file){
+    throw new Error('Missing --file for restore');
+  }
+  const dump = extname(opts.file).toLowerCase() === '.json'
+    ? dumpFromJson(readFileSync(opts.file, 'utf8'))
+    : dumpFromMfd(readFileSync(opts.file));
+  console.log(`Dump of UID \x1b[1;32m${toHex(dump.uid)}\x1b[0m, ${dump.sectors ? `${dump.sectors.length} sectors` : `${dump.pages?.length} pages`}`);
+
+  /** @type {import('../lib/dump.js').RestoreResult[]} */
+  let results;
+  try {
+    const tag = await waitForTag(mfrc522);
+    console.log(`Tag UID: \x1b[1;32m${toHex(tag.uid)}\x1b[0m, \x1b[1;36m${describeTag(tag)}\x1b[0m`);
+    const options = {
+      keys: [opts.key],
+      block0: opts.block0,
+      trailers: opts.trailers,
+      force: opts.force,
+    };
+    if (dump.pages && isUltralight(tag.sak)){
+      results = await restoreUltralight(mfrc522, tag, dump, options);
+    } else if (dump.sectors && isClassic(tag)){
+      results = await restoreClassic(mfrc522, tag, dump, options);
+    } else {
+      throw new Error(`The dump does not fit a ${tag.typeName}`);
+    }
+  } finally {
+    await release(mfrc522);
+  }
+
+  const name = dump.sectors ? 'Block' : 'Page';
+  for (const { block, status, reason } of results){
+    const color = status === 'written' ? '32' : status === 'skipped' ? '36' : '31';
+    console.log(`${name} ${String(block).padStart(3)}: \x1b[1;${color}m${status}\x1b[0m${reason ? ` (${reason})` : ''}`);
+  }
+  const written = results.filter(({ status }) => status === 'written').length;
+  const failed = results.filter(({ status }) => status === 'failed').length;
+  console.log(`Written and verified: \x1b[1;33m${written}\x1b[0m, failed: \x1b[1;${failed ? '31' : '32'}m${failed}\x1b[0m`);
+  if (failed){
+    throw new Error(`${failed} writes failed`);
+  }
+};
+
+export { dumpCmd, restoreCmd };
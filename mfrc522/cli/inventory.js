@@ -0,0 +1,29 @@
+// @ts-check
+"use strict";
+
+/**
+ * List the UIDs of all tags in the antenna field
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+import { describeTag } from '../lib/card_type.js';
+import { toHex } from './util.js';
+
+/**
+ * @param {MFRC522} mfrc522
+ * @returns {Promise<void>}
+ */
+const inventoryCmd = async (mfrc522) => {
+  try {
+    await mfrc522.initRegs();
+    const tags = await mfrc522.inventory();
+    console.log(`Tags in the field: \x1b[1;33m${tags.length}\x1b[0m`);
+    for (const tag of tags){
+      console.log(`Tag UID: \x1b[1;32m${toHex(tag.uid)}\x1b[0m, \x1b[1;36m${describeTag(tag)}\x1b[0m`);
+    }
+  } finally {
+    await mfrc522.antennaOff();
+  }
+};
+
+export { inventoryCmd };
@@ -0,0 +1,91 @@
+// @ts-check
+"use strict";
+
+/**
+ * NDEF commands for NFC Forum Type 2 tags
+ * (MIFARE Ultralight and NTAG21x)
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+import {
+  parseCC,
+  readNdef,
+  writeNdef,
+  uriRecord,
+  textRecord,
+  mimeRecord,
+  describeRecord,
+} from '../lib/ndef.js';
+import { selectUltralight } from './ultralight.js';
+
+/**
+ * Build the records from --uri, --text and --mime
+ * in the order they were given
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {import('../lib/ndef.js').NdefRecord[]}
+ */
+const getRecords = (opts) => {
+  return opts.records.map(({ kind, value }) => {
+    if (kind === 'uri'){
+      return uriRecord(value);
+    }
+    if (kind === 'text'){
+      return textRecord(value, opts.lang);
+    }
+    if (!Array.isArray(opts.data)){
+      throw new Error('Missing --data for the --mime record');
+    }
+    return mimeRecord(value, opts.data);
+  });
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const ndefCmd = async (mfrc522, opts) => {
+  const [action] = opts.args;
+
+  if (!['read', 'write'].includes(action)){
+    throw new Error(`Unknown ndef action: ${action}, use read or write`);
+  }
+
+  /** @type {import('../lib/ndef.js').NdefRecord[]} */
+  let records = [];
+
+  if (action === 'write'){
+    records = getRecords(opts);
+    if (!records.length){
+      throw new Error('Use --uri, --text or --mime to define the records to write');
+    }
+  }
+
+  try {
+    const info = await selectUltralight(mfrc522);
+    const cc = parseCC(info.cc);
+    if (cc){
+      console.log(`NDEF version: \x1b[1;33m${cc.version >> 4}.${cc.version & 0x0f}\x1b[0m, data area: \x1b[1;33m${cc.size}\x1b[0m bytes`);
+    }
+
+    if (action === 'read'){
+      records = await readNdef(mfrc522, info);
+      if (!records.length){
+        console.log('No NDEF message');
+        return;
+      }
+      records.forEach((record, i) => {
+        console.log(`Record ${i + 1}: \x1b[1;32m${describeRecord(record)}\x1b[0m`);
+      });
+      return;
+    }
+
+    const pages = await writeNdef(mfrc522, info, records);
+    console.log(`Written \x1b[1;33m${records.length}\x1b[0m record(s) in \x1b[1;33m${pages}\x1b[0m pages`);
+  } finally {
+    await mfrc522.haltA();
+    await mfrc522.antennaOff();
+  }
+};
+
+export { ndefCmd };
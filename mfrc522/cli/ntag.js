@@ -0,0 +1,197 @@
+// @ts-check
+"use strict";
+
+/**
+ * NTAG21x and MIFARE Ultralight EV1 commands: the product,
+ * the originality signature, FAST_READ, the counters and
+ * the password protection. With --pwd the tag is
+ * authenticated before the action.
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+import { isUltralight } from '../lib/ultralight.js';
+import {
+  decodeVersion,
+  verifySignature,
+  readNtagConfig,
+  writeNtagProtection,
+} from '../lib/ntag.js';
+import { toHex, waitForTag, failure } from './util.js';
+
+/**
+ * Select the tag and read its product with GET_VERSION
+ * @param {MFRC522} mfrc522
+ * @returns {Promise<{uid: number[], version: import('../lib/ntag.js').NtagVersion}>}
+ */
+const selectNtag = async (mfrc522) => {
+  const { uid, sak } = await waitForTag(mfrc522);
+  console.log(`Tag UID: \x1b[1;32m${toHex(uid)}\x1b[0m`);
+  if (!isUltralight(sak)){
+    throw new Error(`Not a NTAG or MIFARE Ultralight tag, SAK: 0x${sak.toString(16).padStart(2, '0')}`);
+  }
+  const raw = await mfrc522.getTagVersion();
+  if (!raw){
+    throw new Error(`No answer to GET_VERSION, not a NTAG21x or Ultralight EV1 tag${failure(mfrc522)}`);
+  }
+  const version = decodeVersion(raw);
+  console.log(`Product: \x1b[1;33m${version.product?.name ?? 'unknown'}\x1b[0m (version ${toHex(raw, ' ')})`);
+  return { uid, version };
+};
+
+/**
+ * @param {import('../lib/ntag.js').NtagProduct} product
+ * @param {number} auth0
+ * @returns {string}
+ */
+const formatAuth0 = (product, auth0) => {
+  return auth0 < product.pages ? `page ${auth0}` : `none (0x${auth0.toString(16).padStart(2, '0')})`;
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('../lib/ntag.js').NtagProduct} product
+ * @returns {Promise<void>}
+ */
+const printInfo = async (mfrc522, product) => {
+  console.log(`Pages: \x1b[1;33m${product.pages}\x1b[0m, configuration from page \x1b[1;33m${product.cfgPage}\x1b[0m`);
+  const config = await readNtagConfig(mfrc522, product);
+  if (!config){
+    throw new Error(`Failed to read the configuration, protected? Use --pwd${failure(mfrc522)}`);
+  }
+  const { auth0, access } = config;
+  console.log(`AUTH0: \x1b[1;33m${formatAuth0(product, auth0)}\x1b[0m`);
+  console.log(`ACCESS: \x1b[1;33m${[
+    access.prot ? 'read and write protected' : 'write protected',
+    access.cfglck ? 'configuration locked' : '',
+    `AUTHLIM ${access.authlim || 'none'}`,
+  ].filter(Boolean).join(', ')}\x1b[0m`);
+
+  // a failed READ_CNT sends the tag back to IDLE, it comes last
+  if (product.nfcCounter && !access.nfcCntEn){
+    console.log('NFC counter: \x1b[1;33moff\x1b[0m');
+    return;
+  }
+  for (const counter of product.counters){
+    const value = await mfrc522.readCounter(counter);
+    if (value === undefined){
+      console.log(`Counter ${counter}: \x1b[1;31mread failed${access.nfcCntPwdProt ? ', protected by the password' : ''}\x1b[0m`);
+      return;
+    }
+    console.log(`Counter ${counter}: \x1b[1;33m${value}\x1b[0m`);
+  }
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const ntagCmd = async (mfrc522, opts) => {
+  const [action] = opts.args;
+
+  if (!['info', 'read', 'auth', 'protect', 'unprotect'].includes(action)){
+    throw new Error(`Unknown ntag action: ${action}, use info, read, auth, protect or unprotect`);
+  }
+  if (action === 'auth' && !opts.pwd){
+    throw new Error('--pwd is needed for ntag auth');
+  }
+  if (opts.newPwd && !opts.newPack){
+    throw new Error('--new-pwd needs --new-pack');
+  }
+
+  try {
+    const { uid, version } = await selectNtag(mfrc522);
+    const { product } = version;
+
+    if (action === 'info'){
+      const signature = await mfrc522.readSignature();
+      if (!signature){
+        throw new Error(`Failed to read the signature${failure(mfrc522)}`);
+      }
+      console.log(`Signature: \x1b[1;33m${toHex(signature)}\x1b[0m`);
+      if (!product || uid.length !== 7){
+        // the public key depends on the product
+        console.log('Originality signature: \x1b[1;33mnot checked\x1b[0m');
+      } else {
+        console.log(verifySignature(uid, signature, product)
+          ? 'Originality signature: \x1b[1;32mvalid, NXP\x1b[0m'
+          : 'Originality signature: \x1b[1;31mnot valid\x1b[0m');
+      }
+    }
+
+    if (opts.pwd){
+      const pack = await mfrc522.pwdAuth(opts.pwd);
+      if (!pack){
+        throw new Error(`Password authentication failed${failure(mfrc522)}`);
+      }
+      if (opts.pack && toHex(pack) !== toHex(opts.pack)){
+        throw new Error(`PACK ${toHex(pack)} is not --pack ${toHex(opts.pack)}, the tag is not trusted`);
+      }
+      console.log(`Authenticated, PACK: \x1b[1;33m${toHex(pack)}\x1b[0m`);
+    }
+
+    if (action === 'auth'){
+      return;
+    }
+    if (!product){
+      throw new Error('Unknown product, the pages and configuration are not known');
+    }
+
+    if (action === 'info'){
+      await printInfo(mfrc522, product);
+      return;
+    }
+
+    if (action === 'read'){
+      const lastPage = product.pages - 1;
+      const endPage = Math.min(lastPage, opts.pages ? opts.page + opts.pages - 1 : lastPage);
+      if (opts.page > endPage){
+        throw new Error(`--page ${opts.page} is after the last page ${lastPage}`);
+      }
+      const data = await mfrc522.fastRead(opts.page, endPage);
+      if (!data){
+        throw new Error(`Failed to read pages ${opts.page} to ${endPage}${failure(mfrc522)}`);
+      }
+      for (let page = opts.page; page <= endPage; page++){
+        const i = (page - opts.page) * 4;
+        console.log(`Page ${page}: \x1b[1;33m${toHex(data.slice(i, i + 4), ' ')}\x1b[0m`);
+      }
+      return;
+    }
+
+    const config = await readNtagConfig(mfrc522, product);
+    if (!config){
+      throw new Error(`Failed to read the configuration, protected? Use --pwd${failure(mfrc522)}`);
+    }
+    if (config.access.cfglck){
+      throw new Error('The configuration is locked (CFGLCK)');
+    }
+
+    const protect = action === 'protect';
+    const auth0 = protect ? opts.auth0 ?? config.auth0 : 0xff;
+    const access = {
+      ...config.access,
+      prot: protect ? opts.readProtect : false,
+      authlim: opts.authLimit ?? config.access.authlim,
+    };
+    if (protect && auth0 >= product.pages){
+      console.log(`\x1b[1;35mWarning: AUTH0 ${auth0} is after the last page, nothing is protected, use --auth0\x1b[0m`);
+    }
+    if (!await writeNtagProtection(mfrc522, product, { pwd: opts.newPwd, pack: opts.newPack, auth0, access })){
+      throw new Error(`Failed to write the configuration${failure(mfrc522)}`);
+    }
+    if (opts.newPwd){
+      console.log(`Password set, PACK: \x1b[1;33m${toHex(opts.newPack ?? [])}\x1b[0m`);
+    }
+    if (auth0 >= product.pages){
+      console.log('Password protection: \x1b[1;33moff\x1b[0m');
+      return;
+    }
+    console.log(`Protected from page \x1b[1;33m${auth0}\x1b[0m: ${access.prot ? 'read and write' : 'write'}, AUTHLIM ${access.authlim || 'none'}`);
+  } finally {
+    await mfrc522.haltA();
+    await mfrc522.antennaOff();
+  }
+};
+
+export { ntagCmd };
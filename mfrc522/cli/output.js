@@ -0,0 +1,184 @@
+// @ts-check
+"use strict";
+
+/**
+ * Output of the command line tool: colored text for the terminal,
+ * or JSON Lines or CSV (--format) for log shippers. In the json and
+ * csv formats stdout only has the tag records, the diagnostics and
+ * errors go to stderr as JSON records:
+ *
+ * {"timestamp":"...","level":"warn","event":"selectError","message":"..."}
+ *
+ * With --output the tag records are also appended to a file,
+ * the file is opened for each record, so it can be rotated.
+ */
+
+import { appendFileSync, statSync } from 'fs';
+
+/**
+ * A tag that arrived at or left a reader
+ * @typedef {Object} TagRecord
+ * @property {string} timestamp ISO 8601
+ * @property {'present'|'removed'} event
+ * @property {string} reader reader id
+ * @property {string} device SPI device path, 'emulator' for the emulator
+ * @property {string} uid hex
+ * @property {number} uidLength bytes
+ * @property {string|null} atqa hex, null when not known
+ * @property {string} sak hex
+ * @property {string} type card type
+ * @property {number} readCount reads of the reader so far
+ */
+
+/**
+ * @typedef {'debug'|'info'|'warn'|'error'} Level
+ */
+
+/** @type {(keyof TagRecord)[]} */
+const CSV_COLUMNS = [
+  'timestamp',
+  'event',
+  'reader',
+  'device',
+  'uid',
+  'uidLength',
+  'atqa',
+  'sak',
+  'type',
+  'readCount',
+];
+
+/**
+ * @param {string} str
+ * @returns {string} without the ANSI color codes
+ */
+const stripColors = (str) => str.replace(/\x1b\[[0-9;]*m/g, '');
+
+/**
+ * @param {string|number|null} value
+ * @returns {string} quoted when needed (RFC 4180)
+ */
+const csvField = (value) => {
+  const str = value === null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+class Output {
+  /** @type {'text'|'json'|'csv'} */
+  format;
+
+  /** @type {string|undefined} */
+  file;
+
+  /**
+   * @param {Pick<import('./util.js').CliOptions, 'format'|'output'>} opts
+   */
+  constructor(opts){
+    this.format = opts.format;
+    this.file = opts.output;
+  }
+
+  /**
+   * @param {string} line
+   * @returns {void}
+   */
+  #append(line){
+    if (this.file){
+      appendFileSync(this.file, `${line}\n`);
+    }
+  }
+
+  /**
+   * Print the CSV header, and append it to
+   * the output file when the file is new or empty
+   * @returns {void}
+   */
+  header(){
+    if (this.format !== 'csv'){
+      return;
+    }
+    const line = CSV_COLUMNS.join(',');
+    console.log(line);
+    let size = 0;
+    try {
+      size = this.file ? statSync(this.file).size : 0;
+    } catch {
+      // a new file
+    }
+    if (!size){
+      this.#append(line);
+    }
+  }
+
+  /**
+   * A tag record on stdout and in the output file
+   * @param {TagRecord} record
+   * @param {string} text the line in the text format
+   * @returns {void}
+   */
+  tag(record, text){
+    const line = this.format === 'json' ? JSON.stringify(record)
+      : this.format === 'csv' ? CSV_COLUMNS.map((column) => csvField(record[column])).join(',')
+      : text;
+    console.log(line);
+    this.#append(stripColors(line));
+  }
+
+  /**
+   * Text on stdout, errors on stderr, or a JSON record on stderr
+   * @param {Level} level
+   * @param {string} text
+   * @param {Object<string, unknown>} fields added to the JSON record
+   * @returns {void}
+   */
+  #diagnostic(level, text, fields){
+    if (this.format === 'text'){
+      (level === 'error' ? console.error : console.log)(text);
+      return;
+    }
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level,
+      message: stripColors(text),
+      ...fields,
+    }));
+  }
+
+  /**
+   * @param {string} text
+   * @param {Object<string, unknown>} [fields]
+   * @returns {void}
+   */
+  debug(text, fields = {}){
+    this.#diagnostic('debug', text, fields);
+  }
+
+  /**
+   * @param {string} text
+   * @param {Object<string, unknown>} [fields]
+   * @returns {void}
+   */
+  info(text, fields = {}){
+    this.#diagnostic('info', text, fields);
+  }
+
+  /**
+   * @param {string} text
+   * @param {Object<string, unknown>} [fields]
+   * @returns {void}
+   */
+  warn(text, fields = {}){
+    this.#diagnostic('warn', text, fields);
+  }
+
+  /**
+   * @param {string} text
+   * @param {Object<string, unknown>} [fields]
+   * @returns {void}
+   */
+  error(text, fields = {}){
+    this.#diagnostic('error', text, fields);
+  }
+}
+
+export { Output };
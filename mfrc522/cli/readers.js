@@ -0,0 +1,145 @@
+// @ts-check
+"use strict";
+
+/**
+ * The readers of the command line tool, from the
+ * --device flags or from a JSON config file:
+ *
+ * {
+ *   "readers": [
+ *     { "id": "entry", "device": "/dev/spidev1.0", "irqPin": 24 },
+ *     { "id": "exit", "device": "/dev/spidev1.1", "irqPin": 25 }
+ *   ]
+ * }
+ *
+ * speed, gpiochip, irqPin and resetPin are optional,
+ * speed and gpiochip default to the command line options.
+ * The id defaults to the name of the device, e.g. spidev1.0
+ */
+
+import { readFileSync } from 'fs';
+import { basename } from 'path';
+
+/**
+ * A MFRC522 reader of the command line tool
+ * @typedef {Object} ReaderConfig
+ * @property {string} id tags the events of the reader
+ * @property {string} device SPI device path
+ * @property {number} speed max SPI clock speed in Hz
+ * @property {number} gpiochip
+ * @property {number} [irqPin] GPIO line connected to the IRQ pin
+ * @property {number} [resetPin] GPIO line connected to the NRSTPD pin
+ */
+
+/**
+ * Parse the value of a --device flag: the device
+ * path, optionally preceded by a reader id and a colon,
+ * e.g. entry:/dev/spidev1.0
+ * @param {string} str
+ * @returns {{id: string, device: string}}
+ */
+const parseDevice = (str) => {
+  const colon = str.indexOf(':');
+  const device = colon < 0 ? str : str.slice(colon + 1);
+  const id = colon < 0 ? basename(device) : str.slice(0, colon);
+  if (!device.startsWith('/dev/spidev')){
+    throw new Error(`Invalid device path: ${device}`);
+  }
+  if (!id){
+    throw new Error(`Empty reader id: ${str}`);
+  }
+  return { id, device };
+};
+
+/**
+ * @param {unknown} value
+ * @param {string} name
+ * @returns {number|undefined}
+ */
+const optionalPin = (value, name) => {
+  if (typeof value === 'undefined'){
+    return;
+  }
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < 0){
+    throw new Error(`Invalid ${name}: ${JSON.stringify(value)}`);
+  }
+  return value;
+};
+
+/**
+ * Read the readers from a JSON config file
+ * @param {string} path
+ * @param {import('./util.js').CliOptions} opts the defaults
+ * @returns {ReaderConfig[]}
+ */
+const readConfig = (path, opts) => {
+  /** @type {any} */
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read config file ${path}: ${err.message}`);
+  }
+  if (!Array.isArray(config?.readers) || !config.readers.length){
+    throw new Error(`No readers in config file ${path}`);
+  }
+  return config.readers.map((reader, index) => {
+    if (typeof reader?.device !== 'string'){
+      throw new Error(`Reader ${index} in ${path} has no device`);
+    }
+    const { id, device } = parseDevice(reader.device);
+    const speed = reader.speed ?? opts.speed;
+    if (typeof speed !== 'number' || !(speed > 0)){
+      throw new Error(`Invalid speed of reader ${index} in ${path}: ${JSON.stringify(speed)}`);
+    }
+    const gpiochip = optionalPin(reader.gpiochip, `gpiochip of reader ${index} in ${path}`) ?? opts.gpiochip;
+    return {
+      id: typeof reader.id === 'undefined' ? id : String(reader.id),
+      device,
+      speed,
+      gpiochip,
+      irqPin: optionalPin(reader.irqPin, `irqPin of reader ${index} in ${path}`),
+      resetPin: optionalPin(reader.resetPin, `resetPin of reader ${index} in ${path}`),
+    };
+  });
+};
+
+/**
+ * The readers given by the command line options,
+ * one on /dev/spidev0.0 when none is given
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {ReaderConfig[]}
+ */
+const getReaders = (opts) => {
+  /** @type {ReaderConfig[]} */
+  let readers;
+  if (opts.config){
+    if (opts.devices.length){
+      throw new Error('Use either --device or --config');
+    }
+    readers = readConfig(opts.config, opts);
+  } else {
+    const devices = opts.devices.length ? opts.devices : [parseDevice('/dev/spidev0.0')];
+    if (devices.length > 1 && (typeof opts.irqPin === 'number' || typeof opts.resetPin === 'number')){
+      throw new Error('Set the IRQ and reset pins of several readers in a config file');
+    }
+    readers = devices.map(({ id, device }) => ({
+      id,
+      device,
+      speed: opts.speed,
+      gpiochip: opts.gpiochip,
+      irqPin: opts.irqPin,
+      resetPin: opts.resetPin,
+    }));
+  }
+  const ids = new Set();
+  for (const { id } of readers){
+    if (ids.has(id)){
+      throw new Error(`Reader id ${id} is used twice`);
+    }
+    ids.add(id);
+  }
+  return readers;
+};
+
+export { parseDevice, readConfig, getReaders };
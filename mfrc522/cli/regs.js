@@ -0,0 +1,93 @@
+// @ts-check
+"use strict";
+
+/**
+ * Show the registers of the MFRC522 with their bit fields,
+ * as a table or as JSON. With --watch the registers are
+ * read again each --interval ms: the table is drawn again
+ * with the changed values highlighted, in JSON each change
+ * is a line.
+ */
+
+import { setTimeout } from 'timers/promises';
+import { MFRC522 } from '../lib/mfrc522.js';
+import { readRegisters } from '../lib/registers.js';
+
+// a changed register stays highlighted this long
+const HIGHLIGHT_MS = 1000;
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+const hex = (value) => `0x${value.toString(16).padStart(2, '0')}`;
+
+/**
+ * Single bits by name when set, wider fields with their value
+ * @param {import('../lib/registers.js').DecodedField[]} fields
+ * @returns {string}
+ */
+const formatFields = (fields) => {
+  return fields
+    .filter(({ bits, value }) => bits > 1 || value)
+    .map(({ name, bits, value, text }) => bits > 1 ? `${name}=${value}${text ? ` (${text})` : ''}` : name)
+    .join(' ');
+};
+
+/**
+ * @param {import('../lib/registers.js').RegisterValue[]} regs
+ * @param {Map<string, number>} changedAt time of the last change by register
+ * @returns {void}
+ */
+const printTable = (regs, changedAt) => {
+  const now = Date.now();
+  console.log('Addr Register        Value Fields');
+  for (const { name, addr, value, fields } of regs){
+    const changed = now - (changedAt.get(name) ?? -Infinity) < HIGHLIGHT_MS;
+    const color = changed ? '1;35' : '1;33';
+    console.log(`${hex(addr)} ${name.padEnd(15)} \x1b[${color}m${hex(value)}\x1b[0m  ${formatFields(fields)}`);
+  }
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const regsCmd = async (mfrc522, opts) => {
+  let regs = await readRegisters(mfrc522);
+  if (opts.format === 'json'){
+    console.log(JSON.stringify(regs, null, opts.watch ? undefined : 2));
+  } else {
+    printTable(regs, new Map());
+  }
+  if (!opts.watch){
+    return;
+  }
+
+  /** @type {Map<string, number>} */
+  const changedAt = new Map();
+  for (;;){
+    await setTimeout(opts.interval);
+    const next = await readRegisters(mfrc522);
+    const changes = next.filter(({ value }, i) => value !== regs[i].value);
+    const now = Date.now();
+    for (const reg of changes){
+      changedAt.set(reg.name, now);
+      if (opts.format === 'json'){
+        const old = regs.find(({ name }) => name === reg.name)?.value;
+        console.log(JSON.stringify({ time: new Date(now).toISOString(), ...reg, old }));
+      }
+    }
+    regs = next;
+    // draw again on a change and when a highlight ends
+    const highlighted = [...changedAt.values()].some((time) => now - time < HIGHLIGHT_MS + opts.interval);
+    if (opts.format !== 'json' && highlighted){
+      // clear the screen
+      process.stdout.write('\x1b[H\x1b[2J');
+      printTable(regs, changedAt);
+    }
+  }
+};
+
+export { regsCmd };
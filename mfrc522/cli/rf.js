@@ -0,0 +1,103 @@
+// @ts-check
+"use strict";
+
+/**
+ * Antenna and receiver settings:
+ * show them or sweep the receiver gain
+ * to find the best detection rate
+ */
+
+import { setTimeout } from 'timers/promises';
+import { MFRC522 } from '../lib/mfrc522.js';
+import { PCD_RxG } from '../data/pcd_rx_gain.js';
+
+/**
+ * The gains in dB, in increasing order
+ * @type {{db: number, gain: number}[]}
+ */
+const GAINS = Object.entries(PCD_RxG)
+  .filter(([name]) => /^g\d+dB$/.test(name))
+  .map(([name, gain]) => ({ db: Number(name.slice(1, -2)), gain }));
+
+/**
+ * @param {number} gain one of PCD_RxG, or 0x20 or 0x30
+ * @returns {string}
+ */
+const gainToStr = (gain) => {
+  // 010b and 011b are 18 dB and 23 dB again
+  const found = GAINS.find((g) => g.gain === (gain < 0x40 ? gain & 0x10 : gain));
+  return found ? `${found.db} dB` : `0x${gain.toString(16)}`;
+};
+
+/**
+ * Print the current settings
+ * @param {MFRC522} mfrc522
+ * @returns {Promise<void>}
+ */
+const showRf = async (mfrc522) => {
+  const gain = await mfrc522.getAntennaGain();
+  const { cwGsN, modGsN, cwGsP, modGsP } = await mfrc522.getConductance();
+  const { minLevel, collLevel } = await mfrc522.getRxThreshold();
+  console.log(`Receiver gain: \x1b[1;33m${gainToStr(gain)}\x1b[0m`);
+  console.log(`Conductance n-driver: CWGsN \x1b[1;33m${cwGsN}\x1b[0m, ModGsN \x1b[1;33m${modGsN}\x1b[0m`);
+  console.log(`Conductance p-driver: CWGsP \x1b[1;33m${cwGsP}\x1b[0m, ModGsP \x1b[1;33m${modGsP}\x1b[0m`);
+  console.log(`RxThreshold: MinLevel \x1b[1;33m${minLevel}\x1b[0m, CollLevel \x1b[1;33m${collLevel}\x1b[0m`);
+};
+
+/**
+ * Try to detect and select a tag with each gain,
+ * the tag is halted after each selection
+ * and woken up again with WUPA.
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const sweepRf = async (mfrc522, opts) => {
+  const original = await mfrc522.getAntennaGain();
+  console.log(`Range sweep, \x1b[1;33m${opts.count}\x1b[0m attempts per gain`);
+
+  try {
+    for (const { db, gain } of GAINS){
+      await mfrc522.setAntennaGain(gain);
+      let detected = 0;
+      for (let i = 0; i < opts.count; i++){
+        if (await mfrc522.wakeUp() && await mfrc522.selectTag()){
+          detected++;
+          await mfrc522.haltA();
+        }
+        await setTimeout(opts.interval);
+      }
+      const rate = detected / opts.count;
+      const color = rate === 1 ? '32' : (rate ? '33' : '31');
+      const bar = '#'.repeat(Math.round(rate * 20)).padEnd(20, '.');
+      console.log(`${String(db).padStart(2)} dB ${bar} \x1b[1;${color}m${detected}/${opts.count} ${(rate * 100).toFixed(0)}%\x1b[0m`);
+    }
+  } finally {
+    await mfrc522.setAntennaGain(original);
+  }
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const rfCmd = async (mfrc522, opts) => {
+  const [action = 'info'] = opts.args;
+
+  if (!['info', 'sweep'].includes(action)){
+    throw new Error(`Unknown rf action: ${action}, use info or sweep`);
+  }
+
+  try {
+    await mfrc522.initRegs();
+    if (action === 'sweep'){
+      await sweepRf(mfrc522, opts);
+    }
+    await showRf(mfrc522);
+  } finally {
+    await mfrc522.antennaOff();
+  }
+};
+
+export { rfCmd };
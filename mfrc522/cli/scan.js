@@ -0,0 +1,208 @@
+// @ts-check
+"use strict";
+
+/**
+ * Scan loop, reports tags when they arrive
+ * and when they leave until Ctrl-C is pressed.
+ * With several readers each line starts with the reader id.
+ * With --format=json or csv each tag is a record, see cli/output.js
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+import { TagReader } from '../lib/tag_reader.js';
+import { ReaderManager } from '../lib/reader_manager.js';
+import { describeTag } from '../lib/card_type.js';
+import { toHex } from './util.js';
+import { Output } from './output.js';
+
+/**
+ * @param {'present'|'removed'} event
+ * @param {import('./readers.js').ReaderConfig} reader
+ * @param {import('../lib/card_type.js').TagInfo} tag
+ * @param {number} readCount
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {import('./output.js').TagRecord}
+ */
+const tagRecord = (event, reader, tag, readCount, opts) => {
+  return {
+    timestamp: new Date().toISOString(),
+    event,
+    reader: reader.id,
+    device: opts.emulate ? 'emulator' : reader.device,
+    uid: toHex(tag.uid),
+    uidLength: tag.uid.length,
+    atqa: typeof tag.atqa === 'number' ? tag.atqa.toString(16).padStart(4, '0') : null,
+    sak: tag.sak.toString(16).padStart(2, '0'),
+    type: tag.typeName,
+    readCount,
+  };
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @param {import('./readers.js').ReaderConfig} reader
+ * @returns {Promise<void>}
+ */
+const scanCmd = async (mfrc522, opts, reader) => {
+  const output = new Output(opts);
+  let readCount = 0;
+  let errorCount = 0;
+  /** @type {Map<string, number>} */
+  const errorsByCategory = new Map();
+
+  const tagReader = new TagReader(mfrc522, {
+    interval: opts.interval,
+    debounce: opts.debounce,
+    removeTimeout: opts.removeTimeout,
+    lowPower: opts.lowPower,
+    fieldOn: opts.fieldOn,
+  });
+
+  tagReader.on('tagPresent', (tag) => {
+    readCount++;
+    output.tag(tagRecord('present', reader, tag, readCount, opts),
+      `Tag UID: \x1b[1;32m${toHex(tag.uid)}\x1b[0m, \x1b[1;36m${describeTag(tag)}\x1b[0m, read count: \x1b[1;33m${readCount}\x1b[0m`);
+  });
+
+  tagReader.on('tagRemoved', (tag) => {
+    output.tag(tagRecord('removed', reader, tag, readCount, opts),
+      `Tag removed: \x1b[36m${toHex(tag.uid)}\x1b[0m`);
+  });
+
+  tagReader.on('selectError', (err) => {
+    errorCount++;
+    const category = err?.category ?? 'unknown';
+    errorsByCategory.set(category, (errorsByCategory.get(category) ?? 0) + 1);
+    output.warn(`Select failed: \x1b[31m${err?.message ?? 'unknown reason'}\x1b[0m, error count \x1b[1;31m${errorCount}\x1b[0m`, {
+      event: 'selectError',
+      reader: reader.id,
+      category,
+      errorCount,
+    });
+  });
+
+  tagReader.on('error', (err) => {
+    output.error(`\x1b[1;31mError:\x1b[0m ${err.message}`, { event: 'readerError', reader: reader.id });
+    process.exit(1);
+  });
+
+  process.on('SIGINT', async () => {
+    await tagReader.stop();
+    const { polls, activeTime, totalTime, dutyCycle } = tagReader.stats;
+    if (output.format !== 'text'){
+      output.info('Scan stopped', {
+        event: 'stats',
+        reader: reader.id,
+        polls,
+        activeTime: Math.round(activeTime),
+        totalTime: Math.round(totalTime),
+        dutyCycle,
+        reads: readCount,
+        selectErrors: Object.fromEntries(errorsByCategory),
+      });
+      process.exit(0);
+    }
+    console.log(`\nPolls: \x1b[1;33m${polls}\x1b[0m, awake \x1b[1;33m${Math.round(activeTime)}\x1b[0m ms of \x1b[1;33m${Math.round(totalTime)}\x1b[0m ms`);
+    console.log(`Duty cycle (${opts.lowPower === 'off' ? 'no power-down' : `${opts.lowPower} power-down`}): \x1b[1;33m${(dutyCycle * 100).toFixed(1)}%\x1b[0m`);
+    console.log(`Select errors: \x1b[1;${errorCount ? '31' : '32'}m${errorCount}\x1b[0m`);
+    for (const [category, count] of [...errorsByCategory].sort((a, b) => b[1] - a[1])){
+      console.log(`  ${category.padEnd(15)}\x1b[1;31m${count}\x1b[0m`);
+    }
+    process.exit(0);
+  });
+
+  output.header();
+  await tagReader.start();
+
+  output.info('Ready to read UIDs from tags. Press Ctrl-C to exit.', { event: 'ready', reader: reader.id });
+};
+
+/**
+ * Scan with several readers at once
+ * @param {Map<string, MFRC522>} mfrc522s by reader id
+ * @param {import('./util.js').CliOptions} opts
+ * @param {import('./readers.js').ReaderConfig[]} readers
+ * @returns {Promise<void>}
+ */
+const scanReadersCmd = async (mfrc522s, opts, readers) => {
+  const output = new Output(opts);
+  const manager = new ReaderManager();
+  /** @type {Map<string, {reads: number, errors: number}>} */
+  const counts = new Map();
+  const width = Math.max(...[...mfrc522s.keys()].map((id) => id.length));
+
+  for (const [id, mfrc522] of mfrc522s){
+    counts.set(id, { reads: 0, errors: 0 });
+    await manager.add(id, mfrc522, {
+      interval: opts.interval,
+      debounce: opts.debounce,
+      removeTimeout: opts.removeTimeout,
+      lowPower: opts.lowPower,
+      fieldOn: opts.fieldOn,
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {string}
+   */
+  const prefix = (id) => `\x1b[1;34m${id.padEnd(width)}\x1b[0m `;
+
+  const readerById = new Map(readers.map((reader) => [reader.id, reader]));
+
+  manager.on('tagPresent', (id, tag) => {
+    const count = counts.get(id);
+    count.reads++;
+    output.tag(tagRecord('present', readerById.get(id), tag, count.reads, opts),
+      `${prefix(id)}Tag UID: \x1b[1;32m${toHex(tag.uid)}\x1b[0m, \x1b[1;36m${describeTag(tag)}\x1b[0m, read count: \x1b[1;33m${count.reads}\x1b[0m`);
+  });
+
+  manager.on('tagRemoved', (id, tag) => {
+    output.tag(tagRecord('removed', readerById.get(id), tag, counts.get(id).reads, opts),
+      `${prefix(id)}Tag removed: \x1b[36m${toHex(tag.uid)}\x1b[0m`);
+  });
+
+  manager.on('selectError', (id, err) => {
+    const count = counts.get(id);
+    count.errors++;
+    output.warn(`${prefix(id)}Select failed: \x1b[31m${err?.message ?? 'unknown reason'}\x1b[0m, error count \x1b[1;31m${count.errors}\x1b[0m`, {
+      event: 'selectError',
+      reader: id,
+      category: err?.category ?? 'unknown',
+      errorCount: count.errors,
+    });
+  });
+
+  // a failing reader does not stop the others
+  manager.on('error', (id, err) => {
+    output.error(`${prefix(id)}\x1b[1;31mError:\x1b[0m ${err.message}`, { event: 'readerError', reader: id });
+  });
+
+  process.on('SIGINT', async () => {
+    await manager.stop();
+    if (output.format === 'text'){
+      console.log('');
+    }
+    for (const [id, reader] of manager.readers){
+      const { polls, dutyCycle } = reader.stats;
+      const { reads, errors } = counts.get(id);
+      output.info(`${prefix(id)}Polls: \x1b[1;33m${polls}\x1b[0m, reads: \x1b[1;33m${reads}\x1b[0m, select errors: \x1b[1;${errors ? '31' : '32'}m${errors}\x1b[0m, duty cycle: \x1b[1;33m${(dutyCycle * 100).toFixed(1)}%\x1b[0m`, {
+        event: 'stats',
+        reader: id,
+        polls,
+        dutyCycle,
+        reads,
+        selectErrors: errors,
+      });
+    }
+    process.exit(0);
+  });
+
+  output.header();
+  await manager.start();
+
+  output.info(`Ready to read UIDs from tags with \x1b[1;33m${mfrc522s.size}\x1b[0m readers. Press Ctrl-C to exit.`, { event: 'ready' });
+};
+
+export { scanCmd, scanReadersCmd };
@@ -0,0 +1,77 @@
+// @ts-check
+"use strict";
+
+/**
+ * The self test of the MFRC522 as a diagnostics report:
+ * the chip, a byte by byte diff of the digital self test
+ * against the reference pattern, the antenna drivers (they
+ * stay on without overheating) and the CRC co-processor,
+ * each with pass, warn or fail.
+ * With --format=json the report is one JSON object.
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+
+/** @type {Object<import('../lib/self_test.js').CheckStatus, string>} */
+const STATUS_COLOR = { pass: '32', warn: '35', fail: '31' };
+
+/**
+ * @param {import('../lib/self_test.js').CheckStatus} status
+ * @returns {string}
+ */
+const formatStatus = (status) => {
+  return `\x1b[1;${STATUS_COLOR[status]}m${status.toUpperCase().padEnd(4)}\x1b[0m`;
+};
+
+/**
+ * Print the report, the bytes of the digital
+ * self test that differ from the reference in red
+ * @param {import('../lib/mfrc522.js').SelfTestResult} result
+ * @returns {void}
+ */
+const printSelfTest = (result) => {
+  const { version, chip, data, diff, checks } = result;
+  console.log(`MFRC522 Version: \x1b[1;33m0x${version.toString(16)}\x1b[0m, ${chip}`);
+
+  console.log('Self test data:');
+  const differs = new Set(diff.map(({ offset }) => offset));
+  for (let a = 0; a < 8; a++){
+    let str = '';
+    for (let b = 0; b < 8; b++){
+      const i = (a * 8) + b;
+      str += `\x1b[${differs.has(i) ? '1;31' : '32'}m${data[i].toString(16).padStart(2, '0')}\x1b[0m `;
+    }
+    console.log(str);
+  }
+  for (const { offset, expected, actual } of diff){
+    console.log(`  byte ${String(offset).padStart(2)}: expected \x1b[1;33m${expected.toString(16).padStart(2, '0')}\x1b[0m, got \x1b[1;31m${actual.toString(16).padStart(2, '0')}\x1b[0m`);
+  }
+
+  for (const { name, status, message } of checks){
+    console.log(`${formatStatus(status)} ${name.padEnd(8)} ${message}`);
+  }
+  console.log(`Self test: ${formatStatus(result.status)}`);
+};
+
+/**
+ * Run the self test and print the report,
+ * a failed self test is an error
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const selftestCmd = async (mfrc522, opts) => {
+  const result = await mfrc522.selfTest();
+  await mfrc522.reset();
+  await mfrc522.initRegs();
+  if (opts.format === 'json'){
+    console.log(JSON.stringify(result));
+  } else {
+    printSelfTest(result);
+  }
+  if (result.status === 'fail'){
+    throw new Error('MFRC522 self test failed');
+  }
+};
+
+export { printSelfTest, selftestCmd };
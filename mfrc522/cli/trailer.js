@@ -0,0 +1,171 @@
+// @ts-check
+"use strict";
+
+/**
+ * Inspect and change the sector trailer of a MIFARE Classic tag:
+ * the keys, the access conditions and the general purpose byte.
+ * The sector is given with --sector or by a block in it with --block.
+ *
+ * Access conditions are given as C1C2C3 for block 0, 1, 2
+ * and the trailer, e.g. --access=000,000,000,001 (transport
+ * configuration). encode and decode work without tag.
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+import { getSector, getBlockCount, getTrailerBlock } from '../lib/mifare_classic.js';
+import {
+  decodeAccessBits,
+  encodeAccessBits,
+  getPermissions,
+  decodeTrailer,
+  encodeTrailer,
+  checkTrailer,
+} from '../lib/sector_trailer.js';
+import { selectAndAuth, release } from './block.js';
+import { toHex, failure } from './util.js';
+
+/**
+ * @param {number} condition
+ * @returns {string} C1C2C3
+ */
+const formatCondition = (condition) => {
+  return condition.toString(2).padStart(3, '0');
+};
+
+/**
+ * Print the access bits and the permission table
+ * @param {number[]} accessBits
+ * @param {number} [sector] the 16 block sectors of the 4K have groups of 5 blocks
+ * @returns {void|number[]} the access conditions
+ */
+const printAccess = (accessBits, sector = 0) => {
+  const conditions = decodeAccessBits(accessBits);
+  if (!conditions){
+    console.log(`Access bits: \x1b[1;31m${toHex(accessBits, ' ')} (not valid)\x1b[0m`);
+    return;
+  }
+  console.log(`Access bits: \x1b[1;33m${toHex(accessBits, ' ')}\x1b[0m, conditions \x1b[1;33m${conditions.map(formatCondition).join(',')}\x1b[0m`);
+  const { blocks, trailer } = getPermissions(conditions);
+  console.log('              read   write  increment  decrement');
+  blocks.forEach(({ read, write, increment, decrement }, i) => {
+    const label = getBlockCount(sector) === 4 ? `Block ${i}` : `Blocks ${i * 5}-${i * 5 + 4}`;
+    console.log(`  ${label.padEnd(12)}\x1b[36m${read.padEnd(7)}${write.padEnd(7)}${increment.padEnd(11)}${decrement}\x1b[0m`);
+  });
+  console.log('              read   write');
+  console.log(`  Key A       \x1b[36m${trailer.keyARead.padEnd(7)}${trailer.keyAWrite}\x1b[0m`);
+  console.log(`  Access bits \x1b[36m${trailer.accessRead.padEnd(7)}${trailer.accessWrite}\x1b[0m`);
+  console.log(`  Key B       \x1b[36m${trailer.keyBRead.padEnd(7)}${trailer.keyBWrite}\x1b[0m`);
+  if (trailer.keyBRead !== 'never'){
+    console.log('  Key B is readable, it can not be used for authentication.');
+  }
+  return conditions;
+};
+
+/**
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {number[]} 4 access conditions
+ */
+const getConditions = (opts) => {
+  if (!opts.access){
+    throw new Error('Missing --access, e.g. --access=000,000,000,001');
+  }
+  return opts.access;
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const trailerCmd = async (mfrc522, opts) => {
+  const [action] = opts.args;
+
+  if (!['read', 'write', 'encode', 'decode'].includes(action)){
+    throw new Error(`Unknown trailer action: ${action}, use read, write, encode or decode`);
+  }
+
+  if (action === 'encode'){
+    printAccess(encodeAccessBits(getConditions(opts)));
+    return;
+  }
+  if (action === 'decode'){
+    if (!Array.isArray(opts.data) || opts.data.length < 3){
+      throw new Error('--data must be the 3 access bytes or the 16 bytes of a trailer');
+    }
+    printAccess(opts.data.length === 16 ? opts.data.slice(6, 9) : opts.data.slice(0, 3));
+    return;
+  }
+
+  const sector = opts.sector ?? getSector(opts.block);
+  const block = getTrailerBlock(sector);
+
+  if (action === 'write' && !opts.newKeyA && !opts.newKeyB && !opts.access && typeof opts.gpb !== 'number'){
+    throw new Error('Nothing to write, use --new-key-a, --new-key-b, --access or --gpb');
+  }
+
+  try {
+    await selectAndAuth(mfrc522, { ...opts, block });
+    const data = await mfrc522.readBlock(block);
+    if (!Array.isArray(data)){
+      throw new Error(`Failed to read sector trailer ${block}${failure(mfrc522)}`);
+    }
+    const current = decodeTrailer(data);
+    const permissions = current.conditions ? getPermissions(current.conditions).trailer : undefined;
+    const keyBReadable = !!permissions && permissions.keyBRead.includes(opts.keyType);
+
+    if (action === 'read'){
+      console.log(`Sector ${sector}, trailer block ${block}`);
+      printAccess(current.accessBits, sector);
+      console.log(`GPB: \x1b[1;33m${current.gpb.toString(16).padStart(2, '0')}\x1b[0m`);
+      console.log(`Key B: \x1b[1;33m${keyBReadable ? toHex(current.keyB) : 'not readable'}\x1b[0m`);
+      return;
+    }
+
+    if (!current.conditions){
+      throw new Error(`The access bits of sector ${sector} are not valid`);
+    }
+
+    // key A never reads back, key B only with some access conditions
+    const keyA = opts.newKeyA ?? (opts.keyType === 'A' ? opts.key : undefined);
+    const keyB = opts.newKeyB ?? (opts.keyType === 'B' ? opts.key : keyBReadable ? current.keyB : undefined);
+    if (!keyA){
+      throw new Error('Key A is not known after the authentication with key B, give it with --new-key-a');
+    }
+    if (!keyB){
+      throw new Error('Key B is not readable, give it with --new-key-b');
+    }
+    const conditions = opts.access ?? current.conditions;
+
+    /** @type {[boolean, string, import('../lib/sector_trailer.js').KeyAccess][]} */
+    const changes = [
+      [!!opts.newKeyA, 'key A', permissions.keyAWrite],
+      [!!opts.newKeyB, 'key B', permissions.keyBWrite],
+      [!!opts.access || typeof opts.gpb === 'number', 'access bits', permissions.accessWrite],
+    ];
+    for (const [changed, name, access] of changes){
+      if (changed && !access.includes(opts.keyType)){
+        throw new Error(`Key ${opts.keyType} can not write the ${name} of sector ${sector} (${access})`);
+      }
+    }
+
+    const trailer = encodeTrailer({ keyA, keyB, conditions, gpb: opts.gpb ?? current.gpb });
+    const reason = checkTrailer(trailer);
+    // no need to force when the sector is that way already
+    if (reason && reason !== checkTrailer(data)){
+      if (!opts.force){
+        throw new Error(`Refused: ${reason}. Use --force to write anyway.`);
+      }
+      console.log(`\x1b[1;35mWarning: ${reason}\x1b[0m`);
+    }
+
+    if (!await mfrc522.writeTrailer(block, trailer, opts.force)){
+      throw new Error(`Failed to write sector trailer ${block}${failure(mfrc522)}`);
+    }
+    console.log(`Written sector trailer ${block}: \x1b[1;33m${toHex(trailer, ' ')}\x1b[0m`);
+    printAccess(trailer.slice(6, 9), sector);
+  } finally {
+    await release(mfrc522);
+  }
+};
+
+export { trailerCmd };
@@ -0,0 +1,99 @@
+// @ts-check
+"use strict";
+
+/**
+ * Page commands for MIFARE Ultralight and NTAG21x tags
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+import {
+  isUltralight,
+  isPageLocked,
+  checkPageWrite,
+  readUltralightInfo,
+} from '../lib/ultralight.js';
+import { toHex, waitForTag, failure } from './util.js';
+
+/**
+ * Select an Ultralight or NTAG tag and read its type and locks
+ * @param {MFRC522} mfrc522
+ * @returns {Promise<import('../lib/ultralight.js').UltralightInfo>}
+ */
+const selectUltralight = async (mfrc522) => {
+  const { uid, sak } = await waitForTag(mfrc522);
+  console.log(`Tag UID: \x1b[1;32m${toHex(uid)}\x1b[0m`);
+  if (!isUltralight(sak)){
+    throw new Error(`Not a MIFARE Ultralight or NTAG tag, SAK: 0x${sak.toString(16).padStart(2, '0')}`);
+  }
+  const info = await readUltralightInfo(mfrc522);
+  if (!info){
+    throw new Error(`Failed to read the Capability Container and lock bytes${failure(mfrc522)}`);
+  }
+  console.log(`Type: \x1b[1;33m${info.type.name}\x1b[0m`);
+  return info;
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const ulCmd = async (mfrc522, opts) => {
+  const [action] = opts.args;
+
+  if (!['info', 'read', 'write'].includes(action)){
+    throw new Error(`Unknown ul action: ${action}, use info, read or write`);
+  }
+
+  try {
+    const { type, cc, locks } = await selectUltralight(mfrc522);
+
+    if (action === 'info'){
+      console.log(`Capability Container: \x1b[1;33m${toHex(cc, ' ')}\x1b[0m`);
+      console.log(`User memory: pages \x1b[1;33m${type.userStart}\x1b[0m to \x1b[1;33m${type.userEnd}\x1b[0m`);
+      console.log(`Static lock bytes: \x1b[1;33m${toHex(locks.staticLock, ' ')}\x1b[0m`);
+      if (locks.dynamicLock.length){
+        console.log(`Dynamic lock bytes: \x1b[1;33m${toHex(locks.dynamicLock, ' ')}\x1b[0m`);
+      }
+      const locked = [];
+      for (let page = 3; page <= type.userEnd; page++){
+        if (isPageLocked(type, page, locks)){
+          locked.push(page);
+        }
+      }
+      console.log(`Locked pages: \x1b[1;33m${locked.length ? locked.join(', ') : 'none'}\x1b[0m`);
+      return;
+    }
+
+    if (action === 'read'){
+      const data = await mfrc522.readPages(opts.page);
+      if (!Array.isArray(data)){
+        throw new Error(`Failed to read from page ${opts.page}${failure(mfrc522)}`);
+      }
+      for (let i = 0; i < 4; i++){
+        console.log(`Page ${opts.page + i}: \x1b[1;33m${toHex(data.slice(i * 4, i * 4 + 4), ' ')}\x1b[0m`);
+      }
+      return;
+    }
+
+    if (!Array.isArray(opts.data) || opts.data.length != 4){
+      throw new Error('--data must be 4 bytes for ul write');
+    }
+    const reason = checkPageWrite(type, opts.page, locks);
+    if (reason){
+      if (!opts.force){
+        throw new Error(`Refused: ${reason}. Use --force to write anyway.`);
+      }
+      console.log(`\x1b[1;35mWarning: ${reason}\x1b[0m`);
+    }
+    if (!await mfrc522.writePage(opts.page, opts.data)){
+      throw new Error(`Failed to write page ${opts.page}${failure(mfrc522)}`);
+    }
+    console.log(`Written page ${opts.page}: \x1b[1;33m${toHex(opts.data, ' ')}\x1b[0m`);
+  } finally {
+    await mfrc522.haltA();
+    await mfrc522.antennaOff();
+  }
+};
+
+export { selectUltralight, ulCmd };
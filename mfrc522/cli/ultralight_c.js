@@ -0,0 +1,114 @@
+// @ts-check
+"use strict";
+
+/**
+ * MIFARE Ultralight C commands: 3DES authentication with
+ * --ulc-key (default the factory key), reads of protected
+ * pages, a new key and the AUTH0 / AUTH1 protection.
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+import { isUltralight } from '../lib/ultralight.js';
+import {
+  ULC_PAGES,
+  ULC_DEFAULT_KEY,
+  readUlcConfig,
+  writeUlcKey,
+  writeUlcProtection,
+} from '../lib/ultralight_c.js';
+import { toHex, waitForTag, failure } from './util.js';
+
+/**
+ * @param {import('../lib/ultralight_c.js').UlcConfig} config
+ * @returns {void}
+ */
+const printConfig = ({ counter, auth0, readProtect }) => {
+  console.log(`Counter: \x1b[1;33m${counter}\x1b[0m`);
+  if (auth0 >= ULC_PAGES){
+    console.log('Protection: \x1b[1;33moff\x1b[0m');
+    return;
+  }
+  console.log(`Protected from page \x1b[1;33m${auth0}\x1b[0m: ${readProtect ? 'read and write' : 'write'}`);
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const ulcCmd = async (mfrc522, opts) => {
+  const [action] = opts.args;
+
+  if (!['info', 'auth', 'read', 'key', 'protect', 'unprotect'].includes(action)){
+    throw new Error(`Unknown ulc action: ${action}, use info, auth, read, key, protect or unprotect`);
+  }
+  if (action === 'key' && !opts.newUlcKey){
+    throw new Error('--new-ulc-key is needed for ulc key');
+  }
+
+  try {
+    const { uid, sak } = await waitForTag(mfrc522);
+    console.log(`Tag UID: \x1b[1;32m${toHex(uid)}\x1b[0m`);
+    if (!isUltralight(sak)){
+      throw new Error(`Not a MIFARE Ultralight C tag, SAK: 0x${sak.toString(16).padStart(2, '0')}`);
+    }
+
+    // info reads the configuration without key, unless --ulc-key is given
+    if (action !== 'info' || opts.ulcKey){
+      if (!await mfrc522.ulcAuthenticate(opts.ulcKey ?? ULC_DEFAULT_KEY)){
+        throw new Error(`3DES authentication failed${failure(mfrc522)}`);
+      }
+      console.log('Authenticated');
+    }
+
+    if (action === 'auth'){
+      return;
+    }
+
+    if (action === 'info'){
+      const config = await readUlcConfig(mfrc522);
+      if (!config){
+        throw new Error(`Failed to read the configuration, protected? Use --ulc-key${failure(mfrc522)}`);
+      }
+      printConfig(config);
+      return;
+    }
+
+    if (action === 'read'){
+      const data = await mfrc522.readPages(opts.page);
+      if (!Array.isArray(data)){
+        throw new Error(`Failed to read from page ${opts.page}${failure(mfrc522)}`);
+      }
+      for (let i = 0; i < 4; i++){
+        console.log(`Page ${opts.page + i}: \x1b[1;33m${toHex(data.slice(i * 4, i * 4 + 4), ' ')}\x1b[0m`);
+      }
+      return;
+    }
+
+    if (action === 'key'){
+      const key = opts.newUlcKey ?? [];
+      if (!await writeUlcKey(mfrc522, key)){
+        throw new Error(`Failed to write the key${failure(mfrc522)}`);
+      }
+      console.log(`Key written: \x1b[1;33m${toHex(key)}\x1b[0m, it can not be read back`);
+      return;
+    }
+
+    const config = await readUlcConfig(mfrc522);
+    if (!config){
+      throw new Error(`Failed to read the configuration${failure(mfrc522)}`);
+    }
+    const protection = action === 'protect'
+      ? { auth0: opts.auth0 ?? config.auth0, readProtect: opts.readProtect }
+      : { auth0: ULC_PAGES, readProtect: config.readProtect };
+    if (!await writeUlcProtection(mfrc522, protection)){
+      throw new Error(`Failed to write AUTH0 and AUTH1${failure(mfrc522)}`);
+    }
+    printConfig({ ...config, ...protection });
+  } finally {
+    await mfrc522.haltA();
+    await mfrc522.antennaOff();
+  }
+};
+
+export { ulcCmd };
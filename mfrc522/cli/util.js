@@ -0,0 +1,134 @@
+// @ts-check
+"use strict";
+
+/**
+ * Helpers shared by the commands of the command line tool
+ */
+
+import { setTimeout } from 'timers/promises';
+import { MFRC522 } from '../lib/mfrc522.js';
+
+/**
+ * Options of the command line tool
+ * @typedef {Object} CliOptions
+ * @property {string} command
+ * @property {string[]} args positional arguments after the command
+ * @property {number} speed
+ * @property {{id: string, device: string}[]} devices readers given by --device
+ * @property {string} [config] JSON file with the readers, see readers.js
+ * @property {boolean} selfTest
+ * @property {number} gpiochip
+ * @property {number} [irqPin] GPIO line connected to the IRQ pin
+ * @property {number} [resetPin] GPIO line connected to the NRSTPD pin
+ * @property {'off'|'soft'|'hard'} lowPower power-down between the polls of the scan loop
+ * @property {number} fieldOn ms the field is on before a poll in low power mode
+ * @property {number} interval ms between polls of the scan loop
+ * @property {number} debounce ms a tag must stay before it is reported
+ * @property {number} removeTimeout ms a tag must be gone before it is reported removed
+ * @property {number} block
+ * @property {'A'|'B'} keyType
+ * @property {number[]} key
+ * @property {number[]} [data]
+ * @property {number} [sector] sector of the trailer commands, default the sector of block
+ * @property {number[]} [newKeyA] key A to write to a sector trailer
+ * @property {number[]} [newKeyB] key B to write to a sector trailer
+ * @property {number[]} [access] access conditions of block 0, 1, 2 and the trailer
+ * @property {number} [gpb] general purpose byte of a sector trailer
+ * @property {string} [file] dump file, .json or .mfd
+ * @property {boolean} block0 restore also writes block 0
+ * @property {boolean} trailers restore also writes the sector trailers
+ * @property {number} page first page for Ultralight / NTAG
+ * @property {number} [pages] number of pages of ntag read, default to the last page
+ * @property {boolean} force allow writes with irreversible effects
+ * @property {{kind: 'uri'|'text'|'mime', value: string}[]} records NDEF records to write
+ * @property {string} lang language code for text records
+ * @property {number} [value] signed 32 bit value for a value block
+ * @property {number} amount for increment and decrement
+ * @property {number} [to] block to transfer the result of a value operation to
+ * @property {number} [gain] receiver gain, one of PCD_RxG
+ * @property {Partial<import('../lib/mfrc522.js').Conductance>} conductance antenna driver settings
+ * @property {Partial<import('../lib/mfrc522.js').RxThreshold>} rxThreshold bit decoder settings
+ * @property {number} count attempts per gain of the range sweep
+ * @property {number} retries retries after an error worth another attempt
+ * @property {import('../lib/mfrc522.js').BitRate} bitRate highest bit rate of ISO 14443-4 tags, negotiated with PPS
+ * @property {'text'|'json'|'csv'} format output of scan, regs and selftest,
+ * csv only for scan
+ * @property {string} [output] file the tag records of scan are appended to
+ * @property {boolean} watch regs reads the registers again each interval
+ * @property {number[]} [pwd] NTAG password, 4 bytes, to authenticate with
+ * @property {number[]} [pack] PACK the tag must answer the password with
+ * @property {number[]} [newPwd] NTAG password to set
+ * @property {number[]} [newPack] PACK to set with the new password
+ * @property {number} [auth0] first page protected by the NTAG password or Ultralight C key
+ * @property {boolean} readProtect the NTAG password or Ultralight C key protects reads too
+ * @property {number} [authLimit] failed password attempts before the NTAG
+ * password is blocked, 0 for no limit
+ * @property {number[]} [ulcKey] Ultralight C 3DES key, 16 bytes, to authenticate with
+ * @property {number[]} [newUlcKey] Ultralight C 3DES key to write
+ * @property {{uid: number[], sak: number}[]} [emulate] virtual tags of the emulator,
+ * used instead of the SPI device
+ */
+
+/**
+ * Format bytes as a hex string
+ * @param {number[]} bytes
+ * @param {string} [separator]
+ * @returns {string}
+ */
+const toHex = (bytes, separator = '') => {
+  return bytes.map((b) => b.toString(16).padStart(2, '0')).join(separator);
+};
+
+/**
+ * Parse a hex string to bytes
+ * Spaces, colons and underscores are ignored.
+ * @param {string} str
+ * @param {number} [length] required number of bytes
+ * @returns {number[]}
+ */
+const parseHex = (str, length) => {
+  const hex = str.replace(/[\s:_]/g, '');
+  if (!/^([0-9a-fA-F]{2})*$/.test(hex)){
+    throw new Error(`Invalid hex string: ${str}`);
+  }
+  const bytes = [];
+  for (let i = 0; i < hex.length; i += 2){
+    bytes.push(parseInt(hex.slice(i, i + 2), 16));
+  }
+  if (typeof length === 'number' && bytes.length !== length){
+    throw new Error(`Expected ${length} bytes, got ${bytes.length}: ${str}`);
+  }
+  return bytes;
+};
+
+/**
+ * Poll until a tag is in the antenna field
+ * and return its tag info. The tag stays selected.
+ * @param {MFRC522} mfrc522
+ * @returns {Promise<import('../lib/card_type.js').TagInfo>}
+ */
+const waitForTag = async (mfrc522) => {
+  for (;;){
+    await mfrc522.initRegs();
+    if (await mfrc522.detect()){
+      const tag = await mfrc522.selectTag();
+      if (tag){
+        return tag;
+      }
+    }
+    await mfrc522.antennaOff();
+    await setTimeout(50);
+  }
+};
+
+/**
+ * The reason of the last failure of the driver,
+ * to append to an error message
+ * @param {MFRC522} mfrc522
+ * @returns {string}
+ */
+const failure = (mfrc522) => {
+  return mfrc522.lastError ? `: ${mfrc522.lastError.message}` : '';
+};
+
+export { toHex, parseHex, waitForTag, failure };
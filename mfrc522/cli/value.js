@@ -0,0 +1,90 @@
+// @ts-check
+"use strict";
+
+/**
+ * Value block commands for MIFARE Classic tags
+ * increment, decrement and restore are followed
+ * by a transfer to --to (default the block itself).
+ * The source and destination block must be
+ * in the same sector.
+ */
+
+import { MFRC522 } from '../lib/mfrc522.js';
+import { getSector, isTrailerBlock } from '../lib/mifare_classic.js';
+import { selectAndAuth, release } from './block.js';
+import { failure } from './util.js';
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {number} block
+ * @returns {Promise<void>}
+ */
+const printValue = async (mfrc522, block) => {
+  const valueBlock = await mfrc522.readValue(block);
+  if (!valueBlock){
+    throw new Error(`Failed to read value block ${block}${failure(mfrc522)}`);
+  }
+  console.log(`Block ${block} value: \x1b[1;33m${valueBlock.value}\x1b[0m, adr: \x1b[1;33m${valueBlock.adr}\x1b[0m`);
+};
+
+/**
+ * @param {MFRC522} mfrc522
+ * @param {import('./util.js').CliOptions} opts
+ * @returns {Promise<void>}
+ */
+const valueCmd = async (mfrc522, opts) => {
+  const [action] = opts.args;
+  const to = opts.to ?? opts.block;
+
+  if (!['read', 'init', 'increment', 'decrement', 'restore'].includes(action)){
+    throw new Error(`Unknown value action: ${action}, use read, init, increment, decrement or restore`);
+  }
+  for (const block of [opts.block, to]){
+    if (block === 0 || isTrailerBlock(block)){
+      throw new Error(`Block ${block} can not be a value block`);
+    }
+  }
+  if (getSector(opts.block) !== getSector(to)){
+    throw new Error(`Block ${opts.block} and ${to} are not in the same sector`);
+  }
+
+  try {
+    await selectAndAuth(mfrc522, opts);
+
+    if (action === 'read'){
+      await printValue(mfrc522, opts.block);
+      return;
+    }
+
+    if (action === 'init'){
+      if (typeof opts.value !== 'number'){
+        throw new Error('Missing --value for value init');
+      }
+      if (!await mfrc522.writeValue(opts.block, opts.value)){
+        throw new Error(`Failed to write value block ${opts.block}${failure(mfrc522)}`);
+      }
+      await printValue(mfrc522, opts.block);
+      return;
+    }
+
+    let ok;
+    if (action === 'increment'){
+      ok = await mfrc522.increment(opts.block, opts.amount);
+    } else if (action === 'decrement'){
+      ok = await mfrc522.decrement(opts.block, opts.amount);
+    } else {
+      ok = await mfrc522.restore(opts.block);
+    }
+    if (!ok){
+      throw new Error(`Value ${action} failed on block ${opts.block}${failure(mfrc522)}`);
+    }
+    if (!await mfrc522.transfer(to)){
+      throw new Error(`Transfer to block ${to} failed${failure(mfrc522)}`);
+    }
+    await printValue(mfrc522, to);
+  } finally {
+    await release(mfrc522);
+  }
+};
+
+export { valueCmd };
@@ -0,0 +1,21 @@
+// @ts-check
+"use strict";
+
+/**
+ * NDEF Type Name Format (TNF), the 3 lowest bits
+ * of the record header.
+ * NFC Forum NFC Data Exchange Format (NDEF) Technical Specification
+ */
+
+const NDEF_TNF = {
+  Empty: 0x00,		// no type, no id, no payload
+  WellKnown: 0x01,		// NFC Forum well-known type [NFC RTD], e.g. "U" (URI) and "T" (Text)
+  Media: 0x02,		// media-type as defined in RFC 2046, e.g. "text/plain"
+  AbsoluteUri: 0x03,		// absolute URI as defined in RFC 3986
+  External: 0x04,		// NFC Forum external type [NFC RTD]
+  Unknown: 0x05,		// unknown payload type
+  Unchanged: 0x06,		// used for the middle and last chunks of a chunked payload
+  Reserved: 0x07
+};
+
+export { NDEF_TNF };
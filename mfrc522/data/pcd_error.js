@@ -0,0 +1,21 @@
+// @ts-check
+"use strict";
+
+/**
+ * Bits of the Error register
+ * mfrc522 manual 9.3.1.7
+ * https://www.nxp.com/docs/en/data-sheet/MFRC522.pdf
+ */
+
+const PCD_Error = {
+  ProtocolErr: 0x01,	// SOF incorrect, or less than 4 bits received in MFAuthent
+  ParityErr: 0x02,	// parity check failed
+  CRCErr: 0x04,	// RxCRCEn is set and the CRC calculation fails
+  CollErr: 0x08,	// a bit collision is detected
+  BufferOvfl: 0x10,	// the FIFO buffer is full and data is written to it
+  // 0x20 reserved for future use
+  TempErr: 0x40,	// overheating, the antenna drivers are switched off
+  WrErr: 0x80,	// data written to the FIFO during MFAuthent or while receiving
+};
+
+export { PCD_Error };
@@ -17,6 +17,7 @@ const PICC_Cmd = {
   SEL_CL3: 0x97,		// Anti collision/Select, Cascade Level 3
   HLTA: 0x50,		// HaLT command, Type A. Instructs an ACTIVE PICC to go to state HALT.
   RATS: 0xE0,     // Request command for Answer To Reset.
+  PPS: 0xD0,      // Protocol and Parameter Selection, ISO 14443-4, after the ATS. Low nibble is the CID.
 		// The commands used for MIFARE Classic (from http://www.mouser.com/ds/2/302/MF1S503x-89574.pdf, Section 9)
 		// Use PCD_MFAuthent to authenticate access to a sector, then use these commands to read/write/modify the blocks on the sector.
 		// The read/write commands can also be used for MIFARE Ultralight.
@@ -30,7 +31,16 @@ const PICC_Cmd = {
   MF_TRANSFER: 0xB0,		// Writes the contents of the internal data register to a block.
 		// The commands used for MIFARE Ultralight (from http://www.nxp.com/documents/data_sheet/MF0ICU1.pdf, Section 8.6)
 		// The MF_READ and MF_WRITE can also be used for MIFARE Ultralight.
-  UL_WRITE: 0xA2		// Writes one 4 byte page to the PICC.
+  UL_WRITE: 0xA2,		// Writes one 4 byte page to the PICC.
+		// The commands of NTAG21x and MIFARE Ultralight EV1 (from https://www.nxp.com/docs/en/data-sheet/NTAG213_215_216.pdf, Section 10)
+  NTAG_GET_VERSION: 0x60,		// Returns 8 bytes: vendor, product type and storage size.
+  NTAG_FAST_READ: 0x3A,		// Reads the pages from a start to an end page in one frame.
+  NTAG_READ_CNT: 0x39,		// Reads a 24 bit counter, LSB first.
+  NTAG_PWD_AUTH: 0x1B,		// Authenticates with the 4 byte password, the PICC answers with the 2 byte PACK.
+  NTAG_READ_SIG: 0x3C,		// Returns the 32 byte ECC originality signature.
+		// The commands of MIFARE Ultralight C (from https://www.nxp.com/docs/en/data-sheet/MF0ICU2.pdf, Section 9)
+  ULC_AUTH: 0x1A,		// First step of the 3DES authentication, the PICC answers 0xAF and ek(RndB).
+  ULC_AUTH_CONTINUE: 0xAF		// Second step with ek(RndA || RndB'), the PICC answers 0x00 and ek(RndA').
 };
 
 export { PICC_Cmd };
\ No newline at end of file
@@ -0,0 +1,21 @@
+// @ts-check
+"use strict";
+
+/**
+ * Card types that can be told apart by ATQA and SAK.
+ * NXP AN10833 MIFARE type identification procedure
+ * https://www.nxp.com/docs/en/application-note/AN10833.pdf
+ */
+
+const PICC_Type = {
+  classicMini: 'MIFARE Classic Mini',
+  classic1k: 'MIFARE Classic 1K',
+  classic4k: 'MIFARE Classic 4K',
+  ultralight: 'MIFARE Ultralight / NTAG',
+  plus: 'MIFARE Plus',
+  desfire: 'MIFARE DESFire',
+  iso14443_4: 'ISO 14443-4 compliant',
+  unknown: 'Unknown',
+};
+
+export { PICC_Type };
@@ -0,0 +1,35 @@
+// @ts-check
+"use strict";
+
+/**
+ * Public entry point of the MFRC522 driver.
+ * The command line tool is run.js
+ */
+
+export { MFRC522, BIT_RATES } from './lib/mfrc522.js';
+export { TagReader } from './lib/tag_reader.js';
+export { ReaderManager } from './lib/reader_manager.js';
+export * from './lib/mifare_classic.js';
+export * from './lib/sector_trailer.js';
+export * from './lib/dump.js';
+export * from './lib/ultralight.js';
+export * from './lib/ntag.js';
+export * from './lib/ultralight_c.js';
+export * from './lib/ndef.js';
+export * from './lib/iso14443_4.js';
+export * from './lib/card_type.js';
+export * from './lib/errors.js';
+export * from './lib/timer.js';
+export * from './lib/registers.js';
+export * from './lib/self_test.js';
+export { MFRC522Emulator } from './lib/emulator.js';
+export * from './lib/virtual_picc.js';
+export { PCD_Cmd } from './data/pcd_command.js';
+export { PCD_Reg } from './data/pcd_reg.js';
+export { PCD_Error } from './data/pcd_error.js';
+export { PCD_RxG } from './data/pcd_rx_gain.js';
+export { PCD_Test } from './data/pcd_self_test.js';
+export { PICC_Cmd } from './data/picc_command.js';
+export { PICC_Type } from './data/picc_type.js';
+export { NDEF_TNF } from './data/ndef_tnf.js';
+export { NDEF_UriPrefix } from './data/ndef_uri_prefix.js';
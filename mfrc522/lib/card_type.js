@@ -0,0 +1,96 @@
+// @ts-check
+"use strict";
+
+/**
+ * Card type identification from ATQA and SAK
+ *
+ * The SAK of the last cascade level tells most types apart.
+ * With SAK 0x20 (ISO 14443-4) the ATQA separates
+ * MIFARE DESFire and MIFARE Plus in security level 3
+ * from other ISO 14443-4 cards.
+ * When tags of different types are in the field
+ * the ATQA bits collide and only the SAK is reliable.
+ *
+ * NXP AN10833 MIFARE type identification procedure
+ * https://www.nxp.com/docs/en/application-note/AN10833.pdf
+ */
+
+import { PICC_Type } from '../data/picc_type.js';
+
+/**
+ * @typedef {keyof typeof PICC_Type} CardType
+ */
+
+/**
+ * @typedef {Object} TagInfo
+ * @property {number[]} uid 4, 7 or 10 bytes
+ * @property {number|undefined} atqa 16 bit ATQA (ATQA byte 1 << 8 | byte 0)
+ * @property {number} sak SAK of the last cascade level
+ * @property {CardType} type
+ * @property {string} typeName
+ */
+
+/**
+ * @param {number|undefined} atqa
+ * @param {number} sak
+ * @returns {CardType}
+ */
+const getCardType = (atqa, sak) => {
+  switch (sak){
+    case 0x09:
+      return 'classicMini';
+    case 0x08:
+    case 0x88:
+      return 'classic1k';
+    case 0x18:
+      return 'classic4k';
+    case 0x00:
+      return 'ultralight';
+    // security level 2
+    case 0x10:
+    case 0x11:
+      return 'plus';
+  }
+  if (sak & 0x20){
+    switch (atqa){
+      case 0x0344:
+      case 0x0304:
+        return 'desfire';
+      // security level 3
+      case 0x0002:
+      case 0x0004:
+      case 0x0042:
+      case 0x0044:
+        return 'plus';
+    }
+    return 'iso14443_4';
+  }
+  return 'unknown';
+};
+
+/**
+ * Build the tag info of a selected tag
+ * @param {number[]} uid
+ * @param {number|undefined} atqa
+ * @param {number} sak
+ * @returns {TagInfo}
+ */
+const getTagInfo = (uid, atqa, sak) => {
+  const type = getCardType(atqa, sak);
+  return { uid, atqa, sak, type, typeName: PICC_Type[type] };
+};
+
+/**
+ * One line description, e.g.
+ * "MIFARE Classic 1K (ATQA 0004, SAK 08)"
+ * @param {TagInfo} info
+ * @returns {string}
+ */
+const describeTag = (info) => {
+  const atqa = typeof info.atqa === 'number'
+    ? info.atqa.toString(16).padStart(4, '0')
+    : '----';
+  return `${info.typeName} (ATQA ${atqa}, SAK ${info.sak.toString(16).padStart(2, '0')})`;
+};
+
+export { getCardType, getTagInfo, describeTag };
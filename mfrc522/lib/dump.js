@@ -0,0 +1,582 @@
+// @ts-check
+"use strict";
+
+/**
+ * Dump and restore of MIFARE Classic and Ultralight / NTAG tags
+ *
+ * A dump holds the UID, ATQA, SAK and card type and
+ * - MIFARE Classic: per sector the keys that worked,
+ *   a status and the blocks, null for the blocks that
+ *   could not be read. The known keys are put in the
+ *   sector trailers, key A never reads back.
+ * - Ultralight / NTAG: the 4 byte pages, null when not readable
+ *
+ * Two file formats:
+ * - JSON, bytes as hex strings, see dumpToJson()
+ * - .mfd, the raw memory: 16 byte blocks or 4 byte pages,
+ *   unread blocks filled with zeros, as written by the
+ *   libnfc tools (nfc-mfclassic, nfc-mfultralight)
+ *
+ * Restore writes the data blocks or the user pages and reads
+ * each one back. Block 0 (manufacturer block, only writable
+ * on "magic" tags) and the sector trailers are skipped unless
+ * asked for. A trailer is only written with both keys known.
+ */
+
+import {
+  KNOWN_KEYS,
+  getSectorCount,
+  getFirstBlock,
+  getBlockCount,
+} from './mifare_classic.js';
+import { decodeTrailer, checkTrailer } from './sector_trailer.js';
+import { readUltralightInfo, checkPageWrite } from './ultralight.js';
+
+const FORMAT = 'mfrc522-dump';
+const VERSION = 1;
+
+/**
+ * @typedef {'ok'|'partial'|'failed'|'noKey'} SectorStatus
+ * ok: all blocks read, partial: some blocks read,
+ * failed: authenticated but no block read, noKey: no key worked
+ */
+
+/**
+ * @typedef {Object} SectorDump
+ * @property {number} sector
+ * @property {SectorStatus} status
+ * @property {number[]|null} keyA the key A that authenticated, null when none did
+ * @property {number[]|null} keyB the key B that authenticated or was read, null when unknown
+ * @property {(number[]|null)[]} blocks 16 bytes each, null when not read
+ */
+
+/**
+ * @typedef {Object} CardDump
+ * @property {number[]} uid
+ * @property {number|undefined} atqa
+ * @property {number} sak
+ * @property {import('./card_type.js').CardType} type
+ * @property {SectorDump[]} [sectors] MIFARE Classic
+ * @property {(number[]|null)[]} [pages] Ultralight / NTAG, 4 bytes each, null when not read
+ */
+
+/**
+ * @typedef {Object} RestoreOptions
+ * @property {number[][]} [keys] keys to try, before the keys of the dump
+ * and the known keys
+ * @property {boolean} [block0] also write block 0
+ * @property {boolean} [trailers] also write the sector trailers
+ * @property {boolean} [force] write trailers that can not be changed anymore,
+ * Ultralight / NTAG lock, OTP and configuration pages
+ */
+
+/**
+ * @typedef {Object} RestoreResult
+ * @property {number} block block or page
+ * @property {'written'|'skipped'|'failed'} status
+ * @property {string} [reason] why it was skipped or failed
+ */
+
+/**
+ * @param {number[]} bytes
+ * @returns {string}
+ */
+const toHex = (bytes) => {
+  return bytes.map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * @param {string} str
+ * @param {number} length
+ * @param {string} name
+ * @returns {number[]}
+ */
+const fromHex = (str, length, name) => {
+  if (typeof str !== 'string' || str.length !== length * 2 || !/^[0-9a-fA-F]*$/.test(str)){
+    throw new Error(`${name} must be ${length} hex bytes: ${JSON.stringify(str)}`);
+  }
+  return [...Buffer.from(str, 'hex')];
+};
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {boolean}
+ */
+const equal = (a, b) => {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+};
+
+/**
+ * Keys to try, without duplicates
+ * @param {(number[]|null|undefined)[]} keys
+ * @returns {number[][]}
+ */
+const uniqueKeys = (keys) => {
+  /** @type {Map<string, number[]>} */
+  const unique = new Map();
+  for (const key of keys){
+    if (key){
+      unique.set(toHex(key), key);
+    }
+  }
+  return [...unique.values()];
+};
+
+/**
+ * A failed authentication or a NAK puts the tag back
+ * in IDLE state, wake it up and select it again
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {number[]} uid
+ * @returns {Promise<void>}
+ */
+const reselect = async (mfrc522, uid) => {
+  await mfrc522.stopCrypto1();
+  if (!await mfrc522.wakeUp() || typeof await mfrc522.selectUid(uid) !== 'number'){
+    throw new Error('The tag left the field');
+  }
+};
+
+/**
+ * Authenticate a sector with the first key that works
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {number[]} uid
+ * @param {number} block
+ * @param {'A'|'B'} keyType
+ * @param {number[][]} keys
+ * @returns {Promise<void|number[]>} the key
+ */
+const authenticateAny = async (mfrc522, uid, block, keyType, keys) => {
+  for (const key of keys){
+    if (await mfrc522.authenticate(block, keyType, key, uid)){
+      return key;
+    }
+    await reselect(mfrc522, uid);
+  }
+};
+
+/**
+ * Read the blocks that are still null, after a NAK
+ * the sector is authenticated again
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {number[]} uid
+ * @param {number} sector
+ * @param {'A'|'B'} keyType
+ * @param {number[]} key authenticated
+ * @param {(number[]|null)[]} blocks
+ * @returns {Promise<void>}
+ */
+const readSectorBlocks = async (mfrc522, uid, sector, keyType, key, blocks) => {
+  const first = getFirstBlock(sector);
+  const trailer = first + blocks.length - 1;
+  for (let i = 0; i < blocks.length; i++){
+    if (blocks[i]){
+      continue;
+    }
+    const data = await mfrc522.readBlock(first + i);
+    if (Array.isArray(data)){
+      blocks[i] = data;
+      continue;
+    }
+    await reselect(mfrc522, uid);
+    if (!await mfrc522.authenticate(trailer, keyType, key, uid)){
+      await reselect(mfrc522, uid);
+      return;
+    }
+  }
+};
+
+/**
+ * Read all sectors of the selected MIFARE Classic tag,
+ * each with the first key A and, for the blocks key A
+ * can not read, the first key B that works
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {import('./card_type.js').TagInfo} tag selected
+ * @param {number[][]} [keys] tried before the known keys
+ * @returns {Promise<CardDump>}
+ */
+const readClassic = async (mfrc522, tag, keys = []) => {
+  const { uid } = tag;
+  const candidates = uniqueKeys([...keys, ...KNOWN_KEYS]);
+  /** @type {SectorDump[]} */
+  const sectors = [];
+
+  for (let sector = 0; sector < getSectorCount(tag.type); sector++){
+    const count = getBlockCount(sector);
+    const trailer = getFirstBlock(sector) + count - 1;
+    /** @type {(number[]|null)[]} */
+    const blocks = new Array(count).fill(null);
+
+    const keyA = await authenticateAny(mfrc522, uid, trailer, 'A', candidates);
+    if (keyA){
+      await readSectorBlocks(mfrc522, uid, sector, 'A', keyA, blocks);
+    }
+    let keyB;
+    if (blocks.includes(null)){
+      keyB = await authenticateAny(mfrc522, uid, trailer, 'B', candidates);
+      if (keyB){
+        await readSectorBlocks(mfrc522, uid, sector, 'B', keyB, blocks);
+      }
+    }
+
+    const trailerData = blocks[count - 1];
+    if (trailerData){
+      const { conditions } = decodeTrailer(trailerData);
+      // readable key B (access conditions 000, 001, 010)
+      if (!keyB && keyA && conditions && [0, 1, 2].includes(conditions[3])){
+        keyB = trailerData.slice(10, 16);
+      }
+      if (keyA){
+        trailerData.splice(0, 6, ...keyA);
+      }
+      if (keyB){
+        trailerData.splice(10, 6, ...keyB);
+      }
+    }
+
+    const read = blocks.filter((block) => block).length;
+    sectors.push({
+      sector,
+      status: !keyA && !keyB ? 'noKey' : read === count ? 'ok' : read ? 'partial' : 'failed',
+      keyA: keyA || null,
+      keyB: keyB || null,
+      blocks,
+    });
+  }
+  return { uid, atqa: tag.atqa, sak: tag.sak, type: tag.type, sectors };
+};
+
+/**
+ * Read all pages of the selected Ultralight / NTAG tag
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {import('./card_type.js').TagInfo} tag selected
+ * @returns {Promise<CardDump>}
+ */
+const readUltralight = async (mfrc522, tag) => {
+  const info = await readUltralightInfo(mfrc522);
+  if (!info){
+    throw new Error('Failed to read the Capability Container and lock bytes');
+  }
+  const { pages: count } = info.type;
+  /** @type {(number[]|null)[]} */
+  const pages = [];
+  for (let page = 0; page < count; page += 4){
+    const data = await mfrc522.readPages(page);
+    for (let i = 0; i < 4 && page + i < count; i++){
+      pages.push(Array.isArray(data) ? data.slice(i * 4, i * 4 + 4) : null);
+    }
+    if (!Array.isArray(data)){
+      await reselect(mfrc522, tag.uid);
+    }
+  }
+  return { uid: tag.uid, atqa: tag.atqa, sak: tag.sak, type: tag.type, pages };
+};
+
+/**
+ * Write a block and read it back
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {number} block
+ * @param {number[]} data
+ * @param {boolean} isTrailer
+ * @param {boolean} force
+ * @returns {Promise<void|string>} the reason of the failure
+ */
+const writeVerified = async (mfrc522, block, data, isTrailer, force) => {
+  const written = isTrailer
+    ? await mfrc522.writeTrailer(block, data, force)
+    : await mfrc522.writeBlock(block, data);
+  if (!written){
+    return `write failed${mfrc522.lastError ? `: ${mfrc522.lastError.message}` : ''}`;
+  }
+  const readBack = await mfrc522.readBlock(block);
+  if (!Array.isArray(readBack)){
+    return 'read back failed';
+  }
+  // the keys of a trailer do not read back
+  if (isTrailer ? !equal(readBack.slice(6, 10), data.slice(6, 10)) : !equal(readBack, data)){
+    return `read back ${toHex(readBack)}`;
+  }
+};
+
+/**
+ * Write the sectors of a dump to the selected MIFARE Classic tag
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {import('./card_type.js').TagInfo} tag selected
+ * @param {CardDump} dump
+ * @param {RestoreOptions} [options]
+ * @returns {Promise<RestoreResult[]>}
+ */
+const restoreClassic = async (mfrc522, tag, dump, options = {}) => {
+  if (!dump.sectors){
+    throw new Error('The dump is not of a MIFARE Classic tag');
+  }
+  const { uid } = tag;
+  /** @type {RestoreResult[]} */
+  const results = [];
+
+  for (const { sector, keyA, keyB, blocks } of dump.sectors){
+    if (sector >= getSectorCount(tag.type)){
+      results.push({ block: getFirstBlock(sector), status: 'skipped', reason: `no sector ${sector} on the tag` });
+      continue;
+    }
+    const first = getFirstBlock(sector);
+    const trailer = first + blocks.length - 1;
+
+    /** @type {{block: number, data: number[], isTrailer: boolean}[]} */
+    const writes = [];
+    blocks.forEach((data, i) => {
+      const block = first + i;
+      const isTrailer = block === trailer;
+      let reason;
+      if (!data){
+        reason = 'not in the dump';
+      } else if (block === 0 && !options.block0){
+        reason = 'manufacturer block';
+      } else if (isTrailer && !options.trailers){
+        reason = 'sector trailer';
+      } else if (isTrailer && (!keyA || !keyB) && !options.force){
+        reason = 'the keys of the sector are not in the dump';
+      } else if (isTrailer && checkTrailer(data) && !options.force){
+        reason = checkTrailer(data);
+      }
+      if (reason){
+        results.push({ block, status: 'skipped', reason });
+      } else if (data){
+        writes.push({ block, data, isTrailer });
+      }
+    });
+    if (!writes.length){
+      continue;
+    }
+
+    // the trailer last, it changes the keys
+    const keys = uniqueKeys([...(options.keys ?? []), keyA, keyB, ...KNOWN_KEYS]);
+    /** @type {'A'|'B'} */
+    let keyType = 'A';
+    let key = await authenticateAny(mfrc522, uid, trailer, keyType, keys);
+    if (!key){
+      keyType = 'B';
+      key = await authenticateAny(mfrc522, uid, trailer, keyType, keys);
+    }
+    if (!key){
+      for (const { block } of writes){
+        results.push({ block, status: 'failed', reason: 'no key worked' });
+      }
+      continue;
+    }
+
+    for (const { block, data, isTrailer } of writes){
+      let reason = await writeVerified(mfrc522, block, data, isTrailer, !!options.force);
+      if (reason && keyType === 'A'){
+        // the access conditions may need key B for the write
+        await reselect(mfrc522, uid);
+        const otherKey = await authenticateAny(mfrc522, uid, trailer, 'B', keys);
+        if (otherKey){
+          keyType = 'B';
+          key = otherKey;
+          reason = await writeVerified(mfrc522, block, data, isTrailer, !!options.force);
+        }
+      }
+      results.push(reason ? { block, status: 'failed', reason } : { block, status: 'written' });
+      if (reason){
+        await reselect(mfrc522, uid);
+        if (!await mfrc522.authenticate(trailer, keyType, key, uid)){
+          await reselect(mfrc522, uid);
+          break;
+        }
+      }
+    }
+  }
+  return results;
+};
+
+/**
+ * Write the pages of a dump to the selected Ultralight / NTAG tag,
+ * the user memory, with force also the lock, OTP and configuration pages
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {import('./card_type.js').TagInfo} tag selected
+ * @param {CardDump} dump
+ * @param {RestoreOptions} [options]
+ * @returns {Promise<RestoreResult[]>}
+ */
+const restoreUltralight = async (mfrc522, tag, dump, options = {}) => {
+  if (!dump.pages){
+    throw new Error('The dump is not of a MIFARE Ultralight or NTAG tag');
+  }
+  const info = await readUltralightInfo(mfrc522);
+  if (!info){
+    throw new Error('Failed to read the Capability Container and lock bytes');
+  }
+  /** @type {RestoreResult[]} */
+  const results = [];
+  for (let page = 0; page < dump.pages.length; page++){
+    const data = dump.pages[page];
+    const reason = !data ? 'not in the dump'
+      : page < 2 ? 'UID'
+      : page >= info.type.pages ? `no page ${page} on the tag`
+      : options.force ? undefined
+      : checkPageWrite(info.type, page, info.locks);
+    if (reason){
+      results.push({ block: page, status: 'skipped', reason });
+      continue;
+    }
+    if (!data){
+      continue;
+    }
+    if (!await mfrc522.writePage(page, data)){
+      results.push({ block: page, status: 'failed', reason: `write failed${mfrc522.lastError ? `: ${mfrc522.lastError.message}` : ''}` });
+      await reselect(mfrc522, tag.uid);
+      continue;
+    }
+    const readBack = await mfrc522.readPages(page);
+    if (!Array.isArray(readBack)){
+      results.push({ block: page, status: 'failed', reason: 'read back failed' });
+      await reselect(mfrc522, tag.uid);
+      continue;
+    }
+    if (!equal(readBack.slice(0, 4), data)){
+      results.push({ block: page, status: 'failed', reason: `read back ${toHex(readBack.slice(0, 4))}` });
+      continue;
+    }
+    results.push({ block: page, status: 'written' });
+  }
+  return results;
+};
+
+/**
+ * @param {CardDump} dump
+ * @returns {string}
+ */
+const dumpToJson = (dump) => {
+  /** @param {number[]|null} bytes */
+  const hex = (bytes) => bytes ? toHex(bytes) : null;
+  return JSON.stringify({
+    format: FORMAT,
+    version: VERSION,
+    uid: toHex(dump.uid),
+    atqa: typeof dump.atqa === 'number' ? dump.atqa.toString(16).padStart(4, '0') : null,
+    sak: dump.sak.toString(16).padStart(2, '0'),
+    type: dump.type,
+    sectors: dump.sectors?.map(({ sector, status, keyA, keyB, blocks }) => ({
+      sector,
+      status,
+      keyA: hex(keyA),
+      keyB: hex(keyB),
+      blocks: blocks.map(hex),
+    })),
+    pages: dump.pages?.map(hex),
+  }, null, 2) + '\n';
+};
+
+/**
+ * @param {string} str
+ * @returns {CardDump}
+ */
+const dumpFromJson = (str) => {
+  const json = JSON.parse(str);
+  if (json?.format !== FORMAT){
+    throw new Error(`Not a ${FORMAT} file`);
+  }
+  if (json.version !== VERSION){
+    throw new Error(`Unsupported ${FORMAT} version: ${json.version}`);
+  }
+  /**
+   * @param {string|null} hex
+   * @param {number} length
+   * @param {string} name
+   */
+  const bytes = (hex, length, name) => hex === null ? null : fromHex(hex, length, name);
+  if (typeof json.uid !== 'string' || ![8, 14, 20].includes(json.uid.length)){
+    throw new Error(`uid must be 4, 7 or 10 hex bytes: ${JSON.stringify(json.uid)}`);
+  }
+  /** @type {CardDump} */
+  const dump = {
+    uid: fromHex(json.uid, json.uid.length / 2, 'uid'),
+    atqa: json.atqa === null ? undefined : parseInt(json.atqa, 16),
+    sak: parseInt(json.sak, 16),
+    type: json.type,
+  };
+  if (Array.isArray(json.sectors)){
+    dump.sectors = json.sectors.map(({ sector, status, keyA, keyB, blocks }) => ({
+      sector,
+      status,
+      keyA: bytes(keyA, 6, `keyA of sector ${sector}`),
+      keyB: bytes(keyB, 6, `keyB of sector ${sector}`),
+      blocks: blocks.map((block, i) => bytes(block, 16, `block ${i} of sector ${sector}`)),
+    }));
+  }
+  if (Array.isArray(json.pages)){
+    dump.pages = json.pages.map((page, i) => bytes(page, 4, `page ${i}`));
+  }
+  if (!dump.sectors && !dump.pages){
+    throw new Error('The dump has no sectors and no pages');
+  }
+  return dump;
+};
+
+/**
+ * The raw memory, unread blocks and pages are zeros
+ * @param {CardDump} dump
+ * @returns {Buffer}
+ */
+const dumpToMfd = (dump) => {
+  if (dump.sectors){
+    return Buffer.from(dump.sectors.flatMap(({ blocks }) => {
+      return blocks.flatMap((block) => block ?? new Array(16).fill(0));
+    }));
+  }
+  return Buffer.from((dump.pages ?? []).flatMap((page) => page ?? [0, 0, 0, 0]));
+};
+
+/**
+ * Read a raw memory dump. 320, 1024 and 4096 bytes
+ * are MIFARE Classic Mini, 1K and 4K, other multiples
+ * of 4 bytes Ultralight / NTAG pages. The UID, ATQA and SAK
+ * come from the manufacturer block or the UID pages.
+ * @param {Buffer|number[]} raw
+ * @returns {CardDump}
+ */
+const dumpFromMfd = (raw) => {
+  const data = [...raw];
+  /** @type {import('./card_type.js').CardType|undefined} */
+  const classicType = data.length === 320 ? 'classicMini'
+    : data.length === 1024 ? 'classic1k'
+    : data.length === 4096 ? 'classic4k'
+    : undefined;
+  if (classicType){
+    /** @type {SectorDump[]} */
+    const sectors = [];
+    for (let sector = 0; sector < getSectorCount(classicType); sector++){
+      const first = getFirstBlock(sector);
+      const blocks = [];
+      for (let block = first; block < first + getBlockCount(sector); block++){
+        blocks.push(data.slice(block * 16, block * 16 + 16));
+      }
+      const trailer = blocks[blocks.length - 1];
+      sectors.push({ sector, status: 'ok', keyA: trailer.slice(0, 6), keyB: trailer.slice(10, 16), blocks });
+    }
+    // 4 byte UID, BCC, SAK, ATQA
+    return { uid: data.slice(0, 4), atqa: data[7] << 8 | data[6], sak: data[5], type: classicType, sectors };
+  }
+  if (!data.length || data.length % 4){
+    throw new Error(`Not a MIFARE Classic or Ultralight dump: ${data.length} bytes`);
+  }
+  /** @type {number[][]} */
+  const pages = [];
+  for (let i = 0; i < data.length; i += 4){
+    pages.push(data.slice(i, i + 4));
+  }
+  // UID0-2, BCC0, UID3-6
+  return { uid: [...data.slice(0, 3), ...data.slice(4, 8)], atqa: 0x0044, sak: 0x00, type: 'ultralight', pages };
+};
+
+export {
+  readClassic,
+  readUltralight,
+  restoreClassic,
+  restoreUltralight,
+  dumpToJson,
+  dumpFromJson,
+  dumpToMfd,
+  dumpFromMfd,
+};
@@ -0,0 +1,683 @@
+// @ts-check
+"use strict";
+
+/**
+ * Register level emulator of the MFRC522
+ *
+ * An object with the same transfer() method as
+ * @eeemarv/io-spi, so it can be given to the MFRC522
+ * driver instead of a SPI device:
+ *
+ *   const emulator = new MFRC522Emulator({
+ *     piccs: [new VirtualPicc({ uid: [0x01, 0x02, 0x03, 0x04] })],
+ *   });
+ *   const mfrc522 = new MFRC522(emulator);
+ *
+ * Modelled:
+ * - the SPI address byte protocol: bit 7 read, bits 6 to 1 the
+ *   register, read bursts and written data bytes to one register
+ * - the register file with reset values, the Set1 / Set2 bits of
+ *   ComIrq and DivIrq, the read-only registers
+ * - the 64 byte FIFO with FIFOLevel, FlushBuffer, BufferOvfl and
+ *   the HiAlert and LoAlert of WaterLevel with their interrupts
+ * - the commands Idle, Mem, GenerateRandomID, CalcCRC (CRC_A with
+ *   the CRCPreset of the Mode register, over the FIFO and the bytes
+ *   written to it while it runs, and the self test of AutoTest
+ *   that gives the PCD_Test data of the version), Transmit,
+ *   Transceive with StartSend, MFAuthent and SoftReset
+ * - TxLastBits and RxAlign of BitFraming, RxLastBits of Control,
+ *   bit collisions in the Coll and Error registers with
+ *   ValuesAfterColl, TimerIRq on no answer when TAuto is set
+ * - the antenna field (TxControl) and the PowerDown bit,
+ *   the PICCs lose their state when the field is off
+ * - the IRQ pin (irqLine) and the NRSTPD pin (nrstpdLine)
+ *
+ * Time advances by AIR_BYTES bytes on the RF interface with each
+ * SPI frame and each read of the IRQ pin. A Transceive takes
+ * the data to send from the FIFO until it is empty, the answer
+ * comes in AIR_BYTES at a time, so frames longer than the FIFO
+ * work when the FIFO is refilled and drained in time.
+ *
+ * Not modelled: the timer counter, parity and
+ * CRC generation in the transmitter and receiver
+ * (TxCRCEn, RxCRCEn), other bit rates than 106 kBd.
+ *
+ * The position in the Coll register is counted from the
+ * first bit of the received frame, RxAlign included.
+ */
+
+import { PCD_Cmd } from '../data/pcd_command.js';
+import { PCD_Reg } from '../data/pcd_reg.js';
+import { PCD_Test } from '../data/pcd_self_test.js';
+import { PICC_Cmd } from '../data/picc_command.js';
+import { VirtualPicc, crcA, bytesToBits, bitsToBytes } from './virtual_picc.js';
+
+/**
+ * Register values after reset
+ * @type {[number, number][]}
+ */
+const RESET_VALUES = [
+  [PCD_Reg.Command, 0x20],
+  [PCD_Reg.ComIEn, 0x80],
+  [PCD_Reg.ComIrq, 0x14],
+  [PCD_Reg.Status1, 0x21],
+  [PCD_Reg.WaterLevel, 0x08],
+  [PCD_Reg.Control, 0x10],
+  [PCD_Reg.Coll, 0xa0],
+  [PCD_Reg.Mode, 0x3f],
+  [PCD_Reg.TxControl, 0x80],
+  [PCD_Reg.TxSel, 0x10],
+  [PCD_Reg.RxSel, 0x84],
+  [PCD_Reg.RxThreshold, 0x84],
+  [PCD_Reg.Demod, 0x4d],
+  [PCD_Reg.MfTx, 0x62],
+  [PCD_Reg.SerialSpeed, 0xeb],
+  [PCD_Reg.CRCResultH, 0xff],
+  [PCD_Reg.CRCResultL, 0xff],
+  [PCD_Reg.ModWidth, 0x26],
+  [PCD_Reg.RFCfg, 0x48],
+  [PCD_Reg.GsN, 0x88],
+  [PCD_Reg.CWGsP, 0x20],
+  [PCD_Reg.ModGsP, 0x20],
+  [PCD_Reg.TestPinEn, 0x80],
+  [PCD_Reg.AutoTest, 0x40],
+];
+
+const READ_ONLY = [
+  PCD_Reg.Error,
+  PCD_Reg.Status1,
+  PCD_Reg.CRCResultH,
+  PCD_Reg.CRCResultL,
+  PCD_Reg.TCounterValueH,
+  PCD_Reg.TCounterValueL,
+  PCD_Reg.Version,
+];
+
+// CRCPreset of the Mode register
+const CRC_PRESET = [0x0000, 0x6363, 0xa671, 0xffff];
+
+// bytes sent or received per SPI frame
+const AIR_BYTES = 4;
+
+/**
+ * An answer being received
+ * @typedef {Object} Reception
+ * @property {number[]} bytes still to come, RxAlign included
+ * @property {number} lastBits valid bits of the last byte
+ * @property {number} collPos 0 without collision
+ */
+
+/**
+ * @typedef {Object} EmulatorOptions
+ * @property {number} [version] content of the Version register, default 0x92
+ * @property {number[]} [selfTestData] 64 bytes of the self test,
+ * default the PCD_Test data of the version
+ * @property {VirtualPicc[]} [piccs] tags in the antenna field
+ */
+
+class MFRC522Emulator {
+  /** @type {number} */
+  version;
+
+  /** @type {number[]} */
+  selfTestData;
+
+  /**
+   * Tags in the antenna field, can be changed
+   * at any time to add or remove tags
+   * @type {VirtualPicc[]}
+   */
+  piccs;
+
+  /** @type {Uint8Array} */
+  regs = new Uint8Array(64);
+
+  /** @type {number[]} */
+  fifo = [];
+
+  /**
+   * Internal buffer of the Mem command
+   * @type {number[]}
+   */
+  #buffer = new Array(25).fill(0);
+
+  /**
+   * Data of the running CalcCRC
+   * @type {number[]}
+   */
+  #crcData = [];
+
+  #fieldOn = false;
+
+  /**
+   * The bytes sent so far during a Transceive
+   * @type {void|number[]}
+   */
+  #tx;
+
+  /** @type {void|Reception} */
+  #rx;
+
+  // HiAlert and LoAlert at the last FIFO change
+  #alerts = 0;
+
+  // NRSTPD high
+  #powered = true;
+
+  /**
+   * The IRQ pin, active low after reset (IRqInv)
+   * Can be given as irq option to the MFRC522 driver.
+   * @type {import('./mfrc522.js').IrqLine}
+   */
+  irqLine;
+
+  /**
+   * The NRSTPD pin
+   * Can be given as nrstpd option to the MFRC522 driver.
+   * @type {import('./mfrc522.js').OutputLine}
+   */
+  nrstpdLine;
+
+  /**
+   * @param {EmulatorOptions} [options]
+   */
+  constructor(options = {}){
+    this.version = options.version ?? 0x92;
+    const reference = Object.values(PCD_Test)
+      .find((test) => test.version === this.version);
+    this.selfTestData = options.selfTestData
+      ?? (reference ? [...reference.data] : new Array(64).fill(0));
+    this.piccs = options.piccs ?? [];
+    this.irqLine = {
+      getValue: () => this.#irqPin(),
+    };
+    this.nrstpdLine = {
+      setValue: (value) => this.#setNrstpd(value),
+    };
+    this.#reset();
+  }
+
+  /**
+   * SPI transfer, compatible with @eeemarv/io-spi
+   * Each transfer is one SPI frame (chip select low).
+   * @param {(Buffer|import('./mfrc522.js').SPITransfer)[]} transfers
+   * @returns {Promise<Buffer[]>}
+   */
+  async transfer(transfers){
+    return transfers.map((transfer) => {
+      const tx = Buffer.isBuffer(transfer) ? transfer : transfer.tx_buf;
+      return this.#frame(tx);
+    });
+  }
+
+  /**
+   * @param {Buffer} tx
+   * @returns {Buffer}
+   */
+  #frame(tx){
+    const rx = Buffer.alloc(tx.length);
+    if (!tx.length || !this.#powered){
+      return rx;
+    }
+    this.#tick();
+    if (tx[0] & 0x80){
+      // read: every byte is the address of the next read,
+      // the byte after the last address is 0x00
+      for (let i = 1; i < tx.length; i++){
+        rx[i] = this.#readReg((tx[i - 1] >> 1) & 0x3f);
+      }
+      return rx;
+    }
+    const addr = (tx[0] >> 1) & 0x3f;
+    for (let i = 1; i < tx.length; i++){
+      this.#writeReg(addr, tx[i]);
+    }
+    return rx;
+  }
+
+  /**
+   * @returns {void}
+   */
+  #reset(){
+    this.regs.fill(0);
+    for (const [addr, value] of RESET_VALUES){
+      this.regs[addr] = value;
+    }
+    this.regs[PCD_Reg.Version] = this.version;
+    this.fifo = [];
+    this.#tx = undefined;
+    this.#rx = undefined;
+    this.#alerts = 0x01;
+    this.#updateField();
+  }
+
+  /**
+   * HiAlert and LoAlert bits of Status1
+   * @returns {number}
+   */
+  #fifoAlerts(){
+    const waterLevel = this.regs[PCD_Reg.WaterLevel] & 0x3f;
+    let alerts = 0;
+    if (64 - this.fifo.length <= waterLevel){
+      alerts |= 0x02;
+    }
+    if (this.fifo.length <= waterLevel){
+      alerts |= 0x01;
+    }
+    return alerts;
+  }
+
+  /**
+   * After a change of the FIFO: HiAlertIRq and LoAlertIRq
+   * are set when HiAlert and LoAlert are set
+   * @returns {void}
+   */
+  #updateAlerts(){
+    const alerts = this.#fifoAlerts();
+    const raised = alerts & ~this.#alerts;
+    // HiAlertIRq bit 3, LoAlertIRq bit 2
+    this.regs[PCD_Reg.ComIrq] |= raised << 2;
+    this.#alerts = alerts;
+  }
+
+  /**
+   * Data on the RF interface: send from the FIFO,
+   * or receive the answer into the FIFO
+   * @returns {void}
+   */
+  #tick(){
+    if (this.#tx){
+      this.#tx.push(...this.fifo.splice(0, AIR_BYTES));
+      this.#updateAlerts();
+      if (!this.fifo.length){
+        // the frame ends when the FIFO is empty
+        const bytes = this.#tx;
+        this.#tx = undefined;
+        this.#transceive(bytes);
+      }
+      return;
+    }
+    if (this.#rx){
+      const rx = this.#rx;
+      for (const b of rx.bytes.splice(0, AIR_BYTES)){
+        if (this.fifo.length >= 64){
+          this.regs[PCD_Reg.Error] |= 0x10;
+          continue;
+        }
+        this.fifo.push(b);
+      }
+      this.#updateAlerts();
+      if (!rx.bytes.length){
+        this.#rx = undefined;
+        this.#endReception(rx);
+      }
+    }
+  }
+
+  /**
+   * @param {number} value
+   * @returns {void}
+   */
+  #setNrstpd(value){
+    if (!value){
+      // hard power-down
+      this.#powered = false;
+      this.#updateField();
+      return;
+    }
+    if (!this.#powered){
+      this.#powered = true;
+      this.#buffer.fill(0);
+      this.#reset();
+    }
+  }
+
+  /**
+   * Level of the IRQ pin
+   * @returns {number}
+   */
+  #irqPin(){
+    if (this.#powered){
+      this.#tick();
+    }
+    const comIEn = this.regs[PCD_Reg.ComIEn];
+    const divIEn = this.regs[PCD_Reg.DivIEn];
+    const pending = (this.regs[PCD_Reg.ComIrq] & comIEn & 0x7f)
+      || (this.regs[PCD_Reg.DivIrq] & divIEn & 0x14);
+    // IRqInv
+    const inverted = !!(comIEn & 0x80);
+    if (!this.#powered){
+      return 0;
+    }
+    return (pending ? 1 : 0) ^ (inverted ? 1 : 0);
+  }
+
+  /**
+   * The field is on when an antenna driver is on
+   * and the MFRC522 is not powered down
+   * @returns {void}
+   */
+  #updateField(){
+    const fieldOn = this.#powered
+      && !!(this.regs[PCD_Reg.TxControl] & 0x03)
+      && !(this.regs[PCD_Reg.Command] & 0x10);
+    if (this.#fieldOn && !fieldOn){
+      for (const picc of this.piccs){
+        picc.powerOff();
+      }
+    }
+    this.#fieldOn = fieldOn;
+  }
+
+  /**
+   * @param {number} addr
+   * @returns {number}
+   */
+  #readReg(addr){
+    switch (addr){
+      case PCD_Reg.FIFOData: {
+        const value = this.fifo.shift() ?? 0;
+        this.#updateAlerts();
+        return value;
+      }
+      case PCD_Reg.FIFOLevel:
+        return this.fifo.length;
+      case PCD_Reg.Status1:
+        return (this.regs[PCD_Reg.Status1] & ~0x03) | this.#fifoAlerts();
+    }
+    return this.regs[addr];
+  }
+
+  /**
+   * @param {number} addr
+   * @param {number} value
+   * @returns {void}
+   */
+  #writeReg(addr, value){
+    if (READ_ONLY.includes(addr)){
+      return;
+    }
+    switch (addr){
+      case PCD_Reg.Command:
+        this.#writeCommand(value);
+        this.#updateAlerts();
+        return;
+      case PCD_Reg.ComIrq:
+      case PCD_Reg.DivIrq:
+        // Set1 / Set2: set or clear the marked bits
+        if (value & 0x80){
+          this.regs[addr] |= value & 0x7f;
+        } else {
+          this.regs[addr] &= ~value;
+        }
+        return;
+      case PCD_Reg.FIFOData:
+        if ((this.regs[PCD_Reg.Command] & 0x0f) === PCD_Cmd.CalcCRC
+          && (this.regs[PCD_Reg.AutoTest] & 0x0f) !== 0x09){
+          // the running CalcCRC takes the byte
+          this.#crcData.push(value);
+          this.#crcResult();
+          return;
+        }
+        if (this.fifo.length >= 64){
+          this.regs[PCD_Reg.Error] |= 0x10;
+          return;
+        }
+        this.fifo.push(value);
+        this.#updateAlerts();
+        return;
+      case PCD_Reg.FIFOLevel:
+        if (value & 0x80){
+          this.fifo = [];
+          this.regs[PCD_Reg.Error] &= ~0x10;
+          this.#updateAlerts();
+        }
+        return;
+      case PCD_Reg.Coll:
+        this.regs[addr] = (this.regs[addr] & 0x7f) | (value & 0x80);
+        return;
+      case PCD_Reg.Status2:
+        // only MFCrypto1On can be cleared, and the test bits
+        this.regs[addr] = (this.regs[addr] & 0x08 & value) | (value & 0xc0);
+        return;
+      case PCD_Reg.BitFraming:
+        this.regs[addr] = value;
+        if ((value & 0x80) && (this.regs[PCD_Reg.Command] & 0x0f) === PCD_Cmd.Transceive
+          && !this.#tx && !this.#rx){
+          // StartSend
+          this.regs[PCD_Reg.Error] = 0;
+          this.#tx = [];
+        }
+        return;
+      case PCD_Reg.TxControl:
+        this.regs[addr] = value;
+        this.#updateField();
+        return;
+    }
+    this.regs[addr] = value;
+  }
+
+  /**
+   * @param {number} value
+   * @returns {void}
+   */
+  #writeCommand(value){
+    const cmd = value & 0x0f;
+    // RcvOff and PowerDown
+    const flags = value & 0x30;
+
+    if (cmd === PCD_Cmd.SoftReset){
+      this.#reset();
+      return;
+    }
+    if (cmd === PCD_Cmd.NoCmdChange){
+      this.regs[PCD_Reg.Command] = (this.regs[PCD_Reg.Command] & 0x0f) | flags;
+      this.#updateField();
+      return;
+    }
+    this.regs[PCD_Reg.Command] = cmd | flags;
+    // a new command stops a running Transceive
+    this.#tx = undefined;
+    this.#rx = undefined;
+    this.#updateField();
+
+    switch (cmd){
+      case PCD_Cmd.Idle:
+      case PCD_Cmd.Receive:
+        return;
+      case PCD_Cmd.Mem:
+        if (this.fifo.length >= 25){
+          this.#buffer = this.fifo.splice(0, 25);
+        } else if (!this.fifo.length){
+          this.fifo.push(...this.#buffer);
+        }
+        this.#idle();
+        return;
+      case PCD_Cmd.GenerateRandomID:
+        for (let i = 0; i < 10; i++){
+          this.#buffer[i] = Math.floor(Math.random() * 256);
+        }
+        this.#idle();
+        return;
+      case PCD_Cmd.CalcCRC:
+        this.#calcCRC();
+        return;
+      case PCD_Cmd.Transmit:
+        this.#send(this.fifo.splice(0), false);
+        this.#idle();
+        return;
+      case PCD_Cmd.Transceive:
+        // waits for StartSend
+        return;
+      case PCD_Cmd.MFAuthent:
+        this.#mfAuthent();
+        return;
+    }
+  }
+
+  /**
+   * The command ended by itself, IdleIRq
+   * @returns {void}
+   */
+  #idle(){
+    this.regs[PCD_Reg.Command] &= 0x30;
+    this.regs[PCD_Reg.ComIrq] |= 0x10;
+  }
+
+  /**
+   * CalcCRC, the self test when enabled in AutoTest
+   * The command stays active until Idle.
+   * @returns {void}
+   */
+  #calcCRC(){
+    if ((this.regs[PCD_Reg.AutoTest] & 0x0f) === 0x09){
+      this.fifo = [...this.selfTestData];
+      this.regs[PCD_Reg.DivIrq] |= 0x04;
+      return;
+    }
+    this.#crcData = this.fifo.splice(0);
+    this.#crcResult();
+  }
+
+  /**
+   * CRC of the data given to CalcCRC so far
+   * @returns {void}
+   */
+  #crcResult(){
+    const preset = CRC_PRESET[this.regs[PCD_Reg.Mode] & 0x03];
+    const [lsb, msb] = crcA(this.#crcData, preset);
+    this.regs[PCD_Reg.CRCResultL] = lsb;
+    this.regs[PCD_Reg.CRCResultH] = msb;
+    // CRCReady
+    this.regs[PCD_Reg.Status1] |= 0x20;
+    this.regs[PCD_Reg.DivIrq] |= 0x04;
+  }
+
+  /**
+   * Send a frame to the PICCs in the field
+   * @param {number[]} bytes
+   * @param {boolean} receive
+   * @returns {void|number[][]} the answers in bits
+   */
+  #send(bytes, receive){
+    const txLastBits = this.regs[PCD_Reg.BitFraming] & 0x07;
+    this.regs[PCD_Reg.Error] = 0;
+    // TxIRq
+    this.regs[PCD_Reg.ComIrq] |= 0x40;
+    if (!this.#fieldOn || !bytes.length){
+      return;
+    }
+    const bits = bytesToBits(bytes, txLastBits);
+    const crypto1 = !!(this.regs[PCD_Reg.Status2] & 0x08);
+    const answers = [];
+    for (const picc of this.piccs){
+      const answer = picc.receive(bits, crypto1);
+      if (receive && answer && answer.length){
+        answers.push(answer);
+      }
+    }
+    return answers;
+  }
+
+  /**
+   * The frame of a Transceive is sent, the answers of all PICCs
+   * are received together: where they differ is a collision
+   * @param {number[]} sent
+   * @returns {void}
+   */
+  #transceive(sent){
+    const answers = this.#send(sent, true);
+
+    if (!answers || !answers.length){
+      // TimerIRq when the timer starts at the end of the transmission
+      if (this.regs[PCD_Reg.TMode] & 0x80){
+        this.regs[PCD_Reg.ComIrq] |= 0x01;
+      }
+      return;
+    }
+
+    const length = Math.max(...answers.map((answer) => answer.length));
+    /** @type {number[]} */
+    const bits = [];
+    let collision = -1;
+    for (let i = 0; i < length; i++){
+      const values = answers
+        .filter((answer) => i < answer.length)
+        .map((answer) => answer[i]);
+      if (collision < 0 && values.some((value) => value !== values[0])){
+        collision = i;
+      }
+      // ValuesAfterColl = 0: the bits from the collision on are cleared
+      if (collision >= 0 && !(this.regs[PCD_Reg.Coll] & 0x80)){
+        bits.push(0);
+        continue;
+      }
+      bits.push(values.reduce((a, b) => a | b, 0));
+    }
+
+    const rxAlign = (this.regs[PCD_Reg.BitFraming] >> 4) & 0x07;
+    this.#rx = {
+      bytes: bitsToBytes([...new Array(rxAlign).fill(0), ...bits]),
+      lastBits: (rxAlign + bits.length) & 0x07,
+      collPos: collision >= 0 ? rxAlign + collision + 1 : 0,
+    };
+  }
+
+  /**
+   * The whole answer is in the FIFO, or lost in an overflow
+   * @param {Reception} rx
+   * @returns {void}
+   */
+  #endReception(rx){
+    this.regs[PCD_Reg.Control] = (this.regs[PCD_Reg.Control] & ~0x07) | rx.lastBits;
+
+    if (rx.collPos){
+      this.regs[PCD_Reg.Error] |= 0x08;
+      this.regs[PCD_Reg.Coll] = (this.regs[PCD_Reg.Coll] & 0x80)
+        | (rx.collPos > 32 ? 0x20 : rx.collPos & 0x1f);
+    } else {
+      // CollPosNotValid
+      this.regs[PCD_Reg.Coll] = (this.regs[PCD_Reg.Coll] & 0x80) | 0x20;
+    }
+
+    // RxIRq, ErrIRq
+    this.regs[PCD_Reg.ComIrq] |= 0x20;
+    if (this.regs[PCD_Reg.Error]){
+      this.regs[PCD_Reg.ComIrq] |= 0x02;
+    }
+  }
+
+  /**
+   * MFAuthent with the authentication command,
+   * block address, 6 byte key and 4 UID bytes in the FIFO
+   * @returns {void}
+   */
+  #mfAuthent(){
+    const data = this.fifo.splice(0);
+    this.regs[PCD_Reg.Error] = 0;
+    if (data.length < 12 || !this.#fieldOn){
+      this.regs[PCD_Reg.Error] |= 0x01;
+      this.regs[PCD_Reg.ComIrq] |= 0x02;
+      this.#idle();
+      return;
+    }
+    const [cmd, block] = data;
+    const key = data.slice(2, 8);
+    const uid4 = data.slice(8, 12);
+    const picc = this.piccs.find((p) => p.state === 'active'
+      && p.uid.slice(-4).every((b, i) => b === uid4[i]));
+    if (!picc || ![PICC_Cmd.MF_AUTH_KEY_A, PICC_Cmd.MF_AUTH_KEY_B].includes(cmd)
+      || !picc.authenticate(cmd, block, key)){
+      // the tag does not answer, the command keeps running
+      if (this.regs[PCD_Reg.TMode] & 0x80){
+        this.regs[PCD_Reg.ComIrq] |= 0x01;
+      }
+      return;
+    }
+    // MFCrypto1On
+    this.regs[PCD_Reg.Status2] |= 0x08;
+    this.#idle();
+  }
+}
+
+export { MFRC522Emulator };
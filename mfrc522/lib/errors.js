@@ -0,0 +1,244 @@
+// @ts-check
+"use strict";
+
+/**
+ * Typed errors of the communication with a tag
+ *
+ * The driver methods return nothing or false when an exchange
+ * with a tag fails, the reason is in mfrc522.lastError.
+ * Each error has a category, so failures can be counted:
+ * - timeout, collision, parity, protocol, crc and nak come from
+ *   the RF side: a weak field, bad antenna tuning, several tags
+ * - pcdTimeout, bufferOverflow, bufferUnderflow, temperature and write
+ *   point to the MFRC522 or the SPI wiring: commands that do not finish,
+ *   register contents that make no sense, a FIFO that is not
+ *   drained or refilled in time
+ * - auth: MIFARE Classic authentication failed, usually a wrong key
+ */
+
+import { PCD_Error } from '../data/pcd_error.js';
+
+/**
+ * @typedef {'timeout'|'pcdTimeout'|'bufferOverflow'|'bufferUnderflow'|'collision'|'crc'|'parity'
+ *   |'protocol'|'temperature'|'write'|'nak'|'auth'} ErrorCategory
+ */
+
+class MFRC522Error extends Error {
+  /** @type {ErrorCategory} */
+  category;
+
+  /**
+   * Content of the Error register, 0 when not read
+   * @type {number}
+   */
+  errorReg;
+
+  /**
+   * @param {string} message
+   * @param {ErrorCategory} category
+   * @param {number} [errorReg]
+   */
+  constructor(message, category, errorReg = 0){
+    super(message);
+    this.name = new.target.name;
+    this.category = category;
+    this.errorReg = errorReg;
+  }
+}
+
+/**
+ * No answer from the tag before the timer of the MFRC522 ran out
+ */
+class TimeoutError extends MFRC522Error {
+  /**
+   * @param {string} [message]
+   */
+  constructor(message = 'No answer from the tag'){
+    super(message, 'timeout');
+  }
+}
+
+/**
+ * The MFRC522 did not signal the end of a command,
+ * not even with its timer
+ */
+class PcdTimeoutError extends MFRC522Error {
+  /**
+   * @param {string} [message]
+   */
+  constructor(message = 'The MFRC522 did not finish the command'){
+    super(message, 'pcdTimeout');
+  }
+}
+
+class BufferOverflowError extends MFRC522Error {
+  /**
+   * @param {number} [errorReg]
+   */
+  constructor(errorReg = PCD_Error.BufferOvfl){
+    super('FIFO buffer overflow, received data was lost', 'bufferOverflow', errorReg);
+  }
+}
+
+/**
+ * The FIFO ran empty before the whole frame was written
+ * to it, the MFRC522 ended the frame early
+ */
+class BufferUnderflowError extends MFRC522Error {
+  constructor(){
+    super('FIFO buffer underflow, the frame was cut off', 'bufferUnderflow');
+  }
+}
+
+class CollisionError extends MFRC522Error {
+  /**
+   * Position (1 to 32) of the first collided bit,
+   * undefined when the position is not valid
+   * @type {number|undefined}
+   */
+  collPos;
+
+  /**
+   * @param {number} [errorReg]
+   * @param {number} [collPos]
+   */
+  constructor(errorReg = PCD_Error.CollErr, collPos){
+    super(
+      typeof collPos === 'number' ? `Bit collision at bit ${collPos}` : 'Bit collision',
+      'collision',
+      errorReg
+    );
+    this.collPos = collPos;
+  }
+}
+
+/**
+ * A CRC_A or BCC check of the received data failed
+ */
+class CrcError extends MFRC522Error {
+  /**
+   * @param {string} [message]
+   * @param {number} [errorReg]
+   */
+  constructor(message = 'CRC check failed', errorReg = 0){
+    super(message, 'crc', errorReg);
+  }
+}
+
+class ParityError extends MFRC522Error {
+  /**
+   * @param {number} [errorReg]
+   */
+  constructor(errorReg = PCD_Error.ParityErr){
+    super('Parity check failed', 'parity', errorReg);
+  }
+}
+
+/**
+ * Framing error reported by the MFRC522, or an answer
+ * of the tag with an unexpected length
+ */
+class ProtocolError extends MFRC522Error {
+  /**
+   * @param {string} [message]
+   * @param {number} [errorReg]
+   */
+  constructor(message = 'Protocol error', errorReg = 0){
+    super(message, 'protocol', errorReg);
+  }
+}
+
+class TemperatureError extends MFRC522Error {
+  /**
+   * @param {number} [errorReg]
+   */
+  constructor(errorReg = PCD_Error.TempErr){
+    super('Overheating, the antenna drivers are switched off', 'temperature', errorReg);
+  }
+}
+
+class WriteError extends MFRC522Error {
+  /**
+   * @param {number} [errorReg]
+   */
+  constructor(errorReg = PCD_Error.WrErr){
+    super('Data written to the FIFO at the wrong time', 'write', errorReg);
+  }
+}
+
+/**
+ * The tag answered with a 4 bit NAK
+ */
+class NakError extends MFRC522Error {
+  /** @type {number} */
+  nak;
+
+  /**
+   * @param {number} nak
+   */
+  constructor(nak){
+    super(`NAK 0x${nak.toString(16)}`, 'nak');
+    this.nak = nak;
+  }
+}
+
+class AuthError extends MFRC522Error {
+  /**
+   * @param {string} [message]
+   * @param {number} [errorReg]
+   */
+  constructor(message = 'Authentication failed', errorReg = 0){
+    super(message, 'auth', errorReg);
+  }
+}
+
+/**
+ * Decode the Error register, the most severe
+ * error first: the ones that make the received
+ * data useless before the collision.
+ * @param {number} errorReg
+ * @returns {MFRC522Error[]}
+ */
+const decodeError = (errorReg) => {
+  /** @type {MFRC522Error[]} */
+  const errors = [];
+  if (errorReg & PCD_Error.TempErr){
+    errors.push(new TemperatureError(errorReg));
+  }
+  if (errorReg & PCD_Error.WrErr){
+    errors.push(new WriteError(errorReg));
+  }
+  if (errorReg & PCD_Error.BufferOvfl){
+    errors.push(new BufferOverflowError(errorReg));
+  }
+  if (errorReg & PCD_Error.ProtocolErr){
+    errors.push(new ProtocolError('Protocol error (SOF)', errorReg));
+  }
+  if (errorReg & PCD_Error.ParityErr){
+    errors.push(new ParityError(errorReg));
+  }
+  if (errorReg & PCD_Error.CRCErr){
+    errors.push(new CrcError('CRC check failed', errorReg));
+  }
+  if (errorReg & PCD_Error.CollErr){
+    errors.push(new CollisionError(errorReg));
+  }
+  return errors;
+};
+
+export {
+  MFRC522Error,
+  TimeoutError,
+  PcdTimeoutError,
+  BufferOverflowError,
+  BufferUnderflowError,
+  CollisionError,
+  CrcError,
+  ParityError,
+  ProtocolError,
+  TemperatureError,
+  WriteError,
+  NakError,
+  AuthError,
+  decodeError,
+};
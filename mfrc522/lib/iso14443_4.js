@@ -0,0 +1,461 @@
+// @ts-check
+"use strict";
+
+/**
+ * ISO/IEC 14443-4 (T=CL) half-duplex block transmission protocol
+ * for tags with SAK bit 0x20 set (DESFire, JavaCard, ...).
+ *
+ * After the selection, RATS activates the protocol and
+ * the tag answers with the ATS (Answer To Select).
+ * APDUs are sent in I-blocks, chained when they are longer
+ * than the frame size of the tag (FSC). R-blocks acknowledge
+ * chained blocks, S-blocks handle waiting time extensions (WTX)
+ * and DESELECT. The block number toggles with each
+ * acknowledged block.
+ *
+ * When the ATS allows it, PPS (Protocol and Parameter Selection)
+ * raises the bit rate up to maxBitRate: 212, 424 or 848 kbit/s.
+ * When an APDU fails at a higher bit rate, the tag is reset
+ * by switching the field off and activated again one step lower.
+ *
+ * No CID and NAD are used.
+ */
+
+import { setTimeout } from 'timers/promises';
+import { PICC_Cmd } from '../data/picc_command.js';
+import { PCD_Reg } from '../data/pcd_reg.js';
+import { BIT_RATES } from './mfrc522.js';
+
+// FSDI / FSCI to frame size in bytes
+const FRAME_SIZE = [16, 24, 32, 40, 48, 64, 96, 128, 256];
+
+// Frame size of the reader: FSDI 8, 256 bytes, frames longer
+// than the FIFO are drained during the reception
+const FSDI = 8;
+
+// 1 etu * 256 * 16 / fc
+const FWT_UNIT_US = 4096 / 13.56;
+
+// the reader waits FWT + ΔFWT (49152 / fc) for an answer
+const FWT_DELTA_US = 49152 / 13.56;
+
+// FWT of RATS and of the blocks before the ATS (FWI 4, about 4.8 ms)
+const ACTIVATION_FWT_US = FWT_UNIT_US * (1 << 4);
+
+// FWI 14, about 4.9 s, also the limit of a waiting time extension
+const MAX_FWT_US = FWT_UNIT_US * (1 << 14);
+
+// field off time to reset the tag before it is activated again
+const FIELD_RESET_MS = 5;
+
+const PCB = {
+  I: 0x02,
+  R_ACK: 0xa2,
+  R_NAK: 0xb2,
+  S_DESELECT: 0xc2,
+  S_WTX: 0xf2,
+  CHAINING: 0x10,
+};
+
+/**
+ * @typedef {Object} ATS
+ * @property {number[]} raw the ATS without CRC
+ * @property {number} fsci
+ * @property {number} fsc max frame size the tag accepts
+ * @property {number|undefined} ta bit rate capabilities
+ * @property {number} fwi
+ * @property {number} fwt frame waiting time in µs
+ * @property {number} sfgi
+ * @property {number} sfgt start-up frame guard time in µs
+ * @property {boolean} nadSupported
+ * @property {boolean} cidSupported
+ * @property {number[]} historical historical bytes
+ */
+
+/**
+ * Parse the ATS
+ * Absent interface bytes get their default values.
+ * @param {number[]} raw ATS without CRC, starting with TL
+ * @returns {ATS}
+ */
+const parseAts = (raw) => {
+  const tl = raw[0];
+  if (tl !== raw.length || tl < 1){
+    throw new RangeError(`Invalid ATS length byte: ${tl}`);
+  }
+  let fsci = 2;
+  let ta;
+  let fwi = 4;
+  let sfgi = 0;
+  let tc = 0x02;
+  let i = 1;
+  if (tl > 1){
+    const t0 = raw[i++];
+    fsci = t0 & 0x0f;
+    if (t0 & 0x10){
+      ta = raw[i++];
+    }
+    if (t0 & 0x20){
+      const tb = raw[i++];
+      fwi = tb >> 4;
+      sfgi = tb & 0x0f;
+    }
+    if (t0 & 0x40){
+      tc = raw[i++];
+    }
+  }
+  // RFU values
+  if (fsci > 8){
+    fsci = 8;
+  }
+  if (fwi > 14){
+    fwi = 4;
+  }
+  if (sfgi > 14){
+    sfgi = 0;
+  }
+  return {
+    raw,
+    fsci,
+    fsc: FRAME_SIZE[fsci],
+    ta,
+    fwi,
+    fwt: Math.round(FWT_UNIT_US * (1 << fwi)),
+    sfgi,
+    sfgt: sfgi ? Math.round(FWT_UNIT_US * (1 << sfgi)) : 0,
+    nadSupported: !!(tc & 0x01),
+    cidSupported: !!(tc & 0x02),
+    historical: raw.slice(i),
+  };
+};
+
+/**
+ * @typedef {import('./mfrc522.js').BitRate} BitRate
+ */
+
+/**
+ * The bit rates the tag supports by the TA byte of the ATS,
+ * 106 kbit/s always. tx is from the reader to the tag (DR),
+ * rx from the tag to the reader (DS).
+ * @param {number|undefined} ta
+ * @returns {{tx: BitRate[], rx: BitRate[], sameRate: boolean}}
+ * sameRate: the tag needs the same bit rate in both directions
+ */
+const getBitRates = (ta = 0) => {
+  /** @type {BitRate[]} */
+  const tx = [106];
+  /** @type {BitRate[]} */
+  const rx = [106];
+  // b1 to b3 DR 212, 424, 848, b5 to b7 DS 212, 424, 848
+  for (let i = 1; i < BIT_RATES.length; i++){
+    if (ta & (1 << (i - 1))){
+      tx.push(BIT_RATES[i]);
+    }
+    if (ta & (1 << (i + 3))){
+      rx.push(BIT_RATES[i]);
+    }
+  }
+  return { tx, rx, sameRate: !!(ta & 0x80) };
+};
+
+/**
+ * Tags with SAK bit 6 (0x20) set support ISO 14443-4
+ * @param {number} sak
+ * @returns {boolean}
+ */
+const isIso14443_4 = (sak) => {
+  return (sak & 0x20) === 0x20;
+};
+
+/**
+ * @typedef {Object} IsoDepOptions
+ * @property {number[]} [uid] to activate the tag again after a failed
+ * PPS or a failure at a higher bit rate, without it there is no fall back
+ * @property {BitRate} [maxBitRate] highest bit rate negotiated
+ * with PPS, default 106 kbit/s (no PPS)
+ */
+
+class IsoDep {
+  /** @type {import('./mfrc522.js').MFRC522} */
+  mfrc522;
+
+  /** @type {void|ATS} */
+  ats;
+
+  /** @type {void|number[]} */
+  uid;
+
+  /**
+   * Lowered by one step on each fall back
+   * @type {BitRate}
+   */
+  maxBitRate;
+
+  #blockNumber = 0;
+
+  /**
+   * @param {import('./mfrc522.js').MFRC522} mfrc522 with a selected tag
+   * @param {IsoDepOptions} [options]
+   */
+  constructor(mfrc522, options = {}){
+    const { uid, maxBitRate = 106 } = options;
+    if (!BIT_RATES.includes(maxBitRate)){
+      throw new RangeError(`maxBitRate must be 106, 212, 424 or 848: ${JSON.stringify(maxBitRate)}`);
+    }
+    this.mfrc522 = mfrc522;
+    this.uid = uid;
+    this.maxBitRate = maxBitRate;
+  }
+
+  /**
+   * Frame waiting time of the tag, from the ATS once it is received
+   * @returns {number} µs
+   */
+  #fwt(){
+    return this.ats ? this.ats.fwt : ACTIVATION_FWT_US;
+  }
+
+  /**
+   * Send a frame with CRC_A and return the
+   * received frame without CRC
+   * @param {number[]} frame
+   * @param {number} [fwt] frame waiting time in µs, default the FWT of the tag
+   * @returns {Promise<void|number[]>} nothing on timeout or transmission error
+   */
+  async #exchange(frame, fwt = this.#fwt()){
+    const crc = await this.mfrc522.calcCRC(frame);
+    if (!Array.isArray(crc)){
+      return;
+    }
+    await this.mfrc522.write([[PCD_Reg.BitFraming, 0x00]]);
+    const { success, data, bitSize } = await this.mfrc522.transeive([...frame, ...crc], fwt + FWT_DELTA_US);
+    if (!success || bitSize % 8 || data.length < 3){
+      return;
+    }
+    const payload = data.slice(0, -2);
+    const rxCrc = await this.mfrc522.calcCRC(payload);
+    if (!Array.isArray(rxCrc) || rxCrc[0] != data[data.length - 2] || rxCrc[1] != data[data.length - 1]){
+      this.mfrc522.debug('ISO-DEP CRC error');
+      return;
+    }
+    return payload;
+  }
+
+  /**
+   * Send a block, on a transmission error ask the tag
+   * to send its answer again with R(NAK). When the tag
+   * answers the R(NAK) with R(ACK), it did not get
+   * the block and the block is sent again.
+   * @param {number[]} block
+   * @param {number} [fwt] frame waiting time in µs, default the FWT of the tag
+   * @returns {Promise<number[]>}
+   */
+  async #sendBlock(block, fwt = this.#fwt()){
+    let frame = block;
+    for (let retry = 0; retry < 3; retry++){
+      const resp = await this.#exchange(frame, fwt);
+      if (!resp){
+        frame = [PCB.R_NAK | this.#blockNumber];
+        continue;
+      }
+      if (frame !== block && (resp[0] & 0xf6) === PCB.R_ACK && (resp[0] & 0x01) !== this.#blockNumber){
+        frame = block;
+        continue;
+      }
+      return resp;
+    }
+    throw new Error('ISO-DEP: no valid answer from the tag');
+  }
+
+  /**
+   * Send a block and answer the waiting time extension
+   * requests of the tag until it sends another block.
+   * The FWT is multiplied by WTXM for the answer to S(WTX).
+   * @param {number[]} block
+   * @returns {Promise<number[]>}
+   */
+  async #sendBlockWtx(block){
+    let resp = await this.#sendBlock(block);
+    while ((resp[0] & 0xf7) === PCB.S_WTX){
+      const wtxm = resp[1] & 0x3f;
+      this.mfrc522.debug(`ISO-DEP WTX ${wtxm}`);
+      resp = await this.#sendBlock([PCB.S_WTX, wtxm], Math.min(this.#fwt() * wtxm, MAX_FWT_US));
+    }
+    return resp;
+  }
+
+  /**
+   * Send RATS and parse the ATS
+   * The tag must be selected and have SAK bit 0x20.
+   * With maxBitRate above 106 kbit/s, PPS follows
+   * when the tag supports a higher bit rate. When PPS
+   * fails the tag is activated again without PPS if the
+   * UID is known, else the MFRC522 stays at 106 kbit/s.
+   * @returns {Promise<ATS>}
+   */
+  async rats(){
+    const resp = await this.#exchange([PICC_Cmd.RATS, (FSDI << 4) | 0x00]);
+    if (!resp){
+      throw new Error('No ATS received');
+    }
+    this.ats = parseAts(resp);
+    this.#blockNumber = 0;
+    if (this.ats.sfgt){
+      await setTimeout(Math.ceil(this.ats.sfgt / 1000));
+    }
+    if (this.maxBitRate > 106 && !await this.pps(this.maxBitRate)){
+      // without the answer it is not known if the tag switched,
+      // with the UID the tag is activated again at 106 kbit/s
+      this.mfrc522.debug('ISO-DEP PPS failed');
+      this.maxBitRate = 106;
+      if (this.uid){
+        return await this.#activate();
+      }
+      await this.mfrc522.setBitRate(106);
+    }
+    return this.ats;
+  }
+
+  /**
+   * Select with PPS the highest bit rates up to maxBitRate
+   * the tag supports, then set them on the MFRC522.
+   * Only right after the ATS.
+   * @param {BitRate} maxBitRate
+   * @returns {Promise<boolean>} false when the tag did not confirm
+   */
+  async pps(maxBitRate){
+    if (!this.ats){
+      throw new Error('Call rats() before pps()');
+    }
+    const supported = getBitRates(this.ats.ta);
+    /** @param {BitRate[]} rates */
+    const highest = (rates) => BIT_RATES.indexOf(rates.filter((rate) => rate <= maxBitRate).pop() ?? 106);
+    let dri = highest(supported.tx);
+    let dsi = highest(supported.rx);
+    if (supported.sameRate){
+      dri = dsi = Math.min(dri, dsi);
+    }
+    if (!dri && !dsi){
+      return true;
+    }
+    // PPS0: PPS1 follows
+    const resp = await this.#exchange([PICC_Cmd.PPS, 0x11, (dsi << 2) | dri]);
+    if (!resp || resp[0] !== PICC_Cmd.PPS){
+      return false;
+    }
+    await this.mfrc522.setBitRate(BIT_RATES[dri], BIT_RATES[dsi]);
+    return true;
+  }
+
+  /**
+   * Reset the tag by switching the field off,
+   * then wake up, select and activate it again
+   * @returns {Promise<ATS>}
+   */
+  async #activate(){
+    if (!this.uid){
+      throw new Error('ISO-DEP: the UID is needed to activate the tag again');
+    }
+    this.ats = undefined;
+    await this.mfrc522.antennaOff();
+    await setTimeout(FIELD_RESET_MS);
+    // field on at 106 kbit/s
+    await this.mfrc522.initRegs();
+    await setTimeout(FIELD_RESET_MS);
+    if (!await this.mfrc522.wakeUp() || typeof await this.mfrc522.selectUid(this.uid) !== 'number'){
+      throw new Error('ISO-DEP: the tag did not answer after the field reset');
+    }
+    return await this.rats();
+  }
+
+  /**
+   * Send an APDU and return the response APDU
+   * (data followed by SW1 SW2)
+   * When it fails above 106 kbit/s and the UID is known, the
+   * tag is activated again one bit rate lower and the error is
+   * thrown: the state of the tag (e.g. the selected application)
+   * is lost, the APDU is not sent again.
+   * @param {number[]|Buffer} bytes
+   * @returns {Promise<number[]>}
+   */
+  async transmitApdu(bytes){
+    if (!this.ats){
+      throw new Error('Call rats() before transmitApdu()');
+    }
+    const apdu = [...bytes];
+    if (!apdu.length){
+      throw new RangeError('The APDU is empty');
+    }
+    const { tx, rx } = this.mfrc522.bitRate;
+    try {
+      return await this.#transmit(apdu, this.ats);
+    } catch (err) {
+      if (!this.uid || (tx === 106 && rx === 106)){
+        throw err;
+      }
+      this.maxBitRate = BIT_RATES[Math.max(BIT_RATES.indexOf(tx), BIT_RATES.indexOf(rx)) - 1];
+      this.mfrc522.debug(`ISO-DEP fall back to ${this.maxBitRate} kbit/s`);
+      await this.#activate();
+      throw new Error(`${err.message}, activated again at ${this.maxBitRate} kbit/s`);
+    }
+  }
+
+  /**
+   * @param {number[]} apdu
+   * @param {ATS} ats
+   * @returns {Promise<number[]>}
+   */
+  async #transmit(apdu, ats){
+    // PCB and CRC
+    const chunkSize = ats.fsc - 3;
+
+    let resp = [];
+    for (let offset = 0; offset < apdu.length; offset += chunkSize){
+      const chaining = offset + chunkSize < apdu.length;
+      const pcb = PCB.I | (chaining ? PCB.CHAINING : 0) | this.#blockNumber;
+      resp = await this.#sendBlockWtx([pcb, ...apdu.slice(offset, offset + chunkSize)]);
+      if (!chaining){
+        break;
+      }
+      if ((resp[0] & 0xf6) !== PCB.R_ACK || (resp[0] & 0x01) !== this.#blockNumber){
+        throw new Error(`ISO-DEP: expected R(ACK), got PCB 0x${resp[0].toString(16)}`);
+      }
+      this.#blockNumber ^= 1;
+    }
+
+    /** @type {number[]} */
+    const response = [];
+    for (;;){
+      if ((resp[0] & 0xe2) !== PCB.I){
+        throw new Error(`ISO-DEP: expected I-block, got PCB 0x${resp[0].toString(16)}`);
+      }
+      if ((resp[0] & 0x01) !== this.#blockNumber){
+        throw new Error('ISO-DEP: wrong block number');
+      }
+      this.#blockNumber ^= 1;
+      response.push(...resp.slice(1));
+      if (!(resp[0] & PCB.CHAINING)){
+        break;
+      }
+      resp = await this.#sendBlockWtx([PCB.R_ACK | this.#blockNumber]);
+    }
+
+    if (response.length < 2){
+      throw new Error('ISO-DEP: response without status words');
+    }
+    return response;
+  }
+
+  /**
+   * Send S(DESELECT), the tag goes to HALT state
+   * @returns {Promise<boolean>} the tag confirmed
+   */
+  async deselect(){
+    const resp = await this.#exchange([PCB.S_DESELECT]);
+    this.ats = undefined;
+    await this.mfrc522.setBitRate(106);
+    return !!resp && (resp[0] & 0xf7) === PCB.S_DESELECT;
+  }
+}
+
+export { IsoDep, parseAts, getBitRates, isIso14443_4 };
@@ -0,0 +1,2072 @@
+// @ts-check
+"use strict";
+
+/**
+ * MFRC522 driver
+ *
+ * The driver talks to the chip through any transport
+ * object with a `transfer()` method compatible with
+ * the one of @eeemarv/io-spi (an array of Buffers or
+ * `{tx_buf, cs_change}` objects in, a Promise of
+ * an array of received Buffers out).
+ *
+ * Optionally the IRQ pin of the MFRC522 is connected to a GPIO
+ * line. The driver then waits for the (active low) interrupt line
+ * to signal the end of a command instead of polling the
+ * interrupt request registers over SPI.
+ *
+ * The NRSTPD pin can also be connected to a GPIO output line
+ * for a hard reset and hard power-down.
+ *
+ * Methods that talk to a tag return nothing or false on failure,
+ * the reason is a typed error of lib/errors.js in lastError.
+ * Requests, selects, reads, writes and authentications are retried
+ * after the errors given by the retry policy of their operation.
+ *
+ * Based on https://github.com/miguelbalboa/rfid
+ * And https://github.com/firsttris/mfrc522-rpi
+ * The NXP MFRC522 data sheet:
+ * https://www.nxp.com/docs/en/data-sheet/MFRC522.pdf
+ */
+
+import { setTimeout } from 'timers/promises';
+import { PCD_Cmd } from '../data/pcd_command.js';
+import { PCD_Reg } from '../data/pcd_reg.js';
+import { PICC_Cmd } from '../data/picc_command.js';
+import { PCD_Test } from '../data/pcd_self_test.js';
+import { encodeValueBlock, decodeValueBlock, isTrailerBlock } from './mifare_classic.js';
+import { decodeTrailer } from './sector_trailer.js';
+import { getTagInfo } from './card_type.js';
+import { ulcAuthRequest, ulcCheckAuthAnswer } from './ultralight_c.js';
+import { timerSettings } from './timer.js';
+import {
+  CRC_CHECK,
+  getSelfTestReference,
+  getChipName,
+  isClone,
+  diffSelfTest,
+  worstStatus,
+} from './self_test.js';
+import { PCD_Error } from '../data/pcd_error.js';
+import {
+  MFRC522Error,
+  TimeoutError,
+  PcdTimeoutError,
+  BufferUnderflowError,
+  CollisionError,
+  CrcError,
+  ProtocolError,
+  NakError,
+  AuthError,
+  decodeError,
+} from './errors.js';
+
+/**
+ * @typedef {Object} SPITransfer
+ * @property {Buffer} tx_buf
+ * @property {number} [cs_change]
+ */
+
+/**
+ * @typedef {Object} SPITransport
+ * @property {(transfers: (Buffer|SPITransfer)[]) => Promise<Buffer[]>} transfer
+ */
+
+/**
+ * The IRQ pin of the MFRC522, e.g. a node-libgpiod
+ * Line requested for falling edge events
+ * @typedef {Object} IrqLine
+ * @property {() => number} getValue 0 when an interrupt request is pending
+ */
+
+/**
+ * The NRSTPD pin of the MFRC522, e.g. a node-libgpiod
+ * Line requested in output mode
+ * @typedef {Object} OutputLine
+ * @property {(value: number) => void} setValue
+ */
+
+/**
+ * @typedef {'request'|'select'|'read'|'write'|'auth'} Operation
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [attempts] attempts in total, default 1 (no retry)
+ * @property {number} [delay] ms between the attempts, default 0
+ * @property {import('./errors.js').ErrorCategory[]} [on] the error categories
+ * that are retried, default DEFAULT_RETRY_ON
+ */
+
+/**
+ * Retry policy per operation, operations without
+ * a policy of their own use the default one
+ * @typedef {Partial<Record<Operation|'default', RetryPolicy>>} RetryConfig
+ */
+
+/**
+ * @typedef {Object} MFRC522Options
+ * @property {(msg: string) => void} [debug] receives diagnostic messages
+ * @property {IrqLine} [irq] connected IRQ pin, without it the registers are polled
+ * @property {OutputLine} [nrstpd] connected NRSTPD pin for hard reset and power-down
+ * @property {RetryConfig} [retry] retry policy per operation, default no retries
+ * @property {Partial<Timeouts>} [timeouts] frame wait times, default DEFAULT_TIMEOUTS
+ */
+
+/**
+ * Frame wait times in µs, the time the timer of the MFRC522
+ * waits for an answer after the end of the sent frame
+ * @typedef {Object} Timeouts
+ * @property {number} request REQA and WUPA
+ * @property {number} select anticollision and SELECT
+ * @property {number} halt HLTA, no answer is expected
+ * @property {number} read MIFARE READ
+ * @property {number} write MIFARE WRITE, the value block commands and transfer
+ * @property {number} auth MFAuthent
+ * @property {number} default other exchanges
+ */
+
+/**
+ * @typedef {Object} SelfTestResult
+ * @property {import('./self_test.js').CheckStatus} status the worst status of the checks
+ * @property {number} version content of the Version register
+ * @property {string} chip name of the chip by the version
+ * @property {boolean} clone not a NXP MFRC522
+ * @property {number[]} data the 64 bytes produced by the self test
+ * @property {typeof PCD_Test[keyof typeof PCD_Test]|undefined} reference
+ * @property {boolean|undefined} matches undefined when no reference is known
+ * @property {import('./self_test.js').ByteDiff[]} diff the bytes that differ from the reference
+ * @property {boolean} antenna the antenna drivers stayed on without overheating (TempErr)
+ * @property {boolean} crc the CRC co-processor calculated the right CRC
+ * @property {import('./self_test.js').SelfTestCheck[]} checks
+ */
+
+/**
+ * Conductance of the antenna driver pins TX1 and TX2,
+ * higher values give a stronger field.
+ * @typedef {Object} Conductance
+ * @property {number} cwGsN n-driver without modulation, 0 to 15 (GsN)
+ * @property {number} modGsN n-driver during modulation, 0 to 15 (GsN)
+ * @property {number} cwGsP p-driver without modulation, 0 to 63 (CWGsP)
+ * @property {number} modGsP p-driver during modulation, 0 to 63 (ModGsP)
+ */
+
+/**
+ * Thresholds of the bit decoder
+ * @typedef {Object} RxThreshold
+ * @property {number} minLevel minimum signal strength accepted, 0 to 15
+ * @property {number} collLevel minimum signal strength of the weaker
+ * half-bit to be seen as a collision, 0 to 7
+ */
+
+/**
+ * Antenna and receiver settings set with the setters,
+ * applied again by initRegs() after a reset
+ * @typedef {Object} RfConfig
+ * @property {number} [rxGain] one of PCD_RxG
+ * @property {Partial<Conductance>} [conductance]
+ * @property {Partial<RxThreshold>} [rxThreshold]
+ */
+
+/**
+ * ISO 14443A bit rate in kbit/s
+ * @typedef {106|212|424|848} BitRate
+ */
+
+/**
+ * @typedef {Object} TranseiveResult
+ * @property {boolean} success
+ * @property {number[]} data
+ * @property {number} bitSize number of valid bits received
+ * @property {number} [collPos] position (1 to 32) of the first
+ * bit collision, only set when a collision was detected
+ * @property {MFRC522Error} [error] only set when success is false
+ */
+
+/**
+ * Errors that are worth another attempt: a tag that
+ * does not answer or answers with a NAK will not do
+ * better the next time, collisions are resolved by
+ * the anticollision loop.
+ * @type {import('./errors.js').ErrorCategory[]}
+ */
+const DEFAULT_RETRY_ON = [
+  'pcdTimeout',
+  'bufferOverflow',
+  'crc',
+  'parity',
+  'protocol',
+  'write',
+];
+
+/**
+ * The tags answer REQA, anticollision and SELECT after about 90 µs,
+ * a HLTA is acknowledged by no answer within 1 ms (ISO 14443-3),
+ * MIFARE Classic and Ultralight acknowledge writes within 10 ms.
+ * @type {Timeouts}
+ */
+const DEFAULT_TIMEOUTS = {
+  request: 5000,
+  select: 5000,
+  halt: 1000,
+  read: 10000,
+  write: 10000,
+  auth: 10000,
+  default: 25000,
+};
+
+// ms the host waits longer than the timer of the MFRC522,
+// after that the MFRC522 failed to end the command
+const HOST_MARGIN = 25;
+
+const FIFO_SIZE = 64;
+
+// by TxSpeed and RxSpeed in TxMode and RxMode
+/** @type {BitRate[]} */
+const BIT_RATES = [106, 212, 424, 848];
+
+// ms the field stays on in the self test before TempErr is read
+const ANTENNA_CHECK_MS = 10;
+
+// modulation pulse width (ModWidth + 1) / 13.56 MHz
+// by TxSpeed: about 2.8, 1.6, 0.8 and 0.4 µs
+const MOD_WIDTH = [0x26, 0x15, 0x0a, 0x05];
+
+/**
+ * HiAlert with 16 bytes in the FIFO, LoAlert with 48 bytes or less:
+ * 48 bytes, about 4 ms at 106 kBd, to drain or refill the FIFO
+ */
+const WATER_LEVEL = 48;
+
+/**
+ * @param {number} test
+ * @returns {void}
+ */
+const testByte = (test) => {
+  if (!Number.isInteger(test)){
+    throw new TypeError(`Error, not an integer ${JSON.stringify(test)}`);
+  }
+  if (test > 255){
+    throw new RangeError(`Error out of range: ${JSON.stringify(test)}`);
+  }
+  if (test < 0){
+    throw new RangeError(`Error out of range: ${JSON.stringify(test)}`);
+  }
+};
+
+/**
+ * @param {number} addr
+ * @returns {number}
+ */
+const getReadAddr = (addr) => {
+  return ((addr << 1) & 0x7e) | 0x80;
+};
+
+/**
+ * @param {number} addr
+ * @returns {number}
+ */
+const getWriteAddr = (addr) => {
+  return (addr << 1) & 0x7e;
+};
+
+class MFRC522 {
+  /** @type {SPITransport} */
+  spi;
+
+  /** @type {(msg: string) => void} */
+  debug;
+
+  /** @type {void|IrqLine} */
+  irq;
+
+  /** @type {void|OutputLine} */
+  nrstpd;
+
+  /** @type {RfConfig} */
+  rfConfig = {};
+
+  /**
+   * ATQA of the last REQA or WUPA, undefined when no tag answered
+   * or the ATQAs of several tags collided
+   * @type {number|undefined}
+   */
+  atqa;
+
+  /** @type {RetryConfig} */
+  retry;
+
+  /**
+   * Bit rate of the transmission to the tag (tx) and the
+   * reception (rx), only ISO 14443-4 tags change it with PPS
+   * @type {{tx: BitRate, rx: BitRate}}
+   */
+  bitRate = { tx: 106, rx: 106 };
+
+  /** @type {Timeouts} */
+  timeouts = { ...DEFAULT_TIMEOUTS };
+
+  /**
+   * TPrescaler << 16 | TReload in the timer registers,
+   * undefined after a reset
+   * @type {number|undefined}
+   */
+  #timer;
+
+  /**
+   * Reason of the last failure
+   * @type {MFRC522Error|undefined}
+   */
+  lastError;
+
+  /**
+   * @param {SPITransport} spi
+   * @param {MFRC522Options} [options]
+   */
+  constructor(spi, options = {}){
+    if (!spi || typeof spi.transfer !== 'function'){
+      throw new TypeError('spi must be an object with a transfer() method');
+    }
+    this.spi = spi;
+    this.debug = options.debug ?? (() => {});
+    if (options.irq && typeof options.irq.getValue !== 'function'){
+      throw new TypeError('irq must be an object with a getValue() method');
+    }
+    this.irq = options.irq;
+    if (options.nrstpd && typeof options.nrstpd.setValue !== 'function'){
+      throw new TypeError('nrstpd must be an object with a setValue() method');
+    }
+    this.nrstpd = options.nrstpd;
+    this.retry = options.retry ?? {};
+    this.setTimeouts(options.timeouts ?? {});
+  }
+
+  /**
+   * Change frame wait times, the others are kept
+   * @param {Partial<Timeouts>} timeouts µs
+   * @returns {void}
+   */
+  setTimeouts(timeouts){
+    for (const [name, us] of Object.entries(timeouts)){
+      if (!(name in DEFAULT_TIMEOUTS)){
+        throw new RangeError(`Unknown timeout: ${name}`);
+      }
+      // throws when out of range
+      timerSettings(us);
+      this.timeouts[name] = us;
+    }
+  }
+
+  /**
+   * Register writes that set the timer to a timeout,
+   * none when it is set already
+   * @param {number} timeoutUs
+   * @returns {number[][]}
+   */
+  #timerWrites(timeoutUs){
+    const { prescaler, reload } = timerSettings(timeoutUs);
+    const timer = (prescaler << 16) | reload;
+    if (timer === this.#timer){
+      return [];
+    }
+    this.#timer = timer;
+    return [
+      // TAuto: the timer starts at the end of the transmission
+      // and stops at the start of the reception
+      [PCD_Reg.TMode, 0x80 | (prescaler >> 8)],
+      [PCD_Reg.TPrescaler, prescaler & 0xff],
+      [PCD_Reg.TReloadH, reload >> 8],
+      [PCD_Reg.TReloadL, reload & 0xff],
+    ];
+  }
+
+  /**
+   * Keep the error as lastError
+   * @param {MFRC522Error} error
+   * @returns {TranseiveResult}
+   */
+  #fail(error){
+    this.lastError = error;
+    return { success: false, data: [], bitSize: 0, error };
+  }
+
+  /**
+   * Run an operation again while it fails with
+   * an error its retry policy allows
+   * @template T
+   * @param {Operation} op
+   * @param {() => Promise<T>} fn fails with undefined or false
+   * @returns {Promise<T>}
+   */
+  async #withRetry(op, fn){
+    const {
+      attempts = 1,
+      delay = 0,
+      on = DEFAULT_RETRY_ON,
+    } = this.retry[op] ?? this.retry.default ?? {};
+    for (let attempt = 1; ; attempt++){
+      this.lastError = undefined;
+      const result = await fn();
+      const error = this.lastError;
+      if (result !== undefined && result !== false){
+        return result;
+      }
+      if (!error || attempt >= attempts || !on.includes(error.category)){
+        return result;
+      }
+      this.debug(`${op} failed: ${error.message}, attempt ${attempt + 1} of ${attempts}`);
+      if (delay){
+        await setTimeout(delay);
+      }
+    }
+  }
+
+  /**
+   * Wait for the IRQ line to go low
+   * The line level is read from the GPIO driver,
+   * this costs no SPI transfers.
+   * @param {number} timeoutMs
+   * @returns {Promise<boolean>} false on timeout
+   */
+  async #waitIrqLine(timeoutMs){
+    if (!this.irq){
+      return false;
+    }
+    const end = Date.now() + timeoutMs;
+    while (this.irq.getValue() !== 0){
+      if (Date.now() > end){
+        return false;
+      }
+      await setTimeout(1);
+    }
+    return true;
+  }
+
+  /**
+   * Read from the MFRC522
+   * @param {number[]} addrAry registers to read
+   * @returns {Promise<number[]>} values of the registers
+   */
+  async read(addrAry){
+    if (!Array.isArray(addrAry)){
+      throw new TypeError(`addrAry is not an array: ${JSON.stringify(addrAry)}`);
+    }
+    if (!addrAry.length){
+      throw new RangeError('read addrAry is empty');
+    }
+    for (const addr of addrAry){
+      testByte(addr);
+    }
+    const [rxBuf] = await this.spi.transfer([
+      Buffer.from([
+        ...addrAry.map((addr) => getReadAddr(addr)),
+        0x00
+      ])
+    ]);
+    return [...rxBuf].slice(1); // Skip 1 byte
+  }
+
+  /**
+   * Write to the MFRC522
+   * The first element in each nested array is
+   * the register address to write to,
+   * the following byte(s) the data
+   * @param {number[][]} writeAry
+   * @returns {Promise<void>}
+   */
+  async write(writeAry){
+    if (!Array.isArray(writeAry)){
+      throw new TypeError(`writeAry is not an array: ${JSON.stringify(writeAry)}`);
+    }
+    if (!writeAry.length){
+      throw new RangeError('writeAry is empty');
+    }
+    for (const subAry of writeAry){
+      if (!Array.isArray(subAry)){
+        throw new TypeError(`write subAry is not an array: ${JSON.stringify(subAry)}`)
+      }
+      if (!subAry.length){
+        throw new RangeError('write subAry is empty');
+      }
+      if (subAry.length < 2){
+        throw new RangeError(`write subAry needs a least two elements, an address and register: ${JSON.stringify(subAry)}`);
+      }
+      for (const test of subAry){
+        testByte(test);
+      }
+    }
+    const lastWr = writeAry[writeAry.length - 1];
+    await this.spi.transfer([
+      ...writeAry.slice(0, -1).map((wr) => { return {
+        tx_buf: Buffer.from([getWriteAddr(wr[0]), ...wr.slice(1)]),
+        cs_change: 1
+      }}),
+      Buffer.from([getWriteAddr(lastWr[0]), ...lastWr.slice(1)])
+    ]);
+  }
+
+  /**
+   * Set bits in a register of the MFRC522
+   * @param {number} addr
+   * @param {number} bitMask
+   * @returns {Promise<void>}
+   */
+  async setBitMask(addr, bitMask){
+    if (!bitMask){
+      return;
+    }
+    const [value] = await this.read([addr]);
+    const newValue = value | bitMask;
+    if (value == newValue){
+      return;
+    }
+    await this.write([[addr, newValue]]);
+  }
+
+  /**
+   * Clear bits in a register of the MFRC522
+   * @param {number} addr
+   * @param {number} bitMask
+   * @returns {Promise<void>}
+   */
+  async clearBitMask(addr, bitMask){
+    if (!bitMask){
+      return;
+    }
+    const [value] = await this.read([addr]);
+    const newValue = value & ~bitMask;
+    if (value == newValue){
+      return;
+    }
+    await this.write([[addr, newValue]]);
+  }
+
+  /**
+   * Soft Reset the MFRC522
+   * @returns {Promise<void>}
+   */
+  async reset(){
+    this.#timer = undefined;
+    this.bitRate = { tx: 106, rx: 106 };
+    await this.write([[PCD_Reg.Command, PCD_Cmd.SoftReset]]);
+    await setTimeout(50);
+  }
+
+  /**
+   * Wait until the oscillator runs after a power-down,
+   * the PowerDown bit reads 1 during the start-up
+   * @returns {Promise<boolean>} false when still not ready after 50ms
+   */
+  async #waitPowerUp(){
+    for (let i = 0; i < 50; i++){
+      const [command] = await this.read([PCD_Reg.Command]);
+      if (!(command & 0x10)){
+        return true;
+      }
+      await setTimeout(1);
+    }
+    return false;
+  }
+
+  /**
+   * Soft power-down: the oscillator and the antenna
+   * field stop, the registers keep their values.
+   * @returns {Promise<void>}
+   */
+  async powerDown(){
+    // NoCmdChange: the running command is not started again
+    await this.write([[PCD_Reg.Command, 0x10 | PCD_Cmd.NoCmdChange]]);
+  }
+
+  /**
+   * Wake up from soft power-down
+   * @returns {Promise<void>}
+   */
+  async powerUp(){
+    await this.write([[PCD_Reg.Command, PCD_Cmd.NoCmdChange]]);
+    if (!await this.#waitPowerUp()){
+      throw new Error('MFRC522 did not wake up from soft power-down');
+    }
+  }
+
+  /**
+   * Hard power-down with the NRSTPD pin: all current sinks
+   * are off, the registers are lost.
+   * @returns {Promise<void>}
+   */
+  async hardPowerDown(){
+    if (!this.nrstpd){
+      throw new Error('Hard power-down needs the NRSTPD pin');
+    }
+    this.nrstpd.setValue(0);
+  }
+
+  /**
+   * Power up after a hard power-down, the registers
+   * have their reset values: call initRegs() after.
+   * @returns {Promise<void>}
+   */
+  async hardPowerUp(){
+    if (!this.nrstpd){
+      throw new Error('Hard power-up needs the NRSTPD pin');
+    }
+    this.nrstpd.setValue(1);
+    this.#timer = undefined;
+    this.bitRate = { tx: 106, rx: 106 };
+    // the SPI interface only answers after the reset phase
+    await setTimeout(1);
+    if (!await this.#waitPowerUp()){
+      throw new Error('MFRC522 did not start after hard power-down');
+    }
+  }
+
+  /**
+   * Hard reset with the NRSTPD pin, recovers the chip
+   * also when it does not respond to SoftReset
+   * @returns {Promise<void>}
+   */
+  async hardReset(){
+    await this.hardPowerDown();
+    // the reset pulse must be longer than 100ns
+    await setTimeout(1);
+    await this.hardPowerUp();
+  }
+
+  /**
+   * Read the Version register of the MFRC522
+   * @returns {Promise<number>}
+   */
+  async getVersion(){
+    const [version] = await this.read([PCD_Reg.Version]);
+    return version;
+  }
+
+  /**
+   * Run the self test of the MFRC522: the version, the digital
+   * self test against the reference pattern of PCD_Test, the
+   * antenna drivers and the CRC co-processor, each with a
+   * pass, warn or fail status. Clones and unknown versions
+   * get warnings. Call reset() and initRegs() after.
+   * @returns {Promise<SelfTestResult>}
+   */
+  async selfTest(){
+    const version = await this.getVersion();
+    const chip = getChipName(version);
+    const clone = isClone(version);
+    /** @type {import('./self_test.js').SelfTestCheck[]} */
+    const checks = [];
+
+    if (version === 0x00 || version === 0xff){
+      checks.push({ name: 'version', status: 'fail', message: `Version 0x${version.toString(16)}: no answer over SPI, check the wiring` });
+    } else if (!clone){
+      checks.push({ name: 'version', status: 'pass', message: `NXP MFRC522 ${chip}` });
+    } else {
+      checks.push({ name: 'version', status: 'warn', message: `Not a NXP MFRC522: ${chip}` });
+    }
+
+    await this.reset();
+
+    await this.write([
+      [PCD_Reg.Command, PCD_Cmd.Idle],
+      // flush FIFO
+      [PCD_Reg.FIFOLevel, 0x80],
+      // write 25x 0x00 to FIFO
+      [PCD_Reg.FIFOData, ...new Array(25).fill(0x00)],
+      // Copy 0x00's to internal memory
+      [PCD_Reg.Command, PCD_Cmd.Mem],
+      // stop
+      [PCD_Reg.Command, PCD_Cmd.Idle],
+      // flush FIFO
+      [PCD_Reg.FIFOLevel, 0x80],
+      // enable self test
+      [PCD_Reg.AutoTest, 0x09],
+      // write 0x00 to FIFO
+      [PCD_Reg.FIFOData, 0x00],
+      // Calc CRC
+      [PCD_Reg.Command, PCD_Cmd.CalcCRC],
+    ]);
+
+    // Wait for CRCIRq
+    let done = false;
+    for(let i = 0; i < 100 && !done; i++) {
+      await setTimeout(1);
+      const [irq] = await this.read([PCD_Reg.DivIrq]); // DivIrqReg
+      done = !!(irq & 0x04);
+    }
+
+    // Read FIFO to get test result
+    const data = await this.read(new Array(64).fill(PCD_Reg.FIFOData));
+
+    await this.write([
+      [PCD_Reg.Command, PCD_Cmd.Idle],
+      [PCD_Reg.AutoTest, 0x00],
+    ]);
+
+    // Compare with the expected result
+    const reference = getSelfTestReference(version);
+    const diff = reference ? diffSelfTest(data, reference.data) : [];
+    const matches = reference ? !diff.length : undefined;
+    if (!done){
+      checks.push({ name: 'digital', status: 'fail', message: 'The digital self test did not finish' });
+    } else if (!reference){
+      checks.push({ name: 'digital', status: 'warn', message: 'No reference pattern for this version, not checked' });
+    } else if (matches){
+      checks.push({ name: 'digital', status: 'pass', message: 'The output matches the reference pattern' });
+    } else {
+      // the reference patterns of clones are less certain
+      checks.push({
+        name: 'digital',
+        status: clone ? 'warn' : 'fail',
+        message: `${diff.length} of ${reference.data.length} bytes differ from the reference pattern`,
+      });
+    }
+
+    // Turn the field on: with a shorted or missing matching circuit
+    // the drivers overheat, the MFRC522 sets TempErr and turns them off.
+    // A disconnected antenna is not detected.
+    await this.setBitMask(PCD_Reg.TxControl, 0x03);
+    await setTimeout(ANTENNA_CHECK_MS);
+    const [txControl, errorReg] = await this.read([PCD_Reg.TxControl, PCD_Reg.Error]);
+    const antenna = (txControl & 0x03) === 0x03 && !(errorReg & PCD_Error.TempErr);
+    if (errorReg & PCD_Error.TempErr){
+      checks.push({ name: 'antenna', status: 'fail', message: 'The antenna drivers overheated (TempErr) and were turned off, check the antenna circuit for a short' });
+    } else if (!antenna){
+      checks.push({ name: 'antenna', status: 'fail', message: `The antenna drivers did not stay on, TxControl 0x${txControl.toString(16).padStart(2, '0')}` });
+    } else {
+      checks.push({ name: 'antenna', status: 'pass', message: `The antenna drivers stay on for ${ANTENNA_CHECK_MS} ms without overheating` });
+    }
+
+    // CRC co-processor with preset 0x6363, CRCIRq on the IRQ pin
+    await this.write([
+      [PCD_Reg.Mode, 0x3d],
+      [PCD_Reg.DivIEn, this.irq ? 0x84 : 0x00],
+    ]);
+    const result = await this.calcCRC(CRC_CHECK.data);
+    const crc = Array.isArray(result) && result[0] === CRC_CHECK.crc[0] && result[1] === CRC_CHECK.crc[1];
+    if (crc){
+      checks.push({ name: 'crc', status: 'pass', message: 'The CRC co-processor calculates CRC_A' });
+    } else if (Array.isArray(result)){
+      const hex = (/** @type {number[]} */ bytes) => bytes.map((b) => b.toString(16).padStart(2, '0')).join(' ');
+      checks.push({ name: 'crc', status: 'fail', message: `CRC_A of ${hex(CRC_CHECK.data)} is ${hex(result)}, expected ${hex(CRC_CHECK.crc)}` });
+    } else {
+      checks.push({ name: 'crc', status: 'fail', message: 'The CRC co-processor did not finish' });
+    }
+
+    return {
+      status: worstStatus(checks),
+      version,
+      chip,
+      clone,
+      data,
+      reference,
+      matches,
+      diff,
+      antenna,
+      crc,
+      checks,
+    };
+  }
+
+  /**
+   * Init the MFRC522 for transmission
+   * @returns {Promise<void>}
+   */
+  async initRegs(){
+    this.#timer = undefined;
+    this.bitRate = { tx: 106, rx: 106 };
+    // antenna on
+    await this.setBitMask(PCD_Reg.TxControl, 0x03);
+
+    await this.write([
+      // 106 kbit/s type A (default)
+      [PCD_Reg.TxMode, 0x00],
+      [PCD_Reg.RxMode, 0x00],
+      // reset modwidth
+      [PCD_Reg.ModWidth, MOD_WIDTH[0]],
+      // the timer is set again by each exchange with a tag
+      // force 100% ASK modulation
+      [PCD_Reg.TxASK, 0x40],
+      // preset 0x6363 fpr CRC
+      [PCD_Reg.Mode, 0x3d],
+      // IRQ pin active low: RxIRq, IdleIRq and TimerIRq
+      [PCD_Reg.ComIEn, 0xb1],
+      // IRQ pin push-pull, CRCIRq only with a connected IRQ pin
+      [PCD_Reg.DivIEn, this.irq ? 0x84 : 0x00],
+      // FIFO alerts for frames longer than the FIFO
+      [PCD_Reg.WaterLevel, WATER_LEVEL],
+      ...this.#timerWrites(this.timeouts.default),
+    ]);
+
+    // antenna and receiver tuning, lost on reset
+    if (typeof this.rfConfig.rxGain === 'number'){
+      await this.setAntennaGain(this.rfConfig.rxGain);
+    }
+    if (this.rfConfig.conductance){
+      await this.setConductance(this.rfConfig.conductance);
+    }
+    if (this.rfConfig.rxThreshold){
+      await this.setRxThreshold(this.rfConfig.rxThreshold);
+    }
+  }
+
+  /**
+   * Set the bit rates of TxMode and RxMode and the
+   * modulation width of ModWidth for the transmit rate.
+   * A tag only changes its bit rate after a PPS,
+   * REQA and WUPA always go at 106 kbit/s.
+   * @param {BitRate} tx to the tag
+   * @param {BitRate} [rx] from the tag, default tx
+   * @returns {Promise<void>}
+   */
+  async setBitRate(tx, rx = tx){
+    const txSpeed = BIT_RATES.indexOf(tx);
+    const rxSpeed = BIT_RATES.indexOf(rx);
+    if (txSpeed < 0 || rxSpeed < 0){
+      throw new RangeError(`bit rate must be 106, 212, 424 or 848: ${JSON.stringify([tx, rx])}`);
+    }
+    await this.write([
+      // ISO 14443A framing, CRC in software
+      [PCD_Reg.TxMode, txSpeed << 4],
+      [PCD_Reg.RxMode, rxSpeed << 4],
+      [PCD_Reg.ModWidth, MOD_WIDTH[txSpeed]],
+    ]);
+    this.bitRate = { tx, rx };
+  }
+
+  /**
+   * Set the receiver gain (RxGain in RFCfg)
+   * The values 0x20 and 0x30 are the same gains as
+   * 0x00 and 0x10, they are accepted so any value
+   * read by getAntennaGain() can be restored.
+   * @param {number} gain one of PCD_RxG, or 0x20 or 0x30
+   * @returns {Promise<void>}
+   */
+  async setAntennaGain(gain){
+    if (!Number.isInteger(gain) || gain < 0 || gain > 0x70 || gain & 0x0f){
+      throw new RangeError(`gain must be one of PCD_RxG: ${JSON.stringify(gain)}`);
+    }
+    const [rfCfg] = await this.read([PCD_Reg.RFCfg]);
+    await this.write([[PCD_Reg.RFCfg, (rfCfg & ~0x70) | gain]]);
+    this.rfConfig.rxGain = gain;
+  }
+
+  /**
+   * Read the receiver gain
+   * @returns {Promise<number>} one of PCD_RxG, or 0x20 or 0x30
+   */
+  async getAntennaGain(){
+    const [rfCfg] = await this.read([PCD_Reg.RFCfg]);
+    return rfCfg & 0x70;
+  }
+
+  /**
+   * Set the conductance of the antenna drivers,
+   * the values that are not given are kept
+   * @param {Partial<Conductance>} conductance
+   * @returns {Promise<void>}
+   */
+  async setConductance(conductance){
+    const { cwGsN, modGsN, cwGsP, modGsP } = {
+      ...await this.getConductance(),
+      ...conductance,
+    };
+    /** @type {[string, number, number][]} */
+    const ranges = [
+      ['cwGsN', cwGsN, 15],
+      ['modGsN', modGsN, 15],
+      ['cwGsP', cwGsP, 63],
+      ['modGsP', modGsP, 63],
+    ];
+    for (const [name, value, max] of ranges){
+      if (!Number.isInteger(value) || value < 0 || value > max){
+        throw new RangeError(`${name} must be 0 to ${max}: ${JSON.stringify(value)}`);
+      }
+    }
+    await this.write([
+      [PCD_Reg.GsN, (cwGsN << 4) | modGsN],
+      [PCD_Reg.CWGsP, cwGsP],
+      [PCD_Reg.ModGsP, modGsP],
+    ]);
+    this.rfConfig.conductance = { ...this.rfConfig.conductance, ...conductance };
+  }
+
+  /**
+   * Read the conductance of the antenna drivers
+   * @returns {Promise<Conductance>}
+   */
+  async getConductance(){
+    const [gsN, cwGsP, modGsP] = await this.read([
+      PCD_Reg.GsN,
+      PCD_Reg.CWGsP,
+      PCD_Reg.ModGsP,
+    ]);
+    return {
+      cwGsN: gsN >> 4,
+      modGsN: gsN & 0x0f,
+      cwGsP: cwGsP & 0x3f,
+      modGsP: modGsP & 0x3f,
+    };
+  }
+
+  /**
+   * Set the thresholds of the bit decoder,
+   * the values that are not given are kept
+   * @param {Partial<RxThreshold>} rxThreshold
+   * @returns {Promise<void>}
+   */
+  async setRxThreshold(rxThreshold){
+    const { minLevel, collLevel } = {
+      ...await this.getRxThreshold(),
+      ...rxThreshold,
+    };
+    if (!Number.isInteger(minLevel) || minLevel < 0 || minLevel > 15){
+      throw new RangeError(`minLevel must be 0 to 15: ${JSON.stringify(minLevel)}`);
+    }
+    if (!Number.isInteger(collLevel) || collLevel < 0 || collLevel > 7){
+      throw new RangeError(`collLevel must be 0 to 7: ${JSON.stringify(collLevel)}`);
+    }
+    await this.write([[PCD_Reg.RxThreshold, (minLevel << 4) | collLevel]]);
+    this.rfConfig.rxThreshold = { ...this.rfConfig.rxThreshold, ...rxThreshold };
+  }
+
+  /**
+   * Read the thresholds of the bit decoder
+   * @returns {Promise<RxThreshold>}
+   */
+  async getRxThreshold(){
+    const [rxThreshold] = await this.read([PCD_Reg.RxThreshold]);
+    return {
+      minLevel: rxThreshold >> 4,
+      collLevel: rxThreshold & 0x07,
+    };
+  }
+
+  /**
+   * Turn the antenna drivers off
+   * @returns {Promise<void>}
+   */
+  async antennaOff(){
+    await this.clearBitMask(PCD_Reg.TxControl, 0x03);
+  }
+
+  /**
+   * Communicate with a tag through the MFRC522
+   * On a bit collision the data up to the
+   * collision is returned together with collPos.
+   * Frames longer than the 64 byte FIFO are sent and
+   * received in parts: the FIFO is refilled on LoAlert
+   * while sending and drained on HiAlert while receiving.
+   * The timer of the MFRC522 ends the wait for the answer
+   * with TimerIRq after timeoutUs.
+   * @param {number[]} dataAry - sent to the card
+   * @param {number} [timeoutUs] frame wait time, default timeouts.default
+   * @returns {Promise<TranseiveResult>}
+   */
+  async transeive(dataAry, timeoutUs = this.timeouts.default){
+
+    const [fifoLevel1, bitFraming1] = await this.read([
+      PCD_Reg.FIFOLevel,
+      PCD_Reg.BitFraming,
+    ]);
+
+    let txRest = dataAry.slice(FIFO_SIZE);
+
+    await this.write([
+      ...this.#timerWrites(timeoutUs),
+      // flush FIFO
+      [PCD_Reg.FIFOLevel, fifoLevel1 | 0x80],
+      // Stop calculating CRC for new data in the FIFO
+      [PCD_Reg.Command, PCD_Cmd.Idle],
+      // data to FIFO
+      [PCD_Reg.FIFOData, ...dataAry.slice(0, FIFO_SIZE)],
+      // clear all interupt requests, also the alerts of the flush
+      [PCD_Reg.ComIrq, 0x7f],
+      // IRQ pin active low: RxIRq, IdleIRq and TimerIRq, and
+      // LoAlertIEn while there is more to send, else HiAlertIEn
+      [PCD_Reg.ComIEn, txRest.length ? 0xb5 : 0xb9],
+      // Transeive
+      [PCD_Reg.Command, PCD_Cmd.Transceive],
+      // start send
+      [PCD_Reg.BitFraming, bitFraming1 | 0x80],
+    ]);
+
+    //Wait for the received data to complete
+    /** @type {number[]} */
+    const received = [];
+    let irq = 0;
+    let timeout = true;
+    // extended each time data moves through the FIFO,
+    // the timer of the MFRC522 ends the wait on no answer
+    const wait = timeoutUs / 1000 + HOST_MARGIN;
+    let deadline = Date.now() + wait;
+
+    while (Date.now() <= deadline){
+      if (this.irq){
+        if (!await this.#waitIrqLine(deadline - Date.now())){
+          break;
+        }
+      } else {
+        await setTimeout(1);
+      }
+
+      const [comIrq, status1, fifoLevel] = await this.read([
+        PCD_Reg.ComIrq,
+        PCD_Reg.Status1,
+        PCD_Reg.FIFOLevel,
+      ]);
+      irq = comIrq;
+
+      if (txRest.length){
+        // TxIRq: the FIFO ran empty, the frame is cut off
+        if (comIrq & 0x40){
+          await this.write([[PCD_Reg.Command, PCD_Cmd.Idle]]);
+          await this.#endTranseive();
+          return this.#fail(new BufferUnderflowError());
+        }
+        // LoAlert: refill, the LoAlertIRq is cleared
+        // first so the next LoAlert is not missed
+        if (status1 & 0x01){
+          const chunk = txRest.slice(0, FIFO_SIZE - fifoLevel);
+          txRest = txRest.slice(chunk.length);
+          /** @type {number[][]} */
+          const writes = [
+            [PCD_Reg.ComIrq, 0x04],
+            [PCD_Reg.FIFOData, ...chunk],
+          ];
+          if (!txRest.length){
+            writes.push([PCD_Reg.ComIEn, 0xb9]);
+          }
+          await this.write(writes);
+          deadline = Date.now() + wait;
+        }
+        continue;
+      }
+
+      // RxIRq or IdleIRq: the frame is received,
+      // TimerIRq: no answer
+      if (comIrq & 0x31){
+        timeout = false;
+        break;
+      }
+
+      if (status1 & 0x02){
+        // clear HiAlertIRq first, as for LoAlert
+        await this.write([[PCD_Reg.ComIrq, 0x08]]);
+        // TxIRq: the HiAlert is one of the answer, drain it,
+        // else it is one of the data still to send
+        if (comIrq & 0x40){
+          received.push(...await this.read(new Array(fifoLevel).fill(PCD_Reg.FIFOData)));
+          deadline = Date.now() + wait;
+        }
+      }
+    }
+
+    await this.#endTranseive();
+
+    // not even the timer ended the command
+    if (timeout){
+      return this.#fail(new PcdTimeoutError());
+    }
+
+    const [
+      error,
+      fifoLevel,
+      control
+    ] = await this.read([
+      PCD_Reg.Error,
+      PCD_Reg.FIFOLevel,
+      PCD_Reg.Control
+    ]);
+
+    // all errors but CollErr make the received data useless
+    const [fatal] = decodeError(error & ~PCD_Error.CollErr);
+    if (fatal){
+      return this.#fail(fatal);
+    }
+
+    let success = true;
+    let bitSize;
+    let collPos;
+    /** @type {MFRC522Error|undefined} */
+    let failure;
+
+    if (error & PCD_Error.CollErr){
+      const [coll] = await this.read([PCD_Reg.Coll]);
+      // CollPosNotValid
+      if (coll & 0x20){
+        return this.#fail(new CollisionError(error));
+      }
+      collPos = (coll & 0x1f) || 32;
+      success = false;
+      failure = new CollisionError(error, collPos);
+    }
+
+    // TimerIRq: the tag did not answer (in time)
+    if (irq & 0x01) {
+      success = false;
+      failure ??= new TimeoutError();
+    }
+
+    const byteSize = received.length + fifoLevel;
+    const lastBits = control & 0x07;
+
+    if (!byteSize) {
+      bitSize = 0;
+    } else if (lastBits) {
+      bitSize = (byteSize - 1) * 8 + lastBits;
+    } else {
+      bitSize = byteSize * 8;
+    }
+
+    // Read the rest of the data from FIFO,
+    // at least one byte for the callers that look at data[0]
+    if (fifoLevel || !received.length){
+      received.push(...await this.read(new Array(fifoLevel || 1).fill(PCD_Reg.FIFOData)));
+    }
+    const data = received;
+
+    if (failure){
+      this.lastError = failure;
+    }
+
+    if (collPos){
+      return { success, data, bitSize, collPos, error: failure };
+    }
+
+    if (failure){
+      return { success, data, bitSize, error: failure };
+    }
+
+    return { success, data, bitSize };
+  }
+
+
+  /**
+   * Stop a Transceive: StartSend off, back to
+   * the interrupts of a frame that fits in the
+   * FIFO and release the IRQ line
+   * @returns {Promise<void>}
+   */
+  async #endTranseive(){
+    await this.write([
+      [PCD_Reg.ComIEn, 0xb1],
+      [PCD_Reg.ComIrq, 0x7f],
+    ]);
+    // start send = 0
+    await this.clearBitMask(PCD_Reg.BitFraming, 0x80);
+  }
+
+  /**
+   * Send a 7 bit REQA or WUPA frame
+   * @param {number} cmd
+   * @returns {Promise<boolean>} ATQA received
+   */
+  async #request(cmd){
+    if (this.bitRate.tx !== 106 || this.bitRate.rx !== 106){
+      await this.setBitRate(106);
+    }
+    return await this.#withRetry('request', async () => {
+      this.atqa = undefined;
+      await this.write([[PCD_Reg.BitFraming, 0x07]]);
+      const {success, data, bitSize, collPos} = await this.transeive([cmd], this.timeouts.request);
+
+      // ATQA bits collide when tags of different types answer
+      if (!success && !collPos){
+        return false;
+      }
+      if (bitSize != 0x10 || data.length != 2) {
+        this.lastError = new ProtocolError(`ATQA of ${bitSize} bits`);
+        return false;
+      }
+
+      // on a collision the ATQA is the OR of the ATQAs of all answering
+      // tags, it would be attributed to the first tag selected
+      this.atqa = collPos ? undefined : (data[1] << 8) | data[0];
+      return true;
+    });
+  }
+
+  /**
+   * Detect if a tag is present in the antenna field
+   * Only tags in IDLE state answer (REQA).
+   * @returns {Promise<boolean>} card detected
+   */
+  async detect(){
+    return await this.#request(PICC_Cmd.REQA);
+  }
+
+  /**
+   * Wake up tags in IDLE and in HALT state (WUPA)
+   * @returns {Promise<boolean>} a tag answered
+   */
+  async wakeUp(){
+    return await this.#request(PICC_Cmd.WUPA);
+  }
+
+  /**
+   * Calculate a CRC on the co-processor of the MFRC522
+   * Data longer than the FIFO is given in parts, CalcCRC
+   * adds each byte written to the FIFO to the calculation.
+   * @param {number[]} dataAry
+   * @returns {Promise<void|number[]>}
+   */
+  async calcCRC(dataAry){
+    await this.write([
+      [PCD_Reg.Command, PCD_Cmd.Idle],
+      // Clear the CRCIRq interrupt request bit
+      // (Set2 = 0, the marked bits are cleared)
+      [PCD_Reg.DivIrq, 0x04],
+      // Flush FIFO
+      [PCD_Reg.FIFOLevel, 0x80],
+      // data to FIFO and execute CalcCRC
+      [PCD_Reg.FIFOData, ...dataAry.slice(0, FIFO_SIZE)],
+      [PCD_Reg.Command, PCD_Cmd.CalcCRC],
+    ]);
+
+    for (let offset = FIFO_SIZE; offset < dataAry.length; offset += FIFO_SIZE){
+      // the co-processor empties the FIFO in a few microseconds
+      let fifoLevel = FIFO_SIZE;
+      for (let i = 0; i < 100 && fifoLevel; i++){
+        [fifoLevel] = await this.read([PCD_Reg.FIFOLevel]);
+      }
+      if (fifoLevel){
+        this.lastError = new PcdTimeoutError('The CRC co-processor did not empty the FIFO');
+        return;
+      }
+      await this.write([
+        // CRCIRq of the part before
+        [PCD_Reg.DivIrq, 0x04],
+        [PCD_Reg.FIFOData, ...dataAry.slice(offset, offset + FIFO_SIZE)],
+      ]);
+    }
+
+    if (this.irq){
+      if (await this.#waitIrqLine(10)){
+        const [irq, crcL, crcH] = await this.read([
+          PCD_Reg.DivIrq, PCD_Reg.CRCResultL, PCD_Reg.CRCResultH,
+        ]);
+        // release the IRQ line
+        await this.write([[PCD_Reg.DivIrq, 0x04]]);
+        if (irq & 0x04){
+          return [crcL, crcH];
+        }
+      }
+    } else {
+      for (let i = 0; i < 1000; i++){
+        const [irq] = await this.read([PCD_Reg.DivIrq]);
+        if (irq & 0x04){
+          return await this.read([
+            PCD_Reg.CRCResultL, PCD_Reg.CRCResultH,
+          ]);
+        }
+      }
+    }
+
+    this.lastError = new PcdTimeoutError('The CRC co-processor did not finish');
+  }
+
+  /**
+   * Anticollision loop for a cascade level (ISO 14443-3, 6.5.3)
+   * Returns the UID CLn (4 bytes and BCC) of one tag.
+   * When tags collide, the known bits up to the collision
+   * are sent again with bit 1 for the collided bit, with
+   * TxLastBits and RxAlign in BitFraming for the split byte,
+   * until only one tag answers.
+   * @param {number} level
+   * @returns {Promise<void|number[]>}
+   */
+  async cascade(level){
+    if (![1, 2, 3].includes(level)){
+      throw new RangeError(`level must be 1, 2 or 3, current: ${level}`);
+    }
+    const cmd = [
+      PICC_Cmd.SEL_CL1,
+      PICC_Cmd.SEL_CL2,
+      PICC_Cmd.SEL_CL3,
+    ][level - 1];
+
+    // ValuesAfterColl = 0: received bits after a collision are cleared
+    await this.clearBitMask(PCD_Reg.Coll, 0x80);
+
+    for (let i = 0; i < 5; i++){
+      if (!i){
+        await setTimeout(2);
+      }
+      const uidCl = [0, 0, 0, 0, 0];
+      // number of known bits of the UID CLn
+      let count = 0;
+
+      // Every collision adds at least one known bit
+      for (let j = 0; j <= 32; j++){
+        const txLastBits = count % 8;
+        const byteCount = Math.floor(count / 8);
+        // Number of Valid Bits: bytes (SEL and NVB included) and bits
+        const nvb = ((2 + byteCount) << 4) | txLastBits;
+        const txUid = uidCl.slice(0, byteCount + (txLastBits ? 1 : 0));
+
+        // RxAlign = TxLastBits
+        await this.write([[PCD_Reg.BitFraming, (txLastBits << 4) | txLastBits]]);
+        const { success, data, collPos } = await this.transeive([cmd, nvb, ...txUid], this.timeouts.select);
+
+        if (!success && !collPos){
+          break;
+        }
+
+        // The first received byte completes the split byte
+        const knownMask = (1 << txLastBits) - 1;
+        data.forEach((b, k) => {
+          const index = byteCount + k;
+          if (index > 4){
+            return;
+          }
+          if (!k){
+            uidCl[index] = (uidCl[index] & knownMask) | (b & ~knownMask & 0xff);
+            return;
+          }
+          uidCl[index] = b;
+        });
+
+        if (collPos){
+          // CollPos counts from the first bit of the received
+          // frame, which starts at RxAlign in the split byte
+          const collBit = byteCount * 8 + collPos;
+          if (collBit <= count || collBit > 40){
+            // no progress
+            break;
+          }
+          this.debug(`Collision at bit ${collBit} of cascade level ${level}`);
+          // Choose the tag with a 1 at the collision
+          count = collBit;
+          uidCl[Math.floor((collBit - 1) / 8)] |= 1 << ((collBit - 1) % 8);
+          continue;
+        }
+
+        if (byteCount + data.length != 5){
+          this.lastError = new ProtocolError(`UID CL${level} of ${byteCount + data.length} bytes`);
+          break;
+        }
+        // Check BCC
+        if ((uidCl[0] ^ uidCl[1] ^ uidCl[2] ^ uidCl[3]) != uidCl[4]){
+          this.lastError = new CrcError(`BCC mismatch at cascade level ${level}`);
+          break;
+        }
+        return uidCl;
+      }
+    }
+  }
+
+  /**
+   * Select the tag at a cascade level with
+   * the UID CLn bytes found by cascade()
+   * @param {number} level
+   * @param {number[]} uidCl 4 UID bytes and BCC
+   * @returns {Promise<void|number>} SAK
+   */
+  async select(level, uidCl){
+    const cmd = [
+      PICC_Cmd.SEL_CL1,
+      PICC_Cmd.SEL_CL2,
+      PICC_Cmd.SEL_CL3,
+    ][level - 1];
+    const sakReq = [cmd, 0x70, ...uidCl];
+    return await this.#withRetry('select', async () => {
+      const crc = await this.calcCRC(sakReq);
+      if (!Array.isArray(crc)){
+        this.debug(`CRC${level} failed`);
+        return;
+      }
+      await this.write([[PCD_Reg.BitFraming, 0x00]]);
+      const sak = await this.transeive([...sakReq, ...crc], this.timeouts.select);
+      if (!sak.success){
+        this.debug(`SAK${level} ${sak.error?.message ?? 'no success'}`);
+        return;
+      }
+      return sak.data[0];
+    });
+  }
+
+  /**
+   * Run the anticollision and select loop over
+   * the cascade levels and return the 4, 7 or 10 byte
+   * UID and the final SAK of the tag in the antenna field,
+   * together with the ATQA of the preceding REQA or WUPA
+   * and the card type.
+   * @returns {Promise<void|import('./card_type.js').TagInfo>}
+   */
+  async selectTag(){
+    this.lastError = undefined;
+    const uid1 = await this.cascade(1);
+    if (!Array.isArray(uid1)){
+      return;
+    }
+    const sak1 = await this.select(1, uid1);
+    if (typeof sak1 !== 'number'){
+      return;
+    }
+    if (!(sak1 & 0x04)){
+      if (uid1[0] == PICC_Cmd.CT){
+        // error, indicates uid is longer
+        this.lastError = new ProtocolError('Cascade tag without cascade bit in SAK');
+        return;
+      }
+      // UID 4 bytes
+      return getTagInfo([...uid1.slice(0, 4)], this.atqa, sak1);
+    }
+    if (uid1[0] != PICC_Cmd.CT){
+      // error, not valid for next level
+      this.lastError = new ProtocolError('Cascade bit in SAK without cascade tag');
+      return;
+    }
+    const uid2 = await this.cascade(2);
+    if (!Array.isArray(uid2)){
+      return;
+    }
+    const sak2 = await this.select(2, uid2);
+    if (typeof sak2 !== 'number'){
+      return;
+    }
+    if (!(sak2 & 0x04)){
+      if (uid2[0] == PICC_Cmd.CT){
+        // error, indicates uid is longer
+        this.lastError = new ProtocolError('Cascade tag without cascade bit in SAK');
+        return;
+      }
+      // UID 7 bytes
+      return getTagInfo([...uid1.slice(1, 4), ...uid2.slice(0, 4)], this.atqa, sak2);
+    }
+    if (uid2[0] != PICC_Cmd.CT){
+      // error, not valid for next level
+      this.lastError = new ProtocolError('Cascade bit in SAK without cascade tag');
+      return;
+    }
+    const uid3 = await this.cascade(3);
+    if (!Array.isArray(uid3)){
+      return;
+    }
+    const sak3 = await this.select(3, uid3);
+    if (typeof sak3 !== 'number'){
+      return;
+    }
+    // UID 10 bytes
+    return getTagInfo(
+      [...uid1.slice(1, 4), ...uid2.slice(1, 4), ...uid3.slice(0, 4)],
+      this.atqa,
+      sak3
+    );
+  }
+
+  /**
+   * Return a 4, 7 or 10 byte UID
+   * from a tag in the antenna field
+   * @returns {Promise<void|number[]>}
+   */
+  async getUid(){
+    const tag = await this.selectTag();
+    if (!tag){
+      return;
+    }
+    return tag.uid;
+  }
+
+  /**
+   * Select a tag with a known UID without anticollision loop,
+   * e.g. after wakeUp() to check if a halted tag is still there.
+   * @param {number[]} uid 4, 7 or 10 bytes
+   * @returns {Promise<void|number>} SAK
+   */
+  async selectUid(uid){
+    if (!Array.isArray(uid) || ![4, 7, 10].includes(uid.length)){
+      throw new RangeError(`uid must be 4, 7 or 10 bytes: ${JSON.stringify(uid)}`);
+    }
+    /** @type {number[][]} */
+    const levels = [];
+    let rest = [...uid];
+    while (rest.length > 4){
+      levels.push([PICC_Cmd.CT, ...rest.slice(0, 3)]);
+      rest = rest.slice(3);
+    }
+    levels.push(rest);
+
+    let sak;
+    for (let i = 0; i < levels.length; i++){
+      const cl = levels[i];
+      sak = await this.select(i + 1, [...cl, cl[0] ^ cl[1] ^ cl[2] ^ cl[3]]);
+      if (typeof sak !== 'number'){
+        return;
+      }
+    }
+    return sak;
+  }
+
+  /**
+   * List all tags in the antenna field
+   * Each tag is halted with HLTA after its selection,
+   * so it does not answer the next REQA and the
+   * anticollision loop goes down another branch
+   * of the UID tree, until no tag answers anymore.
+   * @param {number} [maxTags] stop after this number of tags
+   * @returns {Promise<import('./card_type.js').TagInfo[]>}
+   */
+  async inventory(maxTags = 16){
+    /** @type {import('./card_type.js').TagInfo[]} */
+    const tags = [];
+    let failures = 0;
+    while (tags.length < maxTags && failures < 3){
+      if (!await this.detect()){
+        break;
+      }
+      const tag = await this.selectTag();
+      if (!tag){
+        failures++;
+        continue;
+      }
+      tags.push(tag);
+      await this.haltA();
+    }
+    return tags;
+  }
+
+  /**
+   * Send HLTA to the selected tag
+   * The tag does not answer when it halts.
+   * @returns {Promise<boolean>} halted
+   */
+  async haltA(){
+    const req = [PICC_Cmd.HLTA, 0x00];
+    const crc = await this.calcCRC(req);
+    if (!Array.isArray(crc)){
+      return false;
+    }
+    await this.write([[PCD_Reg.BitFraming, 0x00]]);
+    const { success, bitSize } = await this.transeive([...req, ...crc], this.timeouts.halt);
+    // Any answer is a NAK
+    return !success || !bitSize;
+  }
+
+  /**
+   * Append CRC_A, send to the tag and check
+   * for the 4 bit MIFARE ACK (0xA)
+   * @param {number[]} dataAry
+   * @param {boolean} [acceptTimeout] no answer counts as success,
+   * the tag only answers with a NAK to the second step of
+   * the value block commands
+   * @returns {Promise<boolean>} ACK received
+   */
+  async mifareTransceive(dataAry, acceptTimeout = false){
+    const crc = await this.calcCRC(dataAry);
+    if (!Array.isArray(crc)){
+      this.debug('CRC failed');
+      return false;
+    }
+    await this.write([[PCD_Reg.BitFraming, 0x00]]);
+    const { success, data, bitSize, error } = await this.transeive([...dataAry, ...crc], this.timeouts.write);
+    if (!success){
+      if (acceptTimeout && error instanceof TimeoutError){
+        // the expected silence, not an error
+        this.lastError = undefined;
+        return true;
+      }
+      return false;
+    }
+    if (bitSize != 4){
+      this.lastError = new ProtocolError(`Answer of ${bitSize} bits instead of an ACK`);
+      return false;
+    }
+    if ((data[0] & 0x0f) != 0x0a){
+      this.lastError = new NakError(data[0] & 0x0f);
+      this.debug(this.lastError.message);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Authenticate a MIFARE Classic block with
+   * the MFAuthent command of the MFRC522
+   * The tag needs to be selected with getUid() first.
+   * @param {number} block block address
+   * @param {'A'|'B'} keyType
+   * @param {number[]} key 6 bytes
+   * @param {number[]} uid 4, 7 or 10 byte UID, the last 4 bytes are used
+   * @returns {Promise<boolean>} authenticated, Crypto1 is on
+   */
+  async authenticate(block, keyType, key, uid){
+    testByte(block);
+    if (keyType !== 'A' && keyType !== 'B'){
+      throw new TypeError(`keyType must be 'A' or 'B', current: ${JSON.stringify(keyType)}`);
+    }
+    if (!Array.isArray(key) || key.length != 6){
+      throw new RangeError(`key must be 6 bytes: ${JSON.stringify(key)}`);
+    }
+    if (!Array.isArray(uid) || uid.length < 4){
+      throw new RangeError(`uid must be at least 4 bytes: ${JSON.stringify(uid)}`);
+    }
+    const cmd = keyType === 'A'
+      ? PICC_Cmd.MF_AUTH_KEY_A
+      : PICC_Cmd.MF_AUTH_KEY_B;
+
+    return await this.#withRetry('auth', async () => {
+      const [comIrq1] = await this.read([PCD_Reg.ComIrq]);
+
+      await this.write([
+        [PCD_Reg.Command, PCD_Cmd.Idle],
+        ...this.#timerWrites(this.timeouts.auth),
+        // clear all interupt requests
+        [PCD_Reg.ComIrq, comIrq1 & 0x7f],
+        // flush FIFO
+        [PCD_Reg.FIFOLevel, 0x80],
+        [PCD_Reg.FIFOData, cmd, block, ...key, ...uid.slice(-4)],
+        [PCD_Reg.Command, PCD_Cmd.MFAuthent],
+      ]);
+
+      // Wait for IdleIRq, the timer ends the wait
+      // for each of the two answers of the tag
+      const wait = 2 * this.timeouts.auth / 1000 + HOST_MARGIN;
+      let irq = 0;
+      if (this.irq){
+        if (await this.#waitIrqLine(wait)){
+          [irq] = await this.read([PCD_Reg.ComIrq]);
+        }
+        // release the IRQ line
+        await this.write([[PCD_Reg.ComIrq, 0x7f]]);
+      } else {
+        const deadline = Date.now() + wait;
+        while (Date.now() < deadline){
+          await setTimeout(3);
+          [irq] = await this.read([PCD_Reg.ComIrq]);
+          if (irq & 0x11){ // IdleIRq or TimerIRq
+            break;
+          }
+        }
+      }
+
+      const [error, status2] = await this.read([
+        PCD_Reg.Error,
+        PCD_Reg.Status2,
+      ]);
+
+      // ProtocolErr, ParityErr, CollErr, BufferOvfl and the errors of the MFRC522
+      const [fatal] = decodeError(error & ~PCD_Error.CRCErr);
+      if (!(irq & 0x10) || fatal){
+        await this.write([[PCD_Reg.Command, PCD_Cmd.Idle]]);
+        // a wrong key ends with a timeout
+        this.lastError = fatal ?? new AuthError(`Authentication with key ${keyType} failed for block ${block}`, error);
+        return false;
+      }
+
+      // MFCrypto1On
+      if (!(status2 & 0x08)){
+        this.lastError = new AuthError('Crypto1 is not on after the authentication');
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Switch off the MIFARE Crypto1 unit,
+   * needed after the communication with an
+   * authenticated tag ends.
+   * @returns {Promise<void>}
+   */
+  async stopCrypto1(){
+    await this.clearBitMask(PCD_Reg.Status2, 0x08);
+  }
+
+  /**
+   * Read a 16 byte block from a MIFARE Classic tag
+   * (the block must be authenticated) or
+   * 4 pages from a MIFARE Ultralight tag
+   * @param {number} block
+   * @returns {Promise<void|number[]>} 16 bytes
+   */
+  async readBlock(block){
+    testByte(block);
+    const req = [PICC_Cmd.MF_READ, block];
+    return await this.#withRetry('read', async () => {
+      const crc = await this.calcCRC(req);
+      if (!Array.isArray(crc)){
+        this.debug('CRC failed');
+        return;
+      }
+      await this.write([[PCD_Reg.BitFraming, 0x00]]);
+      const { success, data, bitSize } = await this.transeive([...req, ...crc], this.timeouts.read);
+      if (!success){
+        return;
+      }
+      if (bitSize == 4){
+        this.lastError = new NakError(data[0] & 0x0f);
+        this.debug(this.lastError.message);
+        return;
+      }
+      if (bitSize != 18 * 8){
+        this.lastError = new ProtocolError(`Answer of ${bitSize} bits instead of 18 bytes`);
+        return;
+      }
+      const blockData = data.slice(0, 16);
+      const blockCrc = await this.calcCRC(blockData);
+      if (!Array.isArray(blockCrc)){
+        this.debug('CRC failed');
+        return;
+      }
+      if (blockCrc[0] != data[16] || blockCrc[1] != data[17]){
+        this.lastError = new CrcError(`CRC mismatch block ${block}`);
+        this.debug(this.lastError.message);
+        return;
+      }
+      return blockData;
+    });
+  }
+
+  /**
+   * Write a 16 byte block to a MIFARE Classic tag
+   * The block must be authenticated.
+   * The write takes two steps, each one acknowledged
+   * by the tag: the command with the block address
+   * and then the data.
+   * @param {number} block
+   * @param {number[]} data 16 bytes
+   * @returns {Promise<boolean>} written
+   */
+  async writeBlock(block, data){
+    testByte(block);
+    if (!Array.isArray(data) || data.length != 16){
+      throw new RangeError(`data must be 16 bytes: ${JSON.stringify(data)}`);
+    }
+    for (const b of data){
+      testByte(b);
+    }
+    return await this.#withRetry('write', async () => {
+      if (!await this.mifareTransceive([PICC_Cmd.MF_WRITE, block])){
+        return false;
+      }
+      return await this.mifareTransceive(data);
+    });
+  }
+
+  /**
+   * Read 4 pages (16 bytes) from a MIFARE Ultralight
+   * or NTAG tag, starting at page. The read wraps
+   * around at the last page of the tag.
+   * @param {number} page
+   * @returns {Promise<void|number[]>} 16 bytes
+   */
+  async readPages(page){
+    return await this.readBlock(page);
+  }
+
+  /**
+   * Write one 4 byte page to a MIFARE Ultralight or NTAG tag
+   * Mind that the lock and OTP bits can only be set,
+   * see checkPageWrite() in lib/ultralight.js
+   * @param {number} page
+   * @param {number[]} data 4 bytes
+   * @returns {Promise<boolean>} written
+   */
+  async writePage(page, data){
+    testByte(page);
+    if (!Array.isArray(data) || data.length != 4){
+      throw new RangeError(`data must be 4 bytes: ${JSON.stringify(data)}`);
+    }
+    for (const b of data){
+      testByte(b);
+    }
+    return await this.#withRetry('write', async () => {
+      return await this.mifareTransceive([PICC_Cmd.UL_WRITE, page, ...data]);
+    });
+  }
+
+  /**
+   * Read a value block of a MIFARE Classic tag
+   * The block must be authenticated.
+   * @param {number} block
+   * @returns {Promise<void|{value: number, adr: number}>}
+   * nothing when the read fails or the block is not a valid value block
+   */
+  async readValue(block){
+    const data = await this.readBlock(block);
+    if (!Array.isArray(data)){
+      return;
+    }
+    const valueBlock = decodeValueBlock(data);
+    if (!valueBlock){
+      this.debug(`Block ${block} is not a value block`);
+      return;
+    }
+    return valueBlock;
+  }
+
+  /**
+   * Format a block of a MIFARE Classic tag as value block
+   * The block must be authenticated.
+   * @param {number} block
+   * @param {number} value signed 32 bit
+   * @param {number} [adr] address byte, defaults to the block address
+   * @returns {Promise<boolean>} written
+   */
+  async writeValue(block, value, adr = block){
+    return await this.writeBlock(block, encodeValueBlock(value, adr));
+  }
+
+  /**
+   * Write the sector trailer of a MIFARE Classic tag
+   * The block must be authenticated.
+   * Access bits whose inverted copies do not match
+   * block the sector for good, they are refused
+   * unless force is set.
+   * @param {number} block the sector trailer
+   * @param {number[]} data 16 bytes, see encodeTrailer()
+   * @param {boolean} [force] write invalid access bits
+   * @returns {Promise<boolean>} written
+   */
+  async writeTrailer(block, data, force = false){
+    if (!isTrailerBlock(block)){
+      throw new RangeError(`Block ${block} is not a sector trailer`);
+    }
+    if (!decodeTrailer(data).conditions && !force){
+      throw new RangeError(`Refused to write invalid access bits to block ${block}: ${JSON.stringify(data.slice(6, 9))}`);
+    }
+    return await this.writeBlock(block, data);
+  }
+
+  /**
+   * Send a value block command in two steps:
+   * the command with the block address, acknowledged by the tag,
+   * then the 4 byte operand, which the tag does not acknowledge.
+   * @param {number} cmd
+   * @param {number} block
+   * @param {number} operand unsigned 32 bit
+   * @returns {Promise<boolean>}
+   */
+  async mifareTwoStep(cmd, block, operand){
+    testByte(block);
+    if (!Number.isInteger(operand) || operand < 0 || operand > 0xffffffff){
+      throw new RangeError(`operand must be an unsigned 32 bit integer: ${JSON.stringify(operand)}`);
+    }
+    const op = Buffer.alloc(4);
+    op.writeUInt32LE(operand);
+    return await this.#withRetry('write', async () => {
+      if (!await this.mifareTransceive([cmd, block])){
+        return false;
+      }
+      return await this.mifareTransceive([...op], true);
+    });
+  }
+
+  /**
+   * Add to the value of a value block,
+   * the result is held in the internal
+   * data register of the tag until transfer()
+   * @param {number} block
+   * @param {number} delta
+   * @returns {Promise<boolean>}
+   */
+  async increment(block, delta){
+    return await this.mifareTwoStep(PICC_Cmd.MF_INCREMENT, block, delta);
+  }
+
+  /**
+   * Subtract from the value of a value block,
+   * the result is held in the internal
+   * data register of the tag until transfer()
+   * @param {number} block
+   * @param {number} delta
+   * @returns {Promise<boolean>}
+   */
+  async decrement(block, delta){
+    return await this.mifareTwoStep(PICC_Cmd.MF_DECREMENT, block, delta);
+  }
+
+  /**
+   * Copy a value block into the internal
+   * data register of the tag
+   * @param {number} block
+   * @returns {Promise<boolean>}
+   */
+  async restore(block){
+    return await this.mifareTwoStep(PICC_Cmd.MF_RESTORE, block, 0);
+  }
+
+  /**
+   * Write the internal data register of the tag to a block
+   * @param {number} block
+   * @returns {Promise<boolean>}
+   */
+  async transfer(block){
+    testByte(block);
+    return await this.#withRetry('write', async () => {
+      return await this.mifareTransceive([PICC_Cmd.MF_TRANSFER, block]);
+    });
+  }
+
+  /**
+   * Send a NTAG21x or Ultralight C command with CRC_A
+   * and check the answer of length bytes and its CRC_A
+   * @param {number[]} req
+   * @param {number} length bytes of the answer without CRC
+   * @param {number} timeoutUs
+   * @returns {Promise<void|number[]>}
+   */
+  async #ntagCommand(req, length, timeoutUs){
+    const crc = await this.calcCRC(req);
+    if (!Array.isArray(crc)){
+      this.debug('CRC failed');
+      return;
+    }
+    await this.write([[PCD_Reg.BitFraming, 0x00]]);
+    const { success, data, bitSize } = await this.transeive([...req, ...crc], timeoutUs);
+    if (!success){
+      return;
+    }
+    if (bitSize == 4){
+      this.lastError = new NakError(data[0] & 0x0f);
+      this.debug(this.lastError.message);
+      return;
+    }
+    if (bitSize != (length + 2) * 8){
+      this.lastError = new ProtocolError(`Answer of ${bitSize} bits instead of ${length + 2} bytes`);
+      return;
+    }
+    const answer = data.slice(0, length);
+    const answerCrc = await this.calcCRC(answer);
+    if (!Array.isArray(answerCrc)){
+      this.debug('CRC failed');
+      return;
+    }
+    if (answerCrc[0] != data[length] || answerCrc[1] != data[length + 1]){
+      this.lastError = new CrcError(`CRC mismatch answer of 0x${req[0].toString(16)}`);
+      this.debug(this.lastError.message);
+      return;
+    }
+    return answer;
+  }
+
+  /**
+   * GET_VERSION of a NTAG21x or MIFARE Ultralight EV1 tag,
+   * decode it with decodeVersion() of lib/ntag.js
+   * @returns {Promise<void|number[]>} 8 bytes
+   */
+  async getTagVersion(){
+    return await this.#withRetry('read', async () => {
+      return await this.#ntagCommand([PICC_Cmd.NTAG_GET_VERSION], 8, this.timeouts.read);
+    });
+  }
+
+  /**
+   * READ_SIG: the ECC originality signature of a NTAG21x
+   * or MIFARE Ultralight EV1 tag, check it with
+   * verifySignature() of lib/ntag.js
+   * @returns {Promise<void|number[]>} 32 bytes
+   */
+  async readSignature(){
+    return await this.#withRetry('read', async () => {
+      return await this.#ntagCommand([PICC_Cmd.NTAG_READ_SIG, 0x00], 32, this.timeouts.read);
+    });
+  }
+
+  /**
+   * FAST_READ the pages from startPage to endPage of a
+   * NTAG21x or MIFARE Ultralight EV1 tag in one frame
+   * @param {number} startPage
+   * @param {number} endPage not before startPage
+   * @returns {Promise<void|number[]>} 4 bytes per page
+   */
+  async fastRead(startPage, endPage){
+    testByte(startPage);
+    testByte(endPage);
+    if (endPage < startPage){
+      throw new RangeError(`endPage ${endPage} is before startPage ${startPage}`);
+    }
+    const req = [PICC_Cmd.NTAG_FAST_READ, startPage, endPage];
+    return await this.#withRetry('read', async () => {
+      return await this.#ntagCommand(req, (endPage - startPage + 1) * 4, this.timeouts.read);
+    });
+  }
+
+  /**
+   * READ_CNT: a 24 bit counter of a NTAG21x
+   * or MIFARE Ultralight EV1 tag
+   * @param {number} [counter] 0x02 is the NFC counter of NTAG21x,
+   * MIFARE Ultralight EV1 has the counters 0 to 2
+   * @returns {Promise<void|number>}
+   */
+  async readCounter(counter = 0x02){
+    if (!Number.isInteger(counter) || counter < 0 || counter > 2){
+      throw new RangeError(`counter must be 0 to 2: ${JSON.stringify(counter)}`);
+    }
+    const data = await this.#withRetry('read', async () => {
+      return await this.#ntagCommand([PICC_Cmd.NTAG_READ_CNT, counter], 3, this.timeouts.read);
+    });
+    if (!Array.isArray(data)){
+      return;
+    }
+    return data[0] | (data[1] << 8) | (data[2] << 16);
+  }
+
+  /**
+   * PWD_AUTH of a NTAG21x or MIFARE Ultralight EV1 tag,
+   * the tag answers a wrong password with a NAK
+   * and goes back to IDLE. Each failed attempt
+   * counts against AUTHLIM, so it is not retried:
+   * select the tag again before the next attempt.
+   * @param {number[]} pwd 4 bytes
+   * @returns {Promise<void|number[]>} PACK, 2 bytes
+   */
+  async pwdAuth(pwd){
+    if (!Array.isArray(pwd) || pwd.length != 4){
+      throw new RangeError(`pwd must be 4 bytes: ${JSON.stringify(pwd)}`);
+    }
+    for (const b of pwd){
+      testByte(b);
+    }
+    this.lastError = undefined;
+    const pack = await this.#ntagCommand([PICC_Cmd.NTAG_PWD_AUTH, ...pwd], 2, this.timeouts.auth);
+    if (this.lastError instanceof NakError){
+      this.lastError = new AuthError(`Wrong password, ${this.lastError.message}`);
+    }
+    return pack;
+  }
+
+  /**
+   * 3DES authentication of a MIFARE Ultralight C tag,
+   * the tag and the reader both prove they know the key.
+   * After it the pages from AUTH0 can be accessed.
+   * It is not retried: after a failed step the tag is
+   * back in IDLE, select it again before the next attempt.
+   * @param {number[]} key 16 bytes
+   * @returns {Promise<boolean>} authenticated
+   */
+  async ulcAuthenticate(key){
+    if (!Array.isArray(key) || key.length != 16){
+      throw new RangeError(`key must be 16 bytes: ${JSON.stringify(key)}`);
+    }
+    for (const b of key){
+      testByte(b);
+    }
+    this.lastError = undefined;
+    const challenge = await this.#ntagCommand([PICC_Cmd.ULC_AUTH, 0x00], 9, this.timeouts.auth);
+    if (!challenge){
+      return false;
+    }
+    if (challenge[0] !== PICC_Cmd.ULC_AUTH_CONTINUE){
+      this.lastError = new ProtocolError(`Answer 0x${challenge[0].toString(16)} instead of 0xaf to AUTHENTICATE`);
+      return false;
+    }
+    const { data, rndA, iv } = ulcAuthRequest(key, challenge.slice(1));
+    const answer = await this.#ntagCommand([PICC_Cmd.ULC_AUTH_CONTINUE, ...data], 9, this.timeouts.auth);
+    if (!answer){
+      if (this.lastError instanceof NakError){
+        // the tag could not decrypt RndB'
+        this.lastError = new AuthError(`Wrong key, ${this.lastError.message}`);
+      }
+      return false;
+    }
+    if (answer[0] !== 0x00 || !ulcCheckAuthAnswer(key, iv, answer.slice(1), rndA)){
+      this.lastError = new AuthError('The tag does not know the key');
+      return false;
+    }
+    return true;
+  }
+}
+
+export { MFRC522, BIT_RATES };
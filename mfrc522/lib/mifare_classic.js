@@ -0,0 +1,145 @@
+// @ts-check
+"use strict";
+
+/**
+ * MIFARE Classic memory layout
+ * 1K: 16 sectors of 4 blocks
+ * 4K: 32 sectors of 4 blocks followed by 8 sectors of 16 blocks
+ * The last block of each sector is the sector trailer
+ * with key A, the access bits and key B.
+ * https://www.nxp.com/docs/en/data-sheet/MF1S50YYX_V1.pdf
+ *
+ * A value block holds a signed 32 bit value (little endian)
+ * stored three times, once inverted, followed by
+ * an address byte stored four times, twice inverted:
+ * value, ~value, value, adr, ~adr, adr, ~adr
+ */
+
+const DEFAULT_KEY = [0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+
+// keys often found on tags: transport key, MAD key A,
+// NDEF key A (MIFARE Application Directory, NXP AN10787), zeros
+const KNOWN_KEYS = [
+  DEFAULT_KEY,
+  [0xa0, 0xa1, 0xa2, 0xa3, 0xa4, 0xa5],
+  [0xd3, 0xf7, 0xd3, 0xf7, 0xd3, 0xf7],
+  [0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+];
+
+/**
+ * Number of sectors by card type
+ * @param {import('./card_type.js').CardType} type
+ * @returns {number}
+ */
+const getSectorCount = (type) => {
+  if (type === 'classicMini'){
+    return 5;
+  }
+  return type === 'classic4k' ? 40 : 16;
+};
+
+/**
+ * @param {number} block
+ * @returns {number}
+ */
+const getSector = (block) => {
+  if (block < 128){
+    return Math.floor(block / 4);
+  }
+  return 32 + Math.floor((block - 128) / 16);
+};
+
+/**
+ * @param {number} sector
+ * @returns {number}
+ */
+const getFirstBlock = (sector) => {
+  if (sector < 32){
+    return sector * 4;
+  }
+  return 128 + (sector - 32) * 16;
+};
+
+/**
+ * @param {number} sector
+ * @returns {number}
+ */
+const getBlockCount = (sector) => {
+  return sector < 32 ? 4 : 16;
+};
+
+/**
+ * @param {number} sector
+ * @returns {number}
+ */
+const getTrailerBlock = (sector) => {
+  return getFirstBlock(sector) + getBlockCount(sector) - 1;
+};
+
+/**
+ * @param {number} block
+ * @returns {boolean}
+ */
+const isTrailerBlock = (block) => {
+  return getTrailerBlock(getSector(block)) === block;
+};
+
+/**
+ * Format a value block
+ * @param {number} value signed 32 bit
+ * @param {number} adr address byte, free to use, often the block address
+ * @returns {number[]} 16 bytes
+ */
+const encodeValueBlock = (value, adr) => {
+  if (!Number.isInteger(value) || value < -0x80000000 || value > 0x7fffffff){
+    throw new RangeError(`value must be a signed 32 bit integer: ${JSON.stringify(value)}`);
+  }
+  if (!Number.isInteger(adr) || adr < 0 || adr > 255){
+    throw new RangeError(`adr must be a byte: ${JSON.stringify(adr)}`);
+  }
+  const val = Buffer.alloc(4);
+  val.writeInt32LE(value);
+  const inv = val.map((b) => ~b & 0xff);
+  return [
+    ...val, ...inv, ...val,
+    adr, ~adr & 0xff, adr, ~adr & 0xff,
+  ];
+};
+
+/**
+ * Decode and validate a value block
+ * @param {number[]} data 16 bytes
+ * @returns {void|{value: number, adr: number}} nothing when the block is not a valid value block
+ */
+const decodeValueBlock = (data) => {
+  if (!Array.isArray(data) || data.length != 16){
+    throw new RangeError(`data must be 16 bytes: ${JSON.stringify(data)}`);
+  }
+  for (let i = 0; i < 4; i++){
+    if (data[i] != data[i + 8]){
+      return;
+    }
+    if (data[i] != (~data[i + 4] & 0xff)){
+      return;
+    }
+  }
+  const adr = data[12];
+  if (data[14] != adr || data[13] != (~adr & 0xff) || data[15] != (~adr & 0xff)){
+    return;
+  }
+  const value = Buffer.from(data.slice(0, 4)).readInt32LE();
+  return { value, adr };
+};
+
+export {
+  DEFAULT_KEY,
+  KNOWN_KEYS,
+  getSectorCount,
+  getSector,
+  getFirstBlock,
+  getBlockCount,
+  getTrailerBlock,
+  isTrailerBlock,
+  encodeValueBlock,
+  decodeValueBlock,
+};
@@ -0,0 +1,443 @@
+// @ts-check
+"use strict";
+
+/**
+ * NDEF messages on NFC Forum Type 2 tags
+ * (MIFARE Ultralight and NTAG21x)
+ *
+ * Page 3 is the Capability Container (CC),
+ * the data area starts at page 4 and holds
+ * TLV blocks: NULL, Lock Control, Memory Control,
+ * NDEF Message and the Terminator.
+ *
+ * NFC Forum Type 2 Tag Technical Specification
+ * NFC Forum NFC Data Exchange Format (NDEF) Technical Specification
+ * NFC Forum URI and Text Record Type Definitions
+ */
+
+import { NDEF_TNF } from '../data/ndef_tnf.js';
+import { NDEF_UriPrefix } from '../data/ndef_uri_prefix.js';
+import { checkPageWrite } from './ultralight.js';
+
+const NDEF_TLV = {
+  Null: 0x00,
+  LockControl: 0x01,
+  MemoryControl: 0x02,
+  Message: 0x03,
+  Proprietary: 0xfd,
+  Terminator: 0xfe,
+};
+
+/**
+ * @typedef {Object} NdefRecord
+ * @property {number} tnf Type Name Format, see NDEF_TNF
+ * @property {string} type
+ * @property {number[]} id
+ * @property {number[]} payload
+ */
+
+/**
+ * @typedef {Object} CapabilityContainer
+ * @property {number} version major version in the high nibble
+ * @property {number} size size of the data area in bytes
+ * @property {boolean} readable
+ * @property {boolean} writable
+ */
+
+/**
+ * @typedef {Object} TLV
+ * @property {number} tag
+ * @property {number} offset position of the TLV in the data area
+ * @property {number[]} value
+ */
+
+/**
+ * @param {number[]} cc the 4 bytes of page 3
+ * @returns {void|CapabilityContainer} nothing when not NDEF formatted
+ */
+const parseCC = (cc) => {
+  if (cc[0] !== 0xe1){
+    return;
+  }
+  return {
+    version: cc[1],
+    size: cc[2] * 8,
+    readable: (cc[3] & 0xf0) === 0x00,
+    writable: (cc[3] & 0x0f) === 0x00,
+  };
+};
+
+/**
+ * Parse the TLV blocks of the data area
+ * @param {number[]} bytes
+ * @returns {{tlvs: TLV[], complete: boolean}} complete is
+ * false when more bytes are needed
+ */
+const parseTLVs = (bytes) => {
+  /** @type {TLV[]} */
+  const tlvs = [];
+  let i = 0;
+  while (i < bytes.length){
+    const tag = bytes[i];
+    if (tag === NDEF_TLV.Null){
+      i++;
+      continue;
+    }
+    if (tag === NDEF_TLV.Terminator){
+      tlvs.push({ tag, offset: i, value: [] });
+      return { tlvs, complete: true };
+    }
+    if (i + 1 >= bytes.length){
+      break;
+    }
+    let len = bytes[i + 1];
+    let head = 2;
+    if (len === 0xff){
+      if (i + 3 >= bytes.length){
+        break;
+      }
+      len = (bytes[i + 2] << 8) | bytes[i + 3];
+      head = 4;
+    }
+    if (i + head + len > bytes.length){
+      break;
+    }
+    tlvs.push({ tag, offset: i, value: bytes.slice(i + head, i + head + len) });
+    i += head + len;
+  }
+  return { tlvs, complete: false };
+};
+
+/**
+ * Wrap a message in a NDEF Message TLV
+ * followed by a Terminator TLV
+ * @param {number[]} message
+ * @returns {number[]}
+ */
+const encodeMessageTLV = (message) => {
+  const len = message.length < 0xff
+    ? [message.length]
+    : [0xff, message.length >> 8, message.length & 0xff];
+  return [NDEF_TLV.Message, ...len, ...message, NDEF_TLV.Terminator];
+};
+
+/**
+ * Decode a NDEF message into records
+ * Chunked records are joined.
+ * @param {number[]} bytes
+ * @returns {NdefRecord[]}
+ */
+const decodeMessage = (bytes) => {
+  /** @type {NdefRecord[]} */
+  const records = [];
+  let chunked = false;
+  let i = 0;
+  while (i < bytes.length){
+    const header = bytes[i++];
+    const tnf = header & 0x07;
+    const cf = !!(header & 0x20);
+    const sr = !!(header & 0x10);
+    const il = !!(header & 0x08);
+    const typeLen = bytes[i++];
+    let payloadLen;
+    if (sr){
+      payloadLen = bytes[i++];
+    } else {
+      payloadLen = Buffer.from(bytes.slice(i, i + 4)).readUInt32BE();
+      i += 4;
+    }
+    const idLen = il ? bytes[i++] : 0;
+    const type = Buffer.from(bytes.slice(i, i + typeLen)).toString('ascii');
+    i += typeLen;
+    const id = bytes.slice(i, i + idLen);
+    i += idLen;
+    if (i + payloadLen > bytes.length){
+      throw new RangeError('NDEF record payload exceeds the message');
+    }
+    const payload = bytes.slice(i, i + payloadLen);
+    i += payloadLen;
+
+    if (chunked && tnf === NDEF_TNF.Unchanged){
+      records[records.length - 1].payload.push(...payload);
+    } else {
+      records.push({ tnf, type, id, payload });
+    }
+    chunked = cf;
+    if (header & 0x40){ // ME
+      break;
+    }
+  }
+  return records;
+};
+
+/**
+ * Encode records into a NDEF message
+ * @param {NdefRecord[]} records
+ * @returns {number[]}
+ */
+const encodeMessage = (records) => {
+  if (!records.length){
+    return [0xd0, 0x00, 0x00]; // empty record
+  }
+  /** @type {number[]} */
+  const bytes = [];
+  records.forEach((record, index) => {
+    const type = [...Buffer.from(record.type, 'ascii')];
+    const sr = record.payload.length < 256;
+    const il = record.id.length > 0;
+    let header = record.tnf & 0x07;
+    if (index === 0){
+      header |= 0x80; // MB
+    }
+    if (index === records.length - 1){
+      header |= 0x40; // ME
+    }
+    if (sr){
+      header |= 0x10;
+    }
+    if (il){
+      header |= 0x08;
+    }
+    bytes.push(header, type.length);
+    if (sr){
+      bytes.push(record.payload.length);
+    } else {
+      const len = Buffer.alloc(4);
+      len.writeUInt32BE(record.payload.length);
+      bytes.push(...len);
+    }
+    if (il){
+      bytes.push(record.id.length);
+    }
+    bytes.push(...type, ...record.id, ...record.payload);
+  });
+  return bytes;
+};
+
+/**
+ * @param {string} uri
+ * @returns {NdefRecord}
+ */
+const uriRecord = (uri) => {
+  let code = 0;
+  NDEF_UriPrefix.forEach((prefix, i) => {
+    if (prefix && uri.startsWith(prefix) && prefix.length > NDEF_UriPrefix[code].length){
+      code = i;
+    }
+  });
+  return {
+    tnf: NDEF_TNF.WellKnown,
+    type: 'U',
+    id: [],
+    payload: [code, ...Buffer.from(uri.slice(NDEF_UriPrefix[code].length), 'utf8')],
+  };
+};
+
+/**
+ * @param {string} text
+ * @param {string} [lang] IANA language code
+ * @returns {NdefRecord}
+ */
+const textRecord = (text, lang = 'en') => {
+  const langBytes = [...Buffer.from(lang, 'ascii')];
+  if (langBytes.length > 0x3f){
+    throw new RangeError(`Language code too long: ${lang}`);
+  }
+  return {
+    tnf: NDEF_TNF.WellKnown,
+    type: 'T',
+    id: [],
+    payload: [langBytes.length, ...langBytes, ...Buffer.from(text, 'utf8')],
+  };
+};
+
+/**
+ * @param {string} mimeType
+ * @param {number[]} data
+ * @returns {NdefRecord}
+ */
+const mimeRecord = (mimeType, data) => {
+  return {
+    tnf: NDEF_TNF.Media,
+    type: mimeType,
+    id: [],
+    payload: [...data],
+  };
+};
+
+/**
+ * @param {number[]} payload
+ * @returns {string}
+ */
+const decodeUri = (payload) => {
+  const prefix = NDEF_UriPrefix[payload[0]] ?? '';
+  return prefix + Buffer.from(payload.slice(1)).toString('utf8');
+};
+
+/**
+ * @param {number[]} payload
+ * @returns {{text: string, lang: string, encoding: 'utf8'|'utf16'}}
+ */
+const decodeText = (payload) => {
+  const status = payload[0];
+  const langLen = status & 0x3f;
+  const lang = Buffer.from(payload.slice(1, 1 + langLen)).toString('ascii');
+  const textBytes = Buffer.from(payload.slice(1 + langLen));
+  if (!(status & 0x80)){
+    return { text: textBytes.toString('utf8'), lang, encoding: 'utf8' };
+  }
+  // UTF-16, big endian unless there is a little endian BOM
+  if (textBytes[0] === 0xff && textBytes[1] === 0xfe){
+    return { text: textBytes.subarray(2).toString('utf16le'), lang, encoding: 'utf16' };
+  }
+  const le = Buffer.from(textBytes);
+  le.swap16();
+  const text = le.toString('utf16le').replace(/^\uFEFF/, '');
+  return { text, lang, encoding: 'utf16' };
+};
+
+/**
+ * A readable description of a record
+ * @param {NdefRecord} record
+ * @returns {string}
+ */
+const describeRecord = (record) => {
+  if (record.tnf === NDEF_TNF.WellKnown && record.type === 'U'){
+    return `URI: ${decodeUri(record.payload)}`;
+  }
+  if (record.tnf === NDEF_TNF.WellKnown && record.type === 'T'){
+    const { text, lang } = decodeText(record.payload);
+    return `Text (${lang}): ${text}`;
+  }
+  if (record.tnf === NDEF_TNF.Media){
+    const data = Buffer.from(record.payload);
+    if (record.type.startsWith('text/')){
+      return `MIME ${record.type}: ${data.toString('utf8')}`;
+    }
+    return `MIME ${record.type}: ${data.toString('hex')}`;
+  }
+  if (record.tnf === NDEF_TNF.Empty){
+    return 'Empty';
+  }
+  return `TNF ${record.tnf} type "${record.type}": ${Buffer.from(record.payload).toString('hex')}`;
+};
+
+/**
+ * Read the NDEF message of the selected Type 2 tag
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {import('./ultralight.js').UltralightInfo} info
+ * @returns {Promise<NdefRecord[]>} empty when there is no message
+ */
+const readNdef = async (mfrc522, info) => {
+  const cc = parseCC(info.cc);
+  if (!cc){
+    throw new Error('The tag is not NDEF formatted (no CC magic number 0xE1)');
+  }
+  if (!cc.readable){
+    throw new Error('The CC does not grant read access');
+  }
+  /** @type {number[]} */
+  const bytes = [];
+  for (let page = 4; bytes.length < cc.size; page += 4){
+    const data = await mfrc522.readPages(page);
+    if (!Array.isArray(data)){
+      throw new Error(`Failed to read from page ${page}`);
+    }
+    bytes.push(...data);
+    const { tlvs, complete } = parseTLVs(bytes.slice(0, cc.size));
+    const message = tlvs.find((tlv) => tlv.tag === NDEF_TLV.Message);
+    if (message){
+      return message.value.length ? decodeMessage(message.value) : [];
+    }
+    if (complete){
+      break;
+    }
+  }
+  return [];
+};
+
+/**
+ * Write a NDEF message to the selected Type 2 tag
+ * Lock Control and Memory Control TLVs in front
+ * of the message are kept.
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {import('./ultralight.js').UltralightInfo} info
+ * @param {NdefRecord[]} records
+ * @returns {Promise<number>} number of pages written
+ */
+const writeNdef = async (mfrc522, info, records) => {
+  const cc = parseCC(info.cc);
+  if (!cc){
+    throw new Error('The tag is not NDEF formatted (no CC magic number 0xE1)');
+  }
+  if (!cc.writable){
+    throw new Error('The CC does not grant write access');
+  }
+
+  // keep the control TLVs
+  const head = await mfrc522.readPages(4);
+  if (!Array.isArray(head)){
+    throw new Error('Failed to read from page 4');
+  }
+  const { tlvs } = parseTLVs(head);
+  const start = tlvs
+    .filter((tlv) => tlv.tag === NDEF_TLV.LockControl || tlv.tag === NDEF_TLV.MemoryControl)
+    .reduce((end, tlv) => Math.max(end, tlv.offset + 2 + tlv.value.length), 0);
+
+  const bytes = [...head.slice(0, start), ...encodeMessageTLV(encodeMessage(records))];
+  while (bytes.length % 4){
+    bytes.push(0x00);
+  }
+  if (bytes.length > cc.size){
+    throw new RangeError(`The message needs ${bytes.length} bytes, the tag has ${cc.size} bytes`);
+  }
+
+  const pageCount = bytes.length / 4;
+  for (let i = 0; i < pageCount; i++){
+    const reason = checkPageWrite(info.type, 4 + i, info.locks);
+    if (reason){
+      throw new Error(`Can not write the message: ${reason}`);
+    }
+  }
+
+  // the Type 2 Tag procedure: the length of the message TLV is 0
+  // while the message is written and is set last, a tag that leaves
+  // the field halfway keeps an empty message, not a partial one
+  const lengthEnd = start + 1 + (bytes[start + 1] === 0xff ? 3 : 1);
+  const empty = [...bytes];
+  empty.fill(0x00, bytes[start + 1] === 0xff ? start + 2 : start + 1, lengthEnd);
+  const lengthPages = [];
+  for (let i = Math.floor(start / 4); i * 4 < lengthEnd; i++){
+    lengthPages.push(i);
+  }
+  const pages = [
+    ...lengthPages.map((i) => ({ i, data: empty })),
+    ...[...Array(pageCount).keys()]
+      .filter((i) => !lengthPages.includes(i))
+      .map((i) => ({ i, data: bytes })),
+    ...lengthPages.map((i) => ({ i, data: bytes })),
+  ];
+  for (const { i, data } of pages){
+    if (!await mfrc522.writePage(4 + i, data.slice(i * 4, i * 4 + 4))){
+      throw new Error(`Failed to write page ${4 + i}`);
+    }
+  }
+  return pageCount;
+};
+
+export {
+  NDEF_TLV,
+  parseCC,
+  parseTLVs,
+  encodeMessageTLV,
+  decodeMessage,
+  encodeMessage,
+  uriRecord,
+  textRecord,
+  mimeRecord,
+  decodeUri,
+  decodeText,
+  describeRecord,
+  readNdef,
+  writeNdef,
+};
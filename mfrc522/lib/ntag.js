@@ -0,0 +1,359 @@
+// @ts-check
+"use strict";
+
+/**
+ * NTAG21x and MIFARE Ultralight EV1 extended commands
+ *
+ * GET_VERSION names the product and its memory size, READ_SIG gives
+ * the originality signature: an ECDSA signature (secp128r1) of the
+ * UID by NXP. The configuration pages hold AUTH0, the first page
+ * protected by the password, and ACCESS. PWD_AUTH sends the 4 byte
+ * password, the tag answers with the 2 byte PACK.
+ *
+ * The password page (PWD) reads as zeros, the configuration
+ * lock (CFGLCK) can not be undone and is never set here.
+ *
+ * https://www.nxp.com/docs/en/data-sheet/NTAG213_215_216.pdf
+ * https://www.nxp.com/docs/en/data-sheet/MF0ULX1.pdf
+ * https://www.nxp.com/docs/en/application-note/AN11350.pdf
+ */
+
+/**
+ * @typedef {Object} NtagProduct
+ * @property {string} name
+ * @property {number} pages total number of pages
+ * @property {number} cfgPage CFG0, followed by CFG1, PWD and PACK
+ * @property {boolean} nfcCounter the NFC counter (READ_CNT 0x02) is
+ * enabled in ACCESS (NFC_CNT_EN), the bit is RFU on the other products
+ * @property {number[]} counters the counters READ_CNT reads: the NFC
+ * counter of NTAG213/215/216, the 3 counters of Ultralight EV1
+ * that always count, none on NTAG210 and NTAG212
+ * @property {bigint[]} publicKey x and y of the NXP key that checks
+ * the originality signature of the product family
+ */
+
+/**
+ * @typedef {Object} NtagVersion
+ * @property {number[]} raw the 8 bytes of GET_VERSION
+ * @property {number} vendor 0x04: NXP
+ * @property {number} productType 0x03: Ultralight, 0x04: NTAG
+ * @property {number} productSubtype
+ * @property {number} majorVersion
+ * @property {number} minorVersion
+ * @property {number} storageSize the size byte
+ * @property {number} protocol 0x03: ISO 14443-3
+ * @property {NtagProduct|undefined} product undefined when not known
+ */
+
+/**
+ * The access configuration byte in CFG1
+ * @typedef {Object} NtagAccess
+ * @property {boolean} prot reads are protected too, not only writes
+ * @property {boolean} cfglck the configuration is locked for good
+ * @property {boolean} nfcCntEn the NFC counter is on (NTAG21x)
+ * @property {boolean} nfcCntPwdProt READ_CNT needs the password (NTAG21x)
+ * @property {number} authlim failed PWD_AUTH attempts before the
+ * password is blocked for good, 0 for no limit
+ */
+
+/**
+ * @typedef {Object} NtagConfig
+ * @property {number} mirror MIRROR byte of CFG0
+ * @property {number} mirrorPage
+ * @property {number} auth0 first protected page, above
+ * the last page for no protection
+ * @property {NtagAccess} access
+ * @property {number[]} pack as read, PWD and PACK always read as zeros
+ */
+
+// READ_CNT address of the NFC counter of NTAG21x
+const NFC_COUNTER = 0x02;
+
+// public key of the NTAG21x originality signature (AN11350)
+const NTAG21X_PUBLIC_KEY = [
+  0x494e1a386d3d3cfe3dc10e5de68a499bn,
+  0x1c202db5b132393e89ed19fe5be8bc61n,
+];
+
+// public key of the MIFARE Ultralight EV1 originality signature
+const UL_EV1_PUBLIC_KEY = [
+  0x90933bdcd6e99b4e255e3da55389a827n,
+  0x564e11718e017292faf23226a96614b8n,
+];
+
+/**
+ * By product type and storage size of GET_VERSION
+ * @type {Object<string, NtagProduct>}
+ */
+const NTAG_PRODUCTS = {
+  '040b': { name: 'NTAG210', pages: 20, cfgPage: 0x10, nfcCounter: false, counters: [], publicKey: NTAG21X_PUBLIC_KEY },
+  '040e': { name: 'NTAG212', pages: 41, cfgPage: 0x25, nfcCounter: false, counters: [], publicKey: NTAG21X_PUBLIC_KEY },
+  '040f': { name: 'NTAG213', pages: 45, cfgPage: 0x29, nfcCounter: true, counters: [NFC_COUNTER], publicKey: NTAG21X_PUBLIC_KEY },
+  '0411': { name: 'NTAG215', pages: 135, cfgPage: 0x83, nfcCounter: true, counters: [NFC_COUNTER], publicKey: NTAG21X_PUBLIC_KEY },
+  '0413': { name: 'NTAG216', pages: 231, cfgPage: 0xe3, nfcCounter: true, counters: [NFC_COUNTER], publicKey: NTAG21X_PUBLIC_KEY },
+  '030b': { name: 'MIFARE Ultralight EV1 (MF0UL11)', pages: 20, cfgPage: 0x10, nfcCounter: false, counters: [0, 1, 2], publicKey: UL_EV1_PUBLIC_KEY },
+  '030e': { name: 'MIFARE Ultralight EV1 (MF0UL21)', pages: 41, cfgPage: 0x25, nfcCounter: false, counters: [0, 1, 2], publicKey: UL_EV1_PUBLIC_KEY },
+};
+
+// secp128r1 (SEC 2)
+const CURVE = {
+  p: 0xfffffffdffffffffffffffffffffffffn,
+  a: 0xfffffffdfffffffffffffffffffffffcn,
+  n: 0xfffffffe0000000075a30d1b9038a115n,
+  g: [0x161ff7528b899b2d0c28607ca52c5b86n, 0xcf5ac8395bafeb13c02da292dded7a83n],
+};
+
+/**
+ * @param {number[]} bytes
+ * @returns {NtagVersion}
+ */
+const decodeVersion = (bytes) => {
+  if (!Array.isArray(bytes) || bytes.length != 8){
+    throw new RangeError(`GET_VERSION answer must be 8 bytes: ${JSON.stringify(bytes)}`);
+  }
+  const [, vendor, productType, productSubtype, majorVersion, minorVersion, storageSize, protocol] = bytes;
+  const key = [productType, storageSize].map((b) => b.toString(16).padStart(2, '0')).join('');
+  return {
+    raw: bytes,
+    vendor,
+    productType,
+    productSubtype,
+    majorVersion,
+    minorVersion,
+    storageSize,
+    protocol,
+    product: vendor === 0x04 ? NTAG_PRODUCTS[key] : undefined,
+  };
+};
+
+/**
+ * @param {number} byte ACCESS
+ * @returns {NtagAccess}
+ */
+const decodeAccess = (byte) => {
+  return {
+    prot: !!(byte & 0x80),
+    cfglck: !!(byte & 0x40),
+    nfcCntEn: !!(byte & 0x10),
+    nfcCntPwdProt: !!(byte & 0x08),
+    authlim: byte & 0x07,
+  };
+};
+
+/**
+ * @param {NtagAccess} access
+ * @returns {number} ACCESS
+ */
+const encodeAccess = ({ prot, cfglck, nfcCntEn, nfcCntPwdProt, authlim }) => {
+  if (!Number.isInteger(authlim) || authlim < 0 || authlim > 7){
+    throw new RangeError(`authlim must be 0 to 7: ${JSON.stringify(authlim)}`);
+  }
+  return (prot ? 0x80 : 0)
+    | (cfglck ? 0x40 : 0)
+    | (nfcCntEn ? 0x10 : 0)
+    | (nfcCntPwdProt ? 0x08 : 0)
+    | authlim;
+};
+
+/**
+ * @param {number[]} data 16 bytes read from CFG0: CFG0, CFG1, PWD and PACK
+ * @returns {NtagConfig}
+ */
+const decodeConfig = (data) => {
+  if (!Array.isArray(data) || data.length < 16){
+    throw new RangeError(`data must be the 16 bytes from CFG0: ${JSON.stringify(data)}`);
+  }
+  return {
+    mirror: data[0],
+    mirrorPage: data[2],
+    auth0: data[3],
+    access: decodeAccess(data[4]),
+    pack: data.slice(12, 14),
+  };
+};
+
+/**
+ * @param {bigint} x
+ * @param {bigint} m
+ * @returns {bigint}
+ */
+const mod = (x, m) => ((x % m) + m) % m;
+
+/**
+ * Modular inverse, m is prime
+ * @param {bigint} x
+ * @param {bigint} m
+ * @returns {bigint}
+ */
+const inverse = (x, m) => {
+  let result = 1n;
+  let base = mod(x, m);
+  for (let e = m - 2n; e > 0n; e >>= 1n){
+    if (e & 1n){
+      result = (result * base) % m;
+    }
+    base = (base * base) % m;
+  }
+  return result;
+};
+
+/**
+ * Add two points of the curve, null is the point at infinity
+ * @param {null|bigint[]} p1
+ * @param {null|bigint[]} p2
+ * @returns {null|bigint[]}
+ */
+const addPoints = (p1, p2) => {
+  if (!p1){
+    return p2;
+  }
+  if (!p2){
+    return p1;
+  }
+  const { p, a } = CURVE;
+  const [x1, y1] = p1;
+  const [x2, y2] = p2;
+  let slope;
+  if (x1 === x2){
+    if (mod(y1 + y2, p) === 0n){
+      return null;
+    }
+    slope = mod((3n * x1 * x1 + a) * inverse(2n * y1, p), p);
+  } else {
+    slope = mod((y2 - y1) * inverse(x2 - x1, p), p);
+  }
+  const x3 = mod(slope * slope - x1 - x2, p);
+  return [x3, mod(slope * (x1 - x3) - y1, p)];
+};
+
+/**
+ * @param {bigint} k
+ * @param {bigint[]} point
+ * @returns {null|bigint[]}
+ */
+const multiplyPoint = (k, point) => {
+  /** @type {null|bigint[]} */
+  let result = null;
+  /** @type {null|bigint[]} */
+  let addend = point;
+  for (; k > 0n; k >>= 1n){
+    if (k & 1n){
+      result = addPoints(result, addend);
+    }
+    addend = addPoints(addend, addend);
+  }
+  return result;
+};
+
+/**
+ * @param {number[]} bytes
+ * @returns {bigint} big endian
+ */
+const toBigInt = (bytes) => {
+  return bytes.reduce((value, b) => (value << 8n) | BigInt(b), 0n);
+};
+
+/**
+ * Check an ECDSA signature on secp128r1 of a message
+ * of up to 16 bytes, the message is not hashed
+ * @param {number[]} message
+ * @param {number[]} signature 32 bytes: r and s
+ * @param {bigint[]} publicKey x and y
+ * @returns {boolean}
+ */
+const verifyEcdsa = (message, signature, publicKey) => {
+  const { n, g } = CURVE;
+  const r = toBigInt(signature.slice(0, 16));
+  const s = toBigInt(signature.slice(16, 32));
+  if (r < 1n || r >= n || s < 1n || s >= n){
+    return false;
+  }
+  const w = inverse(s, n);
+  const point = addPoints(
+    multiplyPoint(mod(toBigInt(message) * w, n), g),
+    multiplyPoint(mod(r * w, n), publicKey),
+  );
+  return !!point && mod(point[0], n) === r;
+};
+
+/**
+ * Check the originality signature of READ_SIG
+ * with the public key of NXP for the product
+ * @param {number[]} uid 7 bytes
+ * @param {number[]} signature 32 bytes
+ * @param {NtagProduct} product from GET_VERSION
+ * @returns {boolean} signed by NXP
+ */
+const verifySignature = (uid, signature, product) => {
+  if (!Array.isArray(signature) || signature.length != 32){
+    throw new RangeError(`signature must be 32 bytes: ${JSON.stringify(signature)}`);
+  }
+  return verifyEcdsa(uid, signature, product.publicKey);
+};
+
+/**
+ * Read CFG0 and CFG1 of the selected tag,
+ * a read protected tag needs PWD_AUTH first
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {NtagProduct} product
+ * @returns {Promise<void|NtagConfig>}
+ */
+const readNtagConfig = async (mfrc522, product) => {
+  const data = await mfrc522.readPages(product.cfgPage);
+  if (!Array.isArray(data)){
+    return;
+  }
+  return decodeConfig(data);
+};
+
+/**
+ * Set the password and PACK, then ACCESS and AUTH0. AUTH0 comes
+ * last, so the tag is not protected before it has the password.
+ * A protected tag needs PWD_AUTH first.
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {NtagProduct} product
+ * @param {Object} protection
+ * @param {number[]} [protection.pwd] new password, 4 bytes
+ * @param {number[]} [protection.pack] new PACK, 2 bytes
+ * @param {number} protection.auth0 first protected page, 0xff for none
+ * @param {NtagAccess} protection.access CFGLCK must not be set
+ * @returns {Promise<boolean>} written
+ */
+const writeNtagProtection = async (mfrc522, product, { pwd, pack, auth0, access }) => {
+  if (access.cfglck){
+    throw new RangeError('CFGLCK locks the configuration for good, it is not set here');
+  }
+  if (!Number.isInteger(auth0) || auth0 < 0 || auth0 > 255){
+    throw new RangeError(`auth0 must be a page: ${JSON.stringify(auth0)}`);
+  }
+  if (pwd && !(Array.isArray(pack) && pack.length === 2)){
+    throw new RangeError('A new password needs a PACK of 2 bytes');
+  }
+  const data = await mfrc522.readPages(product.cfgPage);
+  if (!Array.isArray(data)){
+    return false;
+  }
+  const cfg0 = [...data.slice(0, 3), auth0];
+  const cfg1 = [encodeAccess(access), ...data.slice(5, 8)];
+  if (pwd && pack){
+    if (!await mfrc522.writePage(product.cfgPage + 2, pwd)
+      || !await mfrc522.writePage(product.cfgPage + 3, [...pack, 0x00, 0x00])){
+      return false;
+    }
+  }
+  return await mfrc522.writePage(product.cfgPage + 1, cfg1)
+    && await mfrc522.writePage(product.cfgPage, cfg0);
+};
+
+export {
+  NTAG_PRODUCTS,
+  NFC_COUNTER,
+  decodeVersion,
+  decodeAccess,
+  encodeAccess,
+  decodeConfig,
+  verifyEcdsa,
+  verifySignature,
+  readNtagConfig,
+  writeNtagProtection,
+};
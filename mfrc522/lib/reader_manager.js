@@ -0,0 +1,124 @@
+// @ts-check
+"use strict";
+
+/**
+ * Several MFRC522 readers, e.g. on the chip selects
+ * of one SPI bus (/dev/spidev1.0 and /dev/spidev1.1)
+ *
+ * Each reader gets its own TagReader loop. The loops
+ * run side by side: they only wait for SPI transfers,
+ * the IRQ lines and timers, so a reader without tag
+ * does not hold up the others.
+ *
+ * The events of the TagReaders are emitted again
+ * with the id of the reader as first argument:
+ * - 'tagPresent' (id, tag)
+ * - 'tagRemoved' (id, tag)
+ * - 'selectError' (id, err)
+ * - 'error' (id, err) a communication failure with one
+ *   MFRC522, the other readers keep polling
+ *
+ * Add an 'error' listener: without one, the errors only go
+ * to the debug function of the MFRC522 of the reader.
+ */
+
+import { EventEmitter } from 'events';
+import { MFRC522 } from './mfrc522.js';
+import { TagReader } from './tag_reader.js';
+
+const EVENTS = ['tagPresent', 'tagRemoved', 'selectError', 'error'];
+
+class ReaderManager extends EventEmitter {
+  /**
+   * The TagReaders by reader id
+   * @type {Map<string, TagReader>}
+   */
+  readers = new Map();
+
+  #running = false;
+
+  /**
+   * Add a reader, it starts polling with start()
+   * or right away when the manager is running
+   * @param {string} id
+   * @param {MFRC522} mfrc522 with its registers initialized
+   * @param {import('./tag_reader.js').TagReaderOptions} [options]
+   * @returns {Promise<TagReader>}
+   */
+  async add(id, mfrc522, options){
+    if (typeof id !== 'string' || !id){
+      throw new TypeError(`id must be a non empty string: ${JSON.stringify(id)}`);
+    }
+    if (this.readers.has(id)){
+      throw new Error(`Reader ${id} was added already`);
+    }
+    const reader = new TagReader(mfrc522, options);
+    for (const event of EVENTS){
+      reader.on(event, (arg) => {
+        // emit('error') throws without a listener
+        if (event === 'error' && !this.listenerCount('error')){
+          mfrc522.debug(`ReaderManager ${id}: ${arg}`);
+          return;
+        }
+        this.emit(event, id, arg);
+      });
+    }
+    this.readers.set(id, reader);
+    if (this.#running){
+      await reader.start();
+    }
+    return reader;
+  }
+
+  /**
+   * Stop a reader and remove it
+   * @param {string} id
+   * @returns {Promise<boolean>} the reader was found
+   */
+  async remove(id){
+    const reader = this.readers.get(id);
+    if (!reader){
+      return false;
+    }
+    this.readers.delete(id);
+    await reader.stop();
+    reader.removeAllListeners();
+    return true;
+  }
+
+  /**
+   * Start polling with all readers
+   * @returns {Promise<void>}
+   */
+  async start(){
+    this.#running = true;
+    await Promise.all([...this.readers.values()].map((reader) => reader.start()));
+  }
+
+  /**
+   * Stop all readers
+   * @returns {Promise<void>}
+   */
+  async stop(){
+    this.#running = false;
+    await Promise.all([...this.readers.values()].map((reader) => reader.stop()));
+  }
+
+  /**
+   * The tags that are reported present, by reader id
+   * @returns {Map<string, import('./card_type.js').TagInfo>}
+   */
+  get tags(){
+    /** @type {Map<string, import('./card_type.js').TagInfo>} */
+    const tags = new Map();
+    for (const [id, reader] of this.readers){
+      const tag = reader.tag;
+      if (tag){
+        tags.set(id, tag);
+      }
+    }
+    return tags;
+  }
+}
+
+export { ReaderManager };
@@ -0,0 +1,287 @@
+// @ts-check
+"use strict";
+
+/**
+ * Read all registers of the MFRC522 and decode their bit fields
+ * mfrc522 manual chapter 9.3
+ * https://www.nxp.com/docs/en/data-sheet/MFRC522.pdf
+ *
+ * FIFOData is not read: each read takes a byte out of the FIFO.
+ */
+
+import { PCD_Reg } from '../data/pcd_reg.js';
+import { PCD_Cmd } from '../data/pcd_command.js';
+
+/**
+ * A bit field of a register, a single bit when
+ * the mask has one bit set
+ * @typedef {Object} FieldDef
+ * @property {string} name
+ * @property {number} mask
+ * @property {string[]} [values] meaning by value of the field
+ */
+
+/**
+ * @typedef {Object} DecodedField
+ * @property {string} name
+ * @property {number} bits width of the field, 1 for a single bit
+ * @property {number} value
+ * @property {string} [text] meaning of the value
+ */
+
+/**
+ * @typedef {Object} RegisterValue
+ * @property {string} name as in PCD_Reg
+ * @property {number} addr
+ * @property {number} value
+ * @property {DecodedField[]} fields
+ */
+
+const BIT_RATE = ['106 kbit/s', '212 kbit/s', '424 kbit/s', '848 kbit/s'];
+
+/** @type {string[]} */
+const COMMANDS = [];
+for (const [name, cmd] of Object.entries(PCD_Cmd)){
+  COMMANDS[cmd] = name;
+}
+
+/**
+ * Bit fields by register, registers without
+ * fields hold one value in all 8 bits
+ * @type {Object<string, FieldDef[]>}
+ */
+const REGISTER_FIELDS = {
+  Command: [
+    { name: 'RcvOff', mask: 0x20 },
+    { name: 'PowerDown', mask: 0x10 },
+    { name: 'Command', mask: 0x0f, values: COMMANDS },
+  ],
+  ComIEn: [
+    { name: 'IRqInv', mask: 0x80 },
+    { name: 'TxIEn', mask: 0x40 },
+    { name: 'RxIEn', mask: 0x20 },
+    { name: 'IdleIEn', mask: 0x10 },
+    { name: 'HiAlertIEn', mask: 0x08 },
+    { name: 'LoAlertIEn', mask: 0x04 },
+    { name: 'ErrIEn', mask: 0x02 },
+    { name: 'TimerIEn', mask: 0x01 },
+  ],
+  DivIEn: [
+    { name: 'IRQPushPull', mask: 0x80 },
+    { name: 'MfinActIEn', mask: 0x10 },
+    { name: 'CRCIEn', mask: 0x04 },
+  ],
+  ComIrq: [
+    { name: 'Set1', mask: 0x80 },
+    { name: 'TxIRq', mask: 0x40 },
+    { name: 'RxIRq', mask: 0x20 },
+    { name: 'IdleIRq', mask: 0x10 },
+    { name: 'HiAlertIRq', mask: 0x08 },
+    { name: 'LoAlertIRq', mask: 0x04 },
+    { name: 'ErrIRq', mask: 0x02 },
+    { name: 'TimerIRq', mask: 0x01 },
+  ],
+  DivIrq: [
+    { name: 'Set2', mask: 0x80 },
+    { name: 'MfinActIRq', mask: 0x10 },
+    { name: 'CRCIRq', mask: 0x04 },
+  ],
+  Error: [
+    { name: 'WrErr', mask: 0x80 },
+    { name: 'TempErr', mask: 0x40 },
+    { name: 'BufferOvfl', mask: 0x10 },
+    { name: 'CollErr', mask: 0x08 },
+    { name: 'CRCErr', mask: 0x04 },
+    { name: 'ParityErr', mask: 0x02 },
+    { name: 'ProtocolErr', mask: 0x01 },
+  ],
+  Status1: [
+    { name: 'CRCOk', mask: 0x40 },
+    { name: 'CRCReady', mask: 0x20 },
+    { name: 'IRq', mask: 0x10 },
+    { name: 'TRunning', mask: 0x08 },
+    { name: 'HiAlert', mask: 0x02 },
+    { name: 'LoAlert', mask: 0x01 },
+  ],
+  Status2: [
+    { name: 'TempSensClear', mask: 0x80 },
+    { name: 'I2CForceHS', mask: 0x40 },
+    { name: 'MFCrypto1On', mask: 0x08 },
+    { name: 'ModemState', mask: 0x07, values: [
+      'idle', 'wait for StartSend', 'TxWait', 'transmitting',
+      'RxWait', 'wait for data', 'receiving',
+    ] },
+  ],
+  FIFOLevel: [
+    { name: 'FIFOLevel', mask: 0x7f },
+  ],
+  WaterLevel: [
+    { name: 'WaterLevel', mask: 0x3f },
+  ],
+  Control: [
+    { name: 'RxLastBits', mask: 0x07 },
+  ],
+  BitFraming: [
+    { name: 'StartSend', mask: 0x80 },
+    { name: 'RxAlign', mask: 0x70 },
+    { name: 'TxLastBits', mask: 0x07 },
+  ],
+  Coll: [
+    { name: 'ValuesAfterColl', mask: 0x80 },
+    { name: 'CollPosNotValid', mask: 0x20 },
+    { name: 'CollPos', mask: 0x1f },
+  ],
+  Mode: [
+    { name: 'MSBFirst', mask: 0x80 },
+    { name: 'TxWaitRF', mask: 0x20 },
+    { name: 'PolMFin', mask: 0x08 },
+    { name: 'CRCPreset', mask: 0x03, values: ['0000', '6363', 'A671', 'FFFF'] },
+  ],
+  TxMode: [
+    { name: 'TxCRCEn', mask: 0x80 },
+    { name: 'TxSpeed', mask: 0x70, values: BIT_RATE },
+    { name: 'InvMod', mask: 0x08 },
+  ],
+  RxMode: [
+    { name: 'RxCRCEn', mask: 0x80 },
+    { name: 'RxSpeed', mask: 0x70, values: BIT_RATE },
+    { name: 'RxNoErr', mask: 0x08 },
+    { name: 'RxMultiple', mask: 0x04 },
+  ],
+  TxControl: [
+    { name: 'InvTx2RFOn', mask: 0x80 },
+    { name: 'InvTx1RFOn', mask: 0x40 },
+    { name: 'InvTx2RFOff', mask: 0x20 },
+    { name: 'InvTx1RFOff', mask: 0x10 },
+    { name: 'Tx2CW', mask: 0x08 },
+    { name: 'Tx2RFEn', mask: 0x02 },
+    { name: 'Tx1RFEn', mask: 0x01 },
+  ],
+  TxASK: [
+    { name: 'Force100ASK', mask: 0x40 },
+  ],
+  TxSel: [
+    { name: 'DriverSel', mask: 0x30, values: ['3-state', 'internal encoder', 'MFIN', 'HIGH'] },
+    { name: 'MFOutSel', mask: 0x0f },
+  ],
+  RxSel: [
+    { name: 'UARTSel', mask: 0xc0, values: ['LOW', 'Manchester from MFIN', 'internal analog module', 'NRZ from MFIN'] },
+    { name: 'RxWait', mask: 0x3f },
+  ],
+  RxThreshold: [
+    { name: 'MinLevel', mask: 0xf0 },
+    { name: 'CollLevel', mask: 0x07 },
+  ],
+  Demod: [
+    { name: 'AddIQ', mask: 0xc0 },
+    { name: 'FixIQ', mask: 0x20 },
+    { name: 'TPrescalEven', mask: 0x10 },
+    { name: 'TauRcv', mask: 0x0c },
+    { name: 'TauSync', mask: 0x03 },
+  ],
+  MfTx: [
+    { name: 'TxWait', mask: 0x03 },
+  ],
+  MfRx: [
+    { name: 'ParityDisable', mask: 0x10 },
+  ],
+  SerialSpeed: [
+    { name: 'BR_T0', mask: 0xe0 },
+    { name: 'BR_T1', mask: 0x1f },
+  ],
+  RFCfg: [
+    { name: 'RxGain', mask: 0x70, values: ['18 dB', '23 dB', '18 dB', '23 dB', '33 dB', '38 dB', '43 dB', '48 dB'] },
+  ],
+  GsN: [
+    { name: 'CWGsN', mask: 0xf0 },
+    { name: 'ModGsN', mask: 0x0f },
+  ],
+  CWGsP: [
+    { name: 'CWGsP', mask: 0x3f },
+  ],
+  ModGsP: [
+    { name: 'ModGsP', mask: 0x3f },
+  ],
+  TMode: [
+    { name: 'TAuto', mask: 0x80 },
+    { name: 'TGated', mask: 0x60, values: ['none', 'MFIN', 'AUX1', '-'] },
+    { name: 'TAutoRestart', mask: 0x10 },
+    { name: 'TPrescaler_Hi', mask: 0x0f },
+  ],
+  TestSel1: [
+    { name: 'TstBusBitSel', mask: 0x07 },
+  ],
+  TestSel2: [
+    { name: 'TstBusFlip', mask: 0x80 },
+    { name: 'PRBS9', mask: 0x40 },
+    { name: 'PRBS15', mask: 0x20 },
+    { name: 'TestBusSel', mask: 0x1f },
+  ],
+  TestPinEn: [
+    { name: 'RS232LineEn', mask: 0x80 },
+    { name: 'TestPinEn', mask: 0x7e },
+  ],
+  TestPinValue: [
+    { name: 'UseIO', mask: 0x80 },
+    { name: 'TestPinValue', mask: 0x7e },
+  ],
+  AutoTest: [
+    { name: 'AmpRcv', mask: 0x40 },
+    { name: 'SelfTest', mask: 0x0f },
+  ],
+  AnalogTest: [
+    { name: 'AnalogSelAux1', mask: 0xf0 },
+    { name: 'AnalogSelAux2', mask: 0x0f },
+  ],
+  TestDAC1: [
+    { name: 'TestDAC1', mask: 0x3f },
+  ],
+  TestDAC2: [
+    { name: 'TestDAC2', mask: 0x3f },
+  ],
+  TestADC: [
+    { name: 'ADC_I', mask: 0xf0 },
+    { name: 'ADC_Q', mask: 0x0f },
+  ],
+};
+
+/**
+ * Decode the bit fields of a register
+ * @param {string} register name as in PCD_Reg
+ * @param {number} value
+ * @returns {DecodedField[]} empty for registers with one 8 bit value
+ */
+const decodeRegister = (register, value) => {
+  return (REGISTER_FIELDS[register] ?? []).map(({ name, mask, values }) => {
+    // lowest set bit of the mask
+    const shift = Math.log2(mask & -mask);
+    const fieldValue = (value & mask) >> shift;
+    /** @type {DecodedField} */
+    const field = { name, bits: Math.log2((mask >> shift) + 1), value: fieldValue };
+    if (values?.[fieldValue]){
+      field.text = values[fieldValue];
+    }
+    return field;
+  });
+};
+
+/**
+ * Read all registers of PCD_Reg but FIFOData in one
+ * transfer and decode them
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @returns {Promise<RegisterValue[]>} in address order
+ */
+const readRegisters = async (mfrc522) => {
+  const regs = Object.entries(PCD_Reg)
+    .filter(([name]) => name !== 'FIFOData')
+    .sort((a, b) => a[1] - b[1]);
+  const values = await mfrc522.read(regs.map(([, addr]) => addr));
+  return regs.map(([name, addr], i) => ({
+    name,
+    addr,
+    value: values[i],
+    fields: decodeRegister(name, values[i]),
+  }));
+};
+
+export { REGISTER_FIELDS, decodeRegister, readRegisters };
@@ -0,0 +1,321 @@
+// @ts-check
+"use strict";
+
+/**
+ * MIFARE Classic sector trailer and access bits
+ *
+ * Sector trailer: key A (6 bytes), access bits (3 bytes),
+ * general purpose byte (GPB), key B (6 bytes).
+ * Key A never reads back, it reads as zeros.
+ *
+ * Each block of a sector has an access condition of 3 bits
+ * C1 C2 C3, stored once inverted and once as is:
+ *
+ *         bit 7 .. 4       bit 3 .. 0
+ * byte 6  ~C2 block 3..0   ~C1 block 3..0
+ * byte 7   C1 block 3..0   ~C3 block 3..0
+ * byte 8   C3 block 3..0    C2 block 3..0
+ *
+ * Block 3 is the sector trailer. In the 16 block sectors
+ * of the 4K, access condition 0, 1 and 2 are for the
+ * groups of 5 blocks 0-4, 5-9 and 10-14.
+ *
+ * When the inverted copies do not match, the tag blocks
+ * the sector for good. Writing a trailer is checked
+ * with decodeAccessBits() and checkTrailer().
+ *
+ * Access conditions are numbers 0 to 7: C1 << 2 | C2 << 1 | C3
+ * https://www.nxp.com/docs/en/data-sheet/MF1S50YYX_V1.pdf (8.7)
+ */
+
+import { getSector, getFirstBlock, getTrailerBlock } from './mifare_classic.js';
+
+// access bits and GPB of a new tag: key A for everything, key B readable
+const TRANSPORT_ACCESS = [0xff, 0x07, 0x80];
+const DEFAULT_GPB = 0x69;
+
+/**
+ * The keys that give an access, 'never' when none does
+ * @typedef {'never'|'A'|'B'|'A|B'} KeyAccess
+ */
+
+/**
+ * @typedef {Object} DataPermissions
+ * @property {KeyAccess} read
+ * @property {KeyAccess} write
+ * @property {KeyAccess} increment
+ * @property {KeyAccess} decrement also transfer and restore
+ */
+
+/**
+ * @typedef {Object} TrailerPermissions
+ * @property {KeyAccess} keyARead
+ * @property {KeyAccess} keyAWrite
+ * @property {KeyAccess} accessRead
+ * @property {KeyAccess} accessWrite
+ * @property {KeyAccess} keyBRead
+ * @property {KeyAccess} keyBWrite
+ */
+
+/**
+ * Permissions of the data blocks (or groups) 0, 1 and 2 and of the trailer
+ * @typedef {Object} AccessTable
+ * @property {DataPermissions[]} blocks
+ * @property {TrailerPermissions} trailer
+ */
+
+/**
+ * @typedef {Object} SectorTrailer
+ * @property {number[]} keyA zeros when read from a tag
+ * @property {number[]} accessBits 3 bytes
+ * @property {number} gpb general purpose byte
+ * @property {number[]} keyB
+ * @property {void|number[]} conditions access conditions of the 4 blocks,
+ * nothing when the access bits are not valid
+ */
+
+/**
+ * By access condition
+ * @type {DataPermissions[]}
+ */
+const DATA_CONDITIONS = [
+  // 000 transport configuration
+  { read: 'A|B', write: 'A|B', increment: 'A|B', decrement: 'A|B' },
+  // 001 value block
+  { read: 'A|B', write: 'never', increment: 'never', decrement: 'A|B' },
+  // 010 read only
+  { read: 'A|B', write: 'never', increment: 'never', decrement: 'never' },
+  // 011
+  { read: 'B', write: 'B', increment: 'never', decrement: 'never' },
+  // 100
+  { read: 'A|B', write: 'B', increment: 'never', decrement: 'never' },
+  // 101
+  { read: 'B', write: 'never', increment: 'never', decrement: 'never' },
+  // 110 value block
+  { read: 'A|B', write: 'B', increment: 'B', decrement: 'A|B' },
+  // 111
+  { read: 'never', write: 'never', increment: 'never', decrement: 'never' },
+];
+
+/**
+ * By access condition
+ * With key B readable (000, 001, 010) key B
+ * can not be used for authentication.
+ * @type {TrailerPermissions[]}
+ */
+const TRAILER_CONDITIONS = [
+  // 000
+  { keyARead: 'never', keyAWrite: 'A', accessRead: 'A', accessWrite: 'never', keyBRead: 'A', keyBWrite: 'A' },
+  // 001 transport configuration
+  { keyARead: 'never', keyAWrite: 'A', accessRead: 'A', accessWrite: 'A', keyBRead: 'A', keyBWrite: 'A' },
+  // 010
+  { keyARead: 'never', keyAWrite: 'never', accessRead: 'A', accessWrite: 'never', keyBRead: 'A', keyBWrite: 'never' },
+  // 011
+  { keyARead: 'never', keyAWrite: 'B', accessRead: 'A|B', accessWrite: 'B', keyBRead: 'never', keyBWrite: 'B' },
+  // 100
+  { keyARead: 'never', keyAWrite: 'B', accessRead: 'A|B', accessWrite: 'never', keyBRead: 'never', keyBWrite: 'B' },
+  // 101
+  { keyARead: 'never', keyAWrite: 'never', accessRead: 'A|B', accessWrite: 'B', keyBRead: 'never', keyBWrite: 'never' },
+  // 110
+  { keyARead: 'never', keyAWrite: 'never', accessRead: 'A|B', accessWrite: 'never', keyBRead: 'never', keyBWrite: 'never' },
+  // 111
+  { keyARead: 'never', keyAWrite: 'never', accessRead: 'A|B', accessWrite: 'never', keyBRead: 'never', keyBWrite: 'never' },
+];
+
+/**
+ * @param {number} condition
+ * @returns {void}
+ */
+const testCondition = (condition) => {
+  if (!Number.isInteger(condition) || condition < 0 || condition > 7){
+    throw new RangeError(`access condition must be 0 to 7: ${JSON.stringify(condition)}`);
+  }
+};
+
+/**
+ * Decode and validate the access bits
+ * @param {number[]} bytes byte 6, 7 and 8 of the trailer
+ * @returns {void|number[]} access conditions of block 0, 1, 2 and
+ * the trailer, nothing when the inverted copies do not match
+ */
+const decodeAccessBits = (bytes) => {
+  if (!Array.isArray(bytes) || bytes.length < 3){
+    throw new RangeError(`access bits must be 3 bytes: ${JSON.stringify(bytes)}`);
+  }
+  const c1 = bytes[1] >> 4;
+  const c2 = bytes[2] & 0x0f;
+  const c3 = bytes[2] >> 4;
+  if ((bytes[0] & 0x0f) !== (~c1 & 0x0f)
+    || (bytes[0] >> 4) !== (~c2 & 0x0f)
+    || (bytes[1] & 0x0f) !== (~c3 & 0x0f)){
+    return;
+  }
+  /** @type {number[]} */
+  const conditions = [];
+  for (let i = 0; i < 4; i++){
+    conditions.push((((c1 >> i) & 1) << 2) | (((c2 >> i) & 1) << 1) | ((c3 >> i) & 1));
+  }
+  return conditions;
+};
+
+/**
+ * Encode the access bits
+ * @param {number[]} conditions access conditions of block 0, 1, 2 and the trailer
+ * @returns {number[]} 3 bytes
+ */
+const encodeAccessBits = (conditions) => {
+  if (!Array.isArray(conditions) || conditions.length != 4){
+    throw new RangeError(`conditions must be 4 access conditions: ${JSON.stringify(conditions)}`);
+  }
+  let c1 = 0;
+  let c2 = 0;
+  let c3 = 0;
+  conditions.forEach((condition, i) => {
+    testCondition(condition);
+    c1 |= ((condition >> 2) & 1) << i;
+    c2 |= ((condition >> 1) & 1) << i;
+    c3 |= (condition & 1) << i;
+  });
+  return [
+    ((~c2 & 0x0f) << 4) | (~c1 & 0x0f),
+    (c1 << 4) | (~c3 & 0x0f),
+    (c3 << 4) | c2,
+  ];
+};
+
+/**
+ * The permission table of the access conditions
+ * @param {number[]} conditions
+ * @returns {AccessTable}
+ */
+const getPermissions = (conditions) => {
+  conditions.forEach(testCondition);
+  return {
+    blocks: conditions.slice(0, 3).map((condition) => ({ ...DATA_CONDITIONS[condition] })),
+    trailer: { ...TRAILER_CONDITIONS[conditions[3]] },
+  };
+};
+
+/**
+ * @param {Object<string, KeyAccess>} permissions
+ * @param {Object<string, KeyAccess>[]} table
+ * @returns {number} the access condition
+ */
+const findCondition = (permissions, table) => {
+  const condition = table.findIndex((entry) => {
+    return Object.keys(entry).every((key) => entry[key] === permissions[key]);
+  });
+  if (condition < 0){
+    throw new RangeError(`No access condition gives these permissions: ${JSON.stringify(permissions)}`);
+  }
+  return condition;
+};
+
+/**
+ * Encode a permission table into access bits,
+ * each entry must match an access condition
+ * @param {AccessTable} table
+ * @returns {number[]} 3 bytes
+ */
+const encodePermissions = (table) => {
+  if (!Array.isArray(table?.blocks) || table.blocks.length != 3){
+    throw new RangeError(`the permission table needs 3 data blocks: ${JSON.stringify(table)}`);
+  }
+  return encodeAccessBits([
+    ...table.blocks.map((permissions) => findCondition(permissions, DATA_CONDITIONS)),
+    findCondition(table.trailer, TRAILER_CONDITIONS),
+  ]);
+};
+
+/**
+ * The index of the access condition that applies to a block:
+ * 0, 1 or 2 for the data blocks, 3 for the sector trailer
+ * @param {number} block
+ * @returns {number}
+ */
+const getAccessGroup = (block) => {
+  const sector = getSector(block);
+  if (block === getTrailerBlock(sector)){
+    return 3;
+  }
+  const offset = block - getFirstBlock(sector);
+  return sector < 32 ? offset : Math.floor(offset / 5);
+};
+
+/**
+ * @param {number[]} data 16 bytes
+ * @returns {SectorTrailer}
+ */
+const decodeTrailer = (data) => {
+  if (!Array.isArray(data) || data.length != 16){
+    throw new RangeError(`data must be 16 bytes: ${JSON.stringify(data)}`);
+  }
+  const accessBits = data.slice(6, 9);
+  return {
+    keyA: data.slice(0, 6),
+    accessBits,
+    gpb: data[9],
+    keyB: data.slice(10, 16),
+    conditions: decodeAccessBits(accessBits),
+  };
+};
+
+/**
+ * @param {number[]} key
+ * @param {string} name
+ * @returns {void}
+ */
+const testKey = (key, name) => {
+  if (!Array.isArray(key) || key.length != 6 || !key.every((b) => Number.isInteger(b) && b >= 0 && b <= 255)){
+    throw new RangeError(`${name} must be 6 bytes: ${JSON.stringify(key)}`);
+  }
+};
+
+/**
+ * @param {Object} trailer
+ * @param {number[]} trailer.keyA
+ * @param {number[]} trailer.keyB
+ * @param {number[]} trailer.conditions access conditions of block 0, 1, 2 and the trailer
+ * @param {number} [trailer.gpb] general purpose byte, default 0x69
+ * @returns {number[]} 16 bytes
+ */
+const encodeTrailer = ({ keyA, keyB, conditions, gpb = DEFAULT_GPB }) => {
+  testKey(keyA, 'keyA');
+  testKey(keyB, 'keyB');
+  if (!Number.isInteger(gpb) || gpb < 0 || gpb > 255){
+    throw new RangeError(`gpb must be a byte: ${JSON.stringify(gpb)}`);
+  }
+  return [...keyA, ...encodeAccessBits(conditions), gpb, ...keyB];
+};
+
+/**
+ * Check a sector trailer before it is written
+ * @param {number[]} data 16 bytes
+ * @returns {void|string} the reason the write can not be undone
+ */
+const checkTrailer = (data) => {
+  const { conditions } = decodeTrailer(data);
+  if (!conditions){
+    return 'the access bits are not valid, the tag blocks the sector for good';
+  }
+  const trailer = TRAILER_CONDITIONS[conditions[3]];
+  if (trailer.accessWrite === 'never'){
+    return 'the access bits can not be changed anymore';
+  }
+  if (trailer.keyAWrite === 'never' && trailer.keyBWrite === 'never'){
+    return 'the keys can not be changed anymore';
+  }
+};
+
+export {
+  TRANSPORT_ACCESS,
+  DEFAULT_GPB,
+  decodeAccessBits,
+  encodeAccessBits,
+  getPermissions,
+  encodePermissions,
+  getAccessGroup,
+  decodeTrailer,
+  encodeTrailer,
+  checkTrailer,
+};
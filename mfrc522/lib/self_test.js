@@ -0,0 +1,102 @@
+// @ts-check
+"use strict";
+
+/**
+ * Diagnostics of the self test of the MFRC522
+ *
+ * The Version register names the chip by the reference
+ * patterns in PCD_Test. Clones and unknown versions get
+ * a warning instead of a failure: many work fine, but
+ * their digital self test differs from the NXP chips
+ * or can not be checked at all.
+ */
+
+import { PCD_Test } from '../data/pcd_self_test.js';
+
+/**
+ * @typedef {'pass'|'warn'|'fail'} CheckStatus
+ */
+
+/**
+ * @typedef {Object} SelfTestCheck
+ * @property {'version'|'digital'|'antenna'|'crc'} name
+ * @property {CheckStatus} status
+ * @property {string} message
+ */
+
+/**
+ * A byte of the digital self test that differs from the reference
+ * @typedef {Object} ByteDiff
+ * @property {number} offset
+ * @property {number} expected
+ * @property {number} actual
+ */
+
+// Version register of the NXP chips
+const NXP_VERSIONS = [0x90, 0x91, 0x92];
+
+// CRC_A of 0x12 0x34 is 0xCF26, LSB first (ISO/IEC 14443-3 annex B)
+const CRC_CHECK = { data: [0x12, 0x34], crc: [0x26, 0xcf] };
+
+/** @type {CheckStatus[]} */
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+/**
+ * @param {number} version content of the Version register
+ * @returns {typeof PCD_Test[keyof typeof PCD_Test]|undefined}
+ */
+const getSelfTestReference = (version) => {
+  return Object.values(PCD_Test).find((test) => test.version === version);
+};
+
+/**
+ * @param {number} version content of the Version register
+ * @returns {string}
+ */
+const getChipName = (version) => {
+  return getSelfTestReference(version)?.name ?? `Unknown (0x${version.toString(16).padStart(2, '0')})`;
+};
+
+/**
+ * @param {number} version content of the Version register
+ * @returns {boolean} not a NXP MFRC522
+ */
+const isClone = (version) => {
+  return !NXP_VERSIONS.includes(version);
+};
+
+/**
+ * Compare the output of the digital self test byte by byte
+ * @param {number[]} data
+ * @param {number[]} expected
+ * @returns {ByteDiff[]}
+ */
+const diffSelfTest = (data, expected) => {
+  /** @type {ByteDiff[]} */
+  const diff = [];
+  expected.forEach((byte, offset) => {
+    if (data[offset] !== byte){
+      diff.push({ offset, expected: byte, actual: data[offset] });
+    }
+  });
+  return diff;
+};
+
+/**
+ * @param {SelfTestCheck[]} checks
+ * @returns {CheckStatus} the worst status
+ */
+const worstStatus = (checks) => {
+  return checks.reduce((worst, { status }) => {
+    return STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst;
+  }, /** @type {CheckStatus} */ ('pass'));
+};
+
+export {
+  CRC_CHECK,
+  getSelfTestReference,
+  getChipName,
+  isClone,
+  diffSelfTest,
+  worstStatus,
+};
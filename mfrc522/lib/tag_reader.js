@@ -0,0 +1,265 @@
+// @ts-check
+"use strict";
+
+/**
+ * Tag presence tracking
+ *
+ * The TagReader polls the MFRC522 and emits:
+ * - 'tagPresent' once when a tag arrives
+ * - 'tagRemoved' when it leaves
+ * - 'selectError' when a tag answered but could not be selected,
+ *   with the reason (an error of lib/errors.js) when known
+ * - 'error' on a communication failure with the MFRC522
+ *
+ * Add an 'error' listener: without one, the errors only go
+ * to the debug function of the MFRC522 and polling goes on.
+ *
+ * Once a tag is reported it is halted with HLTA. The next
+ * polls wake it with WUPA and select it again by its known UID,
+ * without anticollision loop and without resetting the MFRC522.
+ * A new tag is looked for with REQA, which halted tags ignore.
+ *
+ * With the lowPower option the MFRC522 sleeps between the polls:
+ * 'soft' uses the PowerDown bit of the Command register,
+ * 'hard' the NRSTPD pin (the registers are initialized again
+ * after each wake-up). The field is on for fieldOn ms before
+ * each poll so tags can power up. Tags lose their HALT state
+ * without field, they are found again with WUPA.
+ * The share of time the MFRC522 is awake is in stats.
+ */
+
+import { EventEmitter } from 'events';
+import { setTimeout } from 'timers/promises';
+import { performance } from 'perf_hooks';
+import { MFRC522 } from './mfrc522.js';
+
+/**
+ * @typedef {Object} TagReaderOptions
+ * @property {number} [interval] ms between polls, default 50
+ * @property {number} [debounce] ms a tag must stay before 'tagPresent', default 0
+ * @property {number} [removeTimeout] ms a tag must be gone before 'tagRemoved', default 150
+ * @property {'off'|'soft'|'hard'} [lowPower] power-down between polls, default 'off'
+ * @property {number} [fieldOn] ms the field is on before a poll in low power mode, default 5
+ */
+
+/**
+ * @typedef {Object} TagReaderStats
+ * @property {number} polls
+ * @property {number} activeTime ms the MFRC522 was awake
+ * @property {number} totalTime ms since start()
+ * @property {number} dutyCycle activeTime / totalTime
+ */
+
+/**
+ * @typedef {import('./card_type.js').TagInfo} Tag
+ */
+
+class TagReader extends EventEmitter {
+  /** @type {MFRC522} */
+  mfrc522;
+
+  /** @type {Required<TagReaderOptions>} */
+  options;
+
+  /** @type {void|{tag: Tag, since: number, lastSeen: number, reported: boolean}} */
+  #current;
+
+  #running = false;
+
+  /** @type {void|Promise<void>} */
+  #loop;
+
+  #polls = 0;
+
+  #activeTime = 0;
+
+  #startTime = 0;
+
+  /**
+   * @param {MFRC522} mfrc522
+   * @param {TagReaderOptions} [options]
+   */
+  constructor(mfrc522, options = {}){
+    super();
+    this.mfrc522 = mfrc522;
+    this.options = {
+      interval: options.interval ?? 50,
+      debounce: options.debounce ?? 0,
+      removeTimeout: options.removeTimeout ?? 150,
+      lowPower: options.lowPower ?? 'off',
+      fieldOn: options.fieldOn ?? 5,
+    };
+    if (!['off', 'soft', 'hard'].includes(this.options.lowPower)){
+      throw new RangeError(`lowPower must be 'off', 'soft' or 'hard': ${JSON.stringify(this.options.lowPower)}`);
+    }
+    if (this.options.lowPower === 'hard' && !mfrc522.nrstpd){
+      throw new Error('lowPower \'hard\' needs the NRSTPD pin');
+    }
+    for (const key of ['interval', 'debounce', 'removeTimeout', 'fieldOn']){
+      const value = this.options[key];
+      if (!Number.isFinite(value) || value < 0){
+        throw new RangeError(`${key} must be a positive number: ${JSON.stringify(value)}`);
+      }
+    }
+  }
+
+  /**
+   * The tag that is reported present
+   * @returns {void|Tag}
+   */
+  get tag(){
+    if (this.#current && this.#current.reported){
+      return this.#current.tag;
+    }
+  }
+
+  /**
+   * Time the MFRC522 was awake since start()
+   * @returns {TagReaderStats}
+   */
+  get stats(){
+    const totalTime = this.#startTime ? performance.now() - this.#startTime : 0;
+    const activeTime = this.options.lowPower === 'off' ? totalTime : this.#activeTime;
+    return {
+      polls: this.#polls,
+      activeTime,
+      totalTime,
+      dutyCycle: totalTime ? activeTime / totalTime : 0,
+    };
+  }
+
+  /**
+   * Start polling
+   * @returns {Promise<void>}
+   */
+  async start(){
+    if (this.#running){
+      return;
+    }
+    await this.mfrc522.initRegs();
+    this.#polls = 0;
+    this.#activeTime = 0;
+    this.#startTime = performance.now();
+    this.#running = true;
+    this.#loop = this.#run();
+  }
+
+  /**
+   * Stop polling, the antenna is turned off
+   * In low power mode the MFRC522 stays powered down.
+   * @returns {Promise<void>}
+   */
+  async stop(){
+    this.#running = false;
+    await this.#loop;
+    if (this.options.lowPower === 'off'){
+      await this.mfrc522.antennaOff();
+    }
+  }
+
+  /**
+   * Power up the MFRC522 and give the tags time
+   * to power up in the field
+   * @returns {Promise<void>}
+   */
+  async #wake(){
+    if (this.options.lowPower === 'off'){
+      return;
+    }
+    if (this.options.lowPower === 'soft'){
+      await this.mfrc522.powerUp();
+    } else {
+      await this.mfrc522.hardPowerUp();
+      await this.mfrc522.initRegs();
+    }
+    await setTimeout(this.options.fieldOn);
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async #sleep(){
+    if (this.options.lowPower === 'soft'){
+      await this.mfrc522.powerDown();
+    } else if (this.options.lowPower === 'hard'){
+      await this.mfrc522.hardPowerDown();
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async #run(){
+    while (this.#running){
+      const wakeTime = performance.now();
+      try {
+        await this.#wake();
+        await this.poll();
+        await this.#sleep();
+      } catch (err) {
+        if (this.listenerCount('error')){
+          this.emit('error', err);
+        } else {
+          this.mfrc522.debug(`TagReader: ${err}`);
+        }
+      }
+      this.#polls++;
+      this.#activeTime += performance.now() - wakeTime;
+      await setTimeout(this.options.interval);
+    }
+  }
+
+  /**
+   * Check if the halted tag is still in the field
+   * @param {Tag} tag
+   * @returns {Promise<boolean>}
+   */
+  async #isPresent(tag){
+    if (!await this.mfrc522.wakeUp()){
+      return false;
+    }
+    if (typeof await this.mfrc522.selectUid(tag.uid) !== 'number'){
+      return false;
+    }
+    await this.mfrc522.haltA();
+    return true;
+  }
+
+  /**
+   * One poll cycle, called by the loop after start()
+   * @returns {Promise<void>}
+   */
+  async poll(){
+    const now = Date.now();
+
+    if (!this.#current){
+      if (!await this.mfrc522.detect()){
+        return;
+      }
+      const tag = await this.mfrc522.selectTag();
+      if (!tag){
+        this.emit('selectError', this.mfrc522.lastError);
+        return;
+      }
+      await this.mfrc522.haltA();
+      this.#current = { tag, since: now, lastSeen: now, reported: false };
+    } else if (await this.#isPresent(this.#current.tag)){
+      this.#current.lastSeen = now;
+    } else if (now - this.#current.lastSeen >= this.options.removeTimeout){
+      const { tag, reported } = this.#current;
+      this.#current = undefined;
+      if (reported){
+        this.emit('tagRemoved', tag);
+      }
+      return;
+    }
+
+    const current = this.#current;
+    if (!current.reported && current.lastSeen - current.since >= this.options.debounce){
+      current.reported = true;
+      this.emit('tagPresent', current.tag);
+    }
+  }
+}
+
+export { TagReader };
@@ -0,0 +1,55 @@
+// @ts-check
+"use strict";
+
+/**
+ * Settings of the timer unit of the MFRC522 (data sheet 8.5)
+ *
+ * With TPrescalEven 0 the timer runs at
+ * 13.56 MHz / (2 * TPrescaler + 1) and times out after
+ * TReload + 1 ticks. The smallest prescaler that fits
+ * the timeout gives the finest resolution.
+ */
+
+// carrier frequency in MHz, ticks per µs
+const FC_MHZ = 13.56;
+
+// 12 bit TPrescaler, 16 bit TReload
+const MAX_PRESCALER = 0x0fff;
+const MAX_RELOAD = 0xffff;
+
+/**
+ * @typedef {Object} TimerSettings
+ * @property {number} prescaler TPrescaler, 12 bits: TPrescaler_Hi in
+ * the low nibble of TMode, TPrescaler_Lo in TPrescaler
+ * @property {number} reload TReload, 16 bits
+ */
+
+/**
+ * The timeout in µs of the timer settings
+ * @param {number} prescaler
+ * @param {number} reload
+ * @returns {number}
+ */
+const timerTimeout = (prescaler, reload) => {
+  return (reload + 1) * (2 * prescaler + 1) / FC_MHZ;
+};
+
+// about 39.6 s
+const MAX_TIMEOUT_US = timerTimeout(MAX_PRESCALER, MAX_RELOAD);
+
+/**
+ * The timer settings for a timeout
+ * @param {number} timeoutUs timeout in µs
+ * @returns {TimerSettings}
+ */
+const timerSettings = (timeoutUs) => {
+  if (!Number.isFinite(timeoutUs) || timeoutUs <= 0 || timeoutUs > MAX_TIMEOUT_US){
+    throw new RangeError(`timeout must be more than 0 and at most ${Math.floor(MAX_TIMEOUT_US)} µs: ${JSON.stringify(timeoutUs)}`);
+  }
+  const ticks = timeoutUs * FC_MHZ;
+  const prescaler = Math.max(0, Math.ceil((ticks / (MAX_RELOAD + 1) - 1) / 2));
+  const reload = Math.min(MAX_RELOAD, Math.max(0, Math.round(ticks / (2 * prescaler + 1)) - 1));
+  return { prescaler, reload };
+};
+
+export { MAX_TIMEOUT_US, timerSettings, timerTimeout };
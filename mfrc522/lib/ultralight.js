@@ -0,0 +1,272 @@
+// @ts-check
+"use strict";
+
+/**
+ * MIFARE Ultralight and NTAG21x memory layout
+ *
+ * Pages are 4 bytes.
+ * Page 0-1: UID, page 2: UID, internal and static lock bytes,
+ * page 3: Capability Container (OTP, bits can only be set),
+ * from page 4: user memory, followed by the dynamic
+ * lock bytes and the configuration pages.
+ *
+ * The type is read from the memory size byte
+ * of the Capability Container (CC byte 2).
+ * NTAG213 and MIFARE Ultralight C both have 144 bytes
+ * of user memory (size byte 0x12), but not the same
+ * layout: the Ultralight C has 48 pages, with the lock
+ * bytes, the counter, AUTH0, AUTH1 and the 3DES key in the
+ * pages 0x28 to 0x2F. Only the Ultralight C answers the
+ * first step of its AUTHENTICATE command, see isUltralightC().
+ *
+ * https://www.nxp.com/docs/en/data-sheet/MF0ICU1.pdf
+ * https://www.nxp.com/docs/en/data-sheet/MF0ICU2.pdf
+ * https://www.nxp.com/docs/en/data-sheet/NTAG213_215_216.pdf
+ */
+
+import { PCD_Reg } from '../data/pcd_reg.js';
+import { PICC_Cmd } from '../data/picc_command.js';
+
+/**
+ * @typedef {Object} UltralightType
+ * @property {string} name
+ * @property {number|undefined} ccSize memory size byte in the Capability Container
+ * @property {number} userStart first page of user memory
+ * @property {number} userEnd last page of user memory
+ * @property {number|undefined} dynamicLockPage
+ * @property {number} pagesPerLockBit pages locked by one dynamic lock bit
+ * @property {number} pages total number of pages
+ */
+
+/** @type {Object<string, UltralightType>} */
+const UL_Type = {
+  ultralight: {
+    name: 'MIFARE Ultralight',
+    ccSize: 0x06,
+    userStart: 4,
+    userEnd: 15,
+    dynamicLockPage: undefined,
+    pagesPerLockBit: 0,
+    pages: 16,
+  },
+  ntag213: {
+    name: 'NTAG213',
+    ccSize: 0x12,
+    userStart: 4,
+    userEnd: 39,
+    dynamicLockPage: 40,
+    pagesPerLockBit: 2,
+    pages: 45,
+  },
+  // the lock bits of page 0x28 are not decoded,
+  // the tag NAKs a write to a locked page
+  ultralightC: {
+    name: 'MIFARE Ultralight C',
+    ccSize: 0x12,
+    userStart: 4,
+    userEnd: 39,
+    dynamicLockPage: 40,
+    pagesPerLockBit: 0,
+    pages: 48,
+  },
+  ntag215: {
+    name: 'NTAG215',
+    ccSize: 0x3e,
+    userStart: 4,
+    userEnd: 129,
+    dynamicLockPage: 130,
+    pagesPerLockBit: 16,
+    pages: 135,
+  },
+  ntag216: {
+    name: 'NTAG216',
+    ccSize: 0x6d,
+    userStart: 4,
+    userEnd: 225,
+    dynamicLockPage: 226,
+    pagesPerLockBit: 16,
+    pages: 231,
+  },
+  // Not formatted: only the pages that
+  // are user memory on every type
+  unknown: {
+    name: 'Unknown Ultralight / NTAG',
+    ccSize: undefined,
+    userStart: 4,
+    userEnd: 15,
+    dynamicLockPage: undefined,
+    pagesPerLockBit: 0,
+    pages: 16,
+  },
+};
+
+/**
+ * @typedef {Object} UltralightLocks
+ * @property {number[]} staticLock lock bytes 0 and 1 on page 2
+ * @property {number[]} dynamicLock the 3 dynamic lock bytes, empty when not read
+ */
+
+/**
+ * @typedef {Object} UltralightInfo
+ * @property {UltralightType} type
+ * @property {number[]} cc the 4 bytes of the Capability Container
+ * @property {UltralightLocks} locks
+ */
+
+/**
+ * The Ultralight family has SAK 0x00
+ * @param {number} sak
+ * @returns {boolean}
+ */
+const isUltralight = (sak) => {
+  return sak === 0x00;
+};
+
+/**
+ * Get the type from pages 0 to 3
+ * @param {number[]} pages0to3 16 bytes read from page 0
+ * @returns {UltralightType}
+ */
+const getUltralightType = (pages0to3) => {
+  const cc = pages0to3.slice(12, 16);
+  return Object.values(UL_Type)
+    .find((type) => cc[0] === 0xe1 && type.ccSize === cc[2])
+    ?? UL_Type.unknown;
+};
+
+/**
+ * @param {UltralightType} type
+ * @param {number} page
+ * @param {UltralightLocks} locks
+ * @returns {boolean}
+ */
+const isPageLocked = (type, page, locks) => {
+  const [lock0, lock1] = locks.staticLock;
+  if (page < 3){
+    return true;
+  }
+  if (page == 3){
+    return !!(lock0 & 0x08);
+  }
+  if (page < 8){
+    return !!(lock0 & (1 << page));
+  }
+  if (page < 16){
+    return !!(lock1 & (1 << (page - 8)));
+  }
+  if (!type.pagesPerLockBit || page > type.userEnd){
+    return false;
+  }
+  if (!locks.dynamicLock.length){
+    // unknown, be safe
+    return true;
+  }
+  const bitIndex = Math.floor((page - 16) / type.pagesPerLockBit);
+  return !!(locks.dynamicLock[bitIndex >> 3] & (1 << (bitIndex & 7)));
+};
+
+/**
+ * Check if a page can be written without
+ * irreversible effects
+ * @param {UltralightType} type
+ * @param {number} page
+ * @param {UltralightLocks} locks
+ * @returns {void|string} the reason why the page should not be written
+ */
+const checkPageWrite = (type, page, locks) => {
+  if (page < 2){
+    return `page ${page} holds the UID and is read-only`;
+  }
+  if (page == 2){
+    return 'page 2 holds the static lock bytes, locking is irreversible';
+  }
+  if (page == 3){
+    return 'page 3 is the Capability Container, an OTP page, bits can only be set';
+  }
+  if (page === type.dynamicLockPage){
+    return `page ${page} holds the dynamic lock bytes, locking is irreversible`;
+  }
+  if (page > type.userEnd){
+    return `page ${page} is not user memory of ${type.name}`;
+  }
+  if (isPageLocked(type, page, locks)){
+    return `page ${page} is locked`;
+  }
+};
+
+/**
+ * Send the first step of the Ultralight C AUTHENTICATE,
+ * the Ultralight C answers 0xAF and ek(RndB), other tags NAK.
+ * Either way the tag leaves the ACTIVE state, it
+ * is selected again, the authentication is not finished.
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {number[]} uid of the selected tag
+ * @returns {Promise<boolean>}
+ */
+const isUltralightC = async (mfrc522, uid) => {
+  const req = [PICC_Cmd.ULC_AUTH, 0x00];
+  const crc = await mfrc522.calcCRC(req);
+  if (!Array.isArray(crc)){
+    throw new Error('CRC failed');
+  }
+  await mfrc522.write([[PCD_Reg.BitFraming, 0x00]]);
+  const { success, data, bitSize } = await mfrc522.transeive([...req, ...crc]);
+  const answered = success && bitSize === 11 * 8 && data[0] === PICC_Cmd.ULC_AUTH_CONTINUE;
+
+  // a tag that waits for the second step goes to IDLE on the
+  // first WUPA and answers the next one
+  for (let i = 0; i < 2; i++){
+    if (await mfrc522.wakeUp()){
+      if (typeof await mfrc522.selectUid(uid) === 'number'){
+        return answered;
+      }
+      break;
+    }
+  }
+  throw new Error('The tag left the field');
+};
+
+/**
+ * Read the type and lock bytes of the selected tag
+ * A tag without a type in its CC or with the size byte
+ * of the Ultralight or the NTAG213 may be an Ultralight C.
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @returns {Promise<void|UltralightInfo>}
+ */
+const readUltralightInfo = async (mfrc522) => {
+  const pages0to3 = await mfrc522.readPages(0);
+  if (!Array.isArray(pages0to3)){
+    return;
+  }
+  let type = getUltralightType(pages0to3);
+  if ([UL_Type.ultralight, UL_Type.ntag213, UL_Type.unknown].includes(type)){
+    // UID0-2, BCC0, UID3-6
+    const uid = [...pages0to3.slice(0, 3), ...pages0to3.slice(4, 8)];
+    if (await isUltralightC(mfrc522, uid)){
+      type = UL_Type.ultralightC;
+    }
+  }
+  /** @type {UltralightLocks} */
+  const locks = {
+    staticLock: pages0to3.slice(10, 12),
+    dynamicLock: [],
+  };
+  if (typeof type.dynamicLockPage === 'number'){
+    const dynamic = await mfrc522.readPages(type.dynamicLockPage);
+    if (!Array.isArray(dynamic)){
+      return;
+    }
+    locks.dynamicLock = dynamic.slice(0, 3);
+  }
+  return { type, cc: pages0to3.slice(12, 16), locks };
+};
+
+export {
+  UL_Type,
+  isUltralight,
+  getUltralightType,
+  isPageLocked,
+  checkPageWrite,
+  isUltralightC,
+  readUltralightInfo,
+};
@@ -0,0 +1,228 @@
+// @ts-check
+"use strict";
+
+/**
+ * MIFARE Ultralight C 3DES authentication and protection
+ *
+ * AUTHENTICATE (0x1A) is a two-pass mutual challenge-response
+ * with 2-key 3DES in CBC mode. The tag sends ek(RndB), the reader
+ * answers ek(RndA || RndB') and the tag proves the key with
+ * ek(RndA'), where ' is a rotation left by one byte. The IV of each
+ * message is the last encrypted block sent before it, zeros first.
+ *
+ * AUTH0 (page 0x2A) is the first protected page, AUTH1 (page 0x2B)
+ * whether reads are protected too. The key is written to the
+ * pages 0x2C to 0x2F, each half in reversed byte order,
+ * and can not be read back.
+ *
+ * https://www.nxp.com/docs/en/data-sheet/MF0ICU2.pdf
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+/**
+ * @typedef {Object} UlcConfig
+ * @property {number} counter the 16 bit one-way counter of page 0x29
+ * @property {number} auth0 first protected page, 0x30 for none
+ * @property {boolean} readProtect AUTH1: reads are protected too, not only writes
+ */
+
+const ULC_PAGES = 48;
+const ULC_AUTH0_PAGE = 0x2a;
+const ULC_AUTH1_PAGE = 0x2b;
+const ULC_KEY_PAGE = 0x2c;
+
+// the factory key, each half of 'BREAKMEIFYOUCAN!' reversed,
+// the key pages hold the ASCII string (encodeUlcKey())
+const ULC_DEFAULT_KEY = [
+  0x49, 0x45, 0x4d, 0x4b, 0x41, 0x45, 0x52, 0x42,
+  0x21, 0x4e, 0x41, 0x43, 0x55, 0x4f, 0x59, 0x46,
+];
+
+/**
+ * @param {number[]} key
+ * @returns {void}
+ */
+const testKey = (key) => {
+  if (!Array.isArray(key) || key.length != 16){
+    throw new RangeError(`key must be 16 bytes: ${JSON.stringify(key)}`);
+  }
+};
+
+/**
+ * 2-key 3DES in CBC mode, without padding
+ * @param {number[]} key 16 bytes
+ * @param {number[]} iv 8 bytes
+ * @param {number[]} data a multiple of 8 bytes
+ * @param {boolean} decrypt
+ * @returns {number[]}
+ */
+const tdes = (key, iv, data, decrypt) => {
+  const cipher = decrypt
+    ? createDecipheriv('des-ede-cbc', Buffer.from(key), Buffer.from(iv))
+    : createCipheriv('des-ede-cbc', Buffer.from(key), Buffer.from(iv));
+  cipher.setAutoPadding(false);
+  return [...cipher.update(Buffer.from(data)), ...cipher.final()];
+};
+
+/**
+ * @param {number[]} bytes
+ * @returns {number[]} rotated left by one byte
+ */
+const rotateLeft = (bytes) => [...bytes.slice(1), bytes[0]];
+
+/**
+ * The answer of the reader to the challenge of the tag
+ * @param {number[]} key 16 bytes
+ * @param {number[]} challenge ek(RndB), 8 bytes
+ * @param {number[]} [rndA] 8 bytes, default random
+ * @returns {{data: number[], rndA: number[], iv: number[]}} data: ek(RndA || RndB'),
+ * iv: to decrypt the answer of the tag
+ */
+const ulcAuthRequest = (key, challenge, rndA = [...randomBytes(8)]) => {
+  testKey(key);
+  if (!Array.isArray(challenge) || challenge.length != 8){
+    throw new RangeError(`challenge must be 8 bytes: ${JSON.stringify(challenge)}`);
+  }
+  const rndB = tdes(key, new Array(8).fill(0), challenge, true);
+  const data = tdes(key, challenge, [...rndA, ...rotateLeft(rndB)], false);
+  return { data, rndA, iv: data.slice(8) };
+};
+
+/**
+ * Check the answer of the tag, it knows the key
+ * when it sends RndA rotated left
+ * @param {number[]} key 16 bytes
+ * @param {number[]} iv of ulcAuthRequest()
+ * @param {number[]} answer ek(RndA'), 8 bytes
+ * @param {number[]} rndA
+ * @returns {boolean}
+ */
+const ulcCheckAuthAnswer = (key, iv, answer, rndA) => {
+  testKey(key);
+  if (!Array.isArray(answer) || answer.length != 8){
+    return false;
+  }
+  const rndA2 = tdes(key, iv, answer, true);
+  return rotateLeft(rndA).every((b, i) => b === rndA2[i]);
+};
+
+/**
+ * The challenge of the tag to AUTHENTICATE, for the emulator
+ * @param {number[]} key 16 bytes
+ * @param {number[]} [rndB] 8 bytes, default random
+ * @returns {{challenge: number[], rndB: number[]}} challenge: ek(RndB)
+ */
+const ulcAuthChallenge = (key, rndB = [...randomBytes(8)]) => {
+  testKey(key);
+  return { challenge: tdes(key, new Array(8).fill(0), rndB, false), rndB };
+};
+
+/**
+ * The answer of the tag to the request of ulcAuthRequest(), for the emulator
+ * @param {number[]} key 16 bytes
+ * @param {number[]} challenge of ulcAuthChallenge()
+ * @param {number[]} request ek(RndA || RndB'), 16 bytes
+ * @param {number[]} rndB of ulcAuthChallenge()
+ * @returns {void|number[]} ek(RndA'), nothing when the request
+ * was not made with the key
+ */
+const ulcAuthAnswer = (key, challenge, request, rndB) => {
+  testKey(key);
+  if (!Array.isArray(request) || request.length != 16){
+    return;
+  }
+  const plain = tdes(key, challenge, request, true);
+  if (rotateLeft(rndB).some((b, i) => b !== plain[8 + i])){
+    return;
+  }
+  return tdes(key, request.slice(8), rotateLeft(plain.slice(0, 8)), false);
+};
+
+/**
+ * @param {number[]} key 16 bytes
+ * @returns {number[][]} the 4 pages from 0x2C, each half of the key reversed
+ */
+const encodeUlcKey = (key) => {
+  testKey(key);
+  const reversed = [...key.slice(0, 8).reverse(), ...key.slice(8).reverse()];
+  return [0, 1, 2, 3].map((i) => reversed.slice(i * 4, i * 4 + 4));
+};
+
+/**
+ * @param {number[]} data 16 bytes read from page 0x28
+ * @returns {UlcConfig}
+ */
+const decodeUlcConfig = (data) => {
+  if (!Array.isArray(data) || data.length < 16){
+    throw new RangeError(`data must be the 16 bytes from page 0x28: ${JSON.stringify(data)}`);
+  }
+  return {
+    counter: data[4] | (data[5] << 8),
+    auth0: data[8],
+    readProtect: !(data[12] & 0x01),
+  };
+};
+
+/**
+ * Read the counter, AUTH0 and AUTH1 of the selected tag
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @returns {Promise<void|UlcConfig>}
+ */
+const readUlcConfig = async (mfrc522) => {
+  const data = await mfrc522.readPages(0x28);
+  if (!Array.isArray(data)){
+    return;
+  }
+  return decodeUlcConfig(data);
+};
+
+/**
+ * Write a new key, the tag needs to be authenticated
+ * when AUTH0 protects the key pages
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {number[]} key 16 bytes
+ * @returns {Promise<boolean>} written
+ */
+const writeUlcKey = async (mfrc522, key) => {
+  const pages = encodeUlcKey(key);
+  for (const [i, data] of pages.entries()){
+    if (!await mfrc522.writePage(ULC_KEY_PAGE + i, data)){
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Set AUTH1, then AUTH0
+ * @param {import('./mfrc522.js').MFRC522} mfrc522
+ * @param {Object} protection
+ * @param {number} protection.auth0 first protected page, 0x03 to 0x30 (none)
+ * @param {boolean} protection.readProtect reads are protected too
+ * @returns {Promise<boolean>} written
+ */
+const writeUlcProtection = async (mfrc522, { auth0, readProtect }) => {
+  if (!Number.isInteger(auth0) || auth0 < 0x03 || auth0 > ULC_PAGES){
+    throw new RangeError(`auth0 must be 0x03 to 0x30: ${JSON.stringify(auth0)}`);
+  }
+  return await mfrc522.writePage(ULC_AUTH1_PAGE, [readProtect ? 0x00 : 0x01, 0x00, 0x00, 0x00])
+    && await mfrc522.writePage(ULC_AUTH0_PAGE, [auth0, 0x00, 0x00, 0x00]);
+};
+
+export {
+  ULC_PAGES,
+  ULC_AUTH0_PAGE,
+  ULC_AUTH1_PAGE,
+  ULC_KEY_PAGE,
+  ULC_DEFAULT_KEY,
+  ulcAuthRequest,
+  ulcCheckAuthAnswer,
+  ulcAuthChallenge,
+  ulcAuthAnswer,
+  encodeUlcKey,
+  decodeUlcConfig,
+  readUlcConfig,
+  writeUlcKey,
+  writeUlcProtection,
+};
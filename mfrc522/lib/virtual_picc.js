@@ -0,0 +1,782 @@
+// @ts-check
+"use strict";
+
+/**
+ * Virtual PICC (tag) for the MFRC522 emulator
+ *
+ * Implements the ISO 14443-3 type A state machine:
+ * IDLE, READY, ACTIVE and HALT, with REQA, WUPA, the bit
+ * oriented anticollision, SELECT over 1 to 3 cascade
+ * levels and HLTA.
+ *
+ * In ACTIVE state the frames go to handleCommand(),
+ * which implements a basic memory model:
+ * - SAK 0x00: MIFARE Ultralight / NTAG pages of 4 bytes,
+ *   READ (16 bytes) and WRITE (one page). With the GET_VERSION
+ *   answer of a NTAG21x or Ultralight EV1 product also GET_VERSION,
+ *   READ_SIG, FAST_READ, READ_CNT and PWD_AUTH, the password
+ *   protection from AUTH0 and ACCESS, and a NAK sends the
+ *   tag back to IDLE or HALT as on the real tags. With a
+ *   3DES key a MIFARE Ultralight C with AUTHENTICATE and
+ *   the protection from AUTH0 and AUTH1
+ * - SAK 0x08, 0x09, 0x18: MIFARE Classic blocks of 16 bytes,
+ *   READ, WRITE and the value block operations after
+ *   authentication with the keys in the sector trailers.
+ *   The MFRC522 handles Crypto1, so the emulator
+ *   passes the frames in plain.
+ * Extend the class and override handleCommand()
+ * for other commands.
+ *
+ * Frames are arrays of bits, LSB first for each byte.
+ */
+
+import { PICC_Cmd } from '../data/picc_command.js';
+import { decodeVersion } from './ntag.js';
+import {
+  ULC_PAGES,
+  ULC_AUTH0_PAGE,
+  ULC_AUTH1_PAGE,
+  ULC_KEY_PAGE,
+  ulcAuthChallenge,
+  ulcAuthAnswer,
+  encodeUlcKey,
+} from './ultralight_c.js';
+
+/**
+ * CRC_A of ISO 14443-3
+ * @param {number[]} data
+ * @param {number} [preset] 0x6363 for CRC_A
+ * @returns {number[]} 2 bytes, LSB first
+ */
+const crcA = (data, preset = 0x6363) => {
+  let crc = preset;
+  for (let b of data){
+    b = (b ^ crc) & 0xff;
+    b = (b ^ (b << 4)) & 0xff;
+    crc = ((crc >> 8) ^ (b << 8) ^ (b << 3) ^ (b >> 4)) & 0xffff;
+  }
+  return [crc & 0xff, crc >> 8];
+};
+
+/**
+ * @param {number[]} bytes
+ * @param {number} [lastBits] valid bits of the last byte, 0 for all 8
+ * @returns {number[]} bits
+ */
+const bytesToBits = (bytes, lastBits = 0) => {
+  const bits = [];
+  bytes.forEach((b, i) => {
+    const count = i === bytes.length - 1 && lastBits ? lastBits : 8;
+    for (let j = 0; j < count; j++){
+      bits.push((b >> j) & 1);
+    }
+  });
+  return bits;
+};
+
+/**
+ * @param {number[]} bits
+ * @returns {number[]} bytes, an incomplete last byte is padded with 0
+ */
+const bitsToBytes = (bits) => {
+  const bytes = new Array(Math.ceil(bits.length / 8)).fill(0);
+  bits.forEach((bit, i) => {
+    bytes[i >> 3] |= bit << (i & 7);
+  });
+  return bytes;
+};
+
+/**
+ * @param {number[]} data
+ * @returns {boolean} the last 2 bytes are the CRC_A of the others
+ */
+const checkCrcA = (data) => {
+  if (data.length < 3){
+    return false;
+  }
+  const [lsb, msb] = crcA(data.slice(0, -2));
+  return lsb === data[data.length - 2] && msb === data[data.length - 1];
+};
+
+/**
+ * The response of handleCommand():
+ * nothing (no answer), a 4 bit ACK / NAK
+ * or data bytes, the CRC_A is added
+ * @typedef {void|number|number[]} PiccResponse
+ */
+
+/**
+ * @typedef {Object} VirtualPiccOptions
+ * @property {number[]} uid 4, 7 or 10 bytes
+ * @property {number} [sak] SAK of the last cascade level, default 0x08
+ * @property {number[]} [atqa] 2 bytes, LSB first, default from the UID size
+ * @property {number[]} [memory] initial memory content, default
+ * a formatted MIFARE Classic or Ultralight memory
+ * @property {number[]} [version] the 8 bytes of GET_VERSION of a known
+ * NTAG21x or Ultralight EV1 product (SAK 0x00), the default memory
+ * then has its pages and configuration with password ffffffff
+ * @property {number[]} [signature] the 32 bytes of READ_SIG, default zeros
+ * @property {number[]} [ulcKey] the 16 byte 3DES key of a MIFARE
+ * Ultralight C (SAK 0x00), written to the key pages, the default
+ * memory then has its 48 pages without protection
+ */
+
+const ACK = 0x0a;
+const NAK = 0x00;
+
+/**
+ * Default memory: manufacturer block or pages with the
+ * UID, and for MIFARE Classic sector trailers with transport
+ * keys ffffffffffff and access bits ff0780
+ * @param {number[]} uid
+ * @param {number} sak
+ * @param {number} [pages] of a NTAG or Ultralight product, default 16
+ * @returns {number[]}
+ */
+const defaultMemory = (uid, sak, pages = 16) => {
+  if (sak === 0x00){
+    // Ultralight: UID with BCC0 and BCC1 in pages 0 to 2
+    const memory = new Array(pages * 4).fill(0);
+    const uid7 = uid.length === 7 ? uid : [...uid, 0, 0, 0].slice(0, 7);
+    const bcc0 = PICC_Cmd.CT ^ uid7[0] ^ uid7[1] ^ uid7[2];
+    const bcc1 = uid7[3] ^ uid7[4] ^ uid7[5] ^ uid7[6];
+    memory.splice(0, 9, ...uid7.slice(0, 3), bcc0, ...uid7.slice(3, 7), bcc1);
+    return memory;
+  }
+  const blocks = sak === 0x18 ? 256 : (sak === 0x09 ? 20 : 64);
+  const memory = new Array(blocks * 16).fill(0);
+  const block0 = [...uid.slice(0, 4)];
+  block0.push(block0.reduce((a, b) => a ^ b), sak);
+  memory.splice(0, block0.length, ...block0);
+  for (let block = 0; block < blocks; block++){
+    const isTrailer = block < 128 ? block % 4 === 3 : block % 16 === 15;
+    if (isTrailer){
+      memory.splice(block * 16, 16,
+        0xff, 0xff, 0xff, 0xff, 0xff, 0xff,
+        0xff, 0x07, 0x80, 0x69,
+        0xff, 0xff, 0xff, 0xff, 0xff, 0xff
+      );
+    }
+  }
+  return memory;
+};
+
+class VirtualPicc {
+  /** @type {number[]} */
+  uid;
+
+  /** @type {number} */
+  sak;
+
+  /** @type {number[]} */
+  atqa;
+
+  /** @type {number[]} */
+  memory;
+
+  /** @type {'idle'|'ready'|'active'|'halt'} */
+  state = 'idle';
+
+  /**
+   * WUPA woke the tag from HALT (READY* and ACTIVE*),
+   * it goes back to HALT instead of IDLE on errors
+   */
+  halted = false;
+
+  /** cascade level of READY state */
+  level = 1;
+
+  /**
+   * Authenticated sector of a MIFARE Classic tag
+   * @type {void|number}
+   */
+  authSector;
+
+  /**
+   * First step of a two step command waiting
+   * for its second frame
+   * @type {void|{cmd: number, block: number}}
+   */
+  pending;
+
+  /**
+   * Internal data register of the value block operations
+   * @type {void|number[]}
+   */
+  valueRegister;
+
+  /**
+   * NTAG21x or Ultralight EV1 product of the GET_VERSION answer
+   * @type {import('./ntag.js').NtagProduct|undefined}
+   */
+  product;
+
+  /** @type {number[]} */
+  version = [];
+
+  /** @type {number[]} */
+  signature = new Array(32).fill(0);
+
+  /**
+   * The counters of READ_CNT, 2 is the NFC counter of NTAG21x
+   * @type {number[]}
+   */
+  counters = [0, 0, 0];
+
+  /** PWD_AUTH succeeded in this ACTIVE state */
+  pwdAuthenticated = false;
+
+  /** failed PWD_AUTH attempts, compared with AUTHLIM */
+  authFailures = 0;
+
+  /** the NFC counter counted the first read since the field came on */
+  #nfcCounted = false;
+
+  /** a MIFARE Ultralight C, the key is in its memory */
+  ultralightC = false;
+
+  /** AUTHENTICATE succeeded in this ACTIVE state */
+  ulcAuthenticated = false;
+
+  /**
+   * The challenge of AUTHENTICATE waiting for the second step
+   * @type {void|{challenge: number[], rndB: number[]}}
+   */
+  ulcChallenge;
+
+  /**
+   * @param {VirtualPiccOptions} options
+   */
+  constructor(options){
+    const { uid, sak = 0x08 } = options;
+    if (!Array.isArray(uid) || ![4, 7, 10].includes(uid.length)){
+      throw new RangeError(`uid must be 4, 7 or 10 bytes: ${JSON.stringify(uid)}`);
+    }
+    this.uid = [...uid];
+    this.sak = sak & ~0x04;
+    this.atqa = options.atqa ?? [[0x04, 0x44, 0x84][[4, 7, 10].indexOf(uid.length)], 0x00];
+    if (options.version){
+      this.product = decodeVersion(options.version).product;
+      if (!this.product || this.sak !== 0x00){
+        throw new RangeError(`version must be a NTAG21x or Ultralight EV1 product with SAK 0x00: ${JSON.stringify(options.version)}`);
+      }
+      this.version = [...options.version];
+    }
+    if (options.signature){
+      this.signature = [...options.signature];
+    }
+    if (options.ulcKey){
+      if (this.product || this.sak !== 0x00){
+        throw new RangeError('ulcKey needs SAK 0x00 and no version');
+      }
+      this.ultralightC = true;
+    }
+    const pages = this.ultralightC ? ULC_PAGES : this.product?.pages;
+    this.memory = options.memory ? [...options.memory] : defaultMemory(uid, this.sak, pages);
+    if (options.ulcKey){
+      if (!options.memory){
+        // AUTH0 0x30: no protection, AUTH1 0x01: writes only
+        this.memory[ULC_AUTH0_PAGE * 4] = ULC_PAGES;
+        this.memory[ULC_AUTH1_PAGE * 4] = 0x01;
+      }
+      this.memory.splice(ULC_KEY_PAGE * 4, 16, ...encodeUlcKey(options.ulcKey).flat());
+    }
+    if (this.product && !options.memory){
+      // CFG0 with AUTH0 0xff, CFG1, PWD ffffffff and PACK 0000
+      this.memory.splice(this.product.cfgPage * 4, 16,
+        0x04, 0x00, 0x00, 0xff,
+        0x00, 0x00, 0x00, 0x00,
+        0xff, 0xff, 0xff, 0xff,
+        0x00, 0x00, 0x00, 0x00
+      );
+    }
+  }
+
+  /**
+   * UID CLn: 4 bytes and BCC of a cascade level
+   * @param {number} level
+   * @returns {number[]}
+   */
+  uidCl(level){
+    const levels = this.uid.length / 3 | 0;
+    let bytes;
+    if (level < levels){
+      bytes = [PICC_Cmd.CT, ...this.uid.slice((level - 1) * 3, level * 3)];
+    } else {
+      bytes = this.uid.slice((level - 1) * 3, (level - 1) * 3 + 4);
+    }
+    return [...bytes, bytes.reduce((a, b) => a ^ b)];
+  }
+
+  /**
+   * The tag loses power when the field is off
+   * @returns {void}
+   */
+  powerOff(){
+    this.state = 'idle';
+    this.halted = false;
+    this.level = 1;
+    this.#nfcCounted = false;
+    this.#resetActive();
+  }
+
+  /**
+   * @returns {void}
+   */
+  #resetActive(){
+    this.authSector = undefined;
+    this.pending = undefined;
+    this.valueRegister = undefined;
+    this.pwdAuthenticated = false;
+    this.ulcAuthenticated = false;
+    this.ulcChallenge = undefined;
+  }
+
+  /**
+   * Back to IDLE or HALT on an unexpected frame
+   * @returns {void}
+   */
+  #fallBack(){
+    this.state = this.halted ? 'halt' : 'idle';
+    this.level = 1;
+    this.#resetActive();
+  }
+
+  /**
+   * Receive a frame from the PCD
+   * @param {number[]} bits
+   * @param {boolean} crypto1 the PCD has Crypto1 on
+   * @returns {void|number[]} the bits of the answer
+   */
+  receive(bits, crypto1){
+    const bytes = bitsToBytes(bits);
+
+    if (bits.length === 7){
+      if (bytes[0] === PICC_Cmd.REQA && this.state === 'idle'
+        || bytes[0] === PICC_Cmd.WUPA && (this.state === 'idle' || this.state === 'halt')){
+        this.halted = this.state === 'halt';
+        this.state = 'ready';
+        this.level = 1;
+        return bytesToBits(this.atqa);
+      }
+      if (this.state === 'ready' || this.state === 'active'){
+        this.#fallBack();
+      }
+      return;
+    }
+
+    if (this.state === 'ready'){
+      return this.#anticollision(bits, bytes);
+    }
+
+    if (this.state !== 'active' || bits.length % 8){
+      return;
+    }
+
+    if (!checkCrcA(bytes)){
+      // a frame that can not be decoded, e.g. encrypted
+      // without authentication or plain after it
+      this.#fallBack();
+      return;
+    }
+    const frame = bytes.slice(0, -2);
+
+    if (frame[0] === PICC_Cmd.HLTA && frame[1] === 0x00 && frame.length === 2){
+      this.state = 'halt';
+      this.halted = false;
+      this.#resetActive();
+      return;
+    }
+
+    if ((typeof this.authSector === 'number') !== crypto1){
+      this.#fallBack();
+      return;
+    }
+
+    const resp = this.handleCommand(frame);
+    if (typeof resp === 'number'){
+      return bytesToBits([resp & 0x0f], 4);
+    }
+    if (Array.isArray(resp)){
+      return bytesToBits([...resp, ...crcA(resp)]);
+    }
+  }
+
+  /**
+   * Anticollision and select in READY state
+   * @param {number[]} bits
+   * @param {number[]} bytes
+   * @returns {void|number[]}
+   */
+  #anticollision(bits, bytes){
+    const sel = [PICC_Cmd.SEL_CL1, PICC_Cmd.SEL_CL2, PICC_Cmd.SEL_CL3][this.level - 1];
+    if (bytes[0] !== sel || bits.length < 16){
+      this.#fallBack();
+      return;
+    }
+    const uidCl = this.uidCl(this.level);
+    const nvb = bytes[1];
+
+    if (nvb === 0x70){
+      // SELECT
+      if (bits.length !== 9 * 8 || !checkCrcA(bytes)){
+        return;
+      }
+      if (uidCl.some((b, i) => b !== bytes[2 + i])){
+        return;
+      }
+      const last = this.level === Math.floor(this.uid.length / 3);
+      const sak = last ? this.sak : 0x04;
+      if (last){
+        this.state = 'active';
+      } else {
+        this.level++;
+      }
+      return bytesToBits([sak, ...crcA([sak])]);
+    }
+
+    // ANTICOLLISION, NVB: bytes including SEL and NVB, and bits
+    const known = ((nvb >> 4) - 2) * 8 + (nvb & 0x07);
+    if (known < 0 || known >= 40 || bits.length !== 16 + known){
+      return;
+    }
+    const uidBits = bytesToBits(uidCl);
+    const sent = bits.slice(16);
+    if (sent.some((bit, i) => bit !== uidBits[i])){
+      return;
+    }
+    return uidBits.slice(known);
+  }
+
+  /**
+   * Commands in ACTIVE state, without CRC
+   * @param {number[]} frame
+   * @returns {PiccResponse}
+   */
+  handleCommand(frame){
+    if (this.product || this.ultralightC){
+      const resp = this.product
+        ? this.#ntagCommand(this.product, frame)
+        : this.#ulcCommand(frame);
+      if (resp === NAK){
+        this.#fallBack();
+      }
+      return resp;
+    }
+    if (this.sak === 0x00){
+      return this.#ultralightCommand(frame);
+    }
+    if ([0x08, 0x09, 0x18].includes(this.sak)){
+      return this.#classicCommand(frame);
+    }
+  }
+
+  /**
+   * @param {number[]} frame
+   * @returns {PiccResponse}
+   */
+  #ultralightCommand(frame){
+    const pages = this.memory.length / 4;
+    const [cmd, page] = frame;
+    if (cmd === PICC_Cmd.MF_READ && frame.length === 2){
+      if (page >= pages){
+        return NAK;
+      }
+      const data = [];
+      for (let i = 0; i < 4; i++){
+        const p = (page + i) % pages;
+        data.push(...this.memory.slice(p * 4, p * 4 + 4));
+      }
+      return data;
+    }
+    if (cmd === PICC_Cmd.UL_WRITE && frame.length === 6){
+      if (page < 2 || page >= pages){
+        return NAK;
+      }
+      if (page === 2 || page === 3){
+        // lock bytes and OTP: bits can only be set
+        for (let i = page === 2 ? 2 : 0; i < 4; i++){
+          this.memory[page * 4 + i] |= frame[2 + i];
+        }
+        return ACK;
+      }
+      this.memory.splice(page * 4, 4, ...frame.slice(2, 6));
+      return ACK;
+    }
+    return NAK;
+  }
+
+  /**
+   * AUTH0 and ACCESS of the configuration pages
+   * @param {import('./ntag.js').NtagProduct} product
+   * @returns {{auth0: number, access: number}}
+   */
+  #ntagConfig(product){
+    const cfg = product.cfgPage * 4;
+    return { auth0: this.memory[cfg + 3], access: this.memory[cfg + 4] };
+  }
+
+  /**
+   * Pages of a READ or FAST_READ, PWD and PACK read as zeros
+   * @param {import('./ntag.js').NtagProduct} product
+   * @param {number[]} pages
+   * @returns {PiccResponse}
+   */
+  #ntagRead(product, pages){
+    const { auth0, access } = this.#ntagConfig(product);
+    if (!this.pwdAuthenticated && (access & 0x80) && pages.some((page) => page >= auth0)){
+      return NAK;
+    }
+    if (product.nfcCounter && (access & 0x10) && !this.#nfcCounted){
+      // the first read after the field came on
+      this.counters[2] = (this.counters[2] + 1) & 0xffffff;
+      this.#nfcCounted = true;
+    }
+    return pages.flatMap((page) => page === product.cfgPage + 2 || page === product.cfgPage + 3
+      ? [0x00, 0x00, 0x00, 0x00]
+      : this.memory.slice(page * 4, page * 4 + 4));
+  }
+
+  /**
+   * Commands of NTAG21x and Ultralight EV1
+   * @param {import('./ntag.js').NtagProduct} product
+   * @param {number[]} frame
+   * @returns {PiccResponse}
+   */
+  #ntagCommand(product, frame){
+    const [cmd, arg] = frame;
+    const { auth0, access } = this.#ntagConfig(product);
+    switch (cmd){
+      case PICC_Cmd.NTAG_GET_VERSION:
+        return frame.length === 1 ? [...this.version] : NAK;
+      case PICC_Cmd.NTAG_READ_SIG:
+        return frame.length === 2 ? [...this.signature] : NAK;
+      case PICC_Cmd.MF_READ:
+        if (frame.length !== 2 || arg >= product.pages){
+          return NAK;
+        }
+        return this.#ntagRead(product, [0, 1, 2, 3].map((i) => (arg + i) % product.pages));
+      case PICC_Cmd.NTAG_FAST_READ: {
+        const end = frame[2];
+        if (frame.length !== 3 || arg > end || end >= product.pages){
+          return NAK;
+        }
+        return this.#ntagRead(product, Array.from({ length: end - arg + 1 }, (_, i) => arg + i));
+      }
+      case PICC_Cmd.UL_WRITE:
+        if (!this.pwdAuthenticated && arg >= auth0){
+          return NAK;
+        }
+        return this.#ultralightCommand(frame);
+      case PICC_Cmd.NTAG_READ_CNT:
+        if (frame.length !== 2 || !product.counters.includes(arg)){
+          return NAK;
+        }
+        if (product.nfcCounter && (!(access & 0x10) || ((access & 0x08) && !this.pwdAuthenticated))){
+          return NAK;
+        }
+        return [this.counters[arg] & 0xff, (this.counters[arg] >> 8) & 0xff, this.counters[arg] >> 16];
+      case PICC_Cmd.NTAG_PWD_AUTH: {
+        const authlim = access & 0x07;
+        const pwd = this.memory.slice((product.cfgPage + 2) * 4, (product.cfgPage + 3) * 4);
+        if (frame.length !== 5 || (authlim && this.authFailures >= authlim)){
+          return NAK;
+        }
+        if (pwd.some((b, i) => b !== frame[1 + i])){
+          this.authFailures++;
+          return NAK;
+        }
+        this.authFailures = 0;
+        this.pwdAuthenticated = true;
+        return this.memory.slice((product.cfgPage + 3) * 4, (product.cfgPage + 3) * 4 + 2);
+      }
+    }
+    return NAK;
+  }
+
+  /**
+   * The 3DES key from the key pages, each half reversed
+   * @returns {number[]}
+   */
+  #ulcKey(){
+    const pages = this.memory.slice(ULC_KEY_PAGE * 4, ULC_KEY_PAGE * 4 + 16);
+    return [...pages.slice(0, 8).reverse(), ...pages.slice(8).reverse()];
+  }
+
+  /**
+   * Commands of MIFARE Ultralight C
+   * @param {number[]} frame
+   * @returns {PiccResponse}
+   */
+  #ulcCommand(frame){
+    const [cmd, arg] = frame;
+    const auth0 = this.memory[ULC_AUTH0_PAGE * 4];
+    const readProtect = !(this.memory[ULC_AUTH1_PAGE * 4] & 0x01);
+    const pending = this.ulcChallenge;
+    this.ulcChallenge = undefined;
+    switch (cmd){
+      case PICC_Cmd.ULC_AUTH:
+        if (frame.length !== 2 || arg !== 0x00){
+          return NAK;
+        }
+        this.ulcAuthenticated = false;
+        this.ulcChallenge = ulcAuthChallenge(this.#ulcKey());
+        return [PICC_Cmd.ULC_AUTH_CONTINUE, ...this.ulcChallenge.challenge];
+      case PICC_Cmd.ULC_AUTH_CONTINUE: {
+        if (!pending){
+          return NAK;
+        }
+        const answer = ulcAuthAnswer(this.#ulcKey(), pending.challenge, frame.slice(1), pending.rndB);
+        if (!answer){
+          return NAK;
+        }
+        this.ulcAuthenticated = true;
+        return [0x00, ...answer];
+      }
+      case PICC_Cmd.MF_READ: {
+        // the key pages can not be read, READ rolls over before them
+        if (frame.length !== 2 || arg >= ULC_KEY_PAGE){
+          return NAK;
+        }
+        const pages = [0, 1, 2, 3].map((i) => (arg + i) % ULC_KEY_PAGE);
+        if (!this.ulcAuthenticated && readProtect && pages.some((page) => page >= auth0)){
+          return NAK;
+        }
+        return pages.flatMap((page) => this.memory.slice(page * 4, page * 4 + 4));
+      }
+      case PICC_Cmd.UL_WRITE:
+        if (!this.ulcAuthenticated && arg >= auth0){
+          return NAK;
+        }
+        return this.#ultralightCommand(frame);
+    }
+    return NAK;
+  }
+
+  /**
+   * Sector of a MIFARE Classic block
+   * @param {number} block
+   * @returns {number}
+   */
+  #sector(block){
+    return block < 128 ? block >> 2 : 32 + ((block - 128) >> 4);
+  }
+
+  /**
+   * @param {number} sector
+   * @returns {number}
+   */
+  #trailer(sector){
+    return sector < 32 ? sector * 4 + 3 : 128 + (sector - 32) * 16 + 15;
+  }
+
+  /**
+   * Authentication by the MFAuthent command of the PCD
+   * @param {number} cmd MF_AUTH_KEY_A or MF_AUTH_KEY_B
+   * @param {number} block
+   * @param {number[]} key 6 bytes
+   * @returns {boolean}
+   */
+  authenticate(cmd, block, key){
+    if (this.state !== 'active' || block >= this.memory.length / 16){
+      return false;
+    }
+    const sector = this.#sector(block);
+    const trailer = this.#trailer(sector) * 16;
+    const offset = cmd === PICC_Cmd.MF_AUTH_KEY_A ? 0 : 10;
+    const storedKey = this.memory.slice(trailer + offset, trailer + offset + 6);
+    if (storedKey.some((b, i) => b !== key[i])){
+      this.#fallBack();
+      return false;
+    }
+    this.authSector = sector;
+    this.pending = undefined;
+    return true;
+  }
+
+  /**
+   * @param {number[]} frame
+   * @returns {PiccResponse}
+   */
+  #classicCommand(frame){
+    const pending = this.pending;
+    this.pending = undefined;
+
+    if (pending){
+      return this.#classicSecondStep(pending, frame);
+    }
+
+    const [cmd, block] = frame;
+    if (frame.length !== 2 || typeof this.authSector !== 'number'
+      || block >= this.memory.length / 16 || this.#sector(block) !== this.authSector){
+      return NAK;
+    }
+
+    switch (cmd){
+      case PICC_Cmd.MF_READ: {
+        const data = this.memory.slice(block * 16, block * 16 + 16);
+        if (block === this.#trailer(this.authSector)){
+          // key A is never readable
+          data.fill(0, 0, 6);
+        }
+        return data;
+      }
+      case PICC_Cmd.MF_WRITE:
+      case PICC_Cmd.MF_INCREMENT:
+      case PICC_Cmd.MF_DECREMENT:
+      case PICC_Cmd.MF_RESTORE:
+        if (block === 0){
+          return NAK;
+        }
+        this.pending = { cmd, block };
+        return ACK;
+      case PICC_Cmd.MF_TRANSFER:
+        if (!this.valueRegister || block === 0){
+          return NAK;
+        }
+        this.memory.splice(block * 16, 16, ...this.valueRegister);
+        this.valueRegister = undefined;
+        return ACK;
+    }
+    return NAK;
+  }
+
+  /**
+   * @param {{cmd: number, block: number}} pending
+   * @param {number[]} frame
+   * @returns {PiccResponse}
+   */
+  #classicSecondStep(pending, frame){
+    const { cmd, block } = pending;
+    if (cmd === PICC_Cmd.MF_WRITE){
+      if (frame.length !== 16){
+        return NAK;
+      }
+      this.memory.splice(block * 16, 16, ...frame);
+      return ACK;
+    }
+    if (frame.length !== 4){
+      return;
+    }
+    const data = Buffer.from(this.memory.slice(block * 16, block * 16 + 16));
+    const value = data.readInt32LE(0);
+    if (value !== ~data.readInt32LE(4) || value !== data.readInt32LE(8)){
+      // not a value block
+      return NAK;
+    }
+    const operand = Buffer.from(frame).readUInt32LE(0);
+    let result = value;
+    if (cmd === PICC_Cmd.MF_INCREMENT){
+      result = (value + operand) | 0;
+    } else if (cmd === PICC_Cmd.MF_DECREMENT){
+      result = (value - operand) | 0;
+    }
+    data.writeInt32LE(result, 0);
+    data.writeInt32LE(~result, 4);
+    data.writeInt32LE(result, 8);
+    this.valueRegister = [...data];
+    // no answer on the second step
+  }
+}
+
+export { VirtualPicc, crcA, checkCrcA, bytesToBits, bitsToBytes };
@@ -7,7 +7,67 @@
  * Read 4, 7 and 10 byte UIDs from Mifare tags
  *
  * To run:
- * node run.js
+ * node run.js [command] [options]
+ *
+ * Commands:
+ *
+ * scan : (default) Report tags when they arrive and leave,
+ * until Ctrl-C is pressed
+ *
+ * inventory : List the UIDs of all tags in the antenna field
+ *
+ * read : Read a block of a MIFARE Classic tag
+ * E.g. node run.js read --block=4 --key=ffffffffffff
+ *
+ * write : Write a block of a MIFARE Classic tag
+ * E.g. node run.js write --block=4 --data=000102030405060708090a0b0c0d0e0f
+ *
+ * value : Value block operations on a MIFARE Classic tag
+ * E.g. node run.js value increment --block=5 --amount=10
+ *
+ * trailer : Show or change the keys and access conditions
+ * in the sector trailer of a MIFARE Classic tag
+ * E.g. node run.js trailer write --sector=1 --new-key-b=a0a1a2a3a4a5
+ *
+ * dump : Read all blocks or pages of a MIFARE Classic or
+ * Ultralight / NTAG tag, to a JSON and / or .mfd file
+ * E.g. node run.js dump --file=card.json
+ *
+ * restore : Write a dump onto a tag and verify each block
+ * E.g. node run.js restore --file=card.mfd
+ *
+ * ul : Read and write pages of MIFARE Ultralight and NTAG tags
+ * E.g. node run.js ul write --page=4 --data=01020304
+ *
+ * ntag : Version, originality signature, FAST_READ, counters
+ * and password protection of NTAG21x and Ultralight EV1 tags
+ * E.g. node run.js ntag protect --new-pwd=12345678 --new-pack=abcd --auth0=4
+ *
+ * ulc : 3DES authentication, key and protection of
+ * MIFARE Ultralight C tags
+ * E.g. node run.js ulc read --page=16 --ulc-key=00112233445566778899aabbccddeeff
+ *
+ * ndef : Read and write NDEF messages on MIFARE Ultralight and NTAG tags
+ * E.g. node run.js ndef write --uri=https://example.com
+ *
+ * apdu : Send APDUs to an ISO 14443-4 tag (DESFire, JavaCard, ...)
+ * E.g. node run.js apdu 00a4040007d276000085010100
+ *
+ * rf : Show the receiver gain, antenna driver conductance
+ * and RxThreshold, or sweep the gain to compare detection rates.
+ * These settings are set for all commands with
+ * --gain, --cw-gsn, --mod-gsn, --cw-gsp, --mod-gsp,
+ * --min-level and --coll-level.
+ * E.g. node run.js rf sweep --count=50
+ *
+ * regs : Show all registers of the MFRC522 with their bit
+ * fields, without reset, as a table or with --format=json.
+ * With --watch they are read again each --interval ms.
+ * E.g. node run.js regs --watch --interval=500
+ *
+ * selftest : Check the chip version, the digital self test,
+ * the antenna drivers and the CRC co-processor, each with
+ * pass, warn or fail, as text or with --format=json
  *
  * Optional flags:
  *
@@ -18,13 +78,60 @@
  *
  * --device The default device is /dev/spidev0.0
  * Select another e.g --device=/dev/spidev0.1
+ * Repeat it to scan with several readers at once,
+ * optionally with a reader id before the path:
+ * E.g. node run.js scan --device=entry:/dev/spidev1.0 --device=exit:/dev/spidev1.1
+ *
+ * --config : JSON file with the readers, each with
+ * its own IRQ and reset pins, see cli/readers.js
+ * E.g. node run.js scan --config=readers.json
+ *
+ * --no-self-test : To disable the self test at start.
+ * Clones and unknown versions only get warnings,
+ * a failed check stops the program.
+ *
+ * --irq-pin : GPIO line connected to the IRQ pin of
+ * the MFRC522. The end of a command is signalled on
+ * this line instead of polled over SPI.
+ * E.g. --irq-pin=24 --gpiochip=0
+ *
+ * --reset-pin : GPIO line connected to the NRSTPD (RST)
+ * pin for a hard reset at start and hard power-down.
+ *
+ * --low-power : Power down the MFRC522 between the polls
+ * of the scan loop, 'soft' (PowerDown bit) or 'hard'
+ * (NRSTPD pin, needs --reset-pin). With --field-on the
+ * time the field is on before each poll.
+ * E.g. node run.js scan --low-power=soft --interval=250
+ *
+ * --emulate : Run against the register level emulator
+ * in lib/emulator.js instead of a SPI device, with
+ * virtual tags given by their hex UID and optional SAK.
+ * No hardware is needed.
+ * E.g. node run.js inventory --emulate=01020304,04a1b2c3d4e5f6:00
  *
- * --no-self-test : To disable the self test. If
- * your MFRC522 is a clone the self test may fail.
- * In that case it is useful to disable the self test.
+ * --retries : Retry after errors that are worth another
+ * attempt (CRC, parity, protocol, MFRC522 timeouts).
+ * The scan command prints the select errors by category
+ * when it ends.
+ * E.g. node run.js scan --retries=2
+ *
+ * --bit-rate : Highest bit rate of ISO 14443-4 tags for apdu,
+ * 212, 424 or 848 kbit/s, negotiated with PPS.
+ * E.g. node run.js apdu 00a4040007d276000085010100 --bit-rate=424
+ *
+ * --format : scan prints each tag as a JSON line or CSV row
+ * with --format=json or --format=csv, the diagnostics and errors
+ * go to stderr as JSON records. --output appends the tag records
+ * to a file.
+ * E.g. node run.js scan --format=json --output=/var/log/tags.jsonl
  *
  * --help, -h : Show this help message
  *
+ * The driver is the MFRC522 class in lib/mfrc522.js,
+ * this file is the command line tool around it.
+ * The commands are in the cli/ directory.
+ *
  * Based on https://github.com/miguelbalboa/rfid
  * And https://github.com/firsttris/mfrc522-rpi
  * The NXP MFRC522 data sheet:
@@ -32,265 +139,53 @@
  */
 
 import SPIDevice from '@eeemarv/io-spi';
-import { setTimeout } from 'timers/promises';
-import { PCD_Cmd } from './data/pcd_command.js';
-import { PCD_Reg } from './data/pcd_reg.js';
-import { PICC_Cmd } from './data/picc_command.js';
-import { PCD_Test } from './data/pcd_self_test.js';
-
-let spi;
-
-/**
- * @param {number} test
- * @returns {void}
- */
-const testByte = (test) => {
-  if (!Number.isInteger(test)){
-    throw new TypeError(`Error, not an integer ${JSON.stringify(test)}`);
-  }
-  if (test > 255){
-    throw new RangeError(`Error out of range: ${JSON.stringify(test)}`);
-  }
-  if (test < 0){
-    throw new RangeError(`Error out of range: ${JSON.stringify(test)}`);
-  }
-};
+import { MFRC522, BIT_RATES } from './lib/mfrc522.js';
+import { MFRC522Emulator } from './lib/emulator.js';
+import { VirtualPicc } from './lib/virtual_picc.js';
+import { DEFAULT_KEY } from './lib/mifare_classic.js';
+import { parseHex } from './cli/util.js';
+import { parseDevice, getReaders } from './cli/readers.js';
+import { scanCmd, scanReadersCmd } from './cli/scan.js';
+import { inventoryCmd } from './cli/inventory.js';
+import { readCmd, writeCmd } from './cli/block.js';
+import { valueCmd } from './cli/value.js';
+import { trailerCmd } from './cli/trailer.js';
+import { dumpCmd, restoreCmd } from './cli/dump.js';
+import { ulCmd } from './cli/ultralight.js';
+import { ntagCmd } from './cli/ntag.js';
+import { ulcCmd } from './cli/ultralight_c.js';
+import { ndefCmd } from './cli/ndef.js';
+import { apduCmd } from './cli/apdu.js';
+import { rfCmd } from './cli/rf.js';
+import { regsCmd } from './cli/regs.js';
+import { printSelfTest, selftestCmd } from './cli/selftest.js';
+import { Output } from './cli/output.js';
+import { PCD_RxG } from './data/pcd_rx_gain.js';
 
 /**
- * @param {number} addr
- * @returns {number}
+ * @type {Object<string, (
+ *   mfrc522: MFRC522,
+ *   opts: import('./cli/util.js').CliOptions,
+ *   reader: import('./cli/readers.js').ReaderConfig
+ * ) => Promise<void>>}
  */
-const getReadAddr = (addr) => {
-  return ((addr << 1) & 0x7e) | 0x80;
-};
-
-/**
- * @param {number} addr
- * @returns {number}
- */
-const getWriteAddr = (addr) => {
-  return (addr << 1) & 0x7e;
-};
-
-/**
- * Read from the MFRC522
- * @param {number[]} addrAry registers to read
- * @returns {Promise<number[]>} values of the registers
- */
-const read = async (addrAry) => {
-  if (!Array.isArray(addrAry)){
-    throw new TypeError(`addrAry is not an array: ${JSON.stringify(addrAry)}`);
-  }
-  if (!addrAry.length){
-    throw new RangeError('read addrAry is empty');
-  }
-  for (const addr of addrAry){
-    testByte(addr);
-  }
-  const [rxBuf] = await spi.transfer([
-    Buffer.from([
-      ...addrAry.map((addr) => getReadAddr(addr)),
-      0x00
-    ])
-  ]);
-  return [...rxBuf].slice(1); // Skip 1 byte
-};
-
-/**
- * Write to the MFRC522
- * The first element in each nested array is
- * the register address to write to,
- * the following byte(s) the data
- * @param {number[][]} writeAry
- * @returns {Promise<void>}
- */
-const write = async (writeAry) => {
-  if (!Array.isArray(writeAry)){
-    throw new TypeError(`writeAry is not an array: ${JSON.stringify(writeAry)}`);
-  }
-  if (!writeAry.length){
-    throw new RangeError('writeAry is empty');
-  }
-  for (const subAry of writeAry){
-    if (!Array.isArray(subAry)){
-      throw new TypeError(`write subAry is not an array: ${JSON.stringify(subAry)}`)
-    }
-    if (!subAry.length){
-      throw new RangeError('write subAry is empty');
-    }
-    if (subAry.length < 2){
-      throw new RangeError(`write subAry needs a least two elements, an address and register: ${JSON.stringify(subAry)}`);
-    }
-    for (const test of subAry){
-      testByte(test);
-    }
-  }
-  const lastWr = writeAry.pop();
-  await spi.transfer([
-    ...writeAry.map((wr) => { return {
-      tx_buf: Buffer.from([getWriteAddr(wr[0]), ...wr.slice(1)]),
-      cs_change: 1
-    }}),
-    // @ts-ignore
-    Buffer.from([getWriteAddr(lastWr[0]), ...lastWr.slice(1)])
-  ]);
-};
-
-/**
- * Set bits in a register of the MFRC522
- * @param {number} addr
- * @param {number} bitMask
- * @returns {Promise<void>}
- */
-const setBitMask = async (addr, bitMask) => {
-  if (!bitMask){
-    return;
-  }
-  const [value] = await read([addr]);
-  const newValue = value | bitMask;
-  if (value == newValue){
-    return;
-  }
-  await write([[addr, newValue]]);
-};
-
-/**
- * Clear bits in a register of the MFRC522
- * @param {number} addr
- * @param {number} bitMask
- * @returns {Promise<void>}
- */
-const clearBitMask = async (addr, bitMask) => {
-  if (!bitMask){
-    return;
-  }
-  const [value] = await read([addr]);
-  const newValue = value & ~bitMask;
-  if (value == newValue){
-    return;
-  }
-  await write([[addr, newValue]]);
-};
-
-/**
- * Soft Reset the MFRC522
- * @returns {Promise<void>}
- */
-const reset = async () => {
-  await write([[PCD_Reg.Command, PCD_Cmd.SoftReset]]);
-  await setTimeout(50);
-};
-
-/**
- * Run the Self test (for digital integrety) of the MFRC522
- * @returns {Promise<void>}
- */
-const selfTest = async () => {
-  const [version] = await read([PCD_Reg.Version]);
-  console.log(`MFRC522 Version: \x1b[1;33m0x${version.toString(16)}\x1b[0m`);
-
-  if (version !== 0x92 && version !== 0x91 && version !== 0x90) {
-    throw new Error('Failed to initialize MFRC522 - wrong version');
-  }
-
-  await write([[PCD_Reg.Command, PCD_Cmd.SoftReset]]);
-  await setTimeout(50);
-
-  await write([
-    [PCD_Reg.Command, PCD_Cmd.Idle],
-    // flush FIFO
-    [PCD_Reg.FIFOLevel, 0x80],
-    // write 25x 0x00 to FIFO
-    [PCD_Reg.FIFOData, ...new Array(25).fill(0x00)],
-    // Copy 0x00's to internal memory
-    [PCD_Reg.Command, PCD_Cmd.Mem],
-    // stop
-    [PCD_Reg.Command, PCD_Cmd.Idle],
-    // flush FIFO
-    [PCD_Reg.FIFOLevel, 0x80],
-    // enable self test
-    [PCD_Reg.AutoTest, 0x09],
-    // write 0x00 to FIFO
-    [PCD_Reg.FIFOData, 0x00],
-    // Calc CRC
-    [PCD_Reg.Command, PCD_Cmd.CalcCRC],
-  ]);
-
-  // Wait for CRCIRq
-  for(let i = 0; i < 100; i++) {
-    await setTimeout(1);
-    const [irq] = await read([PCD_Reg.DivIrq]); // DivIrqReg
-    if (irq & 0x04) break;
-  }
-
-  // Read FIFO to get test result
-  const result = await read(new Array(64).fill(PCD_Reg.FIFOData));
-
-  console.log('Self test data:');
-  for (let a = 0; a < 8; a++){
-    let str = '\x1b[32m';
-    for (let b = 0; b < 8; b++){
-      str += result[(a * 8) + b].toString(16).padStart(2, '0');
-      str += ' ';
-    }
-    console.log(str + '\x1b[0m');
-  }
-
-  await write([[PCD_Reg.AutoTest, 0x00]]);
-
-  // Compare with the expected result
-  for (const prop in PCD_Test){
-    if (version != PCD_Test[prop].version){
-      continue;
-    }
-    const expected = PCD_Test[prop].data;
-    const ok = expected.every((val, i) => val === result[i]);
-    if (ok){
-      console.log('Expected data matches for Self test.');
-    } else {
-      throw new Error('MFRC522 self-test failed: output does not match reference pattern.');
-    }
-  }
-
-  // Check if RF can be turned on
-  await setBitMask(PCD_Reg.TxControl, 0x03); // enable antenna drivers
-  const [txControl] = await read([PCD_Reg.TxControl]);
-  if ((txControl & 0x03) == 0x03) {
-    console.log('Able to turn on antenna.');
-  } else {
-    throw new Error('Failed to enable antenna (TxControlReg)');
-  }
-
-  console.log('MFRC522 Self test completed.');
-};
-
-/**
- * Init the MFRC522 for transmission
- * @returns {Promise<void>}
- */
-const initRegs = async () => {
-  // antenna on
-  await setBitMask(PCD_Reg.TxControl, 0x03);
-
-  await write([
-    // 106 kbit/s type A (default)
-    [PCD_Reg.TxMode, 0x00],
-    [PCD_Reg.RxMode, 0x00],
-    // reset modwidth
-    [PCD_Reg.ModWidth, 0x26],
-    // Timer: TAuto=1; timer starts automatically at transmission end
-    // TAuto=1, timer prescaler
-    [PCD_Reg.TMode, 0x8d],
-    // 40kHz
-    [PCD_Reg.TPrescaler, 0x3e],
-    // 25ms before timeout
-    [PCD_Reg.TReloadH, 0x00],
-    [PCD_Reg.TReloadL, 0x1e],
-    // force 100% ASK modulation
-    [PCD_Reg.TxASK, 0x40],
-    // preset 0x6363 fpr CRC
-    [PCD_Reg.Mode, 0x3d],
-  ]);
+const commands = {
+  scan: scanCmd,
+  inventory: inventoryCmd,
+  read: readCmd,
+  write: writeCmd,
+  value: valueCmd,
+  trailer: trailerCmd,
+  dump: dumpCmd,
+  restore: restoreCmd,
+  ul: ulCmd,
+  ntag: ntagCmd,
+  ulc: ulcCmd,
+  ndef: ndefCmd,
+  apdu: apduCmd,
+  rf: rfCmd,
+  regs: regsCmd,
+  selftest: selftestCmd,
 };
 
 /**
@@ -299,429 +194,766 @@ const initRegs = async () => {
  */
 const showHelp = () => {
   console.log(`
-Usage: node examples/mfrc522.js [options]
+Usage: node run.js [command] [options]
 
 This script initializes the MFRC522 RFID reader and performs a self-test.
 It reads UIDs from Mifare tags and displays them in hexadecimal format.
 
+Commands:
+  scan                             Report tags when they arrive and leave until Ctrl-C is pressed. (default)
+  inventory                        List the UIDs of all tags in the antenna field.
+  read                             Read a block of a MIFARE Classic tag.
+  write                            Write a block of a MIFARE Classic tag.
+  value read                       Read a value block.
+  value init                       Format a block as value block with --value.
+  value increment                  Increment a value block by --amount.
+  value decrement                  Decrement a value block by --amount.
+  value restore                    Copy a value block, use with --to.
+  trailer read                     Show the access conditions, GPB and key B (when readable)
+                                   of the sector trailer of --sector.
+  trailer write                    Change the keys, access conditions or GPB of the sector
+                                   with --new-key-a, --new-key-b, --access and --gpb.
+                                   Writes that can not be undone need --force.
+  trailer encode                   Show the access bytes and permissions of --access.
+  trailer decode                   Show the permissions of the access bytes in --data.
+  dump                             Read all blocks or pages with --key and the known keys,
+                                   save them with --file (.json, .mfd, or both without extension).
+  restore                          Write the data blocks or user pages of --file and read them back.
+                                   Block 0 and trailers only with --block0 and --trailers.
+  ul info                          Show type, Capability Container and locks of an Ultralight / NTAG tag.
+  ul read                          Read 4 pages from --page.
+  ul write                         Write 4 bytes to --page.
+  ntag info                        Show product, originality signature, AUTH0, ACCESS and the
+                                   counters of a NTAG21x / Ultralight EV1 tag.
+  ntag read                        FAST_READ --pages pages from --page.
+  ntag auth                        Authenticate with --pwd, check the PACK with --pack.
+  ntag protect                     Protect the pages from --auth0 with the password, set it
+                                   with --new-pwd and --new-pack.
+  ntag unprotect                   Switch the password protection off.
+  ulc info                         Show the counter, AUTH0 and AUTH1 of an Ultralight C tag.
+                                   Authenticates first when --ulc-key is given.
+  ulc auth                         Authenticate with --ulc-key.
+  ulc read                         Authenticate and read 4 pages from --page.
+  ulc key                          Authenticate and write the key --new-ulc-key.
+  ulc protect                      Authenticate and protect the pages from --auth0.
+  ulc unprotect                    Authenticate and switch the protection off.
+  ndef read                        Read the NDEF message of an Ultralight / NTAG tag.
+  ndef write                       Write a NDEF message with the records given by
+                                   --uri, --text and --mime, in that order.
+  apdu <hex> [<hex> ...]           Activate an ISO 14443-4 tag with RATS and send
+                                   the APDUs, prints the response and status words.
+  rf info                          Show receiver gain, antenna driver conductance and RxThreshold.
+  rf sweep                         Try to detect a tag --count times with each receiver gain
+                                   and show the success rate.
+  regs                             Show the registers and their bit fields as the last command
+                                   left them (no reset). With --watch each --interval ms,
+                                   changed values are highlighted.
+  selftest                         Run the self test and show the pass, warn or fail
+                                   result of each check.
+
 Options:
   --speed=<number>, -s=<number>    Set the maximum clock speed in Hz. Default is 10_000_000 (10MHz).
-  --device=<path>, -d=<path>       Set the SPI device path. Default is /dev/spidev0.0.
-  --no-self-test, -n               Disable the self-test. Useful if your MFRC522 is a clone.
+  --device=[<id>:]<path>, -d=...   Set the SPI device path. Default is /dev/spidev0.0.
+                                   Repeat it to scan with several readers, the events are
+                                   tagged with the id, default the device name.
+  --config=<file>                  JSON file with the readers and their pins, instead of --device.
+  --no-self-test, -n               Disable the self-test at start. Clones only get warnings.
+  --gpiochip=<number>, -g=<number> Set the GPIO chip number. Default is 0.
+  --irq-pin=<number>               GPIO line connected to the IRQ pin. Without it the
+                                   interrupt registers are polled over SPI.
+  --reset-pin=<number>             GPIO line connected to the NRSTPD (RST) pin.
+  --interval=<ms>                  Time between polls of the scan loop. Default is 50.
+  --debounce=<ms>                  Time a tag must stay before it is reported. Default is 0.
+  --remove-timeout=<ms>            Time a tag must be gone before it is reported removed. Default is 150.
+  --low-power=<off|soft|hard>      Power down the MFRC522 between the polls of the scan loop.
+                                   hard needs --reset-pin. Default is off.
+  --field-on=<ms>                  Time the field is on before a poll in low power mode. Default is 5.
+  --block=<number>, -b=<number>    Block address for read and write. Default is 4.
+  --key=<hex>, -k=<hex>            6 byte key. Default is ffffffffffff.
+  --key-type=<A|B>, -t=<A|B>       Authenticate with key A or key B. Default is A.
+  --data=<hex>                     Data to write, 16 bytes for a block, 4 bytes for a page.
+  --page=<number>, -p=<number>     Page address for ul read and write. Default is 4.
+  --pages=<number>                 Number of pages of ntag read. Default is up to the last page.
+  --force                          Allow writes to the lock, OTP and configuration pages
+                                   and sector trailers that can not be changed anymore.
+  --sector=<number>                Sector for trailer. Default is the sector of --block.
+  --new-key-a=<hex>                New key A for trailer write.
+  --new-key-b=<hex>                New key B for trailer write.
+  --access=<c>,<c>,<c>,<c>         Access conditions C1C2C3 of block 0, 1, 2 and the trailer,
+                                   e.g. 000,000,000,001 (transport configuration).
+  --gpb=<hex>                      General purpose byte of the sector trailer.
+  --pwd=<hex>                      4 byte NTAG password, the ntag commands authenticate first.
+  --pack=<hex>                     2 byte PACK the tag must answer --pwd with.
+  --new-pwd=<hex>                  New password for ntag protect.
+  --new-pack=<hex>                 New PACK for ntag protect.
+  --auth0=<number>                 First page protected by the password or the Ultralight C key.
+                                   Default keeps AUTH0.
+  --read-protect                   ntag and ulc protect also protect reads, not only writes.
+  --auth-limit=<0-7>               Failed password attempts before the password is blocked
+                                   for good, 0 for no limit. Default keeps AUTHLIM.
+  --ulc-key=<hex>                  16 byte 3DES key of Ultralight C. Default is the factory key
+                                   49454d4b41455242214e4143554f5946 (BREAKMEIFYOUCAN!).
+  --new-ulc-key=<hex>              New 3DES key for ulc key.
+  --file=<path>                    Dump file for dump and restore.
+  --block0                         restore also writes block 0 (only on magic tags).
+  --trailers                       restore also writes the sector trailers.
+  --uri=<uri>                      Add a URI record, can be repeated.
+  --text=<text>                    Add a Text record, can be repeated.
+  --lang=<code>                    Language of the Text records. Default is en.
+  --mime=<type>                    Add a MIME record with --data as payload.
+  --value=<number>                 Signed 32 bit value for value init.
+  --amount=<number>                Amount for value increment and decrement. Default is 1.
+  --to=<number>                    Block to transfer the result of a value operation to.
+                                   Default is the block itself.
+  --gain=<dB>                      Receiver gain: 18, 23, 33, 38, 43 or 48 dB. Default is 33.
+  --cw-gsn=<0-15>                  Conductance of the n-driver without modulation.
+  --mod-gsn=<0-15>                 Conductance of the n-driver during modulation.
+  --cw-gsp=<0-63>                  Conductance of the p-driver without modulation.
+  --mod-gsp=<0-63>                 Conductance of the p-driver during modulation.
+  --min-level=<0-15>               Minimum signal strength the decoder accepts.
+  --coll-level=<0-7>               Minimum signal strength of a collision.
+  --count=<number>                 Attempts per gain of rf sweep. Default is 20.
+  --retries=<number>               Retry requests, selects, reads, writes and authentications
+                                   after CRC, parity, protocol and MFRC522 errors. Default is 0.
+  --bit-rate=<106|212|424|848>     Highest bit rate in kbit/s of apdu, the tag must support it (PPS).
+                                   Default is 106.
+  --emulate=<uid>[:<sak>][,...]    Use the MFRC522 emulator with virtual tags instead of
+                                   the SPI device. SAK default is 08 (MIFARE Classic 1K).
+  --format=<text|json|csv>         Output of scan, regs and selftest, csv only for scan.
+                                   With json and csv the diagnostics go to stderr
+                                   as JSON records. Default is text.
+  --output=<file>                  Append the tag records of scan to a file.
+  --watch                          regs reads the registers again each --interval ms.
   --help, -h                       Show this help message.
 `);
 };
 
 /**
- * Initialize communication with the MFRC522
- * @return {Promise<void>}
+ * Parse the command line arguments
+ * @param {string[]} args
+ * @returns {import('./cli/util.js').CliOptions}
  */
-const init = async () => {
-  let speed = 10_000_000;
-  let device = '/dev/spidev0.0';
-  let selfTestEnabled = true;
-  let skipArg = false;
+const parseArgs = (args) => {
+  /** @type {import('./cli/util.js').CliOptions} */
+  const opts = {
+    command: 'scan',
+    args: [],
+    speed: 10_000_000,
+    devices: [],
+    selfTest: true,
+    gpiochip: 0,
+    lowPower: 'off',
+    fieldOn: 5,
+    interval: 50,
+    debounce: 0,
+    removeTimeout: 150,
+    block: 4,
+    keyType: 'A',
+    key: [...DEFAULT_KEY],
+    amount: 1,
+    page: 4,
+    force: false,
+    readProtect: false,
+    block0: false,
+    trailers: false,
+    records: [],
+    lang: 'en',
+    conductance: {},
+    rxThreshold: {},
+    count: 20,
+    retries: 0,
+    bitRate: 106,
+    format: 'text',
+    watch: false,
+  };
+  let commandSet = false;
+
+  for (let i = 0; i < args.length; i++){
+    const arg = args[i];
+
+    if (!arg.startsWith('-')){
+      if (commandSet){
+        opts.args.push(arg);
+        continue;
+      }
+      if (!(arg in commands)){
+        throw new Error(`Unknown command: ${arg}`);
+      }
+      opts.command = arg;
+      commandSet = true;
+      continue;
+    }
 
-  const args = process.argv.slice(2);
+    let key = arg;
+    /** @type {string|undefined} */
+    let value = undefined;
 
-  try {
-    args.forEach((arg, i) => {
-      let key = undefined;
-      let value = undefined;
+    if (arg.includes('=')) {
+      // The argument is in the form --key=value
+      key = arg.slice(0, arg.indexOf('='));
+      value = arg.slice(arg.indexOf('=') + 1);
+    }
 
-      if (skipArg) {
-        skipArg = false;
-        return;
+    /**
+     * The value of --key=value or --key value
+     * @returns {string}
+     */
+    const takeValue = () => {
+      if (typeof value === 'undefined'){
+        value = args[++i];
       }
-
-      if (arg.includes('=')) {
-        // If the argument is in the form --key=value, we can skip the next argument
-        [key, value] = arg.split('=');
+      if (!value) {
+        throw new Error(`Missing value for ${key}`);
+      }
+      return value;
+    };
+
+    if (key === '--speed' || key === '-s') {
+      const val = takeValue();
+      opts.speed = Number(val.replace(/_/g, ''));
+      if (isNaN(opts.speed) || opts.speed <= 0) {
+        throw new Error(`Invalid speed value: ${val}`);
+      }
+      continue;
+    }
+    if (key === '--device' || key === '-d') {
+      opts.devices.push(parseDevice(takeValue()));
+      continue;
+    }
+    if (key === '--config') {
+      opts.config = takeValue();
+      continue;
+    }
+    if (key === '--no-self-test' || key === '-n') {
+      opts.selfTest = false;
+      continue;
+    }
+    if (key === '--gpiochip' || key === '-g' || key === '--irq-pin' || key === '--reset-pin') {
+      const val = takeValue();
+      const num = Number(val);
+      if (!Number.isInteger(num) || num < 0) {
+        throw new Error(`Invalid ${key} value: ${val}`);
+      }
+      if (key === '--irq-pin') {
+        opts.irqPin = num;
+      } else if (key === '--reset-pin') {
+        opts.resetPin = num;
       } else {
-        // If the argument is in the form --key value, we need to check the next argument
-        key = arg;
-        value = args[i + 1];
-        skipArg = true; // Skip the next argument since it's the value for this key
+        opts.gpiochip = num;
       }
-      if (key === '--speed' || key === '-s') {
-        if (!value) {
-          throw new Error('Missing value for --speed');
-        }
-        speed = Number(value.replace(/_/g, ''));
-        if (isNaN(speed) || speed <= 0) {
-          throw new Error(`Invalid speed value: ${value}`);
-        }
-        return;
+      continue;
+    }
+    if (key === '--low-power') {
+      const val = takeValue();
+      if (val !== 'off' && val !== 'soft' && val !== 'hard') {
+        throw new Error(`Invalid low power mode: ${val}`);
       }
-      if (key === '--device' || key === '-d') {
-        if (!value) {
-          throw new Error('Missing value for --device');
-        }
-        device = value;
-        if (typeof device !== 'string' || !device.startsWith('/dev/spidev')) {
-          throw new Error(`Invalid device path: ${device}`);
-        }
-        return;
+      opts.lowPower = val;
+      continue;
+    }
+    if (key === '--interval' || key === '--debounce' || key === '--remove-timeout' || key === '--field-on') {
+      const val = takeValue();
+      const ms = Number(val.replace(/_/g, ''));
+      if (isNaN(ms) || ms < 0) {
+        throw new Error(`Invalid ${key} value: ${val}`);
       }
-      if (key === '--no-self-test' || key === '-n') {
-        selfTestEnabled = false;
-        return;
+      if (key === '--interval') {
+        opts.interval = ms;
+      } else if (key === '--debounce') {
+        opts.debounce = ms;
+      } else if (key === '--field-on') {
+        opts.fieldOn = ms;
+      } else {
+        opts.removeTimeout = ms;
       }
-      if (key === '--help' || key === '-h') {
-        showHelp();
-        process.exit(0);
+      continue;
+    }
+    if (key === '--block' || key === '-b') {
+      const val = takeValue();
+      opts.block = Number(val);
+      if (!Number.isInteger(opts.block) || opts.block < 0 || opts.block > 255) {
+        throw new Error(`Invalid block value: ${val}`);
       }
-
-      throw new Error(`Unknown argument: ${arg}`);
-    });
-  } catch (err) {
-    console.error('\x1b[1;31mError parsing arguments:\x1b[0m', err.message);
-    showHelp();
-    process.exit(1);
-  }
-
-  spi = new SPIDevice(device, {
-    max_speed_hz: speed
-  });
-
-  try {
-    console.log(`SPI device: \x1b[1;33m${device}\x1b[0m`);
-    console.log(`SPI max speed Hz: \x1b[1;33m${spi.getMaxSpeedHz()}\x1b[0m`);
-    console.log(`SPI Mode: \x1b[1;33m${spi.getMode()}\x1b[0m`);
-    console.log(`SPI bits per word: \x1b[1;33m${spi.getBitsPerWord()}\x1b[0m`);
-
-    if (selfTestEnabled){
-      await reset();
-      await selfTest();
+      continue;
+    }
+    if (key === '--key' || key === '-k') {
+      opts.key = parseHex(takeValue(), 6);
+      continue;
+    }
+    if (key === '--key-type' || key === '-t') {
+      const val = takeValue().toUpperCase();
+      if (val !== 'A' && val !== 'B') {
+        throw new Error(`Invalid key type: ${val}`);
+      }
+      opts.keyType = val;
+      continue;
+    }
+    if (key === '--data') {
+      opts.data = parseHex(takeValue());
+      continue;
+    }
+    if (key === '--sector') {
+      const val = takeValue();
+      opts.sector = Number(val);
+      if (!Number.isInteger(opts.sector) || opts.sector < 0 || opts.sector > 39) {
+        throw new Error(`Invalid sector value: ${val}`);
+      }
+      continue;
+    }
+    if (key === '--new-key-a') {
+      opts.newKeyA = parseHex(takeValue(), 6);
+      continue;
+    }
+    if (key === '--new-key-b') {
+      opts.newKeyB = parseHex(takeValue(), 6);
+      continue;
+    }
+    if (key === '--access') {
+      const val = takeValue();
+      const conditions = val.split(',');
+      if (conditions.length !== 4 || !conditions.every((c) => /^[01]{3}$/.test(c))) {
+        throw new Error(`Invalid access conditions: ${val}, use 4 times C1C2C3, e.g. 000,000,000,001`);
+      }
+      opts.access = conditions.map((c) => parseInt(c, 2));
+      continue;
+    }
+    if (key === '--gpb') {
+      opts.gpb = parseHex(takeValue(), 1)[0];
+      continue;
+    }
+    if (key === '--page' || key === '-p') {
+      const val = takeValue();
+      opts.page = Number(val);
+      if (!Number.isInteger(opts.page) || opts.page < 0 || opts.page > 255) {
+        throw new Error(`Invalid page value: ${val}`);
+      }
+      continue;
+    }
+    if (key === '--pages') {
+      const val = takeValue();
+      opts.pages = Number(val);
+      if (!Number.isInteger(opts.pages) || opts.pages < 1 || opts.pages > 256) {
+        throw new Error(`Invalid pages value: ${val}`);
+      }
+      continue;
+    }
+    if (key === '--force') {
+      opts.force = true;
+      continue;
+    }
+    if (key === '--pwd') {
+      opts.pwd = parseHex(takeValue(), 4);
+      continue;
+    }
+    if (key === '--pack') {
+      opts.pack = parseHex(takeValue(), 2);
+      continue;
+    }
+    if (key === '--new-pwd') {
+      opts.newPwd = parseHex(takeValue(), 4);
+      continue;
+    }
+    if (key === '--new-pack') {
+      opts.newPack = parseHex(takeValue(), 2);
+      continue;
+    }
+    if (key === '--auth0') {
+      const val = takeValue();
+      opts.auth0 = Number(val);
+      if (!Number.isInteger(opts.auth0) || opts.auth0 < 0 || opts.auth0 > 255) {
+        throw new Error(`Invalid auth0 value: ${val}`);
+      }
+      continue;
+    }
+    if (key === '--read-protect') {
+      opts.readProtect = true;
+      continue;
+    }
+    if (key === '--auth-limit') {
+      const val = takeValue();
+      opts.authLimit = Number(val);
+      if (!Number.isInteger(opts.authLimit) || opts.authLimit < 0 || opts.authLimit > 7) {
+        throw new Error(`Invalid auth limit: ${val}, use 0 to 7`);
+      }
+      continue;
+    }
+    if (key === '--ulc-key') {
+      opts.ulcKey = parseHex(takeValue(), 16);
+      continue;
+    }
+    if (key === '--new-ulc-key') {
+      opts.newUlcKey = parseHex(takeValue(), 16);
+      continue;
+    }
+    if (key === '--file') {
+      opts.file = takeValue();
+      continue;
+    }
+    if (key === '--block0') {
+      opts.block0 = true;
+      continue;
+    }
+    if (key === '--trailers') {
+      opts.trailers = true;
+      continue;
+    }
+    if (key === '--uri') {
+      opts.records.push({ kind: 'uri', value: takeValue() });
+      continue;
+    }
+    if (key === '--text') {
+      opts.records.push({ kind: 'text', value: takeValue() });
+      continue;
+    }
+    if (key === '--mime') {
+      opts.records.push({ kind: 'mime', value: takeValue() });
+      continue;
+    }
+    if (key === '--lang') {
+      opts.lang = takeValue();
+      continue;
+    }
+    if (key === '--value') {
+      const val = takeValue();
+      opts.value = Number(val.replace(/_/g, ''));
+      if (!Number.isInteger(opts.value)) {
+        throw new Error(`Invalid value: ${val}`);
+      }
+      continue;
+    }
+    if (key === '--amount') {
+      const val = takeValue();
+      opts.amount = Number(val.replace(/_/g, ''));
+      if (!Number.isInteger(opts.amount) || opts.amount < 0) {
+        throw new Error(`Invalid amount: ${val}`);
+      }
+      continue;
+    }
+    if (key === '--to') {
+      const val = takeValue();
+      opts.to = Number(val);
+      if (!Number.isInteger(opts.to) || opts.to < 0 || opts.to > 255) {
+        throw new Error(`Invalid block value: ${val}`);
+      }
+      continue;
+    }
+    if (key === '--gain') {
+      const val = takeValue();
+      opts.gain = PCD_RxG[`g${val.replace(/db$/i, '')}dB`];
+      if (typeof opts.gain !== 'number') {
+        throw new Error(`Invalid gain: ${val}, use 18, 23, 33, 38, 43 or 48`);
+      }
+      continue;
+    }
+    if (key === '--cw-gsn' || key === '--mod-gsn' || key === '--cw-gsp' || key === '--mod-gsp') {
+      const val = takeValue();
+      const num = Number(val);
+      const max = key.endsWith('gsn') ? 15 : 63;
+      if (!Number.isInteger(num) || num < 0 || num > max) {
+        throw new Error(`Invalid ${key} value: ${val}, use 0 to ${max}`);
+      }
+      const name = key === '--cw-gsn' ? 'cwGsN'
+        : key === '--mod-gsn' ? 'modGsN'
+        : key === '--cw-gsp' ? 'cwGsP'
+        : 'modGsP';
+      opts.conductance[name] = num;
+      continue;
+    }
+    if (key === '--min-level' || key === '--coll-level') {
+      const val = takeValue();
+      const num = Number(val);
+      const max = key === '--min-level' ? 15 : 7;
+      if (!Number.isInteger(num) || num < 0 || num > max) {
+        throw new Error(`Invalid ${key} value: ${val}, use 0 to ${max}`);
+      }
+      opts.rxThreshold[key === '--min-level' ? 'minLevel' : 'collLevel'] = num;
+      continue;
+    }
+    if (key === '--retries') {
+      const val = takeValue();
+      opts.retries = Number(val);
+      if (!Number.isInteger(opts.retries) || opts.retries < 0) {
+        throw new Error(`Invalid retries: ${val}`);
+      }
+      continue;
+    }
+    if (key === '--format') {
+      const val = takeValue();
+      if (val !== 'text' && val !== 'json' && val !== 'csv') {
+        throw new Error(`Invalid format: ${val}, use text, json or csv`);
+      }
+      opts.format = val;
+      continue;
+    }
+    if (key === '--output') {
+      opts.output = takeValue();
+      continue;
+    }
+    if (key === '--watch') {
+      opts.watch = true;
+      continue;
+    }
+    if (key === '--bit-rate') {
+      const val = takeValue();
+      const bitRate = BIT_RATES.find((rate) => rate === Number(val));
+      if (!bitRate) {
+        throw new Error(`Invalid bit rate: ${val}, use 106, 212, 424 or 848`);
+      }
+      opts.bitRate = bitRate;
+      continue;
+    }
+    if (key === '--count') {
+      const val = takeValue();
+      opts.count = Number(val);
+      if (!Number.isInteger(opts.count) || opts.count < 1) {
+        throw new Error(`Invalid count: ${val}`);
+      }
+      continue;
+    }
+    if (key === '--emulate') {
+      opts.emulate = takeValue().split(',').map((tag) => {
+        const [uid, sak] = tag.split(':');
+        return {
+          uid: parseHex(uid),
+          sak: sak === undefined ? 0x08 : parseHex(sak, 1)[0],
+        };
+      });
+      continue;
+    }
+    if (key === '--help' || key === '-h') {
+      showHelp();
+      process.exit(0);
     }
 
-    await reset();
-    await initRegs();
-
-    console.log('\x1b[1;32mMFRC522 initialized successfully\x1b[0m');
-  } catch (err) {
-    console.error('\x1b[1;31mMFRC522 initialization failed\x1b[0m:', err);
-    throw err;
+    throw new Error(`Unknown argument: ${arg}`);
   }
 
-  console.log('Ready to read UIDs from tags. Press Ctrl-C to exit.');
+  return opts;
 };
 
 /**
- * Communicate with a tag through the MFRC522
- * @param {number[]} dataAry - sent to the card
- * @returns {Promise<{success: boolean, data: number[], bitSize: number}>}
+ * Run the self test and print the report,
+ * warnings (e.g. a clone) do not stop the program
+ * @param {MFRC522} mfrc522
+ * @param {Output} output
+ * @returns {Promise<void>}
  */
-const transeive = async (dataAry) => {
-
-  const [comIrq1, fifoLevel1, bitFraming1] = await read([
-    PCD_Reg.ComIrq,
-    PCD_Reg.FIFOLevel,
-    PCD_Reg.BitFraming,
-  ]);
-
-  await write([
-    // interrupt request enabled
-    [PCD_Reg.ComIEn, 0xf7],
-    // clear all interupt requests
-    [PCD_Reg.ComIrq, comIrq1 & 0x7f],
-    // flush FIFO
-    [PCD_Reg.FIFOLevel, fifoLevel1 | 0x80],
-    // Stop calculating CRC for new data in the FIFO
-    [PCD_Reg.Command, PCD_Cmd.Idle],
-    // data to FIFO
-    [PCD_Reg.FIFOData, ...dataAry],
-    // Transeive
-    [PCD_Reg.Command, PCD_Cmd.Transceive],
-    // start send
-    [PCD_Reg.BitFraming, bitFraming1 | 0x80],
-  ]);
-
-  //Wait for the received data to complete
-  let irq = 0;
-  let timeout = true;
-
-  for (let i = 0; i < 8; i++){
-    await setTimeout(3);
-    [irq] = await read([PCD_Reg.ComIrq]);
-    if (!(irq & 0x01)){
-      timeout = false;
-      break;
-    }
-    if (!(irq & 0x30)){ // WaitIRq
-      timeout = false;
-      break;
-    }
-  }
-
-  // start send = 0
-  await clearBitMask(PCD_Reg.BitFraming, 0x80);
-
-  if (timeout){
-    return {success: false, data: [], bitSize: 0};
-  }
-
-  const [
-    error,
-    fifoLevel,
-    control
-  ] = await read([
-    PCD_Reg.Error,
-    PCD_Reg.FIFOLevel,
-    PCD_Reg.Control
-  ]);
-
-  if (error & 0x1b){
-    return {success: false, data: [], bitSize: 0};
-  }
-
-  let success = true;
-  let bitSize;
-
-  if (irq & 0x01) {
-    success = false;
-  }
-
-  let byteSize = fifoLevel;
-  let lastBits = control & 0x07;
-
-  if (lastBits) {
-    bitSize = (byteSize - 1) * 8 + lastBits;
+const selfTest = async (mfrc522, output) => {
+  const result = await mfrc522.selfTest();
+  if (output.format === 'text'){
+    printSelfTest(result);
   } else {
-    bitSize = byteSize * 8;
+    output[result.status === 'pass' ? 'info' : 'warn'](`Self test: ${result.status}`, { event: 'selfTest', selfTest: result });
   }
-
-  if (byteSize == 0) {
-    byteSize = 1;
+  if (result.status === 'fail'){
+    throw new Error('MFRC522 self test failed, see the checks above. Use --no-self-test to skip it.');
   }
-
-  if (byteSize > 16) {
-    byteSize = 16;
-  }
-
-  // Read data from FIFO
-  const data = await read(new Array(byteSize).fill(PCD_Reg.FIFOData));
-
-  return { success, data, bitSize };
 };
 
 /**
- * Detect if a tag is present in the antenna field
- * @returns {Promise<boolean>} card detected
+ * node-libgpiod is an optional dependency, only
+ * loaded when an IRQ pin or a reset pin is connected
+ * @returns {Promise<typeof import('node-libgpiod')>}
  */
-const detect = async () => {
-  await write([[PCD_Reg.BitFraming, 0x07]]);
-  const {success, data, bitSize} = await transeive([PICC_Cmd.REQA]);
-
-  if (!success){
-    return false;;
-  }
-  if (bitSize != 0x10) {
-    return false;
-  }
-  if (data.length != 2){
-    return false;
+const loadGpiod = async () => {
+  try {
+    return await import('node-libgpiod');
+  } catch (err) {
+    throw new Error(`The IRQ and reset pins need node-libgpiod (npm install node-libgpiod): ${err.message}`);
   }
-
-  return true;
 };
 
+/** @type {Map<number, import('node-libgpiod').Chip>} */
+const chips = new Map();
+
 /**
- * Calculate a CRC on the co-processor of the MFRC522
- * @param {number[]} dataAry
- * @returns {Promise<void|number[]>}
+ * The GPIO chip, opened once for all readers
+ * @param {number} num
+ * @returns {Promise<import('node-libgpiod').Chip>}
  */
-const calcCRC = async (dataAry) => {
-  // Clear the CRCIRq interrupt request bit
-  await clearBitMask(PCD_Reg.DivIrq, 0x04);
-  // Flush FIFO
-  await setBitMask(PCD_Reg.FIFOLevel, 0x80);
-  // data to FIFO and execute CalcCRC
-  await write([
-    [PCD_Reg.FIFOData, ...dataAry],
-    [PCD_Reg.Command, PCD_Cmd.CalcCRC],
-  ]);
-
-  for (let i = 0; i < 1000; i++){
-    const [irq] = await read([PCD_Reg.DivIrq]);
-    if (irq & 0x04){
-      return await read([
-        PCD_Reg.CRCResultL, PCD_Reg.CRCResultH,
-      ]);
-    }
-  }
+const getChip = async (num) => {
+  let chip = chips.get(num);
+  if (!chip){
+    const { Chip } = await loadGpiod();
+    chip = new Chip(num);
+    chips.set(num, chip);
+  }
+  return chip;
 };
 
 /**
- * Select anticollision for cascade leveland
- * get SAK (select acknowledge) from a tag
- * @param {number} level
- * @returns {Promise<void|number[]>}
+ * Initialize communication with the MFRC522
+ * @param {import('./cli/util.js').CliOptions} opts
+ * @param {import('./cli/readers.js').ReaderConfig} reader
+ * @param {Output} output
+ * @return {Promise<MFRC522>}
  */
-const cascade = async (level) => {
-  if (![1, 2, 3].includes(level)){
-    throw new RangeError(`level must be 1, 2 or 3, current: ${level}`);
-  }
-  const cmd = [
-    PICC_Cmd.SEL_CL1,
-    PICC_Cmd.SEL_CL2,
-    PICC_Cmd.SEL_CL3,
-  ][level - 1];
-  const cas1 = [cmd, 0x20];
-  for (let i = 0; i < 5; i++){
-    if (!i){
-      await setTimeout(2);
+const init = async (opts, reader, output) => {
+  /** @type {SPIDevice|MFRC522Emulator} */
+  let spi;
+  let irq;
+  let nrstpd;
+
+  try {
+    if (opts.emulate){
+      const emulator = new MFRC522Emulator({
+        piccs: opts.emulate.map((tag) => new VirtualPicc(tag)),
+      });
+      spi = emulator;
+      irq = emulator.irqLine;
+      nrstpd = emulator.nrstpdLine;
+    } else {
+      // throws when the device does not exist or can not be opened
+      spi = new SPIDevice(reader.device, {
+        max_speed_hz: reader.speed
+      });
+
+      if (typeof reader.irqPin === 'number' || typeof reader.resetPin === 'number'){
+        const { Line } = await loadGpiod();
+        const chip = await getChip(reader.gpiochip);
+        if (typeof reader.irqPin === 'number'){
+          irq = new Line(chip, reader.irqPin);
+          // The IRQ pin is open drain until initRegs() sets it to push-pull
+          irq.requestFallingEdgeEventFlags('mfrc522-irq', Line.RequestFlags.BIAS_PULL_UP);
+        }
+        if (typeof reader.resetPin === 'number'){
+          nrstpd = new Line(chip, reader.resetPin);
+          nrstpd.requestOutputMode('mfrc522-nrstpd', 1);
+        }
+      }
     }
-    await write([[PCD_Reg.BitFraming, 0x00]]);
-    const {success, data, bitSize} = await transeive(cas1);
-    if (!success){
-      continue;
+
+    if (opts.lowPower === 'hard' && !nrstpd){
+      throw new Error(`--low-power=hard needs the reset pin of reader ${reader.id}`);
     }
-    if (bitSize != 40){
-      continue;
+
+    const mfrc522 = new MFRC522(spi, {
+      debug: (msg) => output.debug(`\x1b[1;35m${msg}\x1b[0m`, { reader: reader.id }),
+      irq,
+      nrstpd,
+      retry: { default: { attempts: opts.retries + 1 } },
+    });
+
+    if (spi instanceof MFRC522Emulator){
+      output.info(`Emulated MFRC522 with \x1b[1;33m${spi.piccs.length}\x1b[0m virtual tags`, { reader: reader.id });
+    } else {
+      output.info(`SPI device: \x1b[1;33m${reader.device}\x1b[0m`, { reader: reader.id });
+      output.info(`SPI max speed Hz: \x1b[1;33m${spi.getMaxSpeedHz()}\x1b[0m`, { reader: reader.id });
+      output.info(`SPI Mode: \x1b[1;33m${spi.getMode()}\x1b[0m`, { reader: reader.id });
+      output.info(`SPI bits per word: \x1b[1;33m${spi.getBitsPerWord()}\x1b[0m`, { reader: reader.id });
     }
-    // Check BCC (data[4])
-    if ((data[0] ^ data[1] ^ data[2] ^ data[3]) != data[4]){
-      continue;
+    // the registers as the last program left them
+    if (opts.command === 'regs'){
+      return mfrc522;
+    }
+    if (irq && !opts.emulate){
+      output.info(`IRQ pin: \x1b[1;33m${reader.irqPin}\x1b[0m on GPIO chip \x1b[1;33m${reader.gpiochip}\x1b[0m`, { reader: reader.id });
+    }
+    if (nrstpd){
+      if (!opts.emulate){
+        output.info(`Reset pin: \x1b[1;33m${reader.resetPin}\x1b[0m on GPIO chip \x1b[1;33m${reader.gpiochip}\x1b[0m`, { reader: reader.id });
+      }
+      // also recovers a hung MFRC522
+      await mfrc522.hardReset();
     }
-    return data;
-  }
-};
 
-/**
- * Return a 4, 7 or 10 byte UID
- * from a tag in the antenna field
- * @returns {Promise<void|number[]>}
- */
-const getUid = async () => {
-  const uid1 = await cascade(1);
-  if (!Array.isArray(uid1)){
-    return;
-  }
+    if (opts.selfTest && opts.command !== 'selftest'){
+      await mfrc522.reset();
+      await selfTest(mfrc522, output);
+    }
 
-  const sak1Req = [
-    PICC_Cmd.SEL_CL1, 0x70, ...uid1
-  ];
-  const crc1 = await calcCRC(sak1Req);
-  if (!Array.isArray(crc1)){
-    console.log('\x1b[1;35mCRC1 failed\x1b[0m');
-    return;
-  }
-  const sak1 = await transeive([...sak1Req, ...crc1]);
-  if (!sak1.success){
-    console.log('\x1b[1;35mSAK1 no success\x1b[0m');
-    return;
-  }
-  if (!(sak1.data[0] & 0x04)){
-    if (uid1[0] == 0x88){
-      // error, indicates uid is longer
-      return;
+    await mfrc522.reset();
+    await mfrc522.initRegs();
+
+    // kept by the driver and set again by each initRegs()
+    if (typeof opts.gain === 'number'){
+      await mfrc522.setAntennaGain(opts.gain);
     }
-    // UID 4 bytes
-    return [...uid1.slice(0, 4)];
-  }
-  if (uid1[0] != 0x88){
-    // error, not valid for next level
-    return;
-  }
-  const uid2 = await cascade(2);
-  if (!Array.isArray(uid2)){
-    return;
-  }
-  const sak2Req = [
-    PICC_Cmd.SEL_CL2, 0x70, ...uid2
-  ];
-  const crc2 = await calcCRC(sak2Req);
-  if (!Array.isArray(crc2)){
-    console.log('\x1b[1;35mCRC2 failed\x1b[0m');
-    return;
-  }
-  const sak2 = await transeive([...sak2Req, ...crc2]);
-  if (!sak2.success){
-    console.log('\x1b[1;35mSAK2 no success\x1b[0m');
-    return;
-  }
-  if (!(sak2.data[0] & 0x04)){
-    if (uid2[0] == 0x88){
-      // error, indicates uid is longer
-      return;
+    if (Object.keys(opts.conductance).length){
+      await mfrc522.setConductance(opts.conductance);
     }
-    // UID 7 bytes
-    return [...uid1.slice(1, 4), ...uid2.slice(0, 4)];
-  }
-  if (uid2[0] != 0x88){
-    // error, not valid for next level
-    return;
-  }
-  const uid3 = await cascade(3);
-  if (!Array.isArray(uid3)){
-    return;
-  }
-  const sak3Req = [
-    PICC_Cmd.SEL_CL3, 0x70, ...uid3
-  ];
-  const crc3 = await calcCRC(sak3Req);
-  if (!Array.isArray(crc3)){
-    console.log('\x1b[1;35mCRC3 failed\x1b[0m');
-    return;
-  }
-  const sak3 = await transeive([...sak3Req, ...crc3]);
-  if (!sak3.success){
-    console.log('\x1b[1;35mSAK3 no success\x1b[0m');
-    return;
+    if (Object.keys(opts.rxThreshold).length){
+      await mfrc522.setRxThreshold(opts.rxThreshold);
+    }
+
+    output.info('\x1b[1;32mMFRC522 initialized successfully\x1b[0m', { reader: reader.id });
+    return mfrc522;
+  } catch (err) {
+    output.error(`\x1b[1;31mMFRC522 initialization failed\x1b[0m (reader ${reader.id}): ${err.message}`, { event: 'initError', reader: reader.id });
+    throw err;
   }
-  // UID 10 bytes
-  return [...uid1.slice(1, 4), ...uid2.slice(1, 4), ...uid3.slice(0, 4)];
 };
 
 /**
  * Main program
  */
 (async () => {
-  let busy = false;
-  let readCount = 0;
-  let errorCount = 0;
-  await init();
-
-  // scan loop
-  setInterval(async () => {
-    if (busy){
-      console.log('\x1b[36m..reader busy, skip loop\x1b[0m');
-      return;
-    }
-    busy = true;
+  /** @type {import('./cli/util.js').CliOptions} */
+  let opts;
+  /** @type {import('./cli/readers.js').ReaderConfig[]} */
+  let readers;
 
-    try {
-      await write([[PCD_Reg.Command, PCD_Cmd.SoftReset]]);
-      await initRegs();
+  try {
+    opts = parseArgs(process.argv.slice(2));
+    readers = getReaders(opts);
+    if (readers.length > 1 && opts.command !== 'scan'){
+      throw new Error(`${opts.command} works with one reader, only scan takes several`);
+    }
+    if (opts.format === 'csv' && opts.command !== 'scan'){
+      throw new Error('--format=csv is only for scan');
+    }
+  } catch (err) {
+    // in the format of the arguments when they were parsed
+    const output = new Output(opts ?? { format: 'text' });
+    output.error(`\x1b[1;31mError parsing arguments:\x1b[0m ${err.message}`, { event: 'argumentError' });
+    if (output.format === 'text'){
+      showHelp();
+    }
+    process.exitCode = 1;
+    return;
+  }
 
-      const detected = await detect();
+  const output = new Output(opts);
 
-      if (!detected){
-        return;
+  if (readers.length > 1){
+    /** @type {Map<string, MFRC522>} */
+    const mfrc522s = new Map();
+    try {
+      for (const reader of readers){
+        output.info(`Reader: \x1b[1;33m${reader.id}\x1b[0m`, { reader: reader.id });
+        mfrc522s.set(reader.id, await init(opts, reader, output));
       }
+    } catch {
+      // init() reported the error
+      process.exitCode = 1;
+      return;
+    }
+    try {
+      await scanReadersCmd(mfrc522s, opts, readers);
+    } catch (err) {
+      output.error(`\x1b[1;31mError:\x1b[0m ${err.message}`, { event: 'commandError' });
+      process.exit(1);
+    }
+    return;
+  }
 
-      const uid = await getUid();
-
-      if (Array.isArray(uid)){
-        let uidStr = '';
-        for(const b of uid){
-          uidStr += b.toString(16).padStart(2, '0');
-        }
-        readCount++;
-        console.log(`Tag UID: \x1b[1;32m${uidStr}\x1b[0m, read count: \x1b[1;33m${readCount}\x1b[0m`);
-      } else {
-        errorCount++;
-        console.log(`Error count \x1b[1;31m${errorCount}\x1b[0m`);
-      }
+  /** @type {MFRC522} */
+  let mfrc522;
+  try {
+    mfrc522 = await init(opts, readers[0], output);
+  } catch {
+    // init() reported the error
+    process.exitCode = 1;
+    return;
+  }
 
-    } catch (e) {
-      console.error(e);
-      throw e;
-    } finally {
-      // antenna off
-      await clearBitMask(PCD_Reg.TxControl, 0x03);
-      busy = false;
-    }
-  }, 50);
-})();
+  try {
+    await commands[opts.command](mfrc522, opts, readers[0]);
+  } catch (err) {
+    output.error(`\x1b[1;31mError:\x1b[0m ${err.message}`, { event: 'commandError' });
+    process.exit(1);
+  }
+})().catch((err) => {
+  new Output({ format: 'text' }).error(`\x1b[1;31mError:\x1b[0m ${err.message}`, { event: 'error' });
+  process.exitCode = 1;
+});
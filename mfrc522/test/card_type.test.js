@@ -0,0 +1,41 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCardType, getTagInfo, describeTag } from '../lib/card_type.js';
+
+describe('getCardType', () => {
+  const cases = [
+    { atqa: 0x0004, sak: 0x09, type: 'classicMini' },
+    { atqa: 0x0004, sak: 0x08, type: 'classic1k' },
+    { atqa: 0x0004, sak: 0x88, type: 'classic1k' },
+    { atqa: 0x0002, sak: 0x18, type: 'classic4k' },
+    { atqa: 0x0044, sak: 0x00, type: 'ultralight' },
+    { atqa: 0x0004, sak: 0x10, type: 'plus' },
+    { atqa: 0x0344, sak: 0x20, type: 'desfire' },
+    { atqa: 0x0044, sak: 0x20, type: 'plus' },
+    { atqa: 0x0048, sak: 0x20, type: 'iso14443_4' },
+    // the ATQAs collided
+    { atqa: undefined, sak: 0x20, type: 'iso14443_4' },
+    { atqa: undefined, sak: 0x08, type: 'classic1k' },
+    { atqa: 0x0004, sak: 0x01, type: 'unknown' },
+  ];
+  for (const { atqa, sak, type } of cases){
+    it(`ATQA ${atqa?.toString(16) ?? 'collided'}, SAK ${sak.toString(16)} is ${type}`, () => {
+      assert.equal(getCardType(atqa, sak), type);
+    });
+  }
+});
+
+describe('describeTag', () => {
+  it('shows the type name, ATQA and SAK', () => {
+    const info = getTagInfo([0x12, 0x34, 0x56, 0x78], 0x0004, 0x08);
+    assert.equal(info.type, 'classic1k');
+    assert.equal(describeTag(info), 'MIFARE Classic 1K (ATQA 0004, SAK 08)');
+  });
+
+  it('shows dashes for an unknown ATQA', () => {
+    assert.equal(describeTag(getTagInfo([0x12, 0x34, 0x56, 0x78], undefined, 0x20)), 'ISO 14443-4 compliant (ATQA ----, SAK 20)');
+  });
+});
@@ -0,0 +1,202 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  restoreClassic,
+  dumpToJson,
+  dumpFromJson,
+  dumpToMfd,
+  dumpFromMfd,
+} from '../lib/dump.js';
+import { setupSelected } from './helpers.js';
+
+const KEY_A = [0xa0, 0xa1, 0xa2, 0xa3, 0xa4, 0xa5];
+const KEY_B = [0xb0, 0xb1, 0xb2, 0xb3, 0xb4, 0xb5];
+const TRANSPORT_KEY = [0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+
+/**
+ * @param {number} block
+ * @returns {number[]} 16 bytes that differ for each block
+ */
+const blockData = (block) => Array.from({ length: 16 }, (_, i) => (block * 16 + i * 7) & 0xff);
+
+/**
+ * A raw MIFARE Classic image: the manufacturer block
+ * of the UID 12345678, data and trailers with keys
+ * @param {number} blocks
+ * @returns {Buffer}
+ */
+const classicImage = (blocks) => {
+  const data = [];
+  for (let block = 0; block < blocks; block++){
+    const isTrailer = block < 128 ? block % 4 === 3 : block % 16 === 15;
+    data.push(...(block === 0 ? [0x12, 0x34, 0x56, 0x78, 0x08, 0x08, 0x04, 0x00, ...new Array(8).fill(0x62)]
+      : isTrailer ? [...KEY_A, 0x7f, 0x07, 0x88, 0x69, ...KEY_B]
+      : blockData(block)));
+  }
+  return Buffer.from(data);
+};
+
+/** @type {import('../lib/dump.js').CardDump} */
+const CLASSIC_DUMP = {
+  uid: [0x12, 0x34, 0x56, 0x78],
+  atqa: undefined,
+  sak: 0x09,
+  type: 'classicMini',
+  sectors: [
+    { sector: 0, status: 'ok', keyA: TRANSPORT_KEY, keyB: TRANSPORT_KEY, blocks: [0, 1, 2, 3].map(blockData) },
+    { sector: 1, status: 'partial', keyA: null, keyB: KEY_B, blocks: [blockData(4), null, blockData(6), null] },
+    { sector: 2, status: 'noKey', keyA: null, keyB: null, blocks: [null, null, null, null] },
+  ],
+};
+
+/** @type {import('../lib/dump.js').CardDump} */
+const ULTRALIGHT_DUMP = {
+  uid: [0x04, 0x51, 0x5c, 0xfa, 0x6f, 0x49, 0x80],
+  atqa: 0x0044,
+  sak: 0x00,
+  type: 'ultralight',
+  pages: [[0x04, 0x51, 0x5c, 0x23], [0xfa, 0x6f, 0x49, 0x80], null, [0xe1, 0x10, 0x06, 0x00]],
+};
+
+describe('JSON', () => {
+  for (const dump of [CLASSIC_DUMP, ULTRALIGHT_DUMP]){
+    it(`round trips a ${dump.type} dump`, () => {
+      const json = dumpToJson(dump);
+      assert.deepEqual(dumpFromJson(json), dump);
+      assert.equal(dumpToJson(dumpFromJson(json)), json);
+    });
+  }
+
+  /**
+   * @param {(json: any) => void} change
+   * @returns {string}
+   */
+  const changed = (change) => {
+    const json = JSON.parse(dumpToJson(CLASSIC_DUMP));
+    change(json);
+    return JSON.stringify(json);
+  };
+
+  const invalid = [
+    { name: 'another format', json: changed((json) => json.format = 'other'), error: /^Error: Not a mfrc522-dump file/ },
+    { name: 'an unsupported version', json: changed((json) => json.version = 2), error: /^Error: Unsupported mfrc522-dump version: 2/ },
+    { name: 'no version', json: changed((json) => delete json.version), error: /^Error: Unsupported mfrc522-dump version/ },
+    { name: 'a short block', json: changed((json) => json.sectors[0].blocks[1] = json.sectors[0].blocks[1].slice(2)), error: /^Error: block 1 of sector 0 must be 16 hex bytes/ },
+    { name: 'a long key', json: changed((json) => json.sectors[1].keyB += '00'), error: /^Error: keyB of sector 1 must be 6 hex bytes/ },
+    { name: 'an odd hex length', json: changed((json) => json.sectors[0].keyA = 'fffffffffff'), error: /^Error: keyA of sector 0 must be 6 hex bytes/ },
+    { name: 'not hex', json: changed((json) => json.sectors[0].blocks[0] = 'x'.repeat(32)), error: /^Error: block 0 of sector 0 must be 16 hex bytes/ },
+    { name: 'an odd UID length', json: changed((json) => json.uid = '1234567'), error: /^Error: uid must be 4, 7 or 10 hex bytes/ },
+    { name: 'a 5 byte UID', json: changed((json) => json.uid = '1234567890'), error: /^Error: uid must be 4, 7 or 10 hex bytes/ },
+    { name: 'no sectors and no pages', json: changed((json) => delete json.sectors), error: /^Error: The dump has no sectors and no pages/ },
+    { name: 'no JSON', json: 'mfrc522-dump', error: SyntaxError },
+  ];
+  for (const { name, json, error } of invalid){
+    it(`throws on ${name}`, () => {
+      assert.throws(() => dumpFromJson(json), error);
+    });
+  }
+
+  it('throws on a short page', () => {
+    const json = JSON.parse(dumpToJson(ULTRALIGHT_DUMP));
+    json.pages[3] = 'e11006';
+    assert.throws(() => dumpFromJson(JSON.stringify(json)), /^Error: page 3 must be 4 hex bytes/);
+  });
+});
+
+describe('.mfd', () => {
+  const classic = [
+    { type: 'classicMini', blocks: 20, sectors: 5 },
+    { type: 'classic1k', blocks: 64, sectors: 16 },
+    { type: 'classic4k', blocks: 256, sectors: 40 },
+  ];
+  for (const { type, blocks, sectors } of classic){
+    it(`round trips a ${type} image`, () => {
+      const raw = classicImage(blocks);
+      const dump = dumpFromMfd(raw);
+      assert.equal(dump.type, type);
+      assert.deepEqual(dump.uid, [0x12, 0x34, 0x56, 0x78]);
+      assert.equal(dump.sak, 0x08);
+      assert.equal(dump.atqa, 0x0004);
+      assert.equal(dump.sectors?.length, sectors);
+      assert.deepEqual(dump.sectors?.[1].keyA, KEY_A);
+      assert.deepEqual(dump.sectors?.[1].keyB, KEY_B);
+      assert.ok(dumpToMfd(dump).equals(raw));
+    });
+  }
+
+  it('round trips an Ultralight image', () => {
+    const raw = Buffer.from([
+      0x04, 0x51, 0x5c, 0x23, 0xfa, 0x6f, 0x49, 0x80,
+      ...Array.from({ length: 56 }, (_, i) => i),
+    ]);
+    const dump = dumpFromMfd(raw);
+    assert.equal(dump.type, 'ultralight');
+    assert.deepEqual(dump.uid, [0x04, 0x51, 0x5c, 0xfa, 0x6f, 0x49, 0x80]);
+    assert.equal(dump.pages?.length, 16);
+    assert.ok(dumpToMfd(dump).equals(raw));
+  });
+
+  it('writes the blocks and pages that were not read as zeros', () => {
+    const classicMfd = dumpToMfd(CLASSIC_DUMP);
+    assert.equal(classicMfd.length, 3 * 4 * 16);
+    assert.ok(classicMfd.subarray(5 * 16, 6 * 16).equals(Buffer.alloc(16)));
+    const ultralightMfd = dumpToMfd(ULTRALIGHT_DUMP);
+    assert.equal(ultralightMfd.length, 16);
+    assert.ok(ultralightMfd.subarray(8, 12).equals(Buffer.alloc(4)));
+  });
+
+  for (const length of [0, 1023, 1025, 66]){
+    it(`throws on ${length} bytes`, () => {
+      assert.throws(() => dumpFromMfd(Buffer.alloc(length)), /^Error: Not a MIFARE Classic or Ultralight dump/);
+    });
+  }
+});
+
+describe('restoreClassic', () => {
+  const MINI = { uid: [0xde, 0xad, 0xbe, 0xef], sak: 0x09 };
+
+  /**
+   * @param {number[]} memory
+   * @param {number} block
+   * @returns {number[]}
+   */
+  const memoryBlock = (memory, block) => memory.slice(block * 16, block * 16 + 16);
+
+  it('skips block 0 and the sector trailers without the flags', async () => {
+    const { mfrc522, picc, tag } = await setupSelected(MINI);
+    const before = [...picc.memory];
+    const dump = dumpFromMfd(classicImage(20));
+    const results = await restoreClassic(mfrc522, tag, dump);
+
+    assert.equal(results.length, 20);
+    for (const { block, status, reason } of results){
+      if (block === 0){
+        assert.deepEqual({ status, reason }, { status: 'skipped', reason: 'manufacturer block' });
+      } else if (block % 4 === 3){
+        assert.deepEqual({ status, reason }, { status: 'skipped', reason: 'sector trailer' });
+      } else {
+        assert.equal(status, 'written', `block ${block}: ${reason}`);
+      }
+    }
+    for (let block = 0; block < 20; block++){
+      const expected = block === 0 || block % 4 === 3 ? memoryBlock(before, block) : blockData(block);
+      assert.deepEqual(memoryBlock(picc.memory, block), expected, `block ${block}`);
+    }
+  });
+
+  it('writes the sector trailers with the trailers flag', async () => {
+    const { mfrc522, picc, tag } = await setupSelected(MINI);
+    const dump = dumpFromMfd(classicImage(20));
+    const results = await restoreClassic(mfrc522, tag, dump, { trailers: true });
+
+    assert.deepEqual(results.filter(({ status }) => status !== 'written'), [
+      { block: 0, status: 'skipped', reason: 'manufacturer block' },
+    ]);
+    for (const trailer of [3, 7, 11, 15, 19]){
+      assert.deepEqual(memoryBlock(picc.memory, trailer), [...KEY_A, 0x7f, 0x07, 0x88, 0x69, ...KEY_B]);
+    }
+  });
+});
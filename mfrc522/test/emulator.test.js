@@ -0,0 +1,341 @@
+// @ts-check
+"use strict";
+
+/**
+ * The driver against the emulated MFRC522 with virtual tags
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MFRC522 } from '../lib/mfrc522.js';
+import { MFRC522Emulator } from '../lib/emulator.js';
+import { VirtualPicc, crcA } from '../lib/virtual_picc.js';
+import { PCD_Reg } from '../data/pcd_reg.js';
+import { timerSettings } from '../lib/timer.js';
+import { encodeValueBlock } from '../lib/mifare_classic.js';
+import { TimeoutError, NakError, AuthError } from '../lib/errors.js';
+import { setup, setupSelected } from './helpers.js';
+
+const KEY = [0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+
+describe('detect and selectTag', () => {
+  const cases = [
+    { name: '4 byte UID', uid: [0xde, 0xad, 0xbe, 0xef], sak: 0x08, atqa: 0x0004 },
+    { name: '7 byte UID', uid: [0x04, 0x51, 0x5c, 0xfa, 0x6f, 0x49, 0x80], sak: 0x00, atqa: 0x0044 },
+    { name: '10 byte UID', uid: [0x04, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77, 0x88, 0x99], sak: 0x20, atqa: 0x0084 },
+  ];
+
+  for (const { name, uid, sak, atqa } of cases){
+    it(name, async () => {
+      const { tag } = await setupSelected({ uid, sak });
+      assert.deepEqual(tag.uid, uid);
+      assert.equal(tag.sak, sak);
+      assert.equal(tag.atqa, atqa);
+    });
+  }
+
+  it('detects no tag in an empty field', async () => {
+    const { mfrc522 } = await setup([]);
+    assert.equal(await mfrc522.detect(), false);
+  });
+
+  it('selects a halted tag by its UID after WUPA', async () => {
+    const uid = [0x04, 0x51, 0x5c, 0xfa, 0x6f, 0x49, 0x80];
+    const { mfrc522 } = await setupSelected({ uid, sak: 0x00 });
+    assert.equal(await mfrc522.haltA(), true);
+    assert.equal(await mfrc522.detect(), false);
+    assert.equal(await mfrc522.wakeUp(), true);
+    assert.equal(await mfrc522.selectUid(uid), 0x00);
+  });
+
+  it('finds no tag after the antenna is turned off', async () => {
+    const { mfrc522 } = await setup([{ uid: [0xde, 0xad, 0xbe, 0xef] }]);
+    await mfrc522.antennaOff();
+    assert.equal(await mfrc522.detect(), false);
+  });
+});
+
+describe('inventory', () => {
+  it('lists tags with colliding UIDs', async () => {
+    const uids = [
+      // differ in the last bit of the first cascade level
+      [0x12, 0x34, 0x56, 0x78],
+      [0x12, 0x34, 0x56, 0x79],
+      // the same cascade tag and manufacturer byte,
+      // they collide in the first and the second level
+      [0x04, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66],
+      [0x04, 0x11, 0x22, 0xb3, 0x44, 0x55, 0x66],
+      [0x04, 0x11, 0x23, 0x33, 0x44, 0x55, 0x66],
+    ];
+    const { mfrc522 } = await setup(uids.map((uid) => ({ uid })));
+    const tags = await mfrc522.inventory();
+    const found = tags.map((tag) => tag.uid.join());
+    assert.equal(found.length, uids.length);
+    assert.deepEqual(new Set(found), new Set(uids.map((uid) => uid.join())));
+  });
+
+  it('stops at maxTags', async () => {
+    const { mfrc522 } = await setup([
+      { uid: [0x01, 0x02, 0x03, 0x04] },
+      { uid: [0x01, 0x02, 0x03, 0x05] },
+      { uid: [0x81, 0x02, 0x03, 0x04] },
+    ]);
+    assert.equal((await mfrc522.inventory(2)).length, 2);
+  });
+});
+
+describe('calcCRC', () => {
+  it('calculates the CRC_A of the check value', async () => {
+    const { mfrc522 } = await setup([]);
+    assert.deepEqual(await mfrc522.calcCRC([0x12, 0x34]), [0x26, 0xcf]);
+  });
+
+  it('calculates the CRC_A of the REQA and select frames', async () => {
+    const { mfrc522 } = await setup([]);
+    for (const data of [[0x26], [0x93, 0x70, 0xde, 0xad, 0xbe, 0xef, 0x22], [0x50, 0x00]]){
+      assert.deepEqual(await mfrc522.calcCRC(data), crcA(data));
+    }
+  });
+});
+
+describe('MIFARE Classic on the emulator', () => {
+  const uid = [0xde, 0xad, 0xbe, 0xef];
+
+  it('reads a sector trailer, key A reads as zeros', async () => {
+    const { mfrc522, tag } = await setupSelected({ uid });
+    assert.equal(await mfrc522.authenticate(7, 'A', KEY, tag.uid), true);
+    assert.deepEqual(await mfrc522.readBlock(7), [
+      0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xff, 0x07, 0x80, 0x69, ...KEY,
+    ]);
+  });
+
+  it('writes a block and reads it back', async () => {
+    const { mfrc522, picc, tag } = await setupSelected({ uid });
+    const data = [...Array(16).keys()];
+    assert.equal(await mfrc522.authenticate(4, 'B', KEY, tag.uid), true);
+    assert.equal(await mfrc522.writeBlock(5, data), true);
+    assert.deepEqual(await mfrc522.readBlock(5), data);
+    assert.deepEqual(picc.memory.slice(5 * 16, 6 * 16), data);
+  });
+
+  it('refuses a block of another sector', async () => {
+    const { mfrc522, tag } = await setupSelected({ uid });
+    assert.equal(await mfrc522.authenticate(4, 'A', KEY, tag.uid), true);
+    assert.equal(await mfrc522.readBlock(8), undefined);
+  });
+
+  it('fails to authenticate with a wrong key', async () => {
+    const { mfrc522, tag } = await setupSelected({ uid });
+    assert.equal(await mfrc522.authenticate(4, 'A', [0, 0, 0, 0, 0, 0], tag.uid), false);
+  });
+
+  it('increments, decrements and transfers a value block', async () => {
+    const { mfrc522, tag } = await setupSelected({ uid });
+    assert.equal(await mfrc522.authenticate(8, 'A', KEY, tag.uid), true);
+    assert.equal(await mfrc522.writeValue(9, 100), true);
+    assert.equal(await mfrc522.increment(9, 25), true);
+    assert.equal(await mfrc522.transfer(9), true);
+    assert.deepEqual(await mfrc522.readValue(9), { value: 125, adr: 9 });
+    assert.equal(await mfrc522.decrement(9, 200), true);
+    assert.equal(await mfrc522.transfer(10), true);
+    assert.deepEqual(await mfrc522.readBlock(10), encodeValueBlock(-75, 9));
+  });
+
+  it('does not read a value from a data block', async () => {
+    const { mfrc522, tag } = await setupSelected({ uid });
+    assert.equal(await mfrc522.authenticate(8, 'A', KEY, tag.uid), true);
+    assert.equal(await mfrc522.readValue(9), undefined);
+  });
+});
+
+describe('MIFARE Ultralight on the emulator', () => {
+  const uid = [0x04, 0x51, 0x5c, 0xfa, 0x6f, 0x49, 0x80];
+
+  it('reads 4 pages with the UID and the check bytes', async () => {
+    const { mfrc522 } = await setupSelected({ uid, sak: 0x00 });
+    const pages = await mfrc522.readPages(0);
+    assert.ok(pages);
+    assert.deepEqual(pages.slice(0, 3), uid.slice(0, 3));
+    assert.equal(pages[3], 0x88 ^ uid[0] ^ uid[1] ^ uid[2]);
+    assert.deepEqual(pages.slice(4, 8), uid.slice(3));
+  });
+
+  it('writes a page', async () => {
+    const { mfrc522, picc } = await setupSelected({ uid, sak: 0x00 });
+    assert.equal(await mfrc522.writePage(5, [1, 2, 3, 4]), true);
+    assert.deepEqual(picc.memory.slice(20, 24), [1, 2, 3, 4]);
+  });
+
+  it('gets a NAK for a page beyond the memory', async () => {
+    const { mfrc522 } = await setupSelected({ uid, sak: 0x00 });
+    assert.equal(await mfrc522.writePage(16, [1, 2, 3, 4]), false);
+  });
+});
+
+describe('lastError and retries', () => {
+  const uid = [0xde, 0xad, 0xbe, 0xef];
+
+  it('keeps a timeout when no tag answers', async () => {
+    const { mfrc522 } = await setup([]);
+    assert.equal(await mfrc522.detect(), false);
+    assert.ok(mfrc522.lastError instanceof TimeoutError);
+  });
+
+  it('keeps the NAK of a refused read', async () => {
+    const { mfrc522, tag } = await setupSelected({ uid });
+    assert.equal(await mfrc522.authenticate(4, 'A', KEY, tag.uid), true);
+    assert.equal(await mfrc522.readBlock(8), undefined);
+    assert.ok(mfrc522.lastError instanceof NakError);
+  });
+
+  it('keeps an AuthError for a wrong key', async () => {
+    const { mfrc522, tag } = await setupSelected({ uid });
+    assert.equal(await mfrc522.authenticate(4, 'A', [0, 0, 0, 0, 0, 0], tag.uid), false);
+    assert.ok(mfrc522.lastError instanceof AuthError);
+  });
+
+  it('leaves no error after the unanswered step of a decrement', async () => {
+    const { mfrc522, tag } = await setupSelected({ uid });
+    assert.equal(await mfrc522.authenticate(8, 'A', KEY, tag.uid), true);
+    assert.equal(await mfrc522.writeValue(9, 100), true);
+    assert.equal(await mfrc522.decrement(9, 1), true);
+    assert.equal(mfrc522.lastError, undefined);
+  });
+
+  it('retries the error categories of the policy', async () => {
+    /** @type {string[]} */
+    const messages = [];
+    const { mfrc522, tag } = await setupSelected({ uid }, {
+      driver: {
+        debug: (msg) => messages.push(msg),
+        retry: { read: { attempts: 3, on: ['nak'] } },
+      },
+    });
+    assert.equal(await mfrc522.authenticate(4, 'A', KEY, tag.uid), true);
+    assert.equal(await mfrc522.readBlock(8), undefined);
+    assert.equal(messages.filter((msg) => msg.startsWith('read failed')).length, 2);
+  });
+
+  it('does not retry without a policy', async () => {
+    /** @type {string[]} */
+    const messages = [];
+    const { mfrc522, tag } = await setupSelected({ uid }, { driver: { debug: (msg) => messages.push(msg) } });
+    assert.equal(await mfrc522.authenticate(4, 'A', KEY, tag.uid), true);
+    assert.equal(await mfrc522.readBlock(8), undefined);
+    assert.equal(messages.filter((msg) => msg.startsWith('read failed')).length, 0);
+  });
+});
+
+/**
+ * A tag that answers each frame with the frame reversed
+ */
+class MirrorPicc extends VirtualPicc {
+  /**
+   * @param {number[]} frame
+   * @returns {number[]}
+   */
+  handleCommand(frame){
+    return [...frame].reverse();
+  }
+}
+
+describe('Frames longer than the FIFO', () => {
+  const uid = [0x04, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66];
+
+  /**
+   * The mirror tag selected, on the IRQ pin or polled
+   * @param {boolean} withIrq
+   * @returns {Promise<MFRC522>}
+   */
+  const selectMirror = async (withIrq) => {
+    const emulator = new MFRC522Emulator({ piccs: [new MirrorPicc({ uid, sak: 0x20 })] });
+    const mfrc522 = new MFRC522(emulator, withIrq ? { irq: emulator.irqLine } : {});
+    await mfrc522.reset();
+    await mfrc522.initRegs();
+    assert.equal(await mfrc522.detect(), true);
+    assert.ok(await mfrc522.selectTag());
+    return mfrc522;
+  };
+
+  it('sets the water level for the FIFO alerts', async () => {
+    const { emulator } = await setup([]);
+    assert.equal(emulator.regs[PCD_Reg.WaterLevel], 48);
+  });
+
+  it('calculates the CRC_A of data longer than the FIFO', async () => {
+    const { mfrc522 } = await setup([]);
+    const data = Array.from({ length: 150 }, (_, i) => (i * 7) & 0xff);
+    assert.deepEqual(await mfrc522.calcCRC(data), crcA(data));
+  });
+
+  for (const withIrq of [false, true]){
+    for (const length of [10, 62, 63, 64, 100, 254]){
+      it(`exchanges ${length + 2} byte frames ${withIrq ? 'on the IRQ pin' : 'polled'}`, async () => {
+        const mfrc522 = await selectMirror(withIrq);
+        const frame = Array.from({ length }, (_, i) => (i * 13 + 1) & 0xff);
+        await mfrc522.write([[PCD_Reg.BitFraming, 0x00]]);
+        const { success, data, bitSize } = await mfrc522.transeive([...frame, ...crcA(frame)]);
+        assert.equal(success, true, String(mfrc522.lastError));
+        const answer = [...frame].reverse();
+        assert.deepEqual(data, [...answer, ...crcA(answer)]);
+        assert.equal(bitSize, (length + 2) * 8);
+      });
+    }
+  }
+});
+
+describe('Timeouts', () => {
+  /**
+   * @param {Uint8Array} regs
+   * @returns {{prescaler: number, reload: number}}
+   */
+  const timerRegs = (regs) => ({
+    prescaler: ((regs[PCD_Reg.TMode] & 0x0f) << 8) | regs[PCD_Reg.TPrescaler],
+    reload: (regs[PCD_Reg.TReloadH] << 8) | regs[PCD_Reg.TReloadL],
+  });
+
+  it('sets the timer to the timeout of each exchange', async () => {
+    const { mfrc522, emulator } = await setup([{ uid: [0xde, 0xad, 0xbe, 0xef] }]);
+    assert.deepEqual(timerRegs(emulator.regs), timerSettings(25000));
+    assert.equal(emulator.regs[PCD_Reg.TMode] & 0x80, 0x80, 'TAuto');
+    assert.equal(await mfrc522.detect(), true);
+    assert.deepEqual(timerRegs(emulator.regs), timerSettings(5000));
+  });
+
+  it('takes other timeouts', async () => {
+    const { mfrc522, emulator } = await setup([{ uid: [0xde, 0xad, 0xbe, 0xef] }], {
+      driver: { timeouts: { request: 1000 } },
+    });
+    assert.equal(await mfrc522.detect(), true);
+    assert.deepEqual(timerRegs(emulator.regs), timerSettings(1000));
+    mfrc522.setTimeouts({ request: 2000 });
+    assert.equal(mfrc522.timeouts.request, 2000);
+    assert.equal(mfrc522.timeouts.select, 5000);
+  });
+
+  it('throws on an unknown or out of range timeout', async () => {
+    const { mfrc522 } = await setup([]);
+    assert.throws(() => mfrc522.setTimeouts(/** @type {any} */ ({ foo: 1000 })), RangeError);
+    assert.throws(() => mfrc522.setTimeouts({ read: 0 }), RangeError);
+    assert.equal(mfrc522.timeouts.read, 10000);
+  });
+});
+
+describe('setBitRate', () => {
+  it('sets TxMode, RxMode and ModWidth', async () => {
+    const { mfrc522, emulator } = await setup([]);
+    await mfrc522.setBitRate(424, 212);
+    assert.equal(emulator.regs[PCD_Reg.TxMode], 0x20);
+    assert.equal(emulator.regs[PCD_Reg.RxMode], 0x10);
+    assert.equal(emulator.regs[PCD_Reg.ModWidth], 0x0a);
+    assert.deepEqual(mfrc522.bitRate, { tx: 424, rx: 212 });
+    await mfrc522.initRegs();
+    assert.deepEqual(mfrc522.bitRate, { tx: 106, rx: 106 });
+    assert.equal(emulator.regs[PCD_Reg.TxMode], 0x00);
+  });
+
+  it('throws on another bit rate', async () => {
+    const { mfrc522 } = await setup([]);
+    await assert.rejects(mfrc522.setBitRate(/** @type {any} */ (200)), RangeError);
+  });
+});
@@ -0,0 +1,61 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MFRC522Error,
+  BufferOverflowError,
+  CollisionError,
+  CrcError,
+  ParityError,
+  ProtocolError,
+  TemperatureError,
+  WriteError,
+  NakError,
+  decodeError,
+} from '../lib/errors.js';
+import { PCD_Error } from '../data/pcd_error.js';
+
+describe('decodeError', () => {
+  it('finds no error in 0x00', () => {
+    assert.deepEqual(decodeError(0x00), []);
+  });
+
+  const bits = [
+    { bit: PCD_Error.ProtocolErr, type: ProtocolError, category: 'protocol' },
+    { bit: PCD_Error.ParityErr, type: ParityError, category: 'parity' },
+    { bit: PCD_Error.CRCErr, type: CrcError, category: 'crc' },
+    { bit: PCD_Error.CollErr, type: CollisionError, category: 'collision' },
+    { bit: PCD_Error.BufferOvfl, type: BufferOverflowError, category: 'bufferOverflow' },
+    { bit: PCD_Error.TempErr, type: TemperatureError, category: 'temperature' },
+    { bit: PCD_Error.WrErr, type: WriteError, category: 'write' },
+  ];
+  for (const { bit, type, category } of bits){
+    it(`decodes bit 0x${bit.toString(16).padStart(2, '0')} as ${type.name}`, () => {
+      const errors = decodeError(bit | 0x20);
+      assert.equal(errors.length, 1);
+      assert.ok(errors[0] instanceof type);
+      assert.ok(errors[0] instanceof MFRC522Error);
+      assert.equal(errors[0].name, type.name);
+      assert.equal(errors[0].category, category);
+      assert.equal(errors[0].errorReg, bit | 0x20);
+    });
+  }
+
+  it('puts the most severe error first', () => {
+    const errors = decodeError(PCD_Error.CollErr | PCD_Error.CRCErr | PCD_Error.TempErr);
+    assert.deepEqual(errors.map((err) => err.category), ['temperature', 'crc', 'collision']);
+  });
+});
+
+describe('MFRC522Error', () => {
+  it('keeps the NAK and the collision position', () => {
+    const nak = new NakError(0x4);
+    assert.equal(nak.message, 'NAK 0x4');
+    assert.equal(nak.nak, 0x4);
+    const coll = new CollisionError(PCD_Error.CollErr, 13);
+    assert.equal(coll.message, 'Bit collision at bit 13');
+    assert.equal(coll.collPos, 13);
+  });
+});
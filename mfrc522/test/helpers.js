@@ -0,0 +1,50 @@
+// @ts-check
+"use strict";
+
+/**
+ * Fixtures shared by the tests: the driver
+ * on the emulated MFRC522 with virtual tags
+ */
+
+import assert from 'node:assert/strict';
+import { MFRC522 } from '../lib/mfrc522.js';
+import { MFRC522Emulator } from '../lib/emulator.js';
+import { VirtualPicc } from '../lib/virtual_picc.js';
+
+/**
+ * @typedef {Object} SetupOptions
+ * @property {import('../lib/emulator.js').EmulatorOptions} [emulator]
+ * @property {import('../lib/mfrc522.js').MFRC522Options} [driver]
+ */
+
+/**
+ * A reset and initialized MFRC522 with
+ * the tags in its antenna field
+ * @param {import('../lib/virtual_picc.js').VirtualPiccOptions[]} tags
+ * @param {SetupOptions} [options]
+ * @returns {Promise<{mfrc522: MFRC522, emulator: MFRC522Emulator, piccs: VirtualPicc[]}>}
+ */
+const setup = async (tags, options = {}) => {
+  const piccs = tags.map((tag) => new VirtualPicc(tag));
+  const emulator = new MFRC522Emulator({ ...options.emulator, piccs });
+  const mfrc522 = new MFRC522(emulator, options.driver);
+  await mfrc522.reset();
+  await mfrc522.initRegs();
+  return { mfrc522, emulator, piccs };
+};
+
+/**
+ * setup() with one tag, detected and selected
+ * @param {import('../lib/virtual_picc.js').VirtualPiccOptions} tag
+ * @param {SetupOptions} [options]
+ * @returns {Promise<{mfrc522: MFRC522, picc: VirtualPicc, tag: import('../lib/card_type.js').TagInfo}>}
+ */
+const setupSelected = async (tag, options = {}) => {
+  const { mfrc522, piccs: [picc] } = await setup([tag], options);
+  assert.equal(await mfrc522.detect(), true);
+  const selected = await mfrc522.selectTag();
+  assert.ok(selected, 'the tag is selected');
+  return { mfrc522, picc, tag: selected };
+};
+
+export { setup, setupSelected };
@@ -0,0 +1,294 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { IsoDep, parseAts, getBitRates, isIso14443_4 } from '../lib/iso14443_4.js';
+import { crcA } from '../lib/virtual_picc.js';
+
+/**
+ * A MFRC522 with a tag that expects the frames of
+ * a script and answers each with its response,
+ * no response is a timeout
+ * @param {[number[], (number[]|void)][]} script
+ * @param {import('../lib/iso14443_4.js').IsoDepOptions} [options]
+ */
+const scripted = (script, options) => {
+  /** @type {number[][]} */
+  const sent = [];
+  /** @type {string[]} the other calls */
+  const calls = [];
+  const mfrc522 = {
+    bitRate: { tx: 106, rx: 106 },
+    debug: () => {},
+    write: async () => {},
+    setBitRate: async (/** @type {number} */ tx, rx = tx) => {
+      calls.push(`setBitRate ${tx} ${rx}`);
+      mfrc522.bitRate = { tx, rx };
+    },
+    antennaOff: async () => {
+      calls.push('antennaOff');
+    },
+    initRegs: async () => {
+      calls.push('initRegs');
+      mfrc522.bitRate = { tx: 106, rx: 106 };
+    },
+    wakeUp: async () => true,
+    selectUid: async () => 0x20,
+    calcCRC: async (/** @type {number[]} */ bytes) => crcA(bytes),
+    transeive: async (/** @type {number[]} */ frame) => {
+      const payload = frame.slice(0, -2);
+      assert.deepEqual(frame.slice(-2), crcA(payload), 'CRC_A of the frame');
+      sent.push(payload);
+      const step = script.shift();
+      assert.ok(step, `unexpected frame ${Buffer.from(payload).toString('hex')}`);
+      assert.deepEqual(payload, step[0]);
+      const resp = step[1];
+      if (!resp){
+        return { success: false, data: [], bitSize: 0 };
+      }
+      const data = [...resp, ...crcA(resp)];
+      return { success: true, data, bitSize: data.length * 8 };
+    },
+  };
+  return { isoDep: new IsoDep(/** @type {any} */ (mfrc522), options), sent, script, calls };
+};
+
+// FSCI 0: 16 byte frames, 13 bytes of an APDU per I-block
+const ATS_FSC16 = [0x02, 0x00];
+
+describe('parseAts', () => {
+  it('decodes the interface bytes', () => {
+    const ats = parseAts([0x06, 0x75, 0x77, 0x81, 0x02, 0x80]);
+    assert.equal(ats.fsci, 5);
+    assert.equal(ats.fsc, 64);
+    assert.equal(ats.ta, 0x77);
+    assert.equal(ats.fwi, 8);
+    assert.equal(ats.fwt, Math.round(4096 / 13.56 * 256));
+    assert.equal(ats.sfgi, 1);
+    assert.equal(ats.cidSupported, true);
+    assert.equal(ats.nadSupported, false);
+    assert.deepEqual(ats.historical, [0x80]);
+  });
+
+  it('uses the defaults for absent interface bytes', () => {
+    const ats = parseAts([0x01]);
+    assert.equal(ats.fsc, 32);
+    assert.equal(ats.ta, undefined);
+    assert.equal(ats.fwi, 4);
+    assert.equal(ats.sfgt, 0);
+    assert.equal(ats.cidSupported, true);
+    assert.deepEqual(ats.historical, []);
+  });
+
+  it('takes RFU values as their defaults or maximum', () => {
+    const ats = parseAts([0x03, 0x2c, 0xff]);
+    assert.equal(ats.fsc, 256);
+    assert.equal(ats.fwi, 4);
+    assert.equal(ats.sfgi, 0);
+  });
+
+  it('throws when TL is not the length', () => {
+    assert.throws(() => parseAts([0x05, 0x75]), RangeError);
+    assert.throws(() => parseAts([0x00]), RangeError);
+  });
+
+  it('detects ISO 14443-4 tags by SAK bit 0x20', () => {
+    assert.equal(isIso14443_4(0x20), true);
+    assert.equal(isIso14443_4(0x28), true);
+    assert.equal(isIso14443_4(0x08), false);
+  });
+});
+
+describe('IsoDep', () => {
+  it('sends RATS with FSDI 8 and CID 0', async () => {
+    const { isoDep, script } = scripted([[[0xe0, 0x80], [0x05, 0x78, 0x80, 0x70, 0x02]]]);
+    const ats = await isoDep.rats();
+    assert.equal(ats.fsc, 256);
+    assert.deepEqual(script, []);
+  });
+
+  it('throws without an ATS', async () => {
+    const { isoDep } = scripted([[[0xe0, 0x80], undefined]]);
+    await assert.rejects(isoDep.rats(), /No ATS received/);
+  });
+
+  it('needs rats() before transmitApdu()', async () => {
+    const { isoDep } = scripted([]);
+    await assert.rejects(isoDep.transmitApdu([0x00, 0xa4, 0x04, 0x00]), /rats\(\)/);
+  });
+
+  it('exchanges an APDU in an I-block and toggles the block number', async () => {
+    const { isoDep, script } = scripted([
+      [[0xe0, 0x80], ATS_FSC16],
+      [[0x02, 0x90, 0x60, 0x00, 0x00, 0x00], [0x02, 0x04, 0x01, 0x91, 0xaf]],
+      [[0x03, 0x90, 0xaf, 0x00, 0x00, 0x00], [0x03, 0x91, 0x00]],
+    ]);
+    await isoDep.rats();
+    assert.deepEqual(await isoDep.transmitApdu([0x90, 0x60, 0x00, 0x00, 0x00]), [0x04, 0x01, 0x91, 0xaf]);
+    assert.deepEqual(await isoDep.transmitApdu(Buffer.from([0x90, 0xaf, 0x00, 0x00, 0x00])), [0x91, 0x00]);
+    assert.deepEqual(script, []);
+  });
+
+  it('chains an APDU longer than the frame size of the tag', async () => {
+    const apdu = [...Array(30).keys()];
+    const { isoDep, script } = scripted([
+      [[0xe0, 0x80], ATS_FSC16],
+      [[0x12, ...apdu.slice(0, 13)], [0xa2]],
+      [[0x13, ...apdu.slice(13, 26)], [0xa3]],
+      [[0x02, ...apdu.slice(26)], [0x02, 0x90, 0x00]],
+    ]);
+    await isoDep.rats();
+    assert.deepEqual(await isoDep.transmitApdu(apdu), [0x90, 0x00]);
+    assert.deepEqual(script, []);
+  });
+
+  it('sends I-blocks longer than the FIFO when the tag accepts them', async () => {
+    const apdu = [...Array(300).keys()].map((i) => i & 0xff);
+    const { isoDep, script } = scripted([
+      [[0xe0, 0x80], [0x02, 0x08]],
+      [[0x12, ...apdu.slice(0, 253)], [0xa2]],
+      [[0x03, ...apdu.slice(253)], [0x03, 0x90, 0x00]],
+    ]);
+    await isoDep.rats();
+    assert.deepEqual(await isoDep.transmitApdu(apdu), [0x90, 0x00]);
+    assert.deepEqual(script, []);
+  });
+
+  it('acknowledges a chained response', async () => {
+    const { isoDep, script } = scripted([
+      [[0xe0, 0x80], ATS_FSC16],
+      [[0x02, 0x00, 0xb0, 0x00, 0x00], [0x12, 0x01, 0x02]],
+      [[0xa3], [0x03, 0x03, 0x90, 0x00]],
+    ]);
+    await isoDep.rats();
+    assert.deepEqual(await isoDep.transmitApdu([0x00, 0xb0, 0x00, 0x00]), [0x01, 0x02, 0x03, 0x90, 0x00]);
+    assert.deepEqual(script, []);
+  });
+
+  it('answers waiting time extension requests', async () => {
+    const { isoDep, script } = scripted([
+      [[0xe0, 0x80], ATS_FSC16],
+      [[0x02, 0x00, 0x84, 0x00, 0x00, 0x08], [0xf2, 0x3b]],
+      [[0xf2, 0x3b], [0x02, 0x6a, 0x82]],
+    ]);
+    await isoDep.rats();
+    assert.deepEqual(await isoDep.transmitApdu([0x00, 0x84, 0x00, 0x00, 0x08]), [0x6a, 0x82]);
+    assert.deepEqual(script, []);
+  });
+
+  it('asks for the answer again with R(NAK) after a timeout', async () => {
+    const { isoDep, script } = scripted([
+      [[0xe0, 0x80], ATS_FSC16],
+      [[0x02, 0x00, 0x84], undefined],
+      [[0xb2], [0x02, 0x90, 0x00]],
+    ]);
+    await isoDep.rats();
+    assert.deepEqual(await isoDep.transmitApdu([0x00, 0x84]), [0x90, 0x00]);
+    assert.deepEqual(script, []);
+  });
+
+  it('sends the block again when the tag answers R(NAK) with R(ACK)', async () => {
+    const { isoDep, script } = scripted([
+      [[0xe0, 0x80], ATS_FSC16],
+      [[0x02, 0x00, 0x84], undefined],
+      [[0xb2], [0xa3]],
+      [[0x02, 0x00, 0x84], [0x02, 0x90, 0x00]],
+    ]);
+    await isoDep.rats();
+    assert.deepEqual(await isoDep.transmitApdu([0x00, 0x84]), [0x90, 0x00]);
+    assert.deepEqual(script, []);
+  });
+
+  it('gives up after 3 failed exchanges', async () => {
+    const { isoDep } = scripted([
+      [[0xe0, 0x80], ATS_FSC16],
+      [[0x02, 0x00, 0x84], undefined],
+      [[0xb2], undefined],
+      [[0xb2], undefined],
+    ]);
+    await isoDep.rats();
+    await assert.rejects(isoDep.transmitApdu([0x00, 0x84]), /no valid answer/);
+  });
+
+  it('deselects the tag', async () => {
+    const { isoDep } = scripted([
+      [[0xe0, 0x80], ATS_FSC16],
+      [[0xc2], [0xc2]],
+    ]);
+    await isoDep.rats();
+    assert.equal(await isoDep.deselect(), true);
+    assert.equal(isoDep.ats, undefined);
+  });
+});
+
+describe('PPS', () => {
+  // TA 0x77: 212, 424 and 848 kbit/s in both directions
+  const ATS_TA77 = [0x03, 0x18, 0x77];
+  const UID = [0x04, 0x51, 0x5c, 0xfa, 0x6f, 0x49, 0x80];
+
+  it('decodes the bit rates of TA', () => {
+    assert.deepEqual(getBitRates(0x77), { tx: [106, 212, 424, 848], rx: [106, 212, 424, 848], sameRate: false });
+    assert.deepEqual(getBitRates(0x91), { tx: [106, 212], rx: [106, 212], sameRate: true });
+    assert.deepEqual(getBitRates(), { tx: [106], rx: [106], sameRate: false });
+  });
+
+  it('selects the highest bit rates up to maxBitRate', async () => {
+    const { isoDep, script, calls } = scripted([
+      [[0xe0, 0x80], ATS_TA77],
+      [[0xd0, 0x11, 0x0a], [0xd0]],
+    ], { maxBitRate: 424 });
+    await isoDep.rats();
+    assert.deepEqual(script, []);
+    assert.deepEqual(calls, ['setBitRate 424 424']);
+  });
+
+  it('sends no PPS when the tag only supports 106 kbit/s', async () => {
+    const { isoDep, script, calls } = scripted([[[0xe0, 0x80], [0x02, 0x08]]], { maxBitRate: 848 });
+    await isoDep.rats();
+    assert.deepEqual(script, []);
+    assert.deepEqual(calls, []);
+  });
+
+  it('stays at 106 kbit/s when PPS fails without the UID', async () => {
+    const { isoDep, script, calls } = scripted([
+      [[0xe0, 0x80], ATS_TA77],
+      [[0xd0, 0x11, 0x0f], undefined],
+    ], { maxBitRate: 848 });
+    const ats = await isoDep.rats();
+    assert.equal(ats.ta, 0x77);
+    assert.equal(isoDep.ats, ats);
+    assert.equal(isoDep.maxBitRate, 106);
+    assert.deepEqual(script, []);
+    assert.deepEqual(calls, ['setBitRate 106 106']);
+  });
+
+  it('activates the tag again when PPS fails with the UID', async () => {
+    const { isoDep, script, calls } = scripted([
+      [[0xe0, 0x80], ATS_TA77],
+      [[0xd0, 0x11, 0x0f], undefined],
+      [[0xe0, 0x80], ATS_TA77],
+    ], { uid: UID, maxBitRate: 848 });
+    await isoDep.rats();
+    assert.equal(isoDep.maxBitRate, 106);
+    assert.deepEqual(script, []);
+    assert.deepEqual(calls, ['antennaOff', 'initRegs']);
+  });
+
+  it('falls back one bit rate when an APDU fails', async () => {
+    const { isoDep, script, calls } = scripted([
+      [[0xe0, 0x80], ATS_TA77],
+      [[0xd0, 0x11, 0x0a], [0xd0]],
+      [[0x02, 0x00, 0x84], undefined],
+      [[0xb2], undefined],
+      [[0xb2], undefined],
+      [[0xe0, 0x80], ATS_TA77],
+      [[0xd0, 0x11, 0x05], [0xd0]],
+    ], { uid: UID, maxBitRate: 424 });
+    await isoDep.rats();
+    await assert.rejects(isoDep.transmitApdu([0x00, 0x84]), /activated again at 212 kbit\/s/);
+    assert.equal(isoDep.maxBitRate, 212);
+    assert.deepEqual(script, []);
+    assert.deepEqual(calls, ['setBitRate 424 424', 'antennaOff', 'initRegs', 'setBitRate 212 212']);
+  });
+});
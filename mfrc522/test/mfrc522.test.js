@@ -0,0 +1,454 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MFRC522 } from '../lib/mfrc522.js';
+import { PCD_Reg } from '../data/pcd_reg.js';
+import { PCD_Cmd } from '../data/pcd_command.js';
+import { PICC_Cmd } from '../data/picc_command.js';
+import { PCD_RxG } from '../data/pcd_rx_gain.js';
+
+/**
+ * A register file behind a SPI transport that
+ * records the transfers: a read frame is the
+ * addresses and a 0x00, a write frame the
+ * address and the bytes to write
+ */
+class FakeSpi {
+  /** @type {number[]} */
+  regs = new Array(64).fill(0);
+
+  /** @type {number[][]} */
+  frames = [];
+
+  /** @type {number[]} */
+  csChanges = [];
+
+  /**
+   * @param {(Buffer|import('../lib/mfrc522.js').SPITransfer)[]} transfers
+   * @returns {Promise<Buffer[]>}
+   */
+  async transfer(transfers){
+    return transfers.map((transfer) => {
+      const buf = Buffer.isBuffer(transfer) ? transfer : transfer.tx_buf;
+      this.frames.push([...buf]);
+      this.csChanges.push(Buffer.isBuffer(transfer) ? 0 : transfer.cs_change ?? 0);
+      if (buf[0] & 0x80){
+        return Buffer.from([0x00, ...[...buf].slice(0, -1).map((addr) => this.regs[(addr >> 1) & 0x3f])]);
+      }
+      for (const b of buf.subarray(1)){
+        this.regs[(buf[0] >> 1) & 0x3f] = b;
+      }
+      return Buffer.alloc(buf.length);
+    });
+  }
+}
+
+describe('SPI transport', () => {
+  it('needs an object with a transfer() method', () => {
+    assert.throws(() => new MFRC522(/** @type {any} */ ({})), TypeError);
+    assert.throws(() => new MFRC522(/** @type {any} */ (undefined)), TypeError);
+  });
+
+  it('reads registers with the address shifted left and the read bit', async () => {
+    const spi = new FakeSpi();
+    spi.regs[PCD_Reg.Version] = 0x92;
+    spi.regs[PCD_Reg.FIFOLevel] = 0x05;
+    const mfrc522 = new MFRC522(spi);
+    assert.deepEqual(await mfrc522.read([PCD_Reg.Version, PCD_Reg.FIFOLevel]), [0x92, 0x05]);
+    assert.deepEqual(spi.frames, [[0xee, 0x94, 0x00]]);
+    assert.equal(await mfrc522.getVersion(), 0x92);
+  });
+
+  it('writes registers in one transfer, chip select toggled between them', async () => {
+    const spi = new FakeSpi();
+    const mfrc522 = new MFRC522(spi);
+    await mfrc522.write([
+      [PCD_Reg.TMode, 0x8d],
+      [PCD_Reg.FIFOData, 0x01, 0x02, 0x03],
+    ]);
+    assert.deepEqual(spi.frames, [[0x54, 0x8d], [0x12, 0x01, 0x02, 0x03]]);
+    assert.deepEqual(spi.csChanges, [1, 0]);
+    assert.equal(spi.regs[PCD_Reg.TMode], 0x8d);
+  });
+
+  it('sets and clears bits, without a write when nothing changes', async () => {
+    const spi = new FakeSpi();
+    const mfrc522 = new MFRC522(spi);
+    spi.regs[PCD_Reg.TxControl] = 0x80;
+    await mfrc522.setBitMask(PCD_Reg.TxControl, 0x03);
+    assert.equal(spi.regs[PCD_Reg.TxControl], 0x83);
+    await mfrc522.clearBitMask(PCD_Reg.TxControl, 0x01);
+    assert.equal(spi.regs[PCD_Reg.TxControl], 0x82);
+    spi.frames = [];
+    await mfrc522.setBitMask(PCD_Reg.TxControl, 0x02);
+    await mfrc522.clearBitMask(PCD_Reg.TxControl, 0x01);
+    assert.deepEqual(spi.frames, [[0xa8, 0x00], [0xa8, 0x00]]);
+  });
+
+  const invalid = [
+    { name: 'a read of no registers', run: (/** @type {MFRC522} */ m) => m.read([]), error: RangeError },
+    { name: 'a read of register 256', run: (/** @type {MFRC522} */ m) => m.read([256]), error: RangeError },
+    { name: 'a read of a register that is not an integer', run: (/** @type {MFRC522} */ m) => m.read([1.5]), error: TypeError },
+    { name: 'a write without data', run: (/** @type {MFRC522} */ m) => m.write([[PCD_Reg.TMode]]), error: RangeError },
+    { name: 'a write of a negative byte', run: (/** @type {MFRC522} */ m) => m.write([[PCD_Reg.TMode, -1]]), error: RangeError },
+    { name: 'a write that is not nested', run: (/** @type {MFRC522} */ m) => m.write(/** @type {any} */ ([PCD_Reg.TMode, 0x8d])), error: TypeError },
+  ];
+  for (const { name, run, error } of invalid){
+    it(`throws on ${name}`, async () => {
+      const spi = new FakeSpi();
+      await assert.rejects(run(new MFRC522(spi)), error);
+      assert.deepEqual(spi.frames, []);
+    });
+  }
+});
+
+describe('MIFARE Classic', () => {
+  const KEY = [0xa0, 0xa1, 0xa2, 0xa3, 0xa4, 0xa5];
+
+  it('gives MFAuthent the command, block, key and the last 4 UID bytes', async () => {
+    const spi = new FakeSpi();
+    const mfrc522 = new MFRC522(spi);
+    // no IdleIRq: the authentication fails
+    assert.equal(await mfrc522.authenticate(7, 'B', KEY, [0x04, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66]), false);
+    assert.ok(spi.frames.some((frame) => frame.join() === [
+      0x12, PICC_Cmd.MF_AUTH_KEY_B, 7, ...KEY, 0x33, 0x44, 0x55, 0x66,
+    ].join()));
+  });
+
+  const invalid = [
+    { name: 'key type C', run: (/** @type {MFRC522} */ m) => m.authenticate(4, /** @type {any} */ ('C'), KEY, [1, 2, 3, 4]), error: TypeError },
+    { name: 'a 5 byte key', run: (/** @type {MFRC522} */ m) => m.authenticate(4, 'A', KEY.slice(1), [1, 2, 3, 4]), error: RangeError },
+    { name: 'a 3 byte UID', run: (/** @type {MFRC522} */ m) => m.authenticate(4, 'A', KEY, [1, 2, 3]), error: RangeError },
+    { name: 'block 256', run: (/** @type {MFRC522} */ m) => m.readBlock(256), error: RangeError },
+    { name: 'a write of 15 bytes', run: (/** @type {MFRC522} */ m) => m.writeBlock(4, new Array(15).fill(0)), error: RangeError },
+  ];
+  for (const { name, run, error } of invalid){
+    it(`throws on ${name}`, async () => {
+      const spi = new FakeSpi();
+      await assert.rejects(run(new MFRC522(spi)), error);
+      assert.deepEqual(spi.frames, []);
+    });
+  }
+});
+
+/**
+ * Get bit i of a byte array, LSB first
+ * @param {number[]} bytes
+ * @param {number} i
+ * @returns {number}
+ */
+const bitAt = (bytes, i) => (bytes[i >> 3] >> (i & 7)) & 1;
+
+/**
+ * Split a UID into the UID CLn of its cascade levels,
+ * with the cascade tag and the BCC
+ * @param {number[]} uid 4, 7 or 10 bytes
+ * @returns {number[][]}
+ */
+const cascadeLevels = (uid) => {
+  const parts = uid.length === 4 ? [uid]
+    : uid.length === 7 ? [[PICC_Cmd.CT, ...uid.slice(0, 3)], uid.slice(3)]
+      : [[PICC_Cmd.CT, ...uid.slice(0, 3)], [PICC_Cmd.CT, ...uid.slice(3, 6)], uid.slice(6)];
+  return parts.map((part) => [...part, part.reduce((bcc, b) => bcc ^ b)]);
+};
+
+/**
+ * Tags in the antenna field, answering the frames of
+ * transeive() with the ISO 14443-3 states IDLE,
+ * READY, ACTIVE and HALT. Colliding bits are
+ * reported in collPos, the bits after them are 0.
+ */
+class FakeField {
+  /** @type {{uidCls: number[][], atqa: number, sak: number, level: number, state: string}[]} */
+  tags;
+
+  /**
+   * @param {{uid: number[], atqa?: number, sak: number}[]} tags
+   */
+  constructor(tags){
+    this.tags = tags.map(({ uid, atqa = 0x0044, sak }) => ({ uidCls: cascadeLevels(uid), atqa, sak, level: 0, state: 'idle' }));
+  }
+
+  /**
+   * @param {number[]} frame
+   * @param {number} bitFraming
+   * @returns {import('../lib/mfrc522.js').TranseiveResult}
+   */
+  transeive(frame, bitFraming){
+    const timeout = { success: false, data: [], bitSize: 0 };
+    const [cmd, nvb] = frame;
+    if (cmd === PICC_Cmd.REQA && (bitFraming & 0x07) === 7){
+      const idle = this.tags.filter((tag) => tag.state === 'idle');
+      idle.forEach((tag) => Object.assign(tag, { state: 'ready', level: 0 }));
+      if (!idle.length){
+        return timeout;
+      }
+      const atqa = idle.reduce((or, tag) => or | tag.atqa, 0);
+      const data = [atqa & 0xff, atqa >> 8];
+      if (idle.some((tag) => tag.atqa !== idle[0].atqa)){
+        return { success: false, data, bitSize: 16, collPos: 1 };
+      }
+      return { success: true, data, bitSize: 16 };
+    }
+    if (cmd === PICC_Cmd.HLTA){
+      this.tags.filter((tag) => tag.state === 'active').forEach((tag) => { tag.state = 'halt'; });
+      return timeout;
+    }
+    const level = [PICC_Cmd.SEL_CL1, PICC_Cmd.SEL_CL2, PICC_Cmd.SEL_CL3].indexOf(cmd);
+    if (level < 0){
+      return timeout;
+    }
+    const ready = this.tags.filter((tag) => tag.state === 'ready' && tag.level === level);
+    if (nvb === 0x70){
+      const uidCl = frame.slice(2, 7).join();
+      const selected = ready.find((tag) => tag.uidCls[level].join() === uidCl);
+      ready.filter((tag) => tag !== selected).forEach((tag) => { tag.state = 'idle'; });
+      if (!selected){
+        return timeout;
+      }
+      const last = level === selected.uidCls.length - 1;
+      if (last){
+        selected.state = 'active';
+      } else {
+        selected.level++;
+      }
+      return { success: true, data: [last ? selected.sak : 0x04, 0x00, 0x00], bitSize: 24 };
+    }
+    const count = ((nvb >> 4) - 2) * 8 + (nvb & 0x0f);
+    const known = frame.slice(2);
+    const answering = ready.filter((tag) => [...Array(count).keys()]
+      .every((i) => bitAt(tag.uidCls[level], i) === bitAt(known, i)));
+    if (!answering.length){
+      return timeout;
+    }
+    const first = answering[0].uidCls[level];
+    const byteCount = Math.floor(count / 8);
+    for (let i = count; i < 40; i++){
+      if (answering.some((tag) => bitAt(tag.uidCls[level], i) !== bitAt(first, i))){
+        const data = first.slice(byteCount, Math.floor(i / 8) + 1);
+        data[data.length - 1] &= (1 << (i % 8)) - 1;
+        return { success: false, data, bitSize: data.length * 8, collPos: i + 1 };
+      }
+    }
+    const data = first.slice(byteCount);
+    return { success: true, data, bitSize: data.length * 8 };
+  }
+}
+
+/**
+ * A MFRC522 with the tags of a FakeField in its antenna field
+ * @param {{uid: number[], atqa?: number, sak: number}[]} tags
+ * @returns {MFRC522}
+ */
+const inField = (tags) => {
+  const spi = new FakeSpi();
+  const mfrc522 = new MFRC522(spi);
+  const field = new FakeField(tags);
+  mfrc522.transeive = async (frame) => field.transeive(frame, spi.regs[PCD_Reg.BitFraming]);
+  mfrc522.calcCRC = async () => [0x00, 0x00];
+  return mfrc522;
+};
+
+describe('Anticollision', () => {
+  const uid4a = { uid: [0x12, 0x34, 0x56, 0x78], sak: 0x08 };
+  // bit 3 differs
+  const uid4b = { uid: [0x1a, 0x34, 0x56, 0x78], sak: 0x08 };
+  // bit 13 differs
+  const uid4c = { uid: [0x12, 0x14, 0x56, 0x78], sak: 0x08 };
+  const uid7a = { uid: [0x04, 0x51, 0x5c, 0xfa, 0x6f, 0x49, 0x80], sak: 0x00 };
+  // same cascade level 1, bit 30 of level 2 differs
+  const uid7b = { uid: [0x04, 0x51, 0x5c, 0xfa, 0x6f, 0x49, 0xc0], sak: 0x00 };
+  const uid10 = { uid: [0x08, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09], sak: 0x20 };
+
+  const cases = [
+    { name: 'a 4 byte UID', tags: [uid4a] },
+    { name: 'a 7 byte UID', tags: [uid7a] },
+    { name: 'a 10 byte UID', tags: [uid10] },
+    { name: 'a collision in the first byte', tags: [uid4a, uid4b] },
+    { name: 'a collision in a later byte', tags: [uid4a, uid4c] },
+    { name: 'a collision at cascade level 2', tags: [uid7a, uid7b] },
+    { name: 'UIDs of all lengths', tags: [uid4a, uid4b, uid4c, uid7a, uid7b, uid10] },
+  ];
+  for (const { name, tags } of cases){
+    it(`lists ${name}`, async () => {
+      const found = await inField(tags).inventory();
+      const hex = (/** @type {{uid: number[], sak: number}} */ tag) => `${Buffer.from(tag.uid).toString('hex')}/${tag.sak}`;
+      assert.deepEqual(found.map(hex).sort(), tags.map(hex).sort());
+    });
+  }
+
+  it('selects the tag with a 1 at the collision', async () => {
+    const mfrc522 = inField([uid4a, uid4b]);
+    assert.equal(await mfrc522.detect(), true);
+    const tag = await mfrc522.selectTag();
+    assert.deepEqual(tag && tag.uid, uid4b.uid);
+  });
+
+  it('keeps the ATQA for the card type', async () => {
+    const mfrc522 = inField([uid7a]);
+    assert.equal(await mfrc522.detect(), true);
+    assert.equal(mfrc522.atqa, 0x0044);
+    const tag = await mfrc522.selectTag();
+    assert.equal(tag && tag.typeName, 'MIFARE Ultralight / NTAG');
+  });
+
+  it('leaves the ATQA undefined when the ATQAs collide', async () => {
+    const mfrc522 = inField([uid4a, { ...uid7a, atqa: 0x0344 }]);
+    assert.equal(await mfrc522.detect(), true);
+    assert.equal(mfrc522.atqa, undefined);
+  });
+
+  it('stops after maxTags', async () => {
+    assert.equal((await inField([uid4a, uid4b, uid4c]).inventory(2)).length, 2);
+  });
+
+  it('finds nothing in an empty field', async () => {
+    assert.deepEqual(await inField([]).inventory(), []);
+  });
+
+  it('throws on cascade level 4', async () => {
+    await assert.rejects(inField([]).cascade(4), RangeError);
+  });
+});
+
+describe('IRQ pin', () => {
+  it('needs an object with a getValue() method', () => {
+    assert.throws(() => new MFRC522(new FakeSpi(), { irq: /** @type {any} */ ({}) }), TypeError);
+  });
+
+  it('enables CRCIRq on the IRQ pin only when the pin is connected', async () => {
+    const polled = new FakeSpi();
+    await new MFRC522(polled).initRegs();
+    assert.equal(polled.regs[PCD_Reg.DivIEn], 0x00);
+    const connected = new FakeSpi();
+    await new MFRC522(connected, { irq: { getValue: () => 1 } }).initRegs();
+    assert.equal(connected.regs[PCD_Reg.DivIEn], 0x84);
+    assert.equal(connected.regs[PCD_Reg.ComIEn], 0xb1);
+  });
+
+  it('reads the CRC when the line is low and releases it', async () => {
+    const spi = new FakeSpi();
+    spi.regs[PCD_Reg.CRCResultL] = 0x2d;
+    spi.regs[PCD_Reg.CRCResultH] = 0x37;
+    const mfrc522 = new MFRC522(spi, { irq: { getValue: () => 0 } });
+    // the write of 0x04 clears CRCIRq, the MFRC522 sets it again
+    const transfer = spi.transfer.bind(spi);
+    spi.transfer = async (transfers) => {
+      const result = await transfer(transfers);
+      if (spi.regs[PCD_Reg.Command] === PCD_Cmd.CalcCRC){
+        spi.regs[PCD_Reg.DivIrq] = 0x04;
+      }
+      return result;
+    };
+    assert.deepEqual(await mfrc522.calcCRC([0x50, 0x00]), [0x2d, 0x37]);
+    assert.deepEqual(spi.frames[spi.frames.length - 1], [PCD_Reg.DivIrq << 1, 0x04]);
+  });
+
+  it('gives up on the CRC when the line stays high', async () => {
+    const spi = new FakeSpi();
+    const mfrc522 = new MFRC522(spi, { irq: { getValue: () => 1 } });
+    assert.equal(await mfrc522.calcCRC([0x50, 0x00]), undefined);
+    assert.ok(!spi.frames.some((frame) => frame[0] === ((PCD_Reg.DivIrq << 1) | 0x80)), 'DivIrq is not polled');
+  });
+
+  it('polls DivIrq without the IRQ pin', async () => {
+    const spi = new FakeSpi();
+    spi.regs[PCD_Reg.CRCResultL] = 0x2d;
+    spi.regs[PCD_Reg.CRCResultH] = 0x37;
+    const mfrc522 = new MFRC522(spi);
+    const transfer = spi.transfer.bind(spi);
+    spi.transfer = async (transfers) => {
+      const result = await transfer(transfers);
+      spi.regs[PCD_Reg.DivIrq] = 0x04;
+      return result;
+    };
+    assert.deepEqual(await mfrc522.calcCRC([0x50, 0x00]), [0x2d, 0x37]);
+  });
+});
+
+describe('Power-down', () => {
+  it('sets and clears the PowerDown bit', async () => {
+    const spi = new FakeSpi();
+    const mfrc522 = new MFRC522(spi);
+    await mfrc522.powerDown();
+    assert.equal(spi.regs[PCD_Reg.Command] & 0x10, 0x10);
+    await mfrc522.powerUp();
+    assert.equal(spi.regs[PCD_Reg.Command] & 0x10, 0x00);
+  });
+
+  it('needs the NRSTPD pin for a hard power-down', async () => {
+    await assert.rejects(new MFRC522(new FakeSpi()).hardPowerDown(), /NRSTPD/);
+    await assert.rejects(new MFRC522(new FakeSpi()).hardReset(), /NRSTPD/);
+    assert.throws(() => new MFRC522(new FakeSpi(), { nrstpd: /** @type {any} */ ({}) }), TypeError);
+  });
+
+  it('pulls NRSTPD low for a hard reset', async () => {
+    /** @type {number[]} */
+    const levels = [];
+    const mfrc522 = new MFRC522(new FakeSpi(), { nrstpd: { setValue: (value) => levels.push(value) } });
+    await mfrc522.hardReset();
+    assert.deepEqual(levels, [0, 1]);
+  });
+
+  it('throws when the oscillator does not start', async () => {
+    const spi = new FakeSpi();
+    spi.regs[PCD_Reg.Command] = 0x10;
+    const mfrc522 = new MFRC522(spi, { nrstpd: { setValue: () => {} } });
+    await assert.rejects(mfrc522.hardPowerUp(), /did not start/);
+  });
+});
+
+describe('Antenna and receiver settings', () => {
+  it('sets the receiver gain and keeps the other RFCfg bits', async () => {
+    const spi = new FakeSpi();
+    spi.regs[PCD_Reg.RFCfg] = 0x48;
+    const mfrc522 = new MFRC522(spi);
+    await mfrc522.setAntennaGain(PCD_RxG.g48dB);
+    assert.equal(spi.regs[PCD_Reg.RFCfg], 0x78);
+    assert.equal(await mfrc522.getAntennaGain(), PCD_RxG.g48dB);
+  });
+
+  it('restores the gains 0x20 and 0x30 that are read back', async () => {
+    const spi = new FakeSpi();
+    spi.regs[PCD_Reg.RFCfg] = 0x38;
+    const mfrc522 = new MFRC522(spi);
+    const original = await mfrc522.getAntennaGain();
+    await mfrc522.setAntennaGain(PCD_RxG.g18dB);
+    await mfrc522.setAntennaGain(original);
+    assert.equal(spi.regs[PCD_Reg.RFCfg], 0x38);
+  });
+
+  for (const gain of [0x80, 0x15, -0x10, 0.5]){
+    it(`throws on gain ${gain}`, async () => {
+      await assert.rejects(new MFRC522(new FakeSpi()).setAntennaGain(gain), RangeError);
+    });
+  }
+
+  it('writes the conductance and the thresholds, keeping the values not given', async () => {
+    const spi = new FakeSpi();
+    spi.regs[PCD_Reg.GsN] = 0x88;
+    spi.regs[PCD_Reg.CWGsP] = 0x20;
+    spi.regs[PCD_Reg.ModGsP] = 0x20;
+    spi.regs[PCD_Reg.RxThreshold] = 0x84;
+    const mfrc522 = new MFRC522(spi);
+    await mfrc522.setConductance({ cwGsN: 15, modGsP: 63 });
+    assert.deepEqual(await mfrc522.getConductance(), { cwGsN: 15, modGsN: 8, cwGsP: 0x20, modGsP: 63 });
+    await mfrc522.setRxThreshold({ collLevel: 2 });
+    assert.deepEqual(await mfrc522.getRxThreshold(), { minLevel: 8, collLevel: 2 });
+    await assert.rejects(mfrc522.setConductance({ cwGsP: 64 }), RangeError);
+    await assert.rejects(mfrc522.setRxThreshold({ collLevel: 8 }), RangeError);
+  });
+
+  it('sets the settings again after a reset', async () => {
+    const spi = new FakeSpi();
+    const mfrc522 = new MFRC522(spi);
+    await mfrc522.setAntennaGain(PCD_RxG.g43dB);
+    await mfrc522.setRxThreshold({ minLevel: 5 });
+    spi.regs = new Array(64).fill(0);
+    await mfrc522.initRegs();
+    assert.equal(spi.regs[PCD_Reg.RFCfg], PCD_RxG.g43dB);
+    assert.equal(spi.regs[PCD_Reg.RxThreshold] >> 4, 5);
+  });
+});
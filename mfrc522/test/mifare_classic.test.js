@@ -0,0 +1,91 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getSector,
+  getFirstBlock,
+  getBlockCount,
+  getTrailerBlock,
+  isTrailerBlock,
+  encodeValueBlock,
+  decodeValueBlock,
+} from '../lib/mifare_classic.js';
+
+describe('memory layout', () => {
+  const blocks = [
+    { block: 0, sector: 0, trailer: false },
+    { block: 3, sector: 0, trailer: true },
+    { block: 4, sector: 1, trailer: false },
+    { block: 63, sector: 15, trailer: true },
+    { block: 127, sector: 31, trailer: true },
+    // the 16 block sectors of the 4K
+    { block: 128, sector: 32, trailer: false },
+    { block: 131, sector: 32, trailer: false },
+    { block: 143, sector: 32, trailer: true },
+    { block: 144, sector: 33, trailer: false },
+    { block: 255, sector: 39, trailer: true },
+  ];
+  for (const { block, sector, trailer } of blocks){
+    it(`block ${block} is in sector ${sector}${trailer ? ', the trailer' : ''}`, () => {
+      assert.equal(getSector(block), sector);
+      assert.equal(isTrailerBlock(block), trailer);
+    });
+  }
+
+  const sectors = [
+    { sector: 0, first: 0, count: 4, trailer: 3 },
+    { sector: 15, first: 60, count: 4, trailer: 63 },
+    { sector: 31, first: 124, count: 4, trailer: 127 },
+    { sector: 32, first: 128, count: 16, trailer: 143 },
+    { sector: 39, first: 240, count: 16, trailer: 255 },
+  ];
+  for (const { sector, first, count, trailer } of sectors){
+    it(`sector ${sector} has ${count} blocks from block ${first}`, () => {
+      assert.equal(getFirstBlock(sector), first);
+      assert.equal(getBlockCount(sector), count);
+      assert.equal(getTrailerBlock(sector), trailer);
+    });
+  }
+});
+
+describe('value block', () => {
+  const cases = [
+    { value: 0, adr: 4, data: [0x00, 0x00, 0x00, 0x00, 0xff, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00, 0x00, 0x04, 0xfb, 0x04, 0xfb] },
+    { value: 100, adr: 5, data: [0x64, 0x00, 0x00, 0x00, 0x9b, 0xff, 0xff, 0xff, 0x64, 0x00, 0x00, 0x00, 0x05, 0xfa, 0x05, 0xfa] },
+    { value: -1, adr: 0, data: [0xff, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00, 0x00, 0xff, 0xff, 0xff, 0xff, 0x00, 0xff, 0x00, 0xff] },
+    { value: 0x7fffffff, adr: 0xff, data: [0xff, 0xff, 0xff, 0x7f, 0x00, 0x00, 0x00, 0x80, 0xff, 0xff, 0xff, 0x7f, 0xff, 0x00, 0xff, 0x00] },
+    { value: -0x80000000, adr: 0x12, data: [0x00, 0x00, 0x00, 0x80, 0xff, 0xff, 0xff, 0x7f, 0x00, 0x00, 0x00, 0x80, 0x12, 0xed, 0x12, 0xed] },
+  ];
+  for (const { value, adr, data } of cases){
+    it(`encodes and decodes ${value} with address ${adr}`, () => {
+      assert.deepEqual(encodeValueBlock(value, adr), data);
+      assert.deepEqual(decodeValueBlock(data), { value, adr });
+    });
+  }
+
+  it('rejects a block with a broken copy', () => {
+    const valid = encodeValueBlock(1234, 8);
+    for (let i = 0; i < 16; i++){
+      const data = [...valid];
+      data[i] ^= 0x01;
+      assert.equal(decodeValueBlock(data), undefined, `byte ${i}`);
+    }
+  });
+
+  const invalid = [
+    { name: 'a value over 32 bit', value: 0x80000000, adr: 4 },
+    { name: 'a fraction', value: 1.5, adr: 4 },
+    { name: 'an address over 255', value: 1, adr: 256 },
+  ];
+  for (const { name, value, adr } of invalid){
+    it(`throws on ${name}`, () => {
+      assert.throws(() => encodeValueBlock(value, adr), RangeError);
+    });
+  }
+
+  it('throws on a block that is not 16 bytes', () => {
+    assert.throws(() => decodeValueBlock(new Array(15).fill(0)), RangeError);
+  });
+});
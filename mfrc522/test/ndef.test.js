@@ -0,0 +1,231 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NDEF_TLV,
+  parseCC,
+  parseTLVs,
+  encodeMessageTLV,
+  decodeMessage,
+  encodeMessage,
+  uriRecord,
+  textRecord,
+  mimeRecord,
+  decodeUri,
+  decodeText,
+  describeRecord,
+  readNdef,
+  writeNdef,
+} from '../lib/ndef.js';
+import { NDEF_TNF } from '../data/ndef_tnf.js';
+import { UL_Type } from '../lib/ultralight.js';
+
+/**
+ * The pages of a Type 2 tag, readPages() and writePage()
+ * of a MFRC522 with the tag selected
+ */
+class FakeTag {
+  /** @type {number[]} */
+  memory;
+
+  /** @type {number[]} pages in the order they were written */
+  writes = [];
+
+  /**
+   * @param {number} pageCount
+   */
+  constructor(pageCount){
+    this.memory = new Array(pageCount * 4).fill(0);
+  }
+
+  /**
+   * @param {number} page
+   * @returns {Promise<number[]>}
+   */
+  async readPages(page){
+    return this.memory.slice(page * 4, page * 4 + 16);
+  }
+
+  /**
+   * @param {number} page
+   * @param {number[]} data
+   * @returns {Promise<boolean>}
+   */
+  async writePage(page, data){
+    this.writes.push(page);
+    this.memory.splice(page * 4, 4, ...data);
+    return true;
+  }
+}
+
+/** @type {import('../lib/ultralight.js').UltralightInfo} */
+const NTAG213 = {
+  type: UL_Type.ntag213,
+  cc: [0xe1, 0x10, 0x12, 0x00],
+  locks: { staticLock: [0x00, 0x00], dynamicLock: [0x00, 0x00, 0x00] },
+};
+
+describe('parseCC', () => {
+  it('decodes version, size and access', () => {
+    assert.deepEqual(parseCC([0xe1, 0x10, 0x12, 0x00]), { version: 0x10, size: 144, readable: true, writable: true });
+    assert.deepEqual(parseCC([0xe1, 0x10, 0x06, 0x0f]), { version: 0x10, size: 48, readable: true, writable: false });
+  });
+
+  it('returns nothing without the magic number', () => {
+    assert.equal(parseCC([0x00, 0x00, 0x00, 0x00]), undefined);
+  });
+});
+
+describe('parseTLVs', () => {
+  it('skips NULL TLVs and stops at the Terminator', () => {
+    const bytes = [0x00, 0x01, 0x03, 0xa0, 0x0c, 0x34, 0x03, 0x02, 0xd0, 0x00, 0xfe, 0x03, 0x01];
+    const { tlvs, complete } = parseTLVs(bytes);
+    assert.equal(complete, true);
+    assert.deepEqual(tlvs, [
+      { tag: NDEF_TLV.LockControl, offset: 1, value: [0xa0, 0x0c, 0x34] },
+      { tag: NDEF_TLV.Message, offset: 6, value: [0xd0, 0x00] },
+      { tag: NDEF_TLV.Terminator, offset: 10, value: [] },
+    ]);
+  });
+
+  it('reads the 3 byte length format', () => {
+    const value = new Array(300).fill(0x55);
+    const { tlvs } = parseTLVs([0x03, 0xff, 0x01, 0x2c, ...value, 0xfe]);
+    assert.equal(tlvs[0].value.length, 300);
+  });
+
+  const incomplete = [
+    { name: 'the length', bytes: [0x03] },
+    { name: 'the 3 byte length', bytes: [0x03, 0xff, 0x01] },
+    { name: 'the value', bytes: [0x03, 0x05, 0xd0, 0x00] },
+  ];
+  for (const { name, bytes } of incomplete){
+    it(`needs more bytes when ${name} is cut off`, () => {
+      assert.deepEqual(parseTLVs(bytes), { tlvs: [], complete: false });
+    });
+  }
+});
+
+describe('encodeMessageTLV', () => {
+  it('uses a 1 byte length up to 254 bytes', () => {
+    assert.deepEqual(encodeMessageTLV([0xd0, 0x00, 0x00]), [0x03, 0x03, 0xd0, 0x00, 0x00, 0xfe]);
+    assert.deepEqual(encodeMessageTLV(new Array(254).fill(0)).slice(0, 2), [0x03, 0xfe]);
+  });
+
+  it('uses the 3 byte length from 255 bytes', () => {
+    assert.deepEqual(encodeMessageTLV(new Array(255).fill(0)).slice(0, 4), [0x03, 0xff, 0x00, 0xff]);
+  });
+});
+
+describe('NDEF records', () => {
+  it('encodes a URI with the longest prefix', () => {
+    const record = uriRecord('https://www.nxp.com');
+    assert.deepEqual(record.payload, [0x02, ...Buffer.from('nxp.com')]);
+    assert.equal(decodeUri(record.payload), 'https://www.nxp.com');
+    assert.deepEqual(uriRecord('mailto:a@b.c').payload.slice(0, 1), [0x06]);
+    assert.deepEqual(uriRecord('foo').payload, [0x00, ...Buffer.from('foo')]);
+  });
+
+  it('encodes a short record', () => {
+    assert.deepEqual(encodeMessage([uriRecord('https://www.nxp.com')]), [
+      0xd1, 0x01, 0x08, 0x55, 0x02, ...Buffer.from('nxp.com'),
+    ]);
+  });
+
+  it('encodes an empty record when there are no records', () => {
+    assert.deepEqual(encodeMessage([]), [0xd0, 0x00, 0x00]);
+    assert.deepEqual(decodeMessage([0xd0, 0x00, 0x00]), [{ tnf: NDEF_TNF.Empty, type: '', id: [], payload: [] }]);
+  });
+
+  it('round trips a message with a long record and an id', () => {
+    const records = [
+      textRecord('hello', 'de'),
+      { ...mimeRecord('application/octet-stream', new Array(300).fill(0xaa)), id: [0x01, 0x02] },
+      uriRecord('tel:+123'),
+    ];
+    const bytes = encodeMessage(records);
+    assert.equal(bytes[0] & 0xc0, 0x80, 'MB on the first record');
+    assert.deepEqual(decodeMessage(bytes), records);
+  });
+
+  it('joins chunked records', () => {
+    const bytes = [
+      0xb2, 0x0a, 0x02, ...Buffer.from('text/plain'), 0x61, 0x62,
+      0x36, 0x00, 0x01, 0x63,
+      0x56, 0x00, 0x01, 0x64,
+    ];
+    assert.deepEqual(decodeMessage(bytes), [
+      { tnf: NDEF_TNF.Media, type: 'text/plain', id: [], payload: [...Buffer.from('abcd')] },
+    ]);
+  });
+
+  it('throws when a payload exceeds the message', () => {
+    assert.throws(() => decodeMessage([0xd1, 0x01, 0x08, 0x55, 0x02]), RangeError);
+  });
+
+  it('decodes UTF-8 and UTF-16 text', () => {
+    assert.deepEqual(decodeText(textRecord('grüß', 'de').payload), { text: 'grüß', lang: 'de', encoding: 'utf8' });
+    const be = [0x82, ...Buffer.from('en'), 0xfe, 0xff, 0x00, 0x68, 0x00, 0x69];
+    assert.deepEqual(decodeText(be), { text: 'hi', lang: 'en', encoding: 'utf16' });
+    const le = [0x82, ...Buffer.from('en'), 0xff, 0xfe, 0x68, 0x00, 0x69, 0x00];
+    assert.deepEqual(decodeText(le), { text: 'hi', lang: 'en', encoding: 'utf16' });
+  });
+
+  it('rejects a language code longer than 63 bytes', () => {
+    assert.throws(() => textRecord('x', 'a'.repeat(64)), RangeError);
+  });
+
+  it('describes records', () => {
+    assert.equal(describeRecord(uriRecord('https://nxp.com')), 'URI: https://nxp.com');
+    assert.equal(describeRecord(textRecord('hi')), 'Text (en): hi');
+    assert.equal(describeRecord(mimeRecord('text/plain', [0x68, 0x69])), 'MIME text/plain: hi');
+    assert.equal(describeRecord(mimeRecord('image/png', [0x89, 0x50])), 'MIME image/png: 8950');
+  });
+});
+
+describe('readNdef and writeNdef', () => {
+  it('writes the message behind the control TLVs and reads it back', async () => {
+    const tag = new FakeTag(45);
+    tag.memory.splice(16, 5, 0x01, 0x03, 0xa0, 0x0c, 0x34);
+    const records = [uriRecord('https://www.nxp.com'), textRecord('hello')];
+    const pages = await writeNdef(/** @type {any} */ (tag), NTAG213, records);
+    assert.equal(pages, tag.writes.length - 1);
+    assert.deepEqual(tag.memory.slice(16, 21), [0x01, 0x03, 0xa0, 0x0c, 0x34]);
+    assert.deepEqual(await readNdef(/** @type {any} */ (tag), NTAG213), records);
+  });
+
+  it('writes the length of the message TLV last', async () => {
+    const tag = new FakeTag(45);
+    const lengths = [];
+    const writePage = tag.writePage.bind(tag);
+    tag.writePage = async (page, data) => {
+      const ok = await writePage(page, data);
+      lengths.push(tag.memory[17]);
+      return ok;
+    };
+    await writeNdef(/** @type {any} */ (tag), NTAG213, [textRecord('hello world')]);
+    assert.equal(tag.writes[0], 4);
+    assert.equal(tag.writes[tag.writes.length - 1], 4);
+    assert.ok(lengths.slice(0, -1).every((len) => len === 0x00), 'the length stays 0 until the last write');
+    assert.equal(lengths[lengths.length - 1], encodeMessage([textRecord('hello world')]).length);
+  });
+
+  it('refuses a message larger than the data area', async () => {
+    const tag = new FakeTag(45);
+    await assert.rejects(writeNdef(/** @type {any} */ (tag), NTAG213, [mimeRecord('a/b', new Array(200).fill(0))]), RangeError);
+    assert.deepEqual(tag.writes, []);
+  });
+
+  it('refuses a tag without write access', async () => {
+    const tag = new FakeTag(45);
+    await assert.rejects(writeNdef(/** @type {any} */ (tag), { ...NTAG213, cc: [0xe1, 0x10, 0x12, 0x0f] }, []));
+  });
+
+  it('reads an empty message', async () => {
+    const tag = new FakeTag(45);
+    tag.memory.splice(16, 3, 0x03, 0x00, 0xfe);
+    assert.deepEqual(await readNdef(/** @type {any} */ (tag), NTAG213), []);
+  });
+});
@@ -0,0 +1,230 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NTAG_PRODUCTS,
+  NFC_COUNTER,
+  decodeVersion,
+  decodeAccess,
+  encodeAccess,
+  verifyEcdsa,
+  verifySignature,
+  readNtagConfig,
+  writeNtagProtection,
+} from '../lib/ntag.js';
+import { AuthError } from '../lib/errors.js';
+import { setupSelected } from './helpers.js';
+
+// signed over the raw UID with a secp128r1 key of OpenSSL
+// (openssl pkeyutl -sign), there is no private key of NXP
+const UID = [0x04, 0x51, 0x5c, 0xfa, 0x6f, 0x49, 0x80];
+const SIGNATURE = [...Buffer.from('90d8959b98f15d943473d456985075e97628da4c8cf267396d539f20a86a338b', 'hex')];
+const PUBLIC_KEY = [0x72f3afce5b6dc6f9e0a6cd32aeaf7b1dn, 0x95f5e63bceb8e93aeeaa470d7d1256d2n];
+
+// order of the secp128r1 base point
+const N = [...Buffer.from('fffffffe0000000075a30d1b9038a115', 'hex')];
+
+describe('verifyEcdsa', () => {
+  it('accepts a known good signature', () => {
+    assert.equal(verifyEcdsa(UID, SIGNATURE, PUBLIC_KEY), true);
+  });
+
+  it('rejects a signature with one bit flipped', () => {
+    // a bit of each byte of r and s
+    for (let i = 0; i < 32; i++){
+      const signature = [...SIGNATURE];
+      signature[i] ^= 1 << (i & 7);
+      assert.equal(verifyEcdsa(UID, signature, PUBLIC_KEY), false, `byte ${i}`);
+    }
+  });
+
+  it('rejects another message', () => {
+    const uid = [...UID];
+    uid[6] ^= 0x01;
+    assert.equal(verifyEcdsa(uid, SIGNATURE, PUBLIC_KEY), false);
+  });
+
+  it('rejects another public key', () => {
+    assert.equal(verifyEcdsa(UID, SIGNATURE, [PUBLIC_KEY[0], PUBLIC_KEY[1] + 1n]), false);
+  });
+
+  const outOfRange = [
+    { name: 'r = 0', signature: [...new Array(16).fill(0), ...SIGNATURE.slice(16)] },
+    { name: 's = 0', signature: [...SIGNATURE.slice(0, 16), ...new Array(16).fill(0)] },
+    { name: 'r = n', signature: [...N, ...SIGNATURE.slice(16)] },
+    { name: 's = n', signature: [...SIGNATURE.slice(0, 16), ...N] },
+  ];
+  for (const { name, signature } of outOfRange){
+    it(`rejects ${name}`, () => {
+      assert.equal(verifyEcdsa(UID, signature, PUBLIC_KEY), false);
+    });
+  }
+});
+
+describe('verifySignature', () => {
+  const NTAG213 = NTAG_PRODUCTS['040f'];
+
+  it('checks with the public key of the product', () => {
+    assert.equal(verifySignature(UID, SIGNATURE, { ...NTAG213, publicKey: PUBLIC_KEY }), true);
+  });
+
+  it('rejects a signature that is not of NXP', () => {
+    assert.equal(verifySignature(UID, SIGNATURE, NTAG213), false);
+    assert.equal(verifySignature(UID, SIGNATURE, NTAG_PRODUCTS['030b']), false);
+  });
+
+  it('has a key for NTAG21x and one for Ultralight EV1', () => {
+    assert.equal(NTAG_PRODUCTS['0413'].publicKey, NTAG213.publicKey);
+    assert.equal(NTAG_PRODUCTS['030e'].publicKey, NTAG_PRODUCTS['030b'].publicKey);
+    assert.notDeepEqual(NTAG_PRODUCTS['030b'].publicKey, NTAG213.publicKey);
+  });
+
+  it('rejects the zeros of a tag without signature', () => {
+    assert.equal(verifySignature(UID, new Array(32).fill(0), NTAG213), false);
+  });
+
+  it('throws on a signature that is not 32 bytes', () => {
+    assert.throws(() => verifySignature(UID, SIGNATURE.slice(1), NTAG213), RangeError);
+  });
+});
+
+describe('decodeVersion and ACCESS', () => {
+  it('names the product', () => {
+    const version = decodeVersion([0x00, 0x04, 0x04, 0x02, 0x01, 0x00, 0x0f, 0x03]);
+    assert.equal(version.product?.name, 'NTAG213');
+    assert.equal(version.storageSize, 0x0f);
+    assert.equal(decodeVersion([0x00, 0x04, 0x03, 0x01, 0x01, 0x00, 0x0b, 0x03]).product?.name, 'MIFARE Ultralight EV1 (MF0UL11)');
+  });
+
+  it('knows no product of another vendor or size', () => {
+    assert.equal(decodeVersion([0x00, 0x05, 0x04, 0x02, 0x01, 0x00, 0x0f, 0x03]).product, undefined);
+    assert.equal(decodeVersion([0x00, 0x04, 0x04, 0x02, 0x01, 0x00, 0x15, 0x03]).product, undefined);
+    assert.throws(() => decodeVersion([0x00, 0x04]), RangeError);
+  });
+
+  it('has the NFC counter on NTAG213/215/216 only', () => {
+    assert.deepEqual(NTAG_PRODUCTS['040f'].counters, [NFC_COUNTER]);
+    assert.deepEqual(NTAG_PRODUCTS['040b'].counters, []);
+    assert.deepEqual(NTAG_PRODUCTS['030b'].counters, [0, 1, 2]);
+  });
+
+  it('round trips ACCESS', () => {
+    for (const byte of [0x00, 0x80, 0x40, 0x10, 0x08, 0x07, 0xdf]){
+      assert.equal(encodeAccess(decodeAccess(byte)), byte & 0xdf);
+    }
+    assert.throws(() => encodeAccess({ ...decodeAccess(0), authlim: 8 }), RangeError);
+  });
+});
+
+describe('NTAG21x on the emulator', () => {
+  const NTAG213_VERSION = [0x00, 0x04, 0x04, 0x02, 0x01, 0x00, 0x0f, 0x03];
+  const NTAG213 = NTAG_PRODUCTS['040f'];
+  const PWD = [0x12, 0x34, 0x56, 0x78];
+  const PACK = [0xab, 0xcd];
+  const NTAG = { uid: UID, sak: 0x00, version: NTAG213_VERSION, signature: SIGNATURE };
+
+  /**
+   * Select the tag again after a NAK sent it back to IDLE
+   * @param {import('../lib/mfrc522.js').MFRC522} mfrc522
+   * @returns {Promise<void>}
+   */
+  const reselect = async (mfrc522) => {
+    assert.equal(await mfrc522.wakeUp(), true);
+    assert.equal(await mfrc522.selectUid(UID), 0x00);
+  };
+
+  it('reads the version, the signature and the pages', async () => {
+    const { mfrc522 } = await setupSelected(NTAG);
+    assert.deepEqual(await mfrc522.getTagVersion(), NTAG213_VERSION);
+    assert.deepEqual(await mfrc522.readSignature(), SIGNATURE);
+    const pages = await mfrc522.fastRead(0, NTAG213.pages - 1);
+    assert.ok(pages);
+    assert.equal(pages.length, NTAG213.pages * 4);
+    assert.deepEqual(pages.slice(0, 3), UID.slice(0, 3));
+  });
+
+  it('counts the first read after the field came on', async () => {
+    const { mfrc522 } = await setupSelected(NTAG);
+    assert.equal(await writeNtagProtection(mfrc522, NTAG213, {
+      auth0: 0xff,
+      access: { ...decodeAccess(0x00), nfcCntEn: true },
+    }), true);
+    assert.equal(await mfrc522.readCounter(), 0);
+    await mfrc522.readPages(4);
+    await mfrc522.readPages(8);
+    assert.equal(await mfrc522.readCounter(), 1);
+  });
+
+  it('has no NFC counter until it is enabled', async () => {
+    const { mfrc522 } = await setupSelected(NTAG);
+    assert.equal(await mfrc522.readCounter(), undefined);
+  });
+
+  it('protects writes with the password', async () => {
+    const { mfrc522, picc } = await setupSelected(NTAG);
+    // the factory password
+    assert.deepEqual(await mfrc522.pwdAuth([0xff, 0xff, 0xff, 0xff]), [0x00, 0x00]);
+    assert.equal(await writeNtagProtection(mfrc522, NTAG213, { pwd: PWD, pack: PACK, auth0: 4, access: decodeAccess(0x00) }), true);
+    assert.deepEqual(picc.memory.slice((NTAG213.cfgPage + 2) * 4, (NTAG213.cfgPage + 3) * 4), PWD);
+    await mfrc522.haltA();
+    await reselect(mfrc522);
+
+    assert.equal(await mfrc522.writePage(4, [1, 2, 3, 4]), false);
+    await reselect(mfrc522);
+    assert.ok(await mfrc522.readPages(4), 'reads are not protected');
+    const config = await readNtagConfig(mfrc522, NTAG213);
+    assert.ok(config);
+    assert.equal(config.auth0, 4);
+    assert.deepEqual(config.pack, [0x00, 0x00], 'PACK reads as zeros');
+
+    assert.equal(await mfrc522.pwdAuth([0, 0, 0, 0]), undefined);
+    assert.ok(mfrc522.lastError instanceof AuthError);
+    await reselect(mfrc522);
+    assert.deepEqual(await mfrc522.pwdAuth(PWD), PACK);
+    assert.equal(await mfrc522.writePage(4, [1, 2, 3, 4]), true);
+  });
+
+  it('protects reads with PROT', async () => {
+    const { mfrc522 } = await setupSelected(NTAG);
+    assert.equal(await writeNtagProtection(mfrc522, NTAG213, { auth0: 8, access: { ...decodeAccess(0x00), prot: true } }), true);
+    await mfrc522.haltA();
+    await reselect(mfrc522);
+    assert.ok(await mfrc522.readPages(4));
+    assert.equal(await mfrc522.fastRead(4, 8), undefined);
+    await reselect(mfrc522);
+    assert.ok(await mfrc522.pwdAuth([0xff, 0xff, 0xff, 0xff]));
+    assert.deepEqual(await mfrc522.fastRead(4, 8), new Array(20).fill(0));
+  });
+
+  it('does not retry a wrong password', async () => {
+    const { mfrc522, picc } = await setupSelected(NTAG, {
+      driver: { retry: { default: { attempts: 3, on: ['nak', 'auth', 'timeout'] } } },
+    });
+    assert.equal(await mfrc522.pwdAuth(PWD), undefined);
+    assert.equal(picc.authFailures, 1);
+  });
+
+  it('blocks the password at AUTHLIM', async () => {
+    const { mfrc522 } = await setupSelected(NTAG);
+    assert.equal(await writeNtagProtection(mfrc522, NTAG213, { auth0: 0xff, access: { ...decodeAccess(0x00), authlim: 2 } }), true);
+    for (let attempt = 0; attempt < 2; attempt++){
+      assert.equal(await mfrc522.pwdAuth(PWD), undefined);
+      await reselect(mfrc522);
+    }
+    assert.equal(await mfrc522.pwdAuth([0xff, 0xff, 0xff, 0xff]), undefined);
+  });
+
+  it('refuses to set CFGLCK', async () => {
+    const { mfrc522 } = await setupSelected(NTAG);
+    await assert.rejects(writeNtagProtection(mfrc522, NTAG213, { auth0: 0xff, access: { ...decodeAccess(0x00), cfglck: true } }), RangeError);
+  });
+
+  it('has the 3 counters on Ultralight EV1', async () => {
+    const { mfrc522, picc } = await setupSelected({ ...NTAG, version: [0x00, 0x04, 0x03, 0x01, 0x01, 0x00, 0x0b, 0x03] });
+    picc.counters = [1, 0x010203, 3];
+    assert.equal(await mfrc522.readCounter(1), 0x010203);
+    assert.equal(await mfrc522.readCounter(2), 3);
+  });
+});
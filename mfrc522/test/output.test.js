@@ -0,0 +1,119 @@
+// @ts-check
+"use strict";
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Output } from '../cli/output.js';
+
+/** @type {import('../cli/output.js').TagRecord} */
+const RECORD = {
+  timestamp: '2024-01-02T03:04:05.000Z',
+  event: 'present',
+  reader: 'spidev0.0',
+  device: '/dev/spidev0.0',
+  uid: '01020304',
+  uidLength: 4,
+  atqa: null,
+  sak: '08',
+  type: 'MIFARE Classic 1K',
+  readCount: 1,
+};
+
+const HEADER = 'timestamp,event,reader,device,uid,uidLength,atqa,sak,type,readCount';
+
+/**
+ * The first argument of each call of a mocked console method
+ * @param {{mock: {calls: {arguments: unknown[]}[]}}} method
+ * @returns {unknown[]}
+ */
+const printed = (method) => method.mock.calls.map((call) => call.arguments[0]);
+
+describe('Output', () => {
+  /** @type {string} */
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mfrc522-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prints the text line of a tag and appends it without colors', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    const file = join(dir, 'text.log');
+    const output = new Output({ format: 'text', output: file });
+    output.tag(RECORD, 'UID: \x1b[1;32m01020304\x1b[0m');
+    output.tag(RECORD, 'UID: \x1b[1;32m01020304\x1b[0m');
+    assert.deepEqual(printed(log), ['UID: \x1b[1;32m01020304\x1b[0m', 'UID: \x1b[1;32m01020304\x1b[0m']);
+    assert.equal(readFileSync(file, 'utf8'), 'UID: 01020304\nUID: 01020304\n');
+  });
+
+  it('prints a tag as JSON Lines', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    new Output({ format: 'json' }).tag(RECORD, 'text');
+    assert.deepEqual(printed(log).map((line) => JSON.parse(String(line))), [RECORD]);
+  });
+
+  it('quotes CSV fields with commas, quotes and line breaks', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    const output = new Output({ format: 'csv' });
+    output.tag({ ...RECORD, type: 'Tag "A", 1K' }, 'text');
+    output.tag({ ...RECORD, reader: 'a\nb' }, 'text');
+    assert.deepEqual(printed(log), [
+      '2024-01-02T03:04:05.000Z,present,spidev0.0,/dev/spidev0.0,01020304,4,,08,"Tag ""A"", 1K",1',
+      '2024-01-02T03:04:05.000Z,present,"a\nb",/dev/spidev0.0,01020304,4,,08,MIFARE Classic 1K,1',
+    ]);
+  });
+
+  it('appends the CSV header only to a new file', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    const file = join(dir, 'tags.csv');
+    new Output({ format: 'csv', output: file }).header();
+    const output = new Output({ format: 'csv', output: file });
+    output.header();
+    output.tag(RECORD, 'text');
+    assert.deepEqual(printed(log).slice(0, 2), [HEADER, HEADER], 'stdout has the header each time');
+    assert.deepEqual(readFileSync(file, 'utf8').split('\n'), [HEADER, printed(log)[2], '']);
+  });
+
+  it('prints no header in the text and json formats', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    new Output({ format: 'text' }).header();
+    new Output({ format: 'json' }).header();
+    assert.equal(log.mock.callCount(), 0);
+  });
+
+  it('prints diagnostics as text, errors on stderr', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    const error = t.mock.method(console, 'error', () => {});
+    const output = new Output({ format: 'text' });
+    output.info('\x1b[1;32mready\x1b[0m');
+    output.error('failed', { event: 'initError' });
+    assert.deepEqual(printed(log), ['\x1b[1;32mready\x1b[0m']);
+    assert.deepEqual(printed(error), ['failed']);
+  });
+
+  for (const format of /** @type {const} */ (['json', 'csv'])){
+    it(`prints diagnostics as JSON records on stderr in the ${format} format`, (t) => {
+      const log = t.mock.method(console, 'log', () => {});
+      const error = t.mock.method(console, 'error', () => {});
+      const output = new Output({ format });
+      output.warn('\x1b[1;31mselect failed\x1b[0m', { event: 'selectError', reader: 'r1' });
+      assert.equal(log.mock.callCount(), 0);
+      const record = JSON.parse(String(printed(error)[0]));
+      assert.equal(typeof record.timestamp, 'string');
+      assert.deepEqual({ ...record, timestamp: undefined }, {
+        timestamp: undefined,
+        level: 'warn',
+        message: 'select failed',
+        event: 'selectError',
+        reader: 'r1',
+      });
+    });
+  }
+});
@@ -0,0 +1,71 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReaderManager } from '../lib/reader_manager.js';
+import { setup } from './helpers.js';
+
+/** @type {import('../lib/tag_reader.js').TagReaderOptions} */
+const OPTIONS = { interval: 1, removeTimeout: 0 };
+
+describe('ReaderManager', () => {
+  it('tags the events with the reader id', async () => {
+    const entry = await setup([{ uid: [0xde, 0xad, 0xbe, 0xef] }]);
+    const exit = await setup([]);
+    const manager = new ReaderManager();
+    await manager.add('entry', entry.mfrc522, OPTIONS);
+    await manager.add('exit', exit.mfrc522, OPTIONS);
+    const present = new Promise((resolve) => manager.once('tagPresent', (id, tag) => resolve({ id, uid: tag.uid })));
+    await manager.start();
+    assert.deepEqual(await present, { id: 'entry', uid: [0xde, 0xad, 0xbe, 0xef] });
+    assert.deepEqual([...manager.tags.keys()], ['entry']);
+    await manager.stop();
+  });
+
+  it('refuses an empty or duplicate id', async () => {
+    const { mfrc522 } = await setup([]);
+    const manager = new ReaderManager();
+    await assert.rejects(manager.add('', mfrc522), TypeError);
+    await manager.add('a', mfrc522);
+    await assert.rejects(manager.add('a', mfrc522), /added already/);
+  });
+
+  it('removes a reader', async () => {
+    const { mfrc522 } = await setup([]);
+    const manager = new ReaderManager();
+    await manager.add('a', mfrc522, OPTIONS);
+    await manager.start();
+    assert.equal(await manager.remove('b'), false);
+    assert.equal(await manager.remove('a'), true);
+    assert.equal(manager.readers.size, 0);
+    await manager.stop();
+  });
+
+  it('emits the errors of a reader with its id', async () => {
+    const { mfrc522 } = await setup([]);
+    const failure = new Error('SPI failed');
+    mfrc522.detect = async () => { throw failure; };
+    const manager = new ReaderManager();
+    await manager.add('a', mfrc522, OPTIONS);
+    const error = new Promise((resolve) => manager.once('error', (id, err) => resolve({ id, err })));
+    await manager.start();
+    assert.deepEqual(await error, { id: 'a', err: failure });
+    await manager.stop();
+  });
+
+  it('sends the errors to debug without an error listener', async () => {
+    /** @type {(msg: string) => void} */
+    let debug = () => {};
+    const logged = new Promise((resolve) => {
+      debug = resolve;
+    });
+    const { mfrc522 } = await setup([], { driver: { debug: (msg) => debug(msg) } });
+    mfrc522.detect = async () => { throw new Error('SPI failed'); };
+    const manager = new ReaderManager();
+    await manager.add('a', mfrc522, OPTIONS);
+    await manager.start();
+    assert.equal(await logged, 'ReaderManager a: Error: SPI failed');
+    await manager.stop();
+  });
+});
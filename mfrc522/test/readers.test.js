@@ -0,0 +1,102 @@
+// @ts-check
+"use strict";
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseDevice, readConfig, getReaders } from '../cli/readers.js';
+
+/**
+ * The command line options the readers depend on
+ * @param {Object} [options]
+ * @returns {any}
+ */
+const cliOptions = (options) => ({ devices: [], speed: 1000000, gpiochip: 0, ...options });
+
+describe('parseDevice', () => {
+  it('takes the id from the device name', () => {
+    assert.deepEqual(parseDevice('/dev/spidev1.0'), { id: 'spidev1.0', device: '/dev/spidev1.0' });
+  });
+
+  it('takes the id before the colon', () => {
+    assert.deepEqual(parseDevice('entry:/dev/spidev1.1'), { id: 'entry', device: '/dev/spidev1.1' });
+  });
+
+  it('refuses other devices and an empty id', () => {
+    assert.throws(() => parseDevice('/dev/ttyS0'), /Invalid device path/);
+    assert.throws(() => parseDevice(':/dev/spidev1.0'), /Empty reader id/);
+  });
+});
+
+describe('getReaders', () => {
+  it('uses /dev/spidev0.0 without a device', () => {
+    assert.deepEqual(getReaders(cliOptions({ irqPin: 24 })), [
+      { id: 'spidev0.0', device: '/dev/spidev0.0', speed: 1000000, gpiochip: 0, irqPin: 24, resetPin: undefined },
+    ]);
+  });
+
+  it('needs a config file for the pins of several readers', () => {
+    const devices = [parseDevice('/dev/spidev1.0'), parseDevice('/dev/spidev1.1')];
+    assert.equal(getReaders(cliOptions({ devices })).length, 2);
+    assert.throws(() => getReaders(cliOptions({ devices, irqPin: 24 })), /config file/);
+  });
+
+  it('refuses an id used twice', () => {
+    const devices = [parseDevice('a:/dev/spidev1.0'), parseDevice('a:/dev/spidev1.1')];
+    assert.throws(() => getReaders(cliOptions({ devices })), /used twice/);
+  });
+});
+
+describe('readConfig', () => {
+  /** @type {string} */
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mfrc522-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * @param {unknown} config
+   * @returns {string} the path of the config file
+   */
+  const writeConfig = (config) => {
+    const path = join(dir, 'readers.json');
+    writeFileSync(path, JSON.stringify(config));
+    return path;
+  };
+
+  it('reads the readers with the defaults of the command line', () => {
+    const path = writeConfig({ readers: [
+      { id: 'entry', device: '/dev/spidev1.0', irqPin: 24 },
+      { device: '/dev/spidev1.1', speed: 500000, gpiochip: 1, resetPin: 25 },
+    ] });
+    assert.deepEqual(readConfig(path, cliOptions()), [
+      { id: 'entry', device: '/dev/spidev1.0', speed: 1000000, gpiochip: 0, irqPin: 24, resetPin: undefined },
+      { id: 'spidev1.1', device: '/dev/spidev1.1', speed: 500000, gpiochip: 1, irqPin: undefined, resetPin: 25 },
+    ]);
+  });
+
+  const invalid = [
+    { name: 'no readers', config: { readers: [] }, message: /No readers/ },
+    { name: 'a reader without device', config: { readers: [{ id: 'a' }] }, message: /has no device/ },
+    { name: 'an invalid speed', config: { readers: [{ device: '/dev/spidev1.0', speed: 0 }] }, message: /Invalid speed/ },
+    { name: 'an invalid pin', config: { readers: [{ device: '/dev/spidev1.0', irqPin: -1 }] }, message: /Invalid irqPin/ },
+  ];
+  for (const { name, config, message } of invalid){
+    it(`refuses ${name}`, () => {
+      assert.throws(() => readConfig(writeConfig(config), cliOptions()), message);
+    });
+  }
+
+  it('refuses a missing file and --device with --config', () => {
+    assert.throws(() => readConfig(join(dir, 'missing.json'), cliOptions()), /Failed to read config file/);
+    const devices = [parseDevice('/dev/spidev1.0')];
+    assert.throws(() => getReaders(cliOptions({ devices, config: writeConfig({}) })), /either --device or --config/);
+  });
+});
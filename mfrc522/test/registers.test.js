@@ -0,0 +1,60 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { REGISTER_FIELDS, decodeRegister, readRegisters } from '../lib/registers.js';
+import { PCD_Reg } from '../data/pcd_reg.js';
+import { setup } from './helpers.js';
+
+describe('decodeRegister', () => {
+  it('decodes bits and fields with their meaning', () => {
+    assert.deepEqual(decodeRegister('Command', 0x2c), [
+      { name: 'RcvOff', bits: 1, value: 1 },
+      { name: 'PowerDown', bits: 1, value: 0 },
+      { name: 'Command', bits: 4, value: 0x0c, text: 'Transceive' },
+    ]);
+    assert.deepEqual(decodeRegister('TxMode', 0xa0), [
+      { name: 'TxCRCEn', bits: 1, value: 1 },
+      { name: 'TxSpeed', bits: 3, value: 2, text: '424 kbit/s' },
+      { name: 'InvMod', bits: 1, value: 0 },
+    ]);
+  });
+
+  it('leaves out the meaning of values without one', () => {
+    const [, speed] = decodeRegister('RxMode', 0x70);
+    assert.deepEqual(speed, { name: 'RxSpeed', bits: 3, value: 7 });
+    assert.deepEqual(decodeRegister('TestPinEn', 0x7e)[1], { name: 'TestPinEn', bits: 6, value: 0x3f });
+  });
+
+  it('has no fields for the 8 bit registers', () => {
+    assert.deepEqual(decodeRegister('TPrescaler', 0xa9), []);
+    assert.deepEqual(decodeRegister('Version', 0x92), []);
+  });
+
+  for (const [register, fields] of Object.entries(REGISTER_FIELDS)){
+    it(`${register} has fields of contiguous bits that do not overlap`, () => {
+      assert.ok(register in PCD_Reg, `${register} is in PCD_Reg`);
+      let used = 0;
+      for (const { name, mask } of fields){
+        const shifted = mask / (mask & -mask);
+        assert.equal(shifted & (shifted + 1), 0, `${name} mask 0x${mask.toString(16)}`);
+        assert.equal(used & mask, 0, `${name} overlaps`);
+        used |= mask;
+      }
+    });
+  }
+});
+
+describe('readRegisters', () => {
+  it('reads all registers but FIFOData in address order', async () => {
+    const { mfrc522, emulator } = await setup([]);
+    const regs = await readRegisters(mfrc522);
+    assert.equal(regs.length, Object.keys(PCD_Reg).length - 1);
+    assert.ok(!regs.some(({ name }) => name === 'FIFOData'));
+    assert.deepEqual(regs.map(({ addr }) => addr), regs.map(({ addr }) => addr).sort((a, b) => a - b));
+    const txControl = regs.find(({ name }) => name === 'TxControl');
+    assert.equal(txControl?.value, emulator.regs[PCD_Reg.TxControl]);
+    assert.deepEqual(txControl?.fields.filter(({ value }) => value).map(({ name }) => name), ['InvTx2RFOn', 'Tx2RFEn', 'Tx1RFEn']);
+  });
+});
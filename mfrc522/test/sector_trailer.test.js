@@ -0,0 +1,232 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TRANSPORT_ACCESS,
+  decodeAccessBits,
+  encodeAccessBits,
+  getPermissions,
+  encodePermissions,
+  getAccessGroup,
+  decodeTrailer,
+  encodeTrailer,
+  checkTrailer,
+} from '../lib/sector_trailer.js';
+import { setupSelected } from './helpers.js';
+
+const KEY_A = [0xa0, 0xa1, 0xa2, 0xa3, 0xa4, 0xa5];
+const KEY_B = [0xb0, 0xb1, 0xb2, 0xb3, 0xb4, 0xb5];
+
+// access bits of the data sheet and of common tools
+const ACCESS_BITS = [
+  { bytes: [0xff, 0x07, 0x80], conditions: [0, 0, 0, 1], name: 'transport configuration' },
+  { bytes: [0x7f, 0x07, 0x88], conditions: [0, 0, 0, 3], name: 'keys and access bits with key B' },
+  { bytes: [0x08, 0x77, 0x8f], conditions: [6, 6, 6, 3], name: 'value blocks' },
+  { bytes: [0x3f, 0x05, 0xac], conditions: [0, 1, 2, 3], name: 'a condition per block' },
+  { bytes: [0x00, 0xf0, 0xff], conditions: [7, 7, 7, 7], name: 'all bits set' },
+  { bytes: [0xff, 0x0f, 0x00], conditions: [0, 0, 0, 0], name: 'all bits clear' },
+];
+
+describe('access bits', () => {
+  for (const { bytes, conditions, name } of ACCESS_BITS){
+    it(`decodes ${name}`, () => {
+      assert.deepEqual(decodeAccessBits(bytes), conditions);
+    });
+    it(`encodes ${name}`, () => {
+      assert.deepEqual(encodeAccessBits(conditions), bytes);
+    });
+  }
+
+  it('TRANSPORT_ACCESS is the transport configuration', () => {
+    assert.deepEqual(decodeAccessBits(TRANSPORT_ACCESS), [0, 0, 0, 1]);
+  });
+
+  it('round trips each condition in each position', () => {
+    for (let position = 0; position < 4; position++){
+      for (let condition = 0; condition < 8; condition++){
+        const conditions = [0, 0, 0, 1];
+        conditions[position] = condition;
+        assert.deepEqual(decodeAccessBits(encodeAccessBits(conditions)), conditions);
+      }
+    }
+  });
+
+  it('rejects access bits with a flipped bit', () => {
+    for (let bit = 0; bit < 24; bit++){
+      const bytes = [...TRANSPORT_ACCESS];
+      bytes[bit >> 3] ^= 1 << (bit & 7);
+      assert.equal(decodeAccessBits(bytes), undefined, `bit ${bit}`);
+    }
+  });
+
+  const invalid = [
+    { conditions: [0, 0, 1], name: '3 conditions' },
+    { conditions: [0, 0, 0, 8], name: 'condition 8' },
+    { conditions: [0, 0, -1, 1], name: 'a negative condition' },
+    { conditions: [0, 0.5, 0, 1], name: 'a fraction' },
+  ];
+  for (const { conditions, name } of invalid){
+    it(`throws on ${name}`, () => {
+      assert.throws(() => encodeAccessBits(conditions), RangeError);
+    });
+  }
+
+  it('throws on less than 3 bytes', () => {
+    assert.throws(() => decodeAccessBits([0xff, 0x07]), RangeError);
+  });
+});
+
+describe('permissions', () => {
+  const cases = [
+    {
+      conditions: [0, 0, 0, 1],
+      block: { read: 'A|B', write: 'A|B', increment: 'A|B', decrement: 'A|B' },
+      trailer: { keyARead: 'never', keyAWrite: 'A', accessRead: 'A', accessWrite: 'A', keyBRead: 'A', keyBWrite: 'A' },
+    },
+    {
+      conditions: [6, 6, 6, 3],
+      block: { read: 'A|B', write: 'B', increment: 'B', decrement: 'A|B' },
+      trailer: { keyARead: 'never', keyAWrite: 'B', accessRead: 'A|B', accessWrite: 'B', keyBRead: 'never', keyBWrite: 'B' },
+    },
+    {
+      conditions: [7, 7, 7, 7],
+      block: { read: 'never', write: 'never', increment: 'never', decrement: 'never' },
+      trailer: { keyARead: 'never', keyAWrite: 'never', accessRead: 'A|B', accessWrite: 'never', keyBRead: 'never', keyBWrite: 'never' },
+    },
+  ];
+  for (const { conditions, block, trailer } of cases){
+    it(`of the conditions ${conditions.join(' ')}`, () => {
+      assert.deepEqual(getPermissions(conditions), { blocks: [block, block, block], trailer });
+    });
+  }
+
+  it('encodes each permission table into access bits with the same permissions', () => {
+    for (let data = 0; data < 8; data++){
+      for (let trailer = 0; trailer < 8; trailer++){
+        const table = getPermissions([data, data, data, trailer]);
+        const conditions = decodeAccessBits(encodePermissions(table));
+        assert.ok(conditions);
+        assert.deepEqual(getPermissions(conditions), table);
+      }
+    }
+  });
+
+  it('throws on permissions no condition gives', () => {
+    const table = getPermissions([0, 0, 0, 1]);
+    table.blocks[1] = { read: 'never', write: 'A|B', increment: 'never', decrement: 'never' };
+    assert.throws(() => encodePermissions(table), RangeError);
+  });
+});
+
+describe('getAccessGroup', () => {
+  const cases = [
+    { block: 0, group: 0 },
+    { block: 2, group: 2 },
+    { block: 3, group: 3 },
+    { block: 5, group: 1 },
+    { block: 127, group: 3 },
+    // the 16 block sectors of the 4K
+    { block: 128, group: 0 },
+    { block: 132, group: 0 },
+    { block: 133, group: 1 },
+    { block: 142, group: 2 },
+    { block: 143, group: 3 },
+    { block: 255, group: 3 },
+  ];
+  for (const { block, group } of cases){
+    it(`block ${block} is in group ${group}`, () => {
+      assert.equal(getAccessGroup(block), group);
+    });
+  }
+});
+
+describe('sector trailer', () => {
+  it('encodes and decodes', () => {
+    const data = encodeTrailer({ keyA: KEY_A, keyB: KEY_B, conditions: [0, 0, 0, 1] });
+    assert.deepEqual(data, [...KEY_A, 0xff, 0x07, 0x80, 0x69, ...KEY_B]);
+    assert.deepEqual(decodeTrailer(data), {
+      keyA: KEY_A,
+      accessBits: [0xff, 0x07, 0x80],
+      gpb: 0x69,
+      keyB: KEY_B,
+      conditions: [0, 0, 0, 1],
+    });
+  });
+
+  const invalid = [
+    { trailer: { keyA: KEY_A.slice(1), keyB: KEY_B, conditions: [0, 0, 0, 1] }, name: 'a short key A' },
+    { trailer: { keyA: KEY_A, keyB: [...KEY_B.slice(1), 256], conditions: [0, 0, 0, 1] }, name: 'a key B byte over 255' },
+    { trailer: { keyA: KEY_A, keyB: KEY_B, conditions: [0, 0, 0, 1], gpb: 0x100 }, name: 'a GPB over 255' },
+  ];
+  for (const { trailer, name } of invalid){
+    it(`throws on ${name}`, () => {
+      assert.throws(() => encodeTrailer(trailer), RangeError);
+    });
+  }
+});
+
+describe('checkTrailer', () => {
+  // by access condition of the trailer
+  const cases = [
+    { condition: 0, reason: 'the access bits can not be changed anymore' },
+    { condition: 1, reason: undefined },
+    { condition: 2, reason: 'the access bits can not be changed anymore' },
+    { condition: 3, reason: undefined },
+    { condition: 4, reason: 'the access bits can not be changed anymore' },
+    { condition: 5, reason: 'the keys can not be changed anymore' },
+    { condition: 6, reason: 'the access bits can not be changed anymore' },
+    { condition: 7, reason: 'the access bits can not be changed anymore' },
+  ];
+  for (const { condition, reason } of cases){
+    it(`trailer condition ${condition}: ${reason ?? 'reversible'}`, () => {
+      const data = encodeTrailer({ keyA: KEY_A, keyB: KEY_B, conditions: [0, 0, 0, condition] });
+      assert.equal(checkTrailer(data), reason);
+    });
+  }
+
+  it('the data block conditions do not matter', () => {
+    for (let condition = 0; condition < 8; condition++){
+      const data = encodeTrailer({ keyA: KEY_A, keyB: KEY_B, conditions: [condition, condition, condition, 3] });
+      assert.equal(checkTrailer(data), undefined);
+    }
+  });
+
+  it('refuses access bits that block the sector', () => {
+    const data = [...KEY_A, 0xff, 0x07, 0x81, 0x69, ...KEY_B];
+    assert.equal(checkTrailer(data), 'the access bits are not valid, the tag blocks the sector for good');
+  });
+
+  it('throws on a trailer that is not 16 bytes', () => {
+    assert.throws(() => checkTrailer([...KEY_A, 0xff, 0x07, 0x80, 0x69]), RangeError);
+  });
+});
+
+describe('writeTrailer', () => {
+  const uid = [0xde, 0xad, 0xbe, 0xef];
+  const TRANSPORT_KEY = [0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+
+  it('changes the keys of a sector', async () => {
+    const { mfrc522, tag } = await setupSelected({ uid });
+    assert.equal(await mfrc522.authenticate(7, 'A', TRANSPORT_KEY, tag.uid), true);
+    const trailer = encodeTrailer({ keyA: KEY_A, keyB: KEY_B, conditions: [0, 0, 0, 1] });
+    assert.equal(await mfrc522.writeTrailer(7, trailer), true);
+    await mfrc522.haltA();
+    await mfrc522.stopCrypto1();
+    assert.equal(await mfrc522.wakeUp(), true);
+    assert.equal(await mfrc522.selectUid(tag.uid), tag.sak);
+    assert.equal(await mfrc522.authenticate(7, 'A', KEY_A, tag.uid), true);
+  });
+
+  it('refuses a data block and invalid access bits', async () => {
+    const { mfrc522, picc, tag } = await setupSelected({ uid });
+    const before = picc.memory.slice();
+    assert.equal(await mfrc522.authenticate(7, 'A', TRANSPORT_KEY, tag.uid), true);
+    const trailer = encodeTrailer({ keyA: KEY_A, keyB: KEY_B, conditions: [0, 0, 0, 1] });
+    await assert.rejects(mfrc522.writeTrailer(6, trailer), /not a sector trailer/);
+    trailer[8] ^= 0x10;
+    await assert.rejects(mfrc522.writeTrailer(7, trailer), /invalid access bits/);
+    assert.deepEqual(picc.memory, before);
+  });
+});
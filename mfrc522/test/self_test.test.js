@@ -0,0 +1,95 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getChipName,
+  isClone,
+  diffSelfTest,
+  worstStatus,
+} from '../lib/self_test.js';
+import { PCD_Test } from '../data/pcd_self_test.js';
+import { PCD_Reg } from '../data/pcd_reg.js';
+import { PCD_Error } from '../data/pcd_error.js';
+import { setup } from './helpers.js';
+
+/**
+ * @param {import('../lib/mfrc522.js').SelfTestResult} result
+ * @returns {Object<string, string>} the status by check
+ */
+const statuses = (result) => Object.fromEntries(result.checks.map(({ name, status }) => [name, status]));
+
+describe('self test diagnostics', () => {
+  it('names the chip by its version', () => {
+    assert.equal(getChipName(0x92), 'Version 2.0 (0x92)');
+    assert.equal(getChipName(0x88), 'Clone Fudan Semiconductor FM17522 (0x88)');
+    assert.equal(getChipName(0x12), 'Unknown (0x12)');
+    assert.equal(isClone(0x91), false);
+    assert.equal(isClone(0x88), true);
+  });
+
+  it('lists the bytes that differ from the reference', () => {
+    const data = [...PCD_Test.v2_0.data];
+    data[3] ^= 0xff;
+    assert.deepEqual(diffSelfTest(data, PCD_Test.v2_0.data), [
+      { offset: 3, expected: PCD_Test.v2_0.data[3], actual: data[3] },
+    ]);
+    assert.deepEqual(diffSelfTest(PCD_Test.v2_0.data, PCD_Test.v2_0.data), []);
+  });
+
+  it('takes the worst status', () => {
+    const check = (/** @type {import('../lib/self_test.js').CheckStatus} */ status) => ({ name: /** @type {const} */ ('crc'), status, message: '' });
+    assert.equal(worstStatus([]), 'pass');
+    assert.equal(worstStatus([check('pass'), check('warn')]), 'warn');
+    assert.equal(worstStatus([check('fail'), check('warn')]), 'fail');
+  });
+});
+
+describe('selfTest', () => {
+  it('passes on a NXP MFRC522', async () => {
+    const { mfrc522 } = await setup([]);
+    const result = await mfrc522.selfTest();
+    assert.equal(result.status, 'pass');
+    assert.deepEqual(statuses(result), { version: 'pass', digital: 'pass', antenna: 'pass', crc: 'pass' });
+    assert.deepEqual(result.data, PCD_Test.v2_0.data);
+    assert.equal(result.antenna, true);
+    assert.equal(result.crc, true);
+  });
+
+  it('warns on a clone and on an unknown version', async () => {
+    const clone = await (await setup([], { emulator: { version: 0x88 } })).mfrc522.selfTest();
+    assert.equal(clone.status, 'warn');
+    assert.deepEqual(statuses(clone), { version: 'warn', digital: 'pass', antenna: 'pass', crc: 'pass' });
+    const unknown = await (await setup([], { emulator: { version: 0x12, selfTestData: new Array(64).fill(0) } })).mfrc522.selfTest();
+    assert.equal(unknown.status, 'warn');
+    assert.equal(unknown.matches, undefined);
+    assert.deepEqual(statuses(unknown), { version: 'warn', digital: 'warn', antenna: 'pass', crc: 'pass' });
+  });
+
+  it('fails when the digital self test differs on a NXP MFRC522', async () => {
+    const selfTestData = [...PCD_Test.v2_0.data];
+    selfTestData[10] ^= 0x01;
+    const { mfrc522 } = await setup([], { emulator: { selfTestData } });
+    const result = await mfrc522.selfTest();
+    assert.equal(result.status, 'fail');
+    assert.deepEqual(result.diff, [{ offset: 10, expected: PCD_Test.v2_0.data[10], actual: selfTestData[10] }]);
+  });
+
+  it('fails when the antenna drivers overheat', async () => {
+    const { mfrc522, emulator } = await setup([]);
+    const setBitMask = mfrc522.setBitMask.bind(mfrc522);
+    mfrc522.setBitMask = async (reg, mask) => {
+      await setBitMask(reg, mask);
+      if (reg === PCD_Reg.TxControl){
+        // the MFRC522 turns the drivers off on TempErr
+        emulator.regs[PCD_Reg.TxControl] &= ~0x03;
+        emulator.regs[PCD_Reg.Error] |= PCD_Error.TempErr;
+      }
+    };
+    const result = await mfrc522.selfTest();
+    assert.equal(result.status, 'fail');
+    assert.equal(result.antenna, false);
+    assert.match(result.checks.find(({ name }) => name === 'antenna')?.message ?? '', /overheated \(TempErr\)/);
+  });
+});
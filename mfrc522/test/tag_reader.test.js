@@ -0,0 +1,179 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TagReader } from '../lib/tag_reader.js';
+
+/**
+ * The calls of TagReader on a MFRC522, with
+ * one tag that is in the field or not
+ */
+class FakeReader {
+  /** @type {void|{uid: number[], sak: number}} */
+  tag = { uid: [0x12, 0x34, 0x56, 0x78], sak: 0x08 };
+
+  halted = false;
+
+  /** @type {void|Error} */
+  failure;
+
+  /** @type {string[]} */
+  messages = [];
+
+  /**
+   * @param {string} msg
+   */
+  debug(msg){
+    this.messages.push(msg);
+  }
+
+  /** @type {string[]} */
+  powerCalls = [];
+
+  /** @type {void|{setValue: (value: number) => void}} */
+  nrstpd;
+
+  async initRegs(){}
+
+  async powerUp(){
+    this.powerCalls.push('powerUp');
+  }
+
+  async powerDown(){
+    this.powerCalls.push('powerDown');
+  }
+
+  async antennaOff(){}
+
+  async detect(){
+    if (this.failure){
+      throw this.failure;
+    }
+    return !!this.tag && !this.halted;
+  }
+
+  async wakeUp(){
+    return !!this.tag;
+  }
+
+  async selectTag(){
+    return this.tag;
+  }
+
+  /**
+   * @param {number[]} uid
+   */
+  async selectUid(uid){
+    if (this.tag && this.tag.uid.join() === uid.join()){
+      return this.tag.sak;
+    }
+  }
+
+  async haltA(){
+    this.halted = true;
+    return true;
+  }
+}
+
+/**
+ * @param {import('../lib/tag_reader.js').TagReaderOptions} [options]
+ */
+const setupReader = (options = {}) => {
+  const fake = new FakeReader();
+  const reader = new TagReader(/** @type {any} */ (fake), { removeTimeout: 0, ...options });
+  /** @type {string[]} */
+  const events = [];
+  for (const name of ['tagPresent', 'tagRemoved', 'selectError']){
+    reader.on(name, (/** @type {any} */ tag) => events.push(tag ? `${name} ${tag.uid.join()}` : name));
+  }
+  return { fake, reader, events };
+};
+
+describe('TagReader', () => {
+  it('reports a tag once when it arrives and when it leaves', async () => {
+    const { fake, reader, events } = setupReader();
+    await reader.poll();
+    await reader.poll();
+    assert.deepEqual(events, ['tagPresent 18,52,86,120']);
+    assert.deepEqual(reader.tag, fake.tag);
+    assert.equal(fake.halted, true);
+    fake.tag = undefined;
+    await reader.poll();
+    assert.deepEqual(events, ['tagPresent 18,52,86,120', 'tagRemoved 18,52,86,120']);
+    assert.equal(reader.tag, undefined);
+  });
+
+  it('does not report a tag that leaves within the debounce time', async () => {
+    const { fake, reader, events } = setupReader({ debounce: 60000 });
+    await reader.poll();
+    await reader.poll();
+    fake.tag = undefined;
+    await reader.poll();
+    assert.deepEqual(events, []);
+  });
+
+  it('keeps a tag until the remove timeout', async () => {
+    const { fake, reader, events } = setupReader({ removeTimeout: 60000 });
+    await reader.poll();
+    fake.tag = undefined;
+    await reader.poll();
+    assert.deepEqual(events, ['tagPresent 18,52,86,120']);
+  });
+
+  it('emits selectError when the selection fails', async () => {
+    const { fake, reader, events } = setupReader();
+    fake.selectTag = async () => undefined;
+    await reader.poll();
+    assert.deepEqual(events, ['selectError']);
+  });
+
+  it('emits errors of the poll loop', async () => {
+    const { fake, reader } = setupReader({ interval: 1 });
+    fake.failure = new Error('SPI failed');
+    /** @type {unknown[]} */
+    const errors = [];
+    reader.on('error', (err) => errors.push(err));
+    await reader.start();
+    await new Promise((resolve) => reader.once('error', resolve));
+    await reader.stop();
+    assert.equal(errors[0], fake.failure);
+  });
+
+  it('sends the errors to debug without an error listener', async () => {
+    const { fake, reader } = setupReader({ interval: 1 });
+    fake.failure = new Error('SPI failed');
+    const debug = fake.debug.bind(fake);
+    const logged = new Promise((resolve) => {
+      fake.debug = (msg) => resolve(debug(msg));
+    });
+    await reader.start();
+    await logged;
+    await reader.stop();
+    assert.deepEqual(fake.messages, ['TagReader: Error: SPI failed']);
+  });
+
+  it('throws on a negative interval', () => {
+    assert.throws(() => new TagReader(/** @type {any} */ (new FakeReader()), { interval: -1 }), RangeError);
+    assert.throws(() => new TagReader(/** @type {any} */ (new FakeReader()), { fieldOn: -1 }), RangeError);
+  });
+
+  it('throws on an unknown low power mode', () => {
+    assert.throws(() => new TagReader(/** @type {any} */ (new FakeReader()), { lowPower: /** @type {any} */ ('deep') }), RangeError);
+  });
+
+  it('needs the NRSTPD pin for hard power-down', () => {
+    assert.throws(() => new TagReader(/** @type {any} */ (new FakeReader()), { lowPower: 'hard' }), /NRSTPD/);
+  });
+
+  it('powers the MFRC522 down between the polls', async () => {
+    const { fake, reader } = setupReader({ interval: 20, lowPower: 'soft', fieldOn: 1 });
+    await reader.start();
+    await new Promise((resolve) => reader.once('tagPresent', resolve));
+    await reader.stop();
+    assert.deepEqual(fake.powerCalls.slice(0, 2), ['powerUp', 'powerDown']);
+    const { polls, dutyCycle } = reader.stats;
+    assert.ok(polls >= 1);
+    assert.ok(dutyCycle > 0 && dutyCycle < 1, `duty cycle ${dutyCycle}`);
+  });
+});
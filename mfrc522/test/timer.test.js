@@ -0,0 +1,36 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_TIMEOUT_US, timerSettings, timerTimeout } from '../lib/timer.js';
+
+describe('timerSettings', () => {
+  const cases = [
+    // the finest resolution, 1 / 13.56 MHz
+    { us: 100, prescaler: 0, reload: 1355 },
+    { us: 4833, prescaler: 0, reload: 65534 },
+    { us: 5000, prescaler: 1, reload: 22599 },
+    { us: 25000, prescaler: 3, reload: 48428 },
+    { us: MAX_TIMEOUT_US, prescaler: 0x0fff, reload: 0xffff },
+  ];
+  for (const { us, prescaler, reload } of cases){
+    it(`sets ${Math.round(us)} µs with TPrescaler ${prescaler} and TReload ${reload}`, () => {
+      assert.deepEqual(timerSettings(us), { prescaler, reload });
+    });
+  }
+
+  it('comes within one timer tick of the timeout', () => {
+    for (const us of [1, 90, 1000, 9999, 123456, 10e6]){
+      const { prescaler, reload } = timerSettings(us);
+      const tick = (2 * prescaler + 1) / 13.56;
+      assert.ok(Math.abs(timerTimeout(prescaler, reload) - us) <= tick, `${us} µs`);
+    }
+  });
+
+  for (const us of [0, -1, NaN, Infinity, MAX_TIMEOUT_US + 1]){
+    it(`throws on ${us} µs`, () => {
+      assert.throws(() => timerSettings(us), RangeError);
+    });
+  }
+});
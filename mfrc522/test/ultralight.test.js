@@ -0,0 +1,123 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  UL_Type,
+  isUltralight,
+  getUltralightType,
+  isPageLocked,
+  checkPageWrite,
+} from '../lib/ultralight.js';
+
+/**
+ * Pages 0 to 3 with a CC
+ * @param {number[]} cc
+ * @returns {number[]}
+ */
+const pages0to3 = (cc) => [
+  0x04, 0x51, 0x5c, 0x81, 0xfa, 0x6f, 0x49, 0x80,
+  0x5c, 0x48, 0x00, 0x00, ...cc,
+];
+
+/** @type {import('../lib/ultralight.js').UltralightLocks} */
+const UNLOCKED = { staticLock: [0x00, 0x00], dynamicLock: [0x00, 0x00, 0x00] };
+
+describe('getUltralightType', () => {
+  const cases = [
+    { cc: [0xe1, 0x10, 0x06, 0x00], type: UL_Type.ultralight },
+    { cc: [0xe1, 0x10, 0x12, 0x00], type: UL_Type.ntag213 },
+    { cc: [0xe1, 0x10, 0x3e, 0x00], type: UL_Type.ntag215 },
+    { cc: [0xe1, 0x10, 0x6d, 0x00], type: UL_Type.ntag216 },
+    // not formatted
+    { cc: [0x00, 0x00, 0x00, 0x00], type: UL_Type.unknown },
+    // no NDEF magic number
+    { cc: [0x00, 0x10, 0x12, 0x00], type: UL_Type.unknown },
+    { cc: [0xe1, 0x10, 0x7f, 0x00], type: UL_Type.unknown },
+  ];
+  for (const { cc, type } of cases){
+    it(`CC ${Buffer.from(cc).toString('hex')} is ${type.name}`, () => {
+      assert.equal(getUltralightType(pages0to3(cc)), type);
+    });
+  }
+
+  it('the Ultralight family has SAK 0x00', () => {
+    assert.equal(isUltralight(0x00), true);
+    assert.equal(isUltralight(0x08), false);
+  });
+});
+
+describe('isPageLocked', () => {
+  it('the UID pages are locked', () => {
+    for (const page of [0, 1, 2]){
+      assert.equal(isPageLocked(UL_Type.ntag213, page, UNLOCKED), true);
+    }
+  });
+
+  const staticLocks = [
+    { staticLock: [0x08, 0x00], page: 3 },
+    { staticLock: [0x10, 0x00], page: 4 },
+    { staticLock: [0x80, 0x00], page: 7 },
+    { staticLock: [0x00, 0x01], page: 8 },
+    { staticLock: [0x00, 0x80], page: 15 },
+  ];
+  for (const { staticLock, page } of staticLocks){
+    it(`static lock bytes ${Buffer.from(staticLock).toString('hex')} lock page ${page} only`, () => {
+      const locks = { ...UNLOCKED, staticLock };
+      for (let p = 3; p < 16; p++){
+        assert.equal(isPageLocked(UL_Type.ntag213, p, locks), p === page, `page ${p}`);
+      }
+    });
+  }
+
+  const dynamicLocks = [
+    // 2 pages per bit
+    { type: UL_Type.ntag213, dynamicLock: [0x01, 0x00, 0x00], pages: [16, 17] },
+    { type: UL_Type.ntag213, dynamicLock: [0x00, 0x02, 0x00], pages: [34, 35] },
+    // 16 pages per bit
+    { type: UL_Type.ntag215, dynamicLock: [0x02, 0x00, 0x00], pages: [32, 47] },
+    { type: UL_Type.ntag216, dynamicLock: [0x00, 0x01, 0x00], pages: [144, 159] },
+  ];
+  for (const { type, dynamicLock, pages: [first, last] } of dynamicLocks){
+    it(`${type.name} dynamic lock bytes ${Buffer.from(dynamicLock).toString('hex')} lock pages ${first} to ${last}`, () => {
+      const locks = { ...UNLOCKED, dynamicLock };
+      for (let page = 16; page <= type.userEnd; page++){
+        assert.equal(isPageLocked(type, page, locks), page >= first && page <= last, `page ${page}`);
+      }
+    });
+  }
+
+  it('takes pages as locked when the dynamic lock bytes are not known', () => {
+    const locks = { ...UNLOCKED, dynamicLock: [] };
+    assert.equal(isPageLocked(UL_Type.ntag215, 20, locks), true);
+    assert.equal(isPageLocked(UL_Type.ntag215, 15, locks), false);
+  });
+});
+
+describe('checkPageWrite', () => {
+  const cases = [
+    { type: UL_Type.ntag213, page: 0, reason: 'page 0 holds the UID and is read-only' },
+    { type: UL_Type.ntag213, page: 2, reason: 'page 2 holds the static lock bytes, locking is irreversible' },
+    { type: UL_Type.ntag213, page: 3, reason: 'page 3 is the Capability Container, an OTP page, bits can only be set' },
+    { type: UL_Type.ntag213, page: 4, reason: undefined },
+    { type: UL_Type.ntag213, page: 39, reason: undefined },
+    { type: UL_Type.ntag213, page: 40, reason: 'page 40 holds the dynamic lock bytes, locking is irreversible' },
+    { type: UL_Type.ntag213, page: 41, reason: 'page 41 is not user memory of NTAG213' },
+    { type: UL_Type.ultralightC, page: 39, reason: undefined },
+    { type: UL_Type.ultralightC, page: 40, reason: 'page 40 holds the dynamic lock bytes, locking is irreversible' },
+    { type: UL_Type.ultralightC, page: 41, reason: 'page 41 is not user memory of MIFARE Ultralight C' },
+    { type: UL_Type.ultralightC, page: 44, reason: 'page 44 is not user memory of MIFARE Ultralight C' },
+    { type: UL_Type.ultralight, page: 16, reason: 'page 16 is not user memory of MIFARE Ultralight' },
+  ];
+  for (const { type, page, reason } of cases){
+    it(`${type.name} page ${page}: ${reason ?? 'writable'}`, () => {
+      assert.equal(checkPageWrite(type, page, UNLOCKED), reason);
+    });
+  }
+
+  it('refuses a locked page', () => {
+    const locks = { ...UNLOCKED, staticLock: [0x20, 0x00] };
+    assert.equal(checkPageWrite(UL_Type.ntag213, 5, locks), 'page 5 is locked');
+  });
+});
@@ -0,0 +1,218 @@
+// @ts-check
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ULC_PAGES,
+  ULC_DEFAULT_KEY,
+  ulcAuthRequest,
+  ulcCheckAuthAnswer,
+  ulcAuthChallenge,
+  ulcAuthAnswer,
+  encodeUlcKey,
+  decodeUlcConfig,
+  readUlcConfig,
+  writeUlcKey,
+  writeUlcProtection,
+} from '../lib/ultralight_c.js';
+import { UL_Type, isUltralightC, readUltralightInfo } from '../lib/ultralight.js';
+import { AuthError } from '../lib/errors.js';
+import { setupSelected } from './helpers.js';
+
+/**
+ * @param {string} hex
+ * @returns {number[]}
+ */
+const bytes = (hex) => [...Buffer.from(hex, 'hex')];
+
+// with the factory key, encrypted with openssl enc -des-ede-cbc -nopad
+const RND_A = bytes('a0a1a2a3a4a5a6a7');
+// ek(RndB) with a zero IV, RndB = 0102030405060708
+const CHALLENGE = bytes('14872dc9707c94a5');
+// ek(RndA || RndB') with the challenge as IV
+const REQUEST = bytes('0260914bbe25fc20b704273b6cca5700');
+// ek(RndA') with the last block of the request as IV
+const ANSWER = bytes('8927ea5ce5f7e848');
+const RND_B = bytes('0102030405060708');
+
+describe('3DES authentication', () => {
+  it('answers the challenge of the tag', () => {
+    const { data, rndA, iv } = ulcAuthRequest(ULC_DEFAULT_KEY, CHALLENGE, RND_A);
+    assert.deepEqual(data, REQUEST);
+    assert.deepEqual(rndA, RND_A);
+    assert.deepEqual(iv, REQUEST.slice(8));
+  });
+
+  it('accepts the answer of a tag with the key', () => {
+    assert.equal(ulcCheckAuthAnswer(ULC_DEFAULT_KEY, REQUEST.slice(8), ANSWER, RND_A), true);
+  });
+
+  it('rejects the answer of a tag with another key', () => {
+    const answer = [...ANSWER];
+    answer[7] ^= 0x01;
+    assert.equal(ulcCheckAuthAnswer(ULC_DEFAULT_KEY, REQUEST.slice(8), answer, RND_A), false);
+    const key = [...ULC_DEFAULT_KEY];
+    key[0] ^= 0x02;
+    assert.equal(ulcCheckAuthAnswer(key, REQUEST.slice(8), ANSWER, RND_A), false);
+  });
+
+  it('rejects an answer that is not 8 bytes', () => {
+    assert.equal(ulcCheckAuthAnswer(ULC_DEFAULT_KEY, REQUEST.slice(8), ANSWER.slice(1), RND_A), false);
+  });
+
+  it('uses a new random RndA each time', () => {
+    const { rndA } = ulcAuthRequest(ULC_DEFAULT_KEY, CHALLENGE);
+    assert.equal(rndA.length, 8);
+    assert.notDeepEqual(ulcAuthRequest(ULC_DEFAULT_KEY, CHALLENGE).rndA, rndA);
+  });
+
+  it('answers as the tag', () => {
+    assert.deepEqual(ulcAuthChallenge(ULC_DEFAULT_KEY, RND_B), { challenge: CHALLENGE, rndB: RND_B });
+    assert.deepEqual(ulcAuthAnswer(ULC_DEFAULT_KEY, CHALLENGE, REQUEST, RND_B), ANSWER);
+  });
+
+  it('does not answer a request with another key', () => {
+    const key = [...ULC_DEFAULT_KEY];
+    key[15] ^= 0x02;
+    const { data } = ulcAuthRequest(key, CHALLENGE, RND_A);
+    assert.equal(ulcAuthAnswer(ULC_DEFAULT_KEY, CHALLENGE, data, RND_B), undefined);
+    assert.equal(ulcAuthAnswer(ULC_DEFAULT_KEY, CHALLENGE, REQUEST.slice(1), RND_B), undefined);
+  });
+
+  const invalid = [
+    { name: 'a short key', key: ULC_DEFAULT_KEY.slice(1), challenge: CHALLENGE },
+    { name: 'a short challenge', key: ULC_DEFAULT_KEY, challenge: CHALLENGE.slice(1) },
+  ];
+  for (const { name, key, challenge } of invalid){
+    it(`throws on ${name}`, () => {
+      assert.throws(() => ulcAuthRequest(key, challenge, RND_A), RangeError);
+    });
+  }
+});
+
+describe('encodeUlcKey', () => {
+  it('writes the factory key as BREAKMEIFYOUCAN!', () => {
+    const pages = encodeUlcKey(ULC_DEFAULT_KEY);
+    assert.deepEqual(pages.map((page) => Buffer.from(page).toString('ascii')), ['BREA', 'KMEI', 'FYOU', 'CAN!']);
+  });
+
+  it('reverses each half of the key', () => {
+    const key = bytes('000102030405060708090a0b0c0d0e0f');
+    assert.deepEqual(encodeUlcKey(key), [
+      [0x07, 0x06, 0x05, 0x04],
+      [0x03, 0x02, 0x01, 0x00],
+      [0x0f, 0x0e, 0x0d, 0x0c],
+      [0x0b, 0x0a, 0x09, 0x08],
+    ]);
+  });
+
+  it('throws on a key that is not 16 bytes', () => {
+    assert.throws(() => encodeUlcKey(ULC_DEFAULT_KEY.slice(0, 8)), RangeError);
+  });
+});
+
+describe('decodeUlcConfig', () => {
+  it('decodes the counter, AUTH0 and AUTH1', () => {
+    const data = [
+      0x00, 0x00, 0x00, 0x00,
+      0x34, 0x12, 0x00, 0x00,
+      0x10, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00,
+    ];
+    assert.deepEqual(decodeUlcConfig(data), { counter: 0x1234, auth0: 0x10, readProtect: true });
+    data[12] = 0x01;
+    assert.deepEqual(decodeUlcConfig(data), { counter: 0x1234, auth0: 0x10, readProtect: false });
+  });
+});
+
+describe('Ultralight C on the emulator', () => {
+  const UID = [0x04, 0x51, 0x5c, 0xfa, 0x6f, 0x49, 0x80];
+  const ULC = { uid: UID, sak: 0x00, ulcKey: ULC_DEFAULT_KEY };
+  const KEY = bytes('000102030405060708090a0b0c0d0e0f');
+
+  /**
+   * Select the tag again after a NAK sent it back to IDLE
+   * @param {import('../lib/mfrc522.js').MFRC522} mfrc522
+   * @returns {Promise<void>}
+   */
+  const reselect = async (mfrc522) => {
+    assert.equal(await mfrc522.wakeUp(), true);
+    assert.equal(await mfrc522.selectUid(UID), 0x00);
+  };
+
+  it('authenticates with the key', async () => {
+    const { mfrc522, picc } = await setupSelected(ULC);
+    assert.equal(await mfrc522.ulcAuthenticate(ULC_DEFAULT_KEY), true);
+    assert.equal(picc.ulcAuthenticated, true);
+  });
+
+  it('fails with another key and does not retry', async () => {
+    const { mfrc522, picc } = await setupSelected(ULC, {
+      driver: { retry: { default: { attempts: 3, on: ['nak', 'auth', 'timeout'] } } },
+    });
+    let challenges = 0;
+    const handleCommand = picc.handleCommand.bind(picc);
+    picc.handleCommand = (frame) => {
+      challenges += frame[0] === 0x1a ? 1 : 0;
+      return handleCommand(frame);
+    };
+    assert.equal(await mfrc522.ulcAuthenticate(KEY), false);
+    assert.ok(mfrc522.lastError instanceof AuthError);
+    assert.equal(challenges, 1);
+    assert.equal(picc.state, 'idle');
+  });
+
+  it('cannot read the key back', async () => {
+    const { mfrc522 } = await setupSelected(ULC);
+    const pages = await mfrc522.readPages(0x2a);
+    assert.ok(pages);
+    assert.deepEqual(pages.slice(0, 8), [0x30, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00], 'AUTH0 and AUTH1');
+    assert.deepEqual(pages.slice(8, 11), UID.slice(0, 3), 'rolls over to page 0');
+    assert.equal(await mfrc522.readPages(0x2c), undefined);
+  });
+
+  it('protects the pages from AUTH0 and changes the key', async () => {
+    const { mfrc522, picc } = await setupSelected(ULC);
+    assert.equal(await writeUlcProtection(mfrc522, { auth0: 0x10, readProtect: true }), true);
+    await mfrc522.haltA();
+    await reselect(mfrc522);
+
+    assert.ok(await mfrc522.readPages(4));
+    assert.equal(await mfrc522.readPages(0x10), undefined);
+    await reselect(mfrc522);
+    assert.equal(await mfrc522.writePage(0x2c, [0, 0, 0, 0]), false);
+    await reselect(mfrc522);
+
+    assert.equal(await mfrc522.ulcAuthenticate(ULC_DEFAULT_KEY), true);
+    assert.ok(await mfrc522.readPages(0x10));
+    assert.deepEqual(await readUlcConfig(mfrc522), { counter: 0, auth0: 0x10, readProtect: true });
+    assert.equal(await writeUlcKey(mfrc522, KEY), true);
+    assert.deepEqual(picc.memory.slice(0x2c * 4, 0x30 * 4), encodeUlcKey(KEY).flat());
+    await mfrc522.haltA();
+    await reselect(mfrc522);
+    assert.equal(await mfrc522.ulcAuthenticate(KEY), true);
+  });
+
+  it('detects the Ultralight C by its answer to AUTHENTICATE', async () => {
+    const { mfrc522, picc } = await setupSelected(ULC);
+    assert.equal(await isUltralightC(mfrc522, UID), true);
+    assert.equal(picc.state, 'active', 'selected again');
+    const info = await readUltralightInfo(mfrc522);
+    assert.ok(info);
+    assert.equal(info.type, UL_Type.ultralightC);
+    assert.equal(picc.memory.length, ULC_PAGES * 4);
+  });
+
+  const others = [
+    { name: 'a MIFARE Ultralight', tag: { uid: UID, sak: 0x00 } },
+    { name: 'a NTAG213', tag: { uid: UID, sak: 0x00, version: [0x00, 0x04, 0x04, 0x02, 0x01, 0x00, 0x0f, 0x03] } },
+  ];
+  for (const { name, tag } of others){
+    it(`does not take ${name} for an Ultralight C`, async () => {
+      const { mfrc522, picc } = await setupSelected(tag);
+      assert.equal(await isUltralightC(mfrc522, UID), false);
+      assert.equal(picc.state, 'active', 'selected again');
+    });
+  }
+});